@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "public"."evaluation_jobs" (
+    "id" SERIAL NOT NULL,
+    "paper_id" INTEGER NOT NULL,
+    "submission_id" INTEGER NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'queued',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "max_attempts" INTEGER NOT NULL DEFAULT 3,
+    "run_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "locked_at" TIMESTAMP(3),
+    "locked_by" VARCHAR(100),
+    "last_error" TEXT,
+    "result" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "finished_at" TIMESTAMP(3),
+
+    CONSTRAINT "evaluation_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "evaluation_jobs_status_run_at_idx" ON "public"."evaluation_jobs"("status", "run_at");
+
+-- CreateIndex
+CREATE INDEX "evaluation_jobs_paper_id_idx" ON "public"."evaluation_jobs"("paper_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."evaluation_jobs" ADD CONSTRAINT "evaluation_jobs_paper_id_fkey" FOREIGN KEY ("paper_id") REFERENCES "public"."papers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."evaluation_jobs" ADD CONSTRAINT "evaluation_jobs_submission_id_fkey" FOREIGN KEY ("submission_id") REFERENCES "public"."student_submissions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "public"."admins" ADD COLUMN     "email" VARCHAR(255),
+ADD COLUMN     "invite_expires_at" TIMESTAMP(3),
+ADD COLUMN     "invite_token_hash" VARCHAR(255),
+ADD COLUMN     "invited_by_id" INTEGER,
+ADD COLUMN     "is_active" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "role" VARCHAR(20) NOT NULL DEFAULT 'teacher';
+
+-- Existing admins had full access before roles existed
+UPDATE "public"."admins" SET "role" = 'owner';
+
+-- CreateTable
+CREATE TABLE "public"."paper_access" (
+    "id" SERIAL NOT NULL,
+    "paper_id" INTEGER NOT NULL,
+    "admin_id" INTEGER NOT NULL,
+    "access" VARCHAR(20) NOT NULL DEFAULT 'view',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "paper_access_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "admins_email_key" ON "public"."admins"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "paper_access_paper_id_admin_id_key" ON "public"."paper_access"("paper_id", "admin_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."admins" ADD CONSTRAINT "admins_invited_by_id_fkey" FOREIGN KEY ("invited_by_id") REFERENCES "public"."admins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."paper_access" ADD CONSTRAINT "paper_access_paper_id_fkey" FOREIGN KEY ("paper_id") REFERENCES "public"."papers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."paper_access" ADD CONSTRAINT "paper_access_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "public"."admins"("id") ON DELETE CASCADE ON UPDATE CASCADE;
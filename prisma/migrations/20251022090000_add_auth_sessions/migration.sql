@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "public"."auth_sessions" (
+    "id" SERIAL NOT NULL,
+    "admin_id" INTEGER NOT NULL,
+    "refresh_token_hash" VARCHAR(64) NOT NULL,
+    "previous_token_hash" VARCHAR(64),
+    "user_agent" VARCHAR(255),
+    "ip_address" VARCHAR(64),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_used_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "revoked_at" TIMESTAMP(3),
+
+    CONSTRAINT "auth_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "auth_sessions_refresh_token_hash_key" ON "public"."auth_sessions"("refresh_token_hash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "auth_sessions_previous_token_hash_key" ON "public"."auth_sessions"("previous_token_hash");
+
+-- CreateIndex
+CREATE INDEX "auth_sessions_admin_id_idx" ON "public"."auth_sessions"("admin_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."auth_sessions" ADD CONSTRAINT "auth_sessions_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "public"."admins"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "public"."admins" ADD COLUMN     "failed_logins" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "locked_until" TIMESTAMP(3),
+ADD COLUMN     "password_changed_at" TIMESTAMP(3),
+ADD COLUMN     "reset_expires_at" TIMESTAMP(3),
+ADD COLUMN     "reset_token_hash" VARCHAR(64);
+
+-- CreateTable
+CREATE TABLE "public"."login_audits" (
+    "id" SERIAL NOT NULL,
+    "admin_id" INTEGER,
+    "username" VARCHAR(50) NOT NULL,
+    "success" BOOLEAN NOT NULL DEFAULT false,
+    "reason" VARCHAR(30) NOT NULL,
+    "ip_address" VARCHAR(64),
+    "user_agent" VARCHAR(255),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "login_audits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "login_audits_admin_id_created_at_idx" ON "public"."login_audits"("admin_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "public"."login_audits" ADD CONSTRAINT "login_audits_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "public"."admins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,58 @@
+-- AlterTable
+ALTER TABLE "public"."student_submissions" ADD COLUMN     "roll_no_status" VARCHAR(20) NOT NULL DEFAULT 'unverified',
+ADD COLUMN     "roll_no_suggestions" JSONB,
+ADD COLUMN     "student_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."classrooms" (
+    "id" SERIAL NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "section" VARCHAR(50),
+    "admin_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "classrooms_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."students" (
+    "id" SERIAL NOT NULL,
+    "classroom_id" INTEGER NOT NULL,
+    "roll_no" VARCHAR(20) NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "email" VARCHAR(255),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "students_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."paper_classes" (
+    "id" SERIAL NOT NULL,
+    "paper_id" INTEGER NOT NULL,
+    "classroom_id" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "paper_classes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "students_classroom_id_roll_no_key" ON "public"."students"("classroom_id", "roll_no");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "paper_classes_paper_id_classroom_id_key" ON "public"."paper_classes"("paper_id", "classroom_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."student_submissions" ADD CONSTRAINT "student_submissions_student_id_fkey" FOREIGN KEY ("student_id") REFERENCES "public"."students"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."classrooms" ADD CONSTRAINT "classrooms_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "public"."admins"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."students" ADD CONSTRAINT "students_classroom_id_fkey" FOREIGN KEY ("classroom_id") REFERENCES "public"."classrooms"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."paper_classes" ADD CONSTRAINT "paper_classes_paper_id_fkey" FOREIGN KEY ("paper_id") REFERENCES "public"."papers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."paper_classes" ADD CONSTRAINT "paper_classes_classroom_id_fkey" FOREIGN KEY ("classroom_id") REFERENCES "public"."classrooms"("id") ON DELETE CASCADE ON UPDATE CASCADE;
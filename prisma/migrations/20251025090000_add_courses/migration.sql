@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "public"."courses" (
+    "id" SERIAL NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "term" VARCHAR(50),
+    "admin_id" INTEGER NOT NULL,
+    "grade_bands" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "courses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."course_papers" (
+    "id" SERIAL NOT NULL,
+    "course_id" INTEGER NOT NULL,
+    "paper_id" INTEGER NOT NULL,
+    "weight" DECIMAL(6,2) NOT NULL DEFAULT 1,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "course_papers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "course_papers_course_id_paper_id_key" ON "public"."course_papers"("course_id", "paper_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."courses" ADD CONSTRAINT "courses_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "public"."admins"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."course_papers" ADD CONSTRAINT "course_papers_course_id_fkey" FOREIGN KEY ("course_id") REFERENCES "public"."courses"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."course_papers" ADD CONSTRAINT "course_papers_paper_id_fkey" FOREIGN KEY ("paper_id") REFERENCES "public"."papers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
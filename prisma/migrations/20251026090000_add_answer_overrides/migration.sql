@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "public"."student_answers" ADD COLUMN     "is_overridden" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "public"."student_answer_history" (
+    "id" SERIAL NOT NULL,
+    "answer_id" INTEGER,
+    "submission_id" INTEGER NOT NULL,
+    "question_number" INTEGER NOT NULL,
+    "admin_id" INTEGER,
+    "reason" TEXT NOT NULL,
+    "previous_value" JSONB NOT NULL,
+    "new_value" JSONB NOT NULL,
+    "original_value" JSONB NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "student_answer_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "student_answer_history_submission_id_idx" ON "public"."student_answer_history"("submission_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."student_answer_history" ADD CONSTRAINT "student_answer_history_answer_id_fkey" FOREIGN KEY ("answer_id") REFERENCES "public"."student_answers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."student_answer_history" ADD CONSTRAINT "student_answer_history_submission_id_fkey" FOREIGN KEY ("submission_id") REFERENCES "public"."student_submissions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."student_answer_history" ADD CONSTRAINT "student_answer_history_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "public"."admins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
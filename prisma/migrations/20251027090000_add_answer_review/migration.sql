@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "public"."student_answers" ADD COLUMN     "confidence" VARCHAR(10),
+ADD COLUMN     "mark_type" VARCHAR(30),
+ADD COLUMN     "needs_review" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "public"."reevaluation_requests" (
+    "id" SERIAL NOT NULL,
+    "submission_id" INTEGER NOT NULL,
+    "question_numbers" JSONB NOT NULL,
+    "comment" TEXT NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'open',
+    "response" TEXT,
+    "resolved_by_id" INTEGER,
+    "resolved_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reevaluation_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "reevaluation_requests_submission_id_idx" ON "public"."reevaluation_requests"("submission_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."reevaluation_requests" ADD CONSTRAINT "reevaluation_requests_submission_id_fkey" FOREIGN KEY ("submission_id") REFERENCES "public"."student_submissions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."reevaluation_requests" ADD CONSTRAINT "reevaluation_requests_resolved_by_id_fkey" FOREIGN KEY ("resolved_by_id") REFERENCES "public"."admins"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."papers" ADD COLUMN     "results_published" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "show_answer_key" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "public"."student_submissions" ADD COLUMN     "access_code_hash" VARCHAR(64);
+
+-- CreateIndex
+CREATE INDEX "student_submissions_paper_id_access_code_hash_idx" ON "public"."student_submissions"("paper_id", "access_code_hash");
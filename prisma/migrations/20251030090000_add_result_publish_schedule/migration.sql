@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."papers" ADD COLUMN     "results_publish_at" TIMESTAMP(3),
+ADD COLUMN     "show_per_question" BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."papers" ADD COLUMN     "opens_at" TIMESTAMP(3),
+ADD COLUMN     "closes_at" TIMESTAMP(3),
+ADD COLUMN     "late_policy" VARCHAR(20) NOT NULL DEFAULT 'reject',
+ADD COLUMN     "late_penalty_percent" DECIMAL(5,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."student_submissions" ADD COLUMN     "is_late" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "late_penalty_percent" DECIMAL(5,2);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."papers" ADD COLUMN     "scoring_policy" JSONB;
+
+-- AlterTable
+ALTER TABLE "public"."questions" ADD COLUMN     "scoring_policy" JSONB;
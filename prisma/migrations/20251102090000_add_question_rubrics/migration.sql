@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "public"."student_answers" ADD COLUMN     "rubric_scores" JSONB;
+
+-- CreateTable
+CREATE TABLE "public"."question_rubrics" (
+    "id" SERIAL NOT NULL,
+    "question_id" INTEGER NOT NULL,
+    "model_answer" TEXT,
+    "criteria" JSONB NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "question_rubrics_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "question_rubrics_question_id_key" ON "public"."question_rubrics"("question_id");
+
+-- AddForeignKey
+ALTER TABLE "public"."question_rubrics" ADD CONSTRAINT "question_rubrics_question_id_fkey" FOREIGN KEY ("question_id") REFERENCES "public"."questions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
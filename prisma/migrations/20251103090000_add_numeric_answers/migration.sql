@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."questions" ADD COLUMN     "numeric_answer" JSONB;
@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "public"."questions" ADD COLUMN     "bank_question_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."bank_questions" (
+    "id" SERIAL NOT NULL,
+    "admin_id" INTEGER NOT NULL,
+    "question_text" TEXT NOT NULL,
+    "question_format" VARCHAR(50) NOT NULL DEFAULT 'multiple_choice',
+    "options" JSONB,
+    "correct_options" JSONB NOT NULL,
+    "weightages" JSONB,
+    "points_per_blank" INTEGER NOT NULL DEFAULT 1,
+    "blank_positions" JSONB,
+    "numeric_answer" JSONB,
+    "topic" VARCHAR(100),
+    "difficulty" VARCHAR(10),
+    "tags" JSONB NOT NULL DEFAULT '[]',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "bank_questions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "bank_questions_admin_id_idx" ON "public"."bank_questions"("admin_id");
+
+-- CreateIndex
+CREATE INDEX "bank_questions_topic_idx" ON "public"."bank_questions"("topic");
+
+-- AddForeignKey
+ALTER TABLE "public"."questions" ADD CONSTRAINT "questions_bank_question_id_fkey" FOREIGN KEY ("bank_question_id") REFERENCES "public"."bank_questions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."bank_questions" ADD CONSTRAINT "bank_questions_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "public"."admins"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
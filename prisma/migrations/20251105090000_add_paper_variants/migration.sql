@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "public"."student_submissions" ADD COLUMN     "variant_id" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."paper_variants" (
+    "id" SERIAL NOT NULL,
+    "paper_id" INTEGER NOT NULL,
+    "set_code" VARCHAR(10) NOT NULL,
+    "question_map" JSONB NOT NULL,
+    "option_map" JSONB NOT NULL DEFAULT '{}',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "paper_variants_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "paper_variants_paper_id_set_code_key" ON "public"."paper_variants"("paper_id", "set_code");
+
+-- AddForeignKey
+ALTER TABLE "public"."student_submissions" ADD CONSTRAINT "student_submissions_variant_id_fkey" FOREIGN KEY ("variant_id") REFERENCES "public"."paper_variants"("id") ON DELETE NO ACTION ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."paper_variants" ADD CONSTRAINT "paper_variants_paper_id_fkey" FOREIGN KEY ("paper_id") REFERENCES "public"."papers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- Keep only the newest active job per submission before adding the constraint
+UPDATE "public"."evaluation_jobs" AS "job"
+SET "status" = 'cancelled', "finished_at" = NOW(), "updated_at" = NOW()
+WHERE "job"."status" IN ('queued', 'running', 'failed')
+  AND EXISTS (
+    SELECT 1 FROM "public"."evaluation_jobs" AS "newer"
+    WHERE "newer"."submission_id" = "job"."submission_id"
+      AND "newer"."status" IN ('queued', 'running', 'failed')
+      AND "newer"."id" > "job"."id"
+  );
+
+-- CreateIndex
+CREATE UNIQUE INDEX "evaluation_jobs_active_submission_key" ON "public"."evaluation_jobs"("submission_id") WHERE "status" IN ('queued', 'running', 'failed');
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."bank_questions" ADD COLUMN "rubric" JSONB;
@@ -0,0 +1,622 @@
+const xlsx = require('xlsx');
+const prisma = require('../src/prisma');
+const { optionKey, readQuestion, readSelections, scoreAnswers } = require('./scoringEngine');
+
+// Post-grading analytics over a paper's evaluated submissions. Submissions still in
+// review or not yet graded are left out so the figures only move once scores are final.
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+// Share of students in each of the upper and lower groups (Kelley's 27%)
+const GROUP_FRACTION = 0.27;
+
+// Item flags raised for teachers to look at
+const FLAG_RULES = {
+  tooHard: 0.2, // facility index below this
+  tooEasy: 0.9, // facility index above this
+  lowDiscrimination: 0.2, // discrimination index below this
+  nonFunctionalDistractor: 0.05 // distractor chosen by fewer than this share of students
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+// Population variance, as used by KR-20 and Cronbach's alpha
+const variance = (values) => {
+  if (values.length === 0) return 0;
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / values.length;
+};
+
+// Pearson correlation, or null when either series has no spread
+const correlation = (xs, ys) => {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let covariance = 0;
+  let sx = 0;
+  let sy = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - mx) * (ys[i] - my);
+    sx += (x - mx) ** 2;
+    sy += (ys[i] - my) ** 2;
+  });
+  return sx > 0 && sy > 0 ? covariance / Math.sqrt(sx * sy) : null;
+};
+
+// Whether the student gave any answer to the question
+const isAnswered = (answer) => {
+  if (!answer) return false;
+  if (answer.selectedOption || (answer.textAnswer && answer.textAnswer.trim())) return true;
+  if (Array.isArray(answer.selectedOptions) && answer.selectedOptions.some(o => o)) return true;
+  const blanks = answer.blankAnswers;
+  return !!blanks && typeof blanks === 'object' && Object.values(blanks).some(v => v !== null && String(v).trim());
+};
+
+/**
+ * Load a paper with its questions and evaluated submissions, each with its answers
+ * @param {number} paperId - Paper ID
+ * @returns {Object|null} { paper, questions, submissions }
+ */
+const loadEvaluatedPaper = async (paperId) => {
+  const [paper, questions, submissions] = await Promise.all([
+    prisma.paper.findUnique({
+      where: { id: paperId },
+      select: { id: true, name: true, totalMarks: true, scoringPolicy: true }
+    }),
+    prisma.question.findMany({
+      where: { paperId },
+      include: { rubric: true },
+      orderBy: { questionNumber: 'asc' }
+    }),
+    prisma.studentSubmission.findMany({
+      where: { paperId, evaluationStatus: 'evaluated' },
+      include: { answers: true },
+      orderBy: { rollNo: 'asc' }
+    })
+  ]);
+
+  if (!paper) {
+    return null;
+  }
+
+  return { paper, questions, submissions };
+};
+
+// Marks a question is worth as the scoring engine counts them (blanks, rubric, scoring policy)
+const questionMaxPoints = (question, scoringPolicy) => scoreAnswers([question], [], { scoringPolicy }).maxPossibleScore;
+
+// Score matrix: one row per submission with the points, correctness and answer of every question
+const buildResponseMatrix = (questions, submissions, maxPoints) => submissions.map(submission => {
+  const answersByQuestion = new Map(submission.answers.map(a => [a.questionNumber, a]));
+
+  const items = questions.map((question, index) => {
+    const answer = answersByQuestion.get(question.questionNumber);
+    const itemMax = answer && answer.maxPoints !== null && answer.maxPoints !== undefined
+      ? Number(answer.maxPoints)
+      : maxPoints[index];
+    const points = answer ? Number(answer.partialScore) || 0 : 0;
+
+    return {
+      answer,
+      points,
+      maxPoints: itemMax,
+      // Share of the question's marks earned, so partly-credited answers count in proportion
+      fraction: itemMax > 0 ? Math.min(1, Math.max(0, points / itemMax)) : 0,
+      correct: !!answer && answer.isCorrect,
+      answered: isAnswered(answer)
+    };
+  });
+
+  return {
+    submission,
+    items,
+    total: items.reduce((sum, item) => sum + item.points, 0)
+  };
+});
+
+// Upper and lower scoring groups; with fewer than four students each group is one student
+const scoreGroups = (rows) => {
+  const sorted = [...rows].sort((a, b) => b.total - a.total);
+  const size = Math.max(1, Math.round(sorted.length * GROUP_FRACTION));
+  return {
+    upper: sorted.slice(0, size),
+    lower: sorted.slice(-size)
+  };
+};
+
+// Option counts of a choice question over all students and the two scoring groups
+const analyseDistractors = (question, index, rows, groups) => {
+  const { options, correctOptions } = readQuestion(question);
+  const labels = Object.keys(options || {});
+  if (labels.length === 0) {
+    return null;
+  }
+
+  const keys = new Set(correctOptions.map(option => optionKey(option, options)));
+
+  const labelOf = (selection) => {
+    const key = optionKey(selection, options);
+    return labels.find(label => optionKey(label, options) === key) || null;
+  };
+
+  const count = (group) => {
+    const counts = Object.fromEntries(labels.map(label => [label, 0]));
+    let unmatched = 0;
+    for (const row of group) {
+      const { answer } = row.items[index];
+      if (!answer) continue;
+      for (const selection of readSelections(answer)) {
+        const label = labelOf(selection);
+        if (label) counts[label] += 1;
+        else unmatched += 1;
+      }
+    }
+    return { counts, unmatched };
+  };
+
+  const all = count(rows);
+  const upper = count(groups.upper);
+  const lower = count(groups.lower);
+
+  return {
+    options: labels.map(label => ({
+      option: label,
+      text: options[label],
+      isKey: keys.has(optionKey(label, options)),
+      count: all.counts[label],
+      rate: rows.length > 0 ? round3(all.counts[label] / rows.length) : 0,
+      upperCount: upper.counts[label],
+      lowerCount: lower.counts[label]
+    })),
+    unmatched: all.unmatched
+  };
+};
+
+// Flags for a question from its statistics
+const itemFlags = (item) => {
+  const flags = [];
+  if (item.facilityIndex < FLAG_RULES.tooHard) flags.push('too_hard');
+  if (item.facilityIndex > FLAG_RULES.tooEasy) flags.push('too_easy');
+  if (item.discriminationIndex !== null) {
+    if (item.discriminationIndex < 0) flags.push('negative_discrimination');
+    else if (item.discriminationIndex < FLAG_RULES.lowDiscrimination) flags.push('low_discrimination');
+  }
+
+  if (item.distractors) {
+    const keyOptions = item.distractors.options.filter(o => o.isKey);
+    const distractors = item.distractors.options.filter(o => !o.isKey);
+    const topKeyUpper = Math.max(0, ...keyOptions.map(o => o.upperCount));
+
+    // Strong students favouring a distractor over the key usually means a miskeyed answer
+    if (distractors.some(o => o.upperCount > topKeyUpper)) flags.push('possible_miskey');
+    if (distractors.some(o => o.rate < FLAG_RULES.nonFunctionalDistractor)) flags.push('non_functional_distractor');
+  }
+
+  return flags;
+};
+
+// KR-20 over right/wrong scores and Cronbach's alpha over points; null without enough data
+const reliability = (rows) => {
+  const k = rows.length > 0 ? rows[0].items.length : 0;
+  if (rows.length < 2 || k < 2) {
+    return { kr20: null, cronbachAlpha: null };
+  }
+
+  const factor = k / (k - 1);
+
+  const binaryTotals = rows.map(row => row.items.filter(item => item.correct).length);
+  const binaryVariance = variance(binaryTotals);
+  const pq = rows[0].items.reduce((sum, _, i) => {
+    const p = mean(rows.map(row => (row.items[i].correct ? 1 : 0)));
+    return sum + p * (1 - p);
+  }, 0);
+
+  const totalVariance = variance(rows.map(row => row.total));
+  const itemVariances = rows[0].items.reduce((sum, _, i) => sum + variance(rows.map(row => row.items[i].points)), 0);
+
+  return {
+    kr20: binaryVariance > 0 ? round3(factor * (1 - pq / binaryVariance)) : null,
+    cronbachAlpha: totalVariance > 0 ? round3(factor * (1 - itemVariances / totalVariance)) : null
+  };
+};
+
+/**
+ * Item analysis of a paper: difficulty (facility index), discrimination (corrected
+ * point-biserial and upper-lower index), omission rate and distractor counts per
+ * question, plus the paper's KR-20 and Cronbach's alpha. Questions without an answer
+ * key are flagged 'unkeyed' and left out of the statistics.
+ * @param {number} paperId - Paper ID
+ * @returns {Object|null} { paper, submissionCount, groupSize, reliability, items }, or null when the paper does not exist
+ */
+const buildItemAnalysis = async (paperId) => {
+  const data = await loadEvaluatedPaper(paperId);
+  if (!data) {
+    return null;
+  }
+
+  const { paper, questions, submissions } = data;
+  const maxPoints = questions.map(question => questionMaxPoints(question, paper.scoringPolicy));
+  const rows = buildResponseMatrix(questions, submissions, maxPoints);
+  const groups = scoreGroups(rows);
+  const enoughForDiscrimination = rows.length >= 2;
+
+  // A question worth no marks (no answer key) has no difficulty or discrimination to measure
+  const keyed = maxPoints.map(points => points > 0);
+
+  const items = questions.map((question, index) => {
+    const omitted = rows.filter(row => !row.items[index].answered).length;
+
+    if (!keyed[index]) {
+      return {
+        questionNumber: question.questionNumber,
+        questionText: question.questionText,
+        questionFormat: question.questionFormat,
+        maxPoints: maxPoints[index],
+        responses: rows.length,
+        correct: null,
+        omitted,
+        omissionRate: rows.length > 0 ? round3(omitted / rows.length) : 0,
+        facilityIndex: null,
+        discriminationIndex: null,
+        pointBiserial: null,
+        distractors: null,
+        flags: ['unkeyed']
+      };
+    }
+
+    const fractions = rows.map(row => row.items[index].fraction);
+    // Corrected item-total correlation: the rest of the paper, without this question
+    const restTotals = rows.map(row => row.total - row.items[index].points);
+    const pointBiserial = enoughForDiscrimination ? correlation(fractions, restTotals) : null;
+
+    const upperFacility = mean(groups.upper.map(row => row.items[index].fraction));
+    const lowerFacility = mean(groups.lower.map(row => row.items[index].fraction));
+
+    const item = {
+      questionNumber: question.questionNumber,
+      questionText: question.questionText,
+      questionFormat: question.questionFormat,
+      maxPoints: maxPoints[index],
+      responses: rows.length,
+      correct: rows.filter(row => row.items[index].correct).length,
+      omitted,
+      omissionRate: rows.length > 0 ? round3(omitted / rows.length) : 0,
+      facilityIndex: round3(mean(fractions)),
+      discriminationIndex: enoughForDiscrimination ? round3(upperFacility - lowerFacility) : null,
+      pointBiserial: pointBiserial === null ? null : round3(pointBiserial),
+      distractors: question.questionFormat === 'multiple_choice'
+        ? analyseDistractors(question, index, rows, groups)
+        : null
+    };
+    item.flags = rows.length > 0 ? itemFlags(item) : [];
+
+    return item;
+  });
+
+  console.log(`📊 Item analysis for paper ${paperId}: ${questions.length} questions over ${rows.length} submissions`);
+
+  return {
+    paper: { id: paper.id, name: paper.name, totalMarks: paper.totalMarks === null ? null : Number(paper.totalMarks) },
+    submissionCount: rows.length,
+    groupSize: rows.length > 0 ? groups.upper.length : 0,
+    averageScore: round2(mean(rows.map(row => row.total))),
+    reliability: reliability(rows.map(row => ({ ...row, items: row.items.filter((_, i) => keyed[i]) }))),
+    items
+  };
+};
+
+// Histogram and pass-rate defaults, in percent
+const DEFAULT_BUCKET_WIDTH = 10;
+const DEFAULT_PASS_MARK = 40;
+
+/**
+ * Validate score distribution options
+ * @param {Object} options - { bucketWidth, passMark } as percentages
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateDistributionOptions = ({ bucketWidth, passMark }) => {
+  const errors = [];
+  if (bucketWidth !== undefined && (!Number.isFinite(bucketWidth) || bucketWidth < 1 || bucketWidth > 100)) {
+    errors.push('bucketWidth must be a number between 1 and 100');
+  }
+  if (passMark !== undefined && (!Number.isFinite(passMark) || passMark < 0 || passMark > 100)) {
+    errors.push('passMark must be a number between 0 and 100');
+  }
+  return errors;
+};
+
+// Quantile of sorted values with linear interpolation between closest ranks
+const quantile = (sorted, q) => {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Summary statistics of a set of values. The standard deviation is the population one:
+// the submissions are the whole class, not a sample of it.
+const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { count: 0, mean: null, median: null, standardDeviation: null, min: null, max: null, q1: null, q3: null, interquartileRange: null };
+  }
+
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  return {
+    count: sorted.length,
+    mean: round2(mean(sorted)),
+    median: round2(quantile(sorted, 0.5)),
+    standardDeviation: round2(Math.sqrt(variance(sorted))),
+    min: round2(sorted[0]),
+    max: round2(sorted[sorted.length - 1]),
+    q1: round2(q1),
+    q3: round2(q3),
+    interquartileRange: round2(q3 - q1)
+  };
+};
+
+// Percentage buckets from 0 to 100; the last bucket includes 100
+const buildHistogram = (percentages, bucketWidth) => {
+  const buckets = [];
+  for (let from = 0; from < 100; from += bucketWidth) {
+    const to = Math.min(100, from + bucketWidth);
+    buckets.push({ from: round2(from), to: round2(to), label: `${round2(from)}-${round2(to)}`, count: 0, rate: 0 });
+  }
+
+  for (const percentage of percentages) {
+    const clamped = Math.min(100, Math.max(0, percentage));
+    const index = Math.min(buckets.length - 1, Math.floor(clamped / bucketWidth));
+    buckets[index].count += 1;
+  }
+
+  for (const bucket of buckets) {
+    bucket.rate = percentages.length > 0 ? round3(bucket.count / percentages.length) : 0;
+  }
+  return buckets;
+};
+
+/**
+ * Score distribution of a paper: summary statistics of marks and percentages, a
+ * percentage histogram, the pass rate against a cutoff and a chart-ready series.
+ * @param {number} paperId - Paper ID
+ * @param {Object} options - { bucketWidth, passMark } as percentages
+ * @returns {Object|null} { paper, bucketWidth, passMark, scores, percentages, pass, histogram, chart }, or null when the paper does not exist
+ */
+const buildScoreDistribution = async (paperId, { bucketWidth = DEFAULT_BUCKET_WIDTH, passMark = DEFAULT_PASS_MARK } = {}) => {
+  const paper = await prisma.paper.findUnique({
+    where: { id: paperId },
+    select: { id: true, name: true, totalMarks: true }
+  });
+  if (!paper) {
+    return null;
+  }
+
+  const submissions = await prisma.studentSubmission.findMany({
+    where: { paperId, evaluationStatus: 'evaluated', percentage: { not: null } },
+    select: { score: true, percentage: true }
+  });
+
+  const scores = submissions.map(s => Number(s.score) || 0);
+  const percentages = submissions.map(s => Number(s.percentage) || 0);
+  const histogram = buildHistogram(percentages, bucketWidth);
+  const passed = percentages.filter(p => p >= passMark).length;
+
+  console.log(`📊 Score distribution for paper ${paperId}: ${submissions.length} submissions, pass mark ${passMark}%`);
+
+  return {
+    paper: { id: paper.id, name: paper.name, totalMarks: paper.totalMarks === null ? null : Number(paper.totalMarks) },
+    bucketWidth,
+    passMark,
+    scores: summarize(scores),
+    percentages: summarize(percentages),
+    pass: {
+      passed,
+      failed: percentages.length - passed,
+      passRate: percentages.length > 0 ? round2((passed / percentages.length) * 100) : 0
+    },
+    histogram,
+    chart: {
+      labels: histogram.map(b => b.label),
+      series: [{ name: 'Students', data: histogram.map(b => b.count) }],
+      passMark
+    }
+  };
+};
+
+// Collusion report defaults: pairs must share this many wrong answers to be listed
+const DEFAULT_MIN_SHARED_WRONG = 3;
+const DEFAULT_PAIR_LIMIT = 50;
+const MAX_PAIR_LIMIT = 500;
+
+/**
+ * Validate collusion report options
+ * @param {Object} options - { minSharedWrong, limit }
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateCollusionOptions = ({ minSharedWrong, limit }) => {
+  const errors = [];
+  if (minSharedWrong !== undefined && (!Number.isInteger(minSharedWrong) || minSharedWrong < 1)) {
+    errors.push('minSharedWrong must be a positive integer');
+  }
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAIR_LIMIT)) {
+    errors.push(`limit must be an integer between 1 and ${MAX_PAIR_LIMIT}`);
+  }
+  return errors;
+};
+
+// Response of each student to a choice question, as a comparable key and its printed form
+const readChoiceResponse = (question, answer) => {
+  const { options } = readQuestion(question);
+  const labels = Object.keys(options || {});
+  const selections = answer ? readSelections(answer) : [];
+  if (selections.length === 0) {
+    return null;
+  }
+
+  // Answers given as option text read back as their label, so "A" and its text match
+  const shown = selections.map(selection => {
+    const key = optionKey(selection, options);
+    return labels.find(label => optionKey(label, options) === key) || selection;
+  });
+  const sorted = [...new Set(shown)].sort();
+  return {
+    key: sorted.map(option => option.toLowerCase()).join('+'),
+    text: sorted.join('+'),
+    wrong: !answer.isCorrect
+  };
+};
+
+/**
+ * Answer-pattern collusion report for a paper. For every pair of students it counts
+ * the choice questions both got wrong with the same wrong answer, and compares that
+ * with the number expected by chance. The chance a pair picks the same wrong answer
+ * on a question is the sum of squared shares of its wrong answers across the class.
+ * Pairs are ranked by how far above chance they are (z-score).
+ * @param {number} paperId - Paper ID
+ * @param {Object} options - { minSharedWrong, limit }
+ * @returns {Object|null} { paper, submissionCount, questionCount, pairsCompared, pairs }, or null when the paper does not exist
+ */
+const buildCollusionReport = async (paperId, { minSharedWrong = DEFAULT_MIN_SHARED_WRONG, limit = DEFAULT_PAIR_LIMIT } = {}) => {
+  const data = await loadEvaluatedPaper(paperId);
+  if (!data) {
+    return null;
+  }
+
+  const { paper, submissions } = data;
+  // Without an answer key every response would count as wrong, so unkeyed questions are left out
+  const questions = data.questions.filter(q => {
+    const { format, options, correctOptions } = readQuestion(q);
+    return format === 'multiple_choice' && Object.keys(options).length > 0 && correctOptions.length > 0;
+  });
+
+  const responses = submissions.map(submission => {
+    const answersByQuestion = new Map(submission.answers.map(a => [a.questionNumber, a]));
+    return questions.map(question => readChoiceResponse(question, answersByQuestion.get(question.questionNumber)));
+  });
+
+  // Chance that two students who both got the question wrong chose the same wrong answer
+  const matchProbability = questions.map((_, index) => {
+    const counts = new Map();
+    let wrong = 0;
+    for (const row of responses) {
+      const response = row[index];
+      if (response && response.wrong) {
+        counts.set(response.key, (counts.get(response.key) || 0) + 1);
+        wrong += 1;
+      }
+    }
+    return wrong > 0 ? [...counts.values()].reduce((sum, c) => sum + (c / wrong) ** 2, 0) : 0;
+  });
+
+  const pairs = [];
+  for (let a = 0; a < submissions.length; a++) {
+    for (let b = a + 1; b < submissions.length; b++) {
+      let bothWrong = 0;
+      let identical = 0;
+      let bothAnswered = 0;
+      let expected = 0;
+      let spread = 0;
+      const shared = [];
+
+      questions.forEach((question, index) => {
+        const first = responses[a][index];
+        const second = responses[b][index];
+        if (!first || !second) return;
+
+        bothAnswered += 1;
+        if (first.key === second.key) identical += 1;
+        if (!first.wrong || !second.wrong) return;
+
+        const p = matchProbability[index];
+        bothWrong += 1;
+        expected += p;
+        spread += p * (1 - p);
+        if (first.key === second.key) {
+          shared.push({ questionNumber: question.questionNumber, answer: first.text });
+        }
+      });
+
+      if (shared.length < minSharedWrong) continue;
+
+      const zScore = spread > 0 ? (shared.length - expected) / Math.sqrt(spread) : null;
+      pairs.push({
+        students: [submissions[a], submissions[b]].map(s => ({
+          submissionId: s.id,
+          rollNo: s.rollNo,
+          studentName: s.studentName,
+          score: s.score === null ? null : Number(s.score)
+        })),
+        sharedWrong: shared.length,
+        bothWrong,
+        expectedSharedWrong: round2(expected),
+        zScore: zScore === null ? null : round2(zScore),
+        identicalResponses: identical,
+        bothAnswered,
+        sharedQuestions: shared
+      });
+    }
+  }
+
+  // Highest z-score first; pairs without a baseline go last, by shared wrong answers
+  pairs.sort((x, y) => (y.zScore ?? -Infinity) - (x.zScore ?? -Infinity) || y.sharedWrong - x.sharedWrong);
+  pairs.forEach((pair, index) => { pair.rank = index + 1; });
+
+  console.log(`🔍 Collusion report for paper ${paperId}: ${pairs.length} pairs with ${minSharedWrong}+ shared wrong answers`);
+
+  return {
+    paper: { id: paper.id, name: paper.name },
+    submissionCount: submissions.length,
+    questionCount: questions.length,
+    pairsCompared: (submissions.length * (submissions.length - 1)) / 2,
+    minSharedWrong,
+    pairsFound: pairs.length,
+    pairs: pairs.slice(0, limit)
+  };
+};
+
+const toCollusionRows = (report) => report.pairs.map(pair => ({
+  'Rank': pair.rank,
+  'Roll No A': pair.students[0].rollNo,
+  'Name A': pair.students[0].studentName,
+  'Score A': pair.students[0].score ?? '',
+  'Roll No B': pair.students[1].rollNo,
+  'Name B': pair.students[1].studentName,
+  'Score B': pair.students[1].score ?? '',
+  'Shared Wrong': pair.sharedWrong,
+  'Both Wrong': pair.bothWrong,
+  'Expected By Chance': pair.expectedSharedWrong,
+  'Z Score': pair.zScore ?? '',
+  'Identical Responses': `${pair.identicalResponses}/${pair.bothAnswered}`,
+  'Shared Questions': pair.sharedQuestions.map(q => `Q${q.questionNumber}:${q.answer}`).join(', ')
+}));
+
+/**
+ * Render a collusion report as an XLSX workbook for the exam committee
+ * @param {Object} report - Result of buildCollusionReport
+ * @returns {Buffer} XLSX file contents
+ */
+const collusionToXlsx = (report) => {
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(toCollusionRows(report)), 'Suspicious Pairs');
+  return xlsx.write(workbook, { bookType: 'xlsx', type: 'buffer' });
+};
+
+/**
+ * Render a collusion report as CSV
+ * @param {Object} report - Result of buildCollusionReport
+ * @returns {string} CSV text
+ */
+const collusionToCsv = (report) => xlsx.utils.sheet_to_csv(xlsx.utils.json_to_sheet(toCollusionRows(report)));
+
+module.exports = {
+  loadEvaluatedPaper,
+  buildItemAnalysis,
+  validateDistributionOptions,
+  buildScoreDistribution,
+  validateCollusionOptions,
+  buildCollusionReport,
+  collusionToXlsx,
+  collusionToCsv
+};
@@ -0,0 +1,386 @@
+const os = require('os');
+const prisma = require('../src/prisma');
+const { evaluateStoredSubmission } = require('./evaluationService');
+
+// Kept in step with the partial unique index evaluation_jobs_active_submission_key
+const ACTIVE_STATUSES = ['queued', 'running', 'failed'];
+const RETRYABLE_STATUSES = ['failed', 'dead', 'cancelled'];
+const CANCELLABLE_STATUSES = ['queued', 'failed'];
+
+// Positive integer from a number or a string of digits, otherwise null
+const positiveInt = (value) => {
+  const number = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+class EvaluationQueue {
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval || parseInt(process.env.EVALUATION_WORKER_POLL_MS) || 5000;
+    this.concurrency = options.concurrency || parseInt(process.env.EVALUATION_WORKER_CONCURRENCY) || 1;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.EVALUATION_JOB_MAX_ATTEMPTS) || 3;
+    this.backoffBase = options.backoffBase || parseInt(process.env.EVALUATION_JOB_BACKOFF_MS) || 5000;
+    this.staleAfter = options.staleAfter || parseInt(process.env.EVALUATION_JOB_STALE_MS) || 10 * 60 * 1000;
+    // Running jobs refresh their lock well within staleAfter, so only dead workers' jobs go stale
+    this.heartbeatInterval = options.heartbeatInterval || Math.floor(this.staleAfter / 3);
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.activeJobs = 0;
+    this.polling = false;
+  }
+
+  /**
+   * Queue evaluation jobs for submissions of a paper.
+   * Submissions that already have an active job are skipped.
+   * @param {number} paperId - Paper ID
+   * @param {Array<number>} submissionIds - Submission IDs (defaults to all pending submissions of the paper)
+   * @param {Object} options - { maxAttempts }
+   * @returns {Object} Created jobs and skipped submission IDs, or { error, status } for invalid input
+   */
+  async enqueue(paperId, submissionIds = null, options = {}) {
+    let maxAttempts = this.maxAttempts;
+    if (options.maxAttempts !== undefined && options.maxAttempts !== null) {
+      maxAttempts = positiveInt(options.maxAttempts);
+      if (!maxAttempts) {
+        return { error: 'maxAttempts must be a positive integer', status: 400 };
+      }
+    }
+
+    const where = { paperId };
+    if (submissionIds) {
+      const ids = submissionIds.map(positiveInt);
+      if (ids.some(id => id === null)) {
+        return { error: 'submissionIds must be positive integers', status: 400 };
+      }
+      where.id = { in: ids };
+    } else {
+      where.evaluationStatus = { in: ['pending', 'error'] };
+    }
+
+    const submissions = await prisma.studentSubmission.findMany({
+      where,
+      select: { id: true },
+      orderBy: { submittedAt: 'asc' }
+    });
+
+    // The partial unique index on active jobs turns a duplicate into a skipped row,
+    // so concurrent enqueues cannot queue a submission twice
+    const jobs = await prisma.evaluationJob.createManyAndReturn({
+      data: submissions.map(s => ({ paperId, submissionId: s.id, maxAttempts })),
+      skipDuplicates: true
+    });
+
+    const queuedIds = new Set(jobs.map(job => job.submissionId));
+    const skipped = submissions.map(s => s.id).filter(id => !queuedIds.has(id));
+
+    console.log(`📥 Queued ${jobs.length} evaluation job(s) for paper ${paperId} (${skipped.length} already active)`);
+
+    return {
+      jobs,
+      skipped
+    };
+  }
+
+  /**
+   * Atomically claim the next due job, so several workers can share the table.
+   * @returns {Object|null} Claimed job
+   */
+  async claimNext() {
+    const rows = await prisma.$queryRaw`
+      UPDATE "public"."evaluation_jobs"
+      SET "status" = 'running',
+          "attempts" = "attempts" + 1,
+          "locked_at" = NOW(),
+          "locked_by" = ${this.workerId},
+          "updated_at" = NOW()
+      WHERE "id" = (
+        SELECT "id" FROM "public"."evaluation_jobs"
+        WHERE "status" IN ('queued', 'failed') AND "run_at" <= NOW()
+        ORDER BY "run_at", "id"
+        FOR UPDATE SKIP LOCKED
+        LIMIT 1
+      )
+      RETURNING "id"`;
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return prisma.evaluationJob.findUnique({ where: { id: rows[0].id } });
+  }
+
+  /**
+   * Run a claimed job and record its outcome.
+   * Failures are rescheduled with exponential backoff until maxAttempts is reached.
+   * @param {Object} job - Claimed job
+   */
+  async runJob(job) {
+    console.log(`⚙️ Running evaluation job ${job.id} (submission ${job.submissionId}, attempt ${job.attempts}/${job.maxAttempts})`);
+
+    const heartbeat = setInterval(() => {
+      this.heartbeat(job).catch(error => {
+        console.error(`⚠️ Could not refresh the lock of evaluation job ${job.id}:`, error.message);
+      });
+    }, this.heartbeatInterval);
+
+    try {
+      const result = await evaluateStoredSubmission(job.submissionId);
+
+      await prisma.evaluationJob.update({
+        where: { id: job.id },
+        data: {
+          status: 'succeeded',
+          result,
+          lastError: null,
+          lockedAt: null,
+          lockedBy: null,
+          finishedAt: new Date()
+        }
+      });
+
+      console.log(`✅ Evaluation job ${job.id} succeeded`);
+    } catch (error) {
+      const exhausted = job.attempts >= job.maxAttempts;
+      const delay = this.getBackoffDelay(job.attempts);
+
+      console.error(`❌ Evaluation job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+      await prisma.evaluationJob.update({
+        where: { id: job.id },
+        data: {
+          status: exhausted ? 'dead' : 'failed',
+          lastError: error.message,
+          runAt: exhausted ? undefined : new Date(Date.now() + delay),
+          lockedAt: null,
+          lockedBy: null,
+          finishedAt: exhausted ? new Date() : null
+        }
+      });
+
+      if (exhausted) {
+        await prisma.studentSubmission.update({
+          where: { id: job.submissionId },
+          data: { evaluationStatus: 'error' }
+        }).catch(updateError => {
+          console.error(`⚠️ Could not mark submission ${job.submissionId} as error:`, updateError.message);
+        });
+      } else {
+        console.log(`⏳ Job ${job.id} will be retried in ${Math.round(delay / 1000)}s`);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Refresh the lock of a job this worker is running, so long evaluations are not taken for stale
+   * @param {Object} job - Claimed job
+   */
+  async heartbeat(job) {
+    await prisma.evaluationJob.updateMany({
+      where: { id: job.id, status: 'running', lockedBy: this.workerId },
+      data: { lockedAt: new Date() }
+    });
+  }
+
+  /**
+   * Exponential backoff with jitter: base, 2x base, 4x base, ...
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempts) {
+    return this.backoffBase * Math.pow(2, Math.max(attempts - 1, 0)) + Math.random() * 1000;
+  }
+
+  /**
+   * Release jobs left running by a worker that died mid-evaluation.
+   * @param {Object} where - Extra filter; defaults to jobs locked longer than staleAfter
+   * @returns {number} Number of recovered jobs
+   */
+  async recoverStaleJobs(where = { lockedAt: { lt: new Date(Date.now() - this.staleAfter) } }) {
+    const recovered = await prisma.evaluationJob.updateMany({
+      where: { ...where, status: 'running' },
+      data: {
+        status: 'failed',
+        lastError: 'Worker stopped before the job finished',
+        runAt: new Date(),
+        lockedAt: null,
+        lockedBy: null
+      }
+    });
+
+    if (recovered.count > 0) {
+      console.log(`🔄 Recovered ${recovered.count} stale evaluation job(s)`);
+    }
+
+    return recovered.count;
+  }
+
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      while (this.activeJobs < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) {
+          break;
+        }
+
+        this.activeJobs++;
+        this.runJob(job)
+          .catch(error => console.error(`❌ Evaluation job ${job.id} crashed:`, error))
+          .finally(() => { this.activeJobs--; });
+      }
+    } catch (error) {
+      console.error('❌ Evaluation queue poll error:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    // Jobs still marked running under this worker id belong to a previous process that is gone
+    // (containers restart with the same hostname and pid). Other processes on this host keep theirs.
+    await this.recoverStaleJobs({ lockedBy: this.workerId }).catch(error => {
+      console.error('⚠️ Could not recover stale evaluation jobs:', error.message);
+    });
+
+    this.timer = setInterval(() => {
+      this.recoverStaleJobs()
+        .catch(error => console.error('⚠️ Could not recover stale evaluation jobs:', error.message))
+        .then(() => this.poll());
+    }, this.pollInterval);
+
+    console.log(`👷 Evaluation worker ${this.workerId} started (concurrency ${this.concurrency}, poll ${this.pollInterval}ms)`);
+  }
+
+  /**
+   * Stop polling for jobs. Jobs already running are left to finish.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * List jobs for a paper together with per-status counts
+   * @param {number} paperId - Paper ID
+   * @param {string} status - Optional status filter
+   * @returns {Object} Jobs and counts
+   */
+  async listJobs(paperId, status = null) {
+    const where = { paperId };
+    if (status) {
+      where.status = status;
+    }
+
+    const [jobs, grouped] = await Promise.all([
+      prisma.evaluationJob.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        include: {
+          submission: {
+            select: { studentName: true, rollNo: true, evaluationStatus: true }
+          }
+        }
+      }),
+      prisma.evaluationJob.groupBy({
+        by: ['status'],
+        where: { paperId },
+        _count: { _all: true }
+      })
+    ]);
+
+    const counts = {};
+    grouped.forEach(group => {
+      counts[group.status] = group._count._all;
+    });
+
+    return { jobs, counts };
+  }
+
+  async getJob(jobId) {
+    return prisma.evaluationJob.findUnique({
+      where: { id: jobId },
+      include: {
+        submission: {
+          select: { studentName: true, rollNo: true, evaluationStatus: true }
+        }
+      }
+    });
+  }
+
+  /**
+   * Cancel queued or failed (waiting for retry) jobs. Running jobs cannot be cancelled.
+   * @param {Object} where - Prisma filter (e.g. { id } or { paperId })
+   * @returns {number} Number of cancelled jobs
+   */
+  async cancel(where) {
+    const result = await prisma.evaluationJob.updateMany({
+      where: { ...where, status: { in: CANCELLABLE_STATUSES } },
+      data: { status: 'cancelled', finishedAt: new Date() }
+    });
+    return result.count;
+  }
+
+  /**
+   * Re-queue failed, dead or cancelled jobs with a fresh attempt budget.
+   * A submission that already has an active job keeps only that one.
+   * @param {Object} where - Prisma filter (e.g. { id } or { paperId })
+   * @returns {number} Number of re-queued jobs
+   */
+  async retry(where) {
+    const data = {
+      status: 'queued',
+      attempts: 0,
+      runAt: new Date(),
+      lastError: null,
+      finishedAt: null
+    };
+
+    // Failed jobs are still the submission's active job, so they can be re-queued together
+    const failed = await prisma.evaluationJob.updateMany({
+      where: { ...where, status: 'failed' },
+      data
+    });
+
+    // A dead or cancelled job comes back only if its submission has no other active job
+    const finished = await prisma.evaluationJob.findMany({
+      where: { ...where, status: { in: RETRYABLE_STATUSES.filter(s => !ACTIVE_STATUSES.includes(s)) } },
+      select: { id: true, submissionId: true },
+      orderBy: { id: 'desc' }
+    });
+
+    let retried = failed.count;
+    const seen = new Set();
+    for (const job of finished) {
+      if (seen.has(job.submissionId)) continue;
+      seen.add(job.submissionId);
+
+      try {
+        const result = await prisma.evaluationJob.updateMany({
+          where: { id: job.id, status: { in: RETRYABLE_STATUSES } },
+          data
+        });
+        retried += result.count;
+      } catch (error) {
+        if (error.code !== 'P2002') throw error;
+      }
+    }
+
+    return retried;
+  }
+}
+
+module.exports = new EvaluationQueue();
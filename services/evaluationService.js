@@ -0,0 +1,241 @@
+const prisma = require('../src/prisma');
+const { GeminiService } = require('./geminiService');
+const MinIOService = require('./minioService');
+const OMRService = require('./omrService');
+const pdfService = require('./pdfService');
+const { applyRollNoValidation } = require('./rosterService');
+const { indexDetections, detectionFields, scoredStatus } = require('./reviewService');
+const { applyLatePenalty } = require('./examWindowService');
+const { scoreAnswers, answerRecord } = require('./scoringEngine');
+const rubricService = require('./rubricService');
+const { mapAnswersToMaster } = require('./variantService');
+
+const geminiService = new GeminiService();
+const minioService = new MinIOService();
+const omrService = new OMRService();
+
+// Extract answers from a single downloaded page (image or PDF) of a stored submission
+const extractPageAnswers = async (paper, questions, buffer, objectName, pageNumber) => {
+  const isPdfFile = objectName.endsWith('.pdf') || buffer.slice(0, 4).toString() === '%PDF';
+
+  if (isPdfFile) {
+    const pdfResult = await pdfService.extractContentWithGemini(buffer);
+    const rollNumber = pdfResult.rollNumber && pdfResult.rollNumber !== 'unknown' && pdfResult.rollNumber.trim() !== ''
+      ? pdfResult.rollNumber.trim()
+      : null;
+
+    const answers = (pdfResult.answers || []).map(answer => ({
+      question: answer.question,
+      selectedOption: answer.selectedOption,
+      selectedOptions: answer.selectedOptions || [answer.selectedOption],
+      confidence: answer.confidence,
+      markType: answer.markType || 'checkmark',
+      pageNumber: answer.pageNumber || pageNumber
+    }));
+
+    return { rollNumber, answers };
+  }
+
+  let rollNumber = null;
+  if (pageNumber === 1) {
+    try {
+      const rollNoResult = await geminiService.extractRollNumberFromImage(buffer);
+      if (rollNoResult.success) {
+        rollNumber = rollNoResult.rollNumber;
+      }
+    } catch (rollError) {
+      console.error('⚠️ Roll number extraction failed:', rollError.message);
+    }
+  }
+
+  const pageQuestions = questions.filter(q => q.pageNumber === pageNumber);
+  if (pageQuestions.length === 0) {
+    console.log(`⚠️ No questions found for page ${pageNumber}, skipping...`);
+    return { rollNumber, answers: [] };
+  }
+
+  let answers = [];
+  const questionType = paper.questionType || 'traditional';
+
+  if (questionType === 'omr' || questionType === 'mixed') {
+    const omrResult = await omrService.detectOMRAnswers(buffer, pageQuestions);
+    if (omrResult && omrResult.detected_answers) {
+      answers = omrResult.detected_answers.map(answer => ({
+        question_number: answer.question,
+        selected_option: answer.selected_options && answer.selected_options.length > 0
+          ? answer.selected_options[0].toUpperCase() : '',
+        selected_options: answer.selected_options ? answer.selected_options.map(opt => opt.toUpperCase()) : [],
+        confidence: answer.confidence || 'medium',
+        markType: answer.marking_type
+      }));
+    }
+  }
+
+  if (answers.length === 0) {
+    const geminiResult = await geminiService.extractStudentAnswersFromBuffer(buffer);
+    if (!geminiResult.success) {
+      throw new Error(`Gemini extraction failed for page ${pageNumber}: ${geminiResult.error || 'Unknown error'}`);
+    }
+
+    answers = (geminiResult.answers || [])
+      .filter(answer => pageQuestions.some(q => q.questionNumber === answer.question))
+      .map(answer => ({
+        question_number: answer.question,
+        selected_option: answer.selectedOption ? answer.selectedOption.toUpperCase() : '',
+        selected_options: answer.selectedOptions ? answer.selectedOptions.map(opt => opt.toUpperCase()) : [],
+        confidence: answer.confidence || 'medium',
+        markType: answer.markType
+      }));
+  }
+
+  return { rollNumber, answers };
+};
+
+const rollNoKnown = (rollNo) => !!rollNo && rollNo !== 'unknown';
+
+/**
+ * Evaluate a stored submission end to end: download every page from MinIO,
+ * extract answers, score them and persist the result.
+ * Throws on any failure so callers (e.g. the evaluation queue) can retry.
+ * @param {number} submissionId - Submission ID
+ * @param {Object} options - { method: evaluationMethod prefix (default 'pending_file'),
+ *   checkRollNo: stop when the sheet's roll number differs from the one entered }
+ * @returns {Object} Evaluation summary, or { submissionId, rollNoMismatch: { paperRollNo, enteredRollNo } }
+ */
+const evaluateStoredSubmission = async (submissionId, { method = 'pending_file', checkRollNo = false } = {}) => {
+  const submission = await prisma.studentSubmission.findUnique({
+    where: { id: submissionId },
+    include: { paper: true }
+  });
+
+  if (!submission) {
+    throw new Error(`Submission ${submissionId} not found`);
+  }
+
+  const objectNames = (submission.imageUrl || '').split(',').map(url => url.trim()).filter(url => url);
+  if (objectNames.length === 0) {
+    throw new Error(`Submission ${submissionId} has no stored answer sheet`);
+  }
+
+  const questions = await prisma.question.findMany({
+    where: { paperId: submission.paperId },
+    include: { rubric: true },
+    orderBy: { questionNumber: 'asc' }
+  });
+
+  if (questions.length === 0) {
+    throw new Error(`Paper ${submission.paperId} has no questions`);
+  }
+
+  console.log(`🎓 Evaluating submission ${submissionId} (${objectNames.length} page(s))`);
+
+  let allStudentAnswers = [];
+  let extractedRollNo = null;
+
+  for (let i = 0; i < objectNames.length; i++) {
+    const pageNumber = i + 1;
+    const buffer = await minioService.downloadImage(objectNames[i]);
+    const pageResult = await extractPageAnswers(submission.paper, questions, buffer, objectNames[i], pageNumber);
+
+    if (!extractedRollNo && pageResult.rollNumber) {
+      extractedRollNo = pageResult.rollNumber;
+    }
+    allStudentAnswers = allStudentAnswers.concat(pageResult.answers);
+    console.log(`✅ Page ${pageNumber} processed - found ${pageResult.answers.length} answers`);
+  }
+
+  // An 'unknown' on either side is not a mismatch - it is resolved against the class roster instead
+  if (checkRollNo && rollNoKnown(extractedRollNo) && rollNoKnown(submission.rollNo) && extractedRollNo !== submission.rollNo) {
+    console.log(`❌ Roll number mismatch: Paper shows ${extractedRollNo}, but student entered ${submission.rollNo}`);
+
+    await prisma.studentSubmission.update({
+      where: { id: submissionId },
+      data: {
+        evaluationStatus: 'error',
+        evaluationMethod: 'roll_number_mismatch'
+      }
+    });
+
+    return { submissionId, rollNoMismatch: { paperRollNo: extractedRollNo, enteredRollNo: submission.rollNo } };
+  }
+
+  // Sheets printed from a paper set are numbered and labelled as that set
+  allStudentAnswers = await mapAnswersToMaster(submission, allStudentAnswers);
+
+  const evaluationResult = scoreAnswers(questions, allStudentAnswers, { scoringPolicy: submission.paper.scoringPolicy });
+  const rollNo = rollNoKnown(extractedRollNo) ? extractedRollNo : (submission.rollNo || 'unknown');
+
+  // Late submissions under a penalty policy lose a share of their score
+  Object.assign(evaluationResult, applyLatePenalty(evaluationResult.score, evaluationResult.percentage, submission.latePenaltyPercent));
+
+  // Low-confidence or ambiguous detections hold the submission for review
+  const detections = indexDetections(allStudentAnswers);
+  let evaluationStatus = scoredStatus(evaluationResult.results.map(r => detectionFields(detections, r.questionNumber)));
+
+  // Rubric answers are still ungraded here, so the submission must not look final until they are
+  const rubricQuestionNumbers = new Set(questions.filter(q => q.questionFormat === 'text' && q.rubric).map(q => q.questionNumber));
+  const hasRubricQuestions = rubricQuestionNumbers.size > 0;
+  if (hasRubricQuestions) {
+    evaluationStatus = 'needs_review';
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.studentSubmission.update({
+      where: { id: submissionId },
+      data: {
+        rollNo,
+        score: evaluationResult.score,
+        totalQuestions: evaluationResult.totalQuestions,
+        percentage: evaluationResult.percentage,
+        evaluationStatus,
+        evaluationMethod: `${method}_${evaluationResult.evaluationMethod}`,
+        answerTypes: evaluationResult.answerTypes
+      }
+    });
+
+    await tx.studentAnswer.deleteMany({
+      where: { submissionId }
+    });
+
+    if (evaluationResult.results.length > 0) {
+      await tx.studentAnswer.createMany({
+        data: evaluationResult.results.map(result => ({
+          submissionId,
+          ...answerRecord(result),
+          ...detectionFields(detections, result.questionNumber),
+          ...(rubricQuestionNumbers.has(result.questionNumber) && { needsReview: true })
+        }))
+      });
+    }
+  }, {
+    timeout: 30000,
+    maxWait: 5000
+  });
+
+  // Text answers with a rubric are graded from the stored pages and wait for a teacher to confirm them
+  const rubricGrading = hasRubricQuestions ? await rubricService.gradeSubmission(submissionId) : null;
+  if (rubricGrading) {
+    Object.assign(evaluationResult, { score: rubricGrading.score, percentage: rubricGrading.percentage });
+    evaluationStatus = rubricGrading.evaluationStatus;
+  }
+
+  console.log(`📊 Submission ${submissionId} scored ${evaluationResult.score}/${evaluationResult.maxPossibleScore}`);
+
+  const rollNoCheck = await applyRollNoValidation(submissionId);
+
+  return {
+    submissionId,
+    rollNo,
+    rollNoStatus: rollNoCheck ? rollNoCheck.status : 'unverified',
+    rollNoSuggestions: rollNoCheck ? rollNoCheck.suggestions : null,
+    evaluationStatus,
+    score: evaluationResult.score,
+    totalQuestions: evaluationResult.totalQuestions,
+    maxPossibleScore: evaluationResult.maxPossibleScore,
+    percentage: evaluationResult.percentage
+  };
+};
+
+module.exports = {
+  evaluateStoredSubmission
+};
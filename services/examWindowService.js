@@ -0,0 +1,131 @@
+const LATE_POLICIES = ['reject', 'flag', 'penalty'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check an upload against a paper's exam window
+ * @param {Object} paper - Paper with opensAt, closesAt, latePolicy and latePenaltyPercent
+ * @param {Date} now - Time of the upload
+ * @returns {Object} Submission fields { isLate, latePenaltyPercent } when accepted, { error, status } otherwise
+ */
+const checkSubmissionWindow = (paper, now = new Date()) => {
+  if (paper.opensAt && now < new Date(paper.opensAt)) {
+    return { error: `Submissions for this paper open at ${new Date(paper.opensAt).toISOString()}`, status: 403 };
+  }
+
+  if (!paper.closesAt || now <= new Date(paper.closesAt)) {
+    return { isLate: false, latePenaltyPercent: null };
+  }
+
+  switch (paper.latePolicy) {
+    case 'flag':
+      return { isLate: true, latePenaltyPercent: null };
+    case 'penalty':
+      return { isLate: true, latePenaltyPercent: Number(paper.latePenaltyPercent) };
+    default:
+      return { error: `Submissions for this paper closed at ${new Date(paper.closesAt).toISOString()}`, status: 403 };
+  }
+};
+
+/**
+ * Check a sheet uploaded by staff against a paper's exam window. The upload time says
+ * nothing about when the student handed the sheet in, so the window is checked at the
+ * time the sheet was captured and not at all when that time is unknown.
+ * @param {Object} paper - Paper with opensAt, closesAt, latePolicy and latePenaltyPercent
+ * @param {Date|null} capturedAt - When the sheet was captured (scanned, or as given by staff)
+ * @returns {Object} Submission fields { isLate, latePenaltyPercent } when accepted, { error, status } otherwise
+ */
+const checkStaffUploadWindow = (paper, capturedAt) => (
+  capturedAt ? checkSubmissionWindow(paper, capturedAt) : { isLate: false, latePenaltyPercent: null }
+);
+
+/**
+ * Read a capture time given with a staff upload
+ * @param {string|undefined} value - ISO date from the request body
+ * @returns {Object} { capturedAt } (null when not given), or { error, status }
+ */
+const parseCapturedAt = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { capturedAt: null };
+  }
+  const capturedAt = new Date(value);
+  if (isNaN(capturedAt.getTime())) {
+    return { error: 'capturedAt must be a date', status: 400 };
+  }
+  if (capturedAt > new Date()) {
+    return { error: 'capturedAt cannot be in the future', status: 400 };
+  }
+  return { capturedAt };
+};
+
+/**
+ * Deduct a late penalty from a score. The penalty is a percentage of the score earned.
+ * @param {number} score - Score before the penalty
+ * @param {number} percentage - Percentage before the penalty
+ * @param {number|null} penaltyPercent - Submission's late penalty, if any
+ * @returns {Object} { score, percentage }
+ */
+const applyLatePenalty = (score, percentage, penaltyPercent) => {
+  const penalty = Number(penaltyPercent) || 0;
+  if (penalty <= 0) {
+    return { score, percentage };
+  }
+
+  const factor = Math.max(0, 1 - penalty / 100);
+  return {
+    score: round2(Number(score) * factor),
+    percentage: round2(Number(percentage) * factor)
+  };
+};
+
+/**
+ * Validate exam window settings from a request body
+ * @param {Object} settings - { opensAt, closesAt, latePolicy, latePenaltyPercent }
+ * @param {Object} paper - Current paper, for fields not being changed
+ * @returns {Object} { data } with Prisma update data, or { error, status }
+ */
+const buildWindowSettings = ({ opensAt, closesAt, latePolicy, latePenaltyPercent }, paper) => {
+  const data = {};
+
+  for (const [field, value] of Object.entries({ opensAt, closesAt })) {
+    if (value === undefined) {
+      continue;
+    }
+    if (value !== null && isNaN(new Date(value).getTime())) {
+      return { error: `${field} must be a date, or null to remove it`, status: 400 };
+    }
+    data[field] = value === null ? null : new Date(value);
+  }
+
+  if (latePolicy !== undefined) {
+    if (!LATE_POLICIES.includes(latePolicy)) {
+      return { error: `latePolicy must be one of: ${LATE_POLICIES.join(', ')}`, status: 400 };
+    }
+    data.latePolicy = latePolicy;
+  }
+
+  if (latePenaltyPercent !== undefined) {
+    const value = Number(latePenaltyPercent);
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      return { error: 'latePenaltyPercent must be a number between 0 and 100', status: 400 };
+    }
+    data.latePenaltyPercent = value;
+  }
+
+  const opens = data.opensAt !== undefined ? data.opensAt : paper.opensAt;
+  const closes = data.closesAt !== undefined ? data.closesAt : paper.closesAt;
+  if (opens && closes && new Date(closes) <= new Date(opens)) {
+    return { error: 'closesAt must be after opensAt', status: 400 };
+  }
+
+  return { data };
+};
+
+module.exports = {
+  LATE_POLICIES,
+  checkSubmissionWindow,
+  checkStaffUploadWindow,
+  parseCapturedAt,
+  applyLatePenalty,
+  buildWindowSettings
+};
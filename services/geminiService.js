@@ -1,46 +1,18 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs');
+const { getVisionProvider } = require('./visionProvider');
 require('dotenv').config();
 
 class GeminiService {
-    constructor() {
-        this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.model = this.genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-        // Add retry configuration
-        this.maxRetries = 3;
-        this.retryDelay = 2000; // 2 seconds
-    }
-
-    // Helper method to add retry logic with exponential backoff
-    async withRetry(operation, context = '') {
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                return await operation();
-            } catch (error) {
-                const isRetryable = error.status === 503 || 
-                                  error.status === 429 || 
-                                  error.message.includes('overloaded') ||
-                                  error.message.includes('rate limit') ||
-                                  error.message.includes('Service Unavailable');
-                
-                console.log(`⚠️ ${context} - Attempt ${attempt}/${this.maxRetries} failed: ${error.message}`);
-                
-                if (isRetryable && attempt < this.maxRetries) {
-                    const delay = this.retryDelay * Math.pow(2, attempt - 1); // Exponential backoff
-                    console.log(`⏳ Retrying in ${delay}ms...`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    continue;
-                } else {
-                    console.error(`❌ ${context} - Max retries reached or non-retryable error`);
-                    throw error;
-                }
-            }
-        }
+    /**
+     * @param {VisionProvider} provider - Vision provider (defaults to the one selected by VISION_PROVIDER)
+     */
+    constructor(provider = getVisionProvider()) {
+        this.provider = provider;
     }
 
     async extractQuestionPaper(imagePath) {
         try {
-            console.log('=== Processing Question Paper with Gemini ===');
+            console.log('=== Processing Question Paper ===');
             console.log('Image path:', imagePath);
 
             if (!fs.existsSync(imagePath)) {
@@ -48,78 +20,7 @@ class GeminiService {
             }
 
             const imageBuffer = fs.readFileSync(imagePath);
-            const imageBase64 = imageBuffer.toString('base64');
-            const mimeType = this.getMimeType(imagePath);
-
-            const prompt = `
-            Analyze this question paper image and extract all the content in a structured JSON format.
-            
-            Look for questions with marked correct answers. Multiple answers may be marked for a single question.
-            
-            Please return ONLY valid JSON with this exact structure:
-            {
-              "questions": [
-                {
-                  "number": 1,
-                  "text": "question text here",
-                  "options": {
-                    "a": "option a text",
-                    "b": "option b text", 
-                    "c": "option c text",
-                    "d": "option d text"
-                  },
-                  "correctAnswer": "a",
-                  "correctAnswers": ["a"]
-                }
-              ]
-            }
-
-            Rules:
-            - Extract ALL questions you can see in the image
-            - Include ALL answer options (a, b, c, d, etc.)
-            - For correctAnswer, put the first correct answer or "unknown" if none marked
-            - For correctAnswers, put an array of ALL marked correct answers (e.g., ["a", "c"] for multiple correct)
-            - If only one correct answer, correctAnswers should be ["a"] (single item array)
-            - If no correct answers are marked, use "unknown" for correctAnswer and [] for correctAnswers  
-            - Look for checkmarks (✓), circles, highlights, or any markings indicating correct answers
-            - Ensure the JSON is valid and properly formatted
-            - Do not include any explanatory text, only the JSON
-            `;
-
-            const imagePart = {
-                inlineData: {
-                    data: imageBase64,
-                    mimeType: mimeType
-                }
-            };
-
-            console.log('Sending request to Gemini API with retry mechanism...');
-            
-            const result = await this.withRetry(async () => {
-                return await this.model.generateContent([prompt, imagePart]);
-            }, 'Question Paper Extraction');
-
-            const response = await result.response;
-            let text = response.text();
-
-            // Clean up the response to extract JSON
-            text = text.replace(/```json/g, '').replace(/```/g, '').trim();
-
-            try {
-                const parsedData = JSON.parse(text);
-                console.log(`✓ Successfully extracted ${parsedData.questions.length} questions`);
-                
-                return {
-                    success: true,
-                    questions: parsedData.questions,
-                    totalQuestions: parsedData.questions.length,
-                    rawResponse: text
-                };
-            } catch (parseError) {
-                console.error('Failed to parse JSON response:', parseError);
-                console.log('Raw response:', text);
-                throw new Error('Failed to parse Gemini response as JSON');
-            }
+            return await this.extractQuestionPaperFromBuffer(imageBuffer, this.getMimeType(imagePath));
 
         } catch (error) {
             console.error('Error extracting question paper:', error);
@@ -134,7 +35,7 @@ class GeminiService {
 
     async extractStudentAnswers(imagePath) {
         try {
-            console.log('=== Processing Student Answer Sheet with Gemini ===');
+            console.log('=== Processing Student Answer Sheet ===');
             console.log('Image path:', imagePath);
 
             if (!fs.existsSync(imagePath)) {
@@ -142,81 +43,7 @@ class GeminiService {
             }
 
             const imageBuffer = fs.readFileSync(imagePath);
-            const imageBase64 = imageBuffer.toString('base64');
-            const mimeType = this.getMimeType(imagePath);
-
-            const prompt = `
-            Analyze this student answer sheet image and identify which answers have been marked/selected.
-            
-            Look for:
-            - Checkmarks (✓, ✔, √)
-            - Circles around options
-            - Filled bubbles or checkboxes
-            - Any other markings that indicate a selected answer
-            - MULTIPLE selections for the same question (students may mark multiple options)
-            
-            Return ONLY valid JSON with this exact structure:
-            {
-              "answers": [
-                {
-                  "question": 1,
-                  "selectedOption": "a",
-                  "selectedOptions": ["a"],
-                  "confidence": "high"
-                },
-                {
-                  "question": 2,
-                  "selectedOption": "b",
-                  "selectedOptions": ["b", "c"], 
-                  "confidence": "medium"
-                }
-              ]
-            }
-
-            Rules:
-            - Only include questions where you can clearly see a marked answer
-            - Use confidence levels: "high", "medium", "low" based on how clear the marking is
-            - selectedOption should be the first/primary selected option (lowercase a, b, c, d)
-            - selectedOptions should be an array of ALL marked options for that question
-            - If only one option is marked, selectedOptions should be ["a"] (single item array)
-            - If multiple options are marked, include all of them: ["a", "c", "d"]
-            - Do not include any explanatory text, only the JSON
-            `;
-
-            const imagePart = {
-                inlineData: {
-                    data: imageBase64,
-                    mimeType: mimeType
-                }
-            };
-
-            console.log('Sending request to Gemini API with retry mechanism...');
-            
-            const result = await this.withRetry(async () => {
-                return await this.model.generateContent([prompt, imagePart]);
-            }, 'Student Answer Extraction');
-
-            const response = await result.response;
-            let text = response.text();
-
-            // Clean up the response to extract JSON
-            text = text.replace(/```json/g, '').replace(/```/g, '').trim();
-
-            try {
-                const parsedData = JSON.parse(text);
-                console.log(`✓ Successfully extracted ${parsedData.answers.length} marked answers`);
-                
-                return {
-                    success: true,
-                    answers: parsedData.answers,
-                    totalAnswers: parsedData.answers.length,
-                    rawResponse: text
-                };
-            } catch (parseError) {
-                console.error('Failed to parse JSON response:', parseError);
-                console.log('Raw response:', text);
-                throw new Error('Failed to parse Gemini response as JSON');
-            }
+            return await this.extractStudentAnswersFromBuffer(imageBuffer, this.getMimeType(imagePath));
 
         } catch (error) {
             console.error('Error extracting student answers:', error);
@@ -231,80 +58,17 @@ class GeminiService {
 
     async extractQuestionPaperFromBuffer(imageBuffer, mimeType = 'image/jpeg') {
         try {
-            console.log('=== Processing Question Paper with Gemini (from buffer) ===');
+            console.log(`=== Processing Question Paper with ${this.provider.name} (from buffer) ===`);
 
-            const imageBase64 = imageBuffer.toString('base64');
+            const parsedData = await this.provider.extractQuestionPaper(imageBuffer, mimeType);
+            console.log(`✓ Successfully extracted ${parsedData.questions.length} questions from buffer`);
 
-            const prompt = `
-            Analyze this question paper image and extract all the content in a structured JSON format.
-            
-            Look for questions with marked correct answers. Multiple answers may be marked for a single question.
-            
-            Please return ONLY valid JSON with this exact structure:
-            {
-              "questions": [
-                {
-                  "number": 1,
-                  "text": "question text here",
-                  "options": {
-                    "a": "option a text",
-                    "b": "option b text", 
-                    "c": "option c text",
-                    "d": "option d text"
-                  },
-                  "correctAnswer": "a",
-                  "correctAnswers": ["a"]
-                }
-              ]
-            }
-
-            Rules:
-            - Extract ALL questions you can see in the image
-            - Include ALL answer options (a, b, c, d, etc.)
-            - For correctAnswer, put the first correct answer or "unknown" if none marked
-            - For correctAnswers, put an array of ALL marked correct answers (e.g., ["a", "c"] for multiple correct)
-            - If only one correct answer, correctAnswers should be ["a"] (single item array)
-            - If no correct answers are marked, use "unknown" for correctAnswer and [] for correctAnswers
-            - Look for checkmarks (✓), circles, highlights, or any markings indicating correct answers
-            - Ensure the JSON is valid and properly formatted
-            - Do not include any explanatory text, only the JSON
-            `;
-
-            const imagePart = {
-                inlineData: {
-                    data: imageBase64,
-                    mimeType: mimeType
-                }
+            return {
+                success: true,
+                questions: parsedData.questions,
+                totalQuestions: parsedData.questions.length
             };
 
-            console.log('Sending request to Gemini API with retry mechanism...');
-            
-            const result = await this.withRetry(async () => {
-                return await this.model.generateContent([prompt, imagePart]);
-            }, 'Question Paper Extraction (Buffer)');
-
-            const response = await result.response;
-            let text = response.text();
-
-            // Clean up the response to extract JSON
-            text = text.replace(/```json/g, '').replace(/```/g, '').trim();
-
-            try {
-                const parsedData = JSON.parse(text);
-                console.log(`✓ Successfully extracted ${parsedData.questions.length} questions from buffer`);
-                
-                return {
-                    success: true,
-                    questions: parsedData.questions,
-                    totalQuestions: parsedData.questions.length,
-                    rawResponse: text
-                };
-            } catch (parseError) {
-                console.error('Failed to parse JSON response:', parseError);
-                console.log('Raw response:', text);
-                throw new Error('Failed to parse Gemini response as JSON');
-            }
-
         } catch (error) {
             console.error('Error extracting question paper from buffer:', error);
             return {
@@ -318,93 +82,17 @@ class GeminiService {
 
     async extractStudentAnswersFromBuffer(imageBuffer, mimeType = 'image/jpeg') {
         try {
-            console.log('=== Processing Student Answer Sheet with Gemini (from buffer) ===');
-
-            const imageBase64 = imageBuffer.toString('base64');
-
-            const prompt = `
-            You are an expert at analyzing student answer sheets. Examine this image very carefully to identify ALL marked answers.
+            console.log(`=== Processing Student Answer Sheet with ${this.provider.name} (from buffer) ===`);
 
-            WHAT TO LOOK FOR:
-            - Dark marks, checkmarks (✓, ✔, √), crosses (✗), or circles around options
-            - Filled or shaded bubbles/circles
-            - Any pen or pencil marks that clearly indicate a selected answer
-            - Options that are highlighted, underlined, or emphasized
-            - Look at EVERY question number and its corresponding options (a, b, c, d, etc.)
-            
-            INSTRUCTIONS:
-            1. Scan the entire image systematically from top to bottom
-            2. For each question number you see, check if any option (a, b, c, d) has been marked
-            3. Be very thorough - even faint marks or partial marks count as selections
-            4. If you see multiple marks for the same question, include ALL of them
-            5. Only skip questions where you see absolutely NO marks at all
-            
-            Return ONLY this JSON structure:
-            {
-              "answers": [
-                {
-                  "question": 1,
-                  "selectedOption": "a",
-                  "selectedOptions": ["a"],
-                  "confidence": "high",
-                  "markType": "checkmark"
-                },
-                {
-                  "question": 2,
-                  "selectedOption": "b", 
-                  "selectedOptions": ["b", "c"],
-                  "confidence": "medium",
-                  "markType": "filled_circle"
-                }
-              ]
-            }
-
-            CONFIDENCE LEVELS:
-            - "high": Clear, dark, unmistakable mark
-            - "medium": Visible mark but might be faint
-            - "low": Barely visible or questionable mark
-            
-            MARK TYPES: checkmark, cross, filled_circle, outlined_circle, underline, highlight, scribble
-            
-            CRITICAL: Include EVERY question where you see ANY kind of mark, even if faint. Do not be overly conservative.
-            Return ONLY the JSON, no other text.
-            `;
+            const parsedData = await this.provider.extractStudentAnswers(imageBuffer, mimeType);
+            console.log(`✓ Successfully extracted ${parsedData.answers.length} marked answers from buffer`);
 
-            const imagePart = {
-                inlineData: {
-                    data: imageBase64,
-                    mimeType: mimeType
-                }
+            return {
+                success: true,
+                answers: parsedData.answers,
+                totalAnswers: parsedData.answers.length
             };
 
-            console.log('Sending request to Gemini API with retry mechanism...');
-            
-            const result = await this.withRetry(async () => {
-                return await this.model.generateContent([prompt, imagePart]);
-            }, 'Student Answer Extraction (Buffer)');
-
-            const response = await result.response;
-            let text = response.text();
-
-            // Clean up the response to extract JSON
-            text = text.replace(/```json/g, '').replace(/```/g, '').trim();
-
-            try {
-                const parsedData = JSON.parse(text);
-                console.log(`✓ Successfully extracted ${parsedData.answers.length} marked answers from buffer`);
-                
-                return {
-                    success: true,
-                    answers: parsedData.answers,
-                    totalAnswers: parsedData.answers.length,
-                    rawResponse: text
-                };
-            } catch (parseError) {
-                console.error('Failed to parse JSON response:', parseError);
-                console.log('Raw response:', text);
-                throw new Error('Failed to parse Gemini response as JSON');
-            }
-
         } catch (error) {
             console.error('Error extracting student answers from buffer:', error);
             return {
@@ -443,72 +131,42 @@ class GeminiService {
     async extractRollNumberFromImage(imageBuffer) {
         try {
             console.log('🔍 Extracting roll number from question paper...');
-            
-            const operation = async () => {
-                const imagePart = {
-                    inlineData: {
-                        data: imageBuffer.toString('base64'),
-                        mimeType: 'image/jpeg' // Default mime type for buffer images
-                    }
-                };
-
-                const prompt = `
-                Analyze this question paper image and extract the student's roll number.
-
-                The roll number is typically found at the top of the page in boxes or fields labeled "Roll No", "Roll Number", "Student ID", or similar.
-                It may be written in separate boxes (one digit per box) or in a single field.
-
-                Look for:
-                1. Boxes at the top of the page with digits
-                2. Fields labeled "Roll No", "Roll Number", "Student ID"
-                3. Student information section at the top
-                4. Any numeric identifier that appears to be a roll number
 
-                Return ONLY a JSON object with this exact format:
-                {
-                    "rollNumber": "XX",
-                    "confidence": "high/medium/low",
-                    "location": "description of where found"
-                }
+            const parsed = await this.provider.extractRollNumber(imageBuffer);
+            console.log('🤖 Roll number response:', parsed);
 
-                If no roll number is found, return:
-                {
-                    "rollNumber": null,
-                    "confidence": "none",
-                    "location": "not found"
-                }
-
-                Extract only the actual digits/numbers, without any labels.
-                `;
+            return {
+                success: true,
+                rollNumber: parsed.rollNumber,
+                confidence: parsed.confidence,
+                location: parsed.location
+            };
 
-                const result = await this.model.generateContent([prompt, imagePart]);
-                const response = await result.response;
-                const text = response.text();
+        } catch (error) {
+            console.error('❌ Error extracting roll number:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
 
-                console.log('🤖 Gemini roll number response:', text);
+    // Extract the paper set code from the first page of an answer sheet
+    async extractSetCodeFromImage(imageBuffer, mimeType = 'image/jpeg') {
+        try {
+            console.log('🔍 Extracting set code from answer sheet...');
 
-                // Parse JSON response
-                const jsonMatch = text.match(/\{[\s\S]*\}/);
-                if (jsonMatch) {
-                    const parsed = JSON.parse(jsonMatch[0]);
-                    return {
-                        success: true,
-                        rollNumber: parsed.rollNumber,
-                        confidence: parsed.confidence,
-                        location: parsed.location
-                    };
-                }
+            const parsed = await this.provider.extractSetCode(imageBuffer, mimeType);
+            console.log('🤖 Set code response:', parsed);
 
-                return {
-                    success: false,
-                    error: 'Could not parse roll number from response'
-                };
+            return {
+                success: true,
+                setCode: parsed.setCode,
+                confidence: parsed.confidence
             };
 
-            return await this.withRetry(operation, 'Roll number extraction');
-
         } catch (error) {
-            console.error('❌ Error extracting roll number:', error);
+            console.error('❌ Error extracting set code:', error);
             return {
                 success: false,
                 error: error.message
@@ -517,4 +175,4 @@ class GeminiService {
     }
 }
 
-module.exports = { GeminiService };
\ No newline at end of file
+module.exports = { GeminiService };
@@ -0,0 +1,413 @@
+const xlsx = require('xlsx');
+const prisma = require('../src/prisma');
+const { normalizeRollNo } = require('./rosterService');
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Short text for a weightage breakdown, e.g. "A:0.5 + C:0.5"
+const formatBreakdown = (breakdown) => {
+  if (!Array.isArray(breakdown) || breakdown.length === 0) {
+    return '';
+  }
+  return breakdown.map(b => `${b.option}:${b.weight}`).join(' + ');
+};
+
+const questionMaxPoints = (question, answer) => {
+  if (answer && answer.maxPoints !== null && answer.maxPoints !== undefined) {
+    return Number(answer.maxPoints);
+  }
+  return question.pointsPerBlank || 1;
+};
+
+// Standard competition ranking (1, 2, 2, 4) over evaluated submissions, highest score first
+const assignRanks = (rows) => {
+  const ranked = rows
+    .filter(row => row.evaluationStatus === 'evaluated')
+    .sort((a, b) => b.score - a.score);
+
+  ranked.forEach((row, index) => {
+    row.rank = index > 0 && ranked[index - 1].score === row.score ? ranked[index - 1].rank : index + 1;
+  });
+};
+
+/**
+ * Build the gradebook for a paper: one row per submission with per-question
+ * points, plus question-level statistics over evaluated submissions.
+ * @param {number} paperId - Paper ID
+ * @returns {Object} { paper, questions, rows, questionStats }
+ */
+const buildGradebook = async (paperId) => {
+  const [paper, questions, submissions] = await Promise.all([
+    prisma.paper.findUnique({
+      where: { id: paperId },
+      select: { id: true, name: true, totalMarks: true }
+    }),
+    prisma.question.findMany({
+      where: { paperId },
+      orderBy: { questionNumber: 'asc' }
+    }),
+    prisma.studentSubmission.findMany({
+      where: { paperId },
+      include: { answers: true },
+      orderBy: { rollNo: 'asc' }
+    })
+  ]);
+
+  if (!paper) {
+    return null;
+  }
+
+  const rows = submissions.map(submission => {
+    const answersByQuestion = new Map(submission.answers.map(a => [a.questionNumber, a]));
+    const evaluated = submission.evaluationStatus === 'evaluated';
+
+    const questionResults = questions.map(question => {
+      const answer = answersByQuestion.get(question.questionNumber);
+      const maxPoints = questionMaxPoints(question, answer);
+
+      return {
+        questionNumber: question.questionNumber,
+        awarded: evaluated ? (answer && toNumber(answer.partialScore)) || 0 : null,
+        maxPoints,
+        isCorrect: answer ? answer.isCorrect : false,
+        answered: !!answer && !!(answer.selectedOption || answer.textAnswer ||
+          (Array.isArray(answer.selectedOptions) && answer.selectedOptions.some(o => o))),
+        breakdown: answer ? formatBreakdown(answer.weightageBreakdown) : '',
+        details: answer ? answer.details : null
+      };
+    });
+
+    const maxScore = toNumber(paper.totalMarks) ||
+      questionResults.reduce((sum, q) => sum + q.maxPoints, 0) ||
+      submission.totalQuestions;
+
+    return {
+      submissionId: submission.id,
+      rollNo: submission.rollNo,
+      studentName: submission.studentName,
+      evaluationStatus: submission.evaluationStatus,
+      evaluationMethod: submission.evaluationMethod,
+      submittedAt: submission.submittedAt,
+      isLate: submission.isLate,
+      latePenaltyPercent: toNumber(submission.latePenaltyPercent),
+      score: toNumber(submission.score),
+      maxScore,
+      percentage: toNumber(submission.percentage),
+      rank: null,
+      questions: questionResults
+    };
+  });
+
+  assignRanks(rows);
+
+  const evaluatedRows = rows.filter(row => row.evaluationStatus === 'evaluated');
+
+  const questionStats = questions.map((question, index) => {
+    const results = evaluatedRows.map(row => row.questions[index]);
+    const attempted = results.filter(r => r.answered);
+    const correct = results.filter(r => r.isCorrect);
+    const totalAwarded = results.reduce((sum, r) => sum + (r.awarded || 0), 0);
+    const maxPoints = results.length > 0 ? results[0].maxPoints : questionMaxPoints(question, null);
+
+    return {
+      questionNumber: question.questionNumber,
+      questionText: question.questionText,
+      maxPoints,
+      responses: results.length,
+      attempted: attempted.length,
+      blank: results.length - attempted.length,
+      correct: correct.length,
+      correctRate: results.length > 0 ? round2((correct.length / results.length) * 100) : 0,
+      averageScore: results.length > 0 ? round2(totalAwarded / results.length) : 0,
+      averagePercentage: results.length > 0 && maxPoints > 0
+        ? round2((totalAwarded / (results.length * maxPoints)) * 100)
+        : 0,
+      partialCredit: results.filter(r => !r.isCorrect && r.awarded > 0).length
+    };
+  });
+
+  return {
+    paper: { id: paper.id, name: paper.name, totalMarks: toNumber(paper.totalMarks) },
+    questions: questions.map(q => ({ questionNumber: q.questionNumber, maxPoints: questionMaxPoints(q, null) })),
+    rows,
+    questionStats
+  };
+};
+
+// Flatten gradebook rows into spreadsheet rows (one column per question)
+const toSheetRows = (gradebook) => gradebook.rows.map(row => {
+  const sheetRow = {
+    'Rank': row.rank || '',
+    'Roll No': row.rollNo,
+    'Name': row.studentName,
+    'Status': row.evaluationStatus,
+    'Evaluation Method': row.evaluationMethod
+  };
+
+  for (const q of row.questions) {
+    sheetRow[`Q${q.questionNumber}`] = q.awarded === null ? '' : `${q.awarded}/${q.maxPoints}`;
+  }
+  for (const q of row.questions) {
+    if (q.breakdown) {
+      sheetRow[`Q${q.questionNumber} Breakdown`] = q.breakdown;
+    }
+  }
+
+  sheetRow['Score'] = row.evaluationStatus === 'evaluated' ? row.score : '';
+  sheetRow['Max Score'] = row.maxScore;
+  sheetRow['Percentage'] = row.evaluationStatus === 'evaluated' ? row.percentage : '';
+  sheetRow['Submitted At'] = new Date(row.submittedAt).toLocaleString();
+  sheetRow['Late'] = row.isLate ? 'Yes' : '';
+  sheetRow['Late Penalty %'] = row.latePenaltyPercent || '';
+
+  return sheetRow;
+});
+
+const toStatsRows = (gradebook) => gradebook.questionStats.map(stat => ({
+  'Question': `Q${stat.questionNumber}`,
+  'Question Text': stat.questionText,
+  'Max Points': stat.maxPoints,
+  'Responses': stat.responses,
+  'Attempted': stat.attempted,
+  'Blank': stat.blank,
+  'Correct': stat.correct,
+  'Correct %': stat.correctRate,
+  'Partial Credit': stat.partialCredit,
+  'Average Score': stat.averageScore,
+  'Average %': stat.averagePercentage
+}));
+
+// Header order for the gradebook sheet; breakdown columns only appear for questions that have one
+const gradebookHeader = (gradebook, sheetRows) => {
+  const breakdownColumns = new Set(sheetRows.flatMap(row => Object.keys(row).filter(k => k.endsWith(' Breakdown'))));
+  return [
+    'Rank', 'Roll No', 'Name', 'Status', 'Evaluation Method',
+    ...gradebook.questions.map(q => `Q${q.questionNumber}`),
+    ...gradebook.questions.map(q => `Q${q.questionNumber} Breakdown`).filter(k => breakdownColumns.has(k)),
+    'Score', 'Max Score', 'Percentage', 'Submitted At', 'Late', 'Late Penalty %'
+  ];
+};
+
+const gradebookSheet = (gradebook) => {
+  const sheetRows = toSheetRows(gradebook);
+  return xlsx.utils.json_to_sheet(sheetRows, { header: gradebookHeader(gradebook, sheetRows) });
+};
+
+/**
+ * Render a gradebook as an XLSX workbook (Gradebook + Question Statistics sheets)
+ * @param {Object} gradebook - Result of buildGradebook
+ * @returns {Buffer} XLSX file contents
+ */
+const toXlsx = (gradebook) => {
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, gradebookSheet(gradebook), 'Gradebook');
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(toStatsRows(gradebook)), 'Question Statistics');
+  return xlsx.write(workbook, { bookType: 'xlsx', type: 'buffer' });
+};
+
+/**
+ * Render the gradebook sheet as CSV
+ * @param {Object} gradebook - Result of buildGradebook
+ * @param {string} sheet - 'gradebook' or 'stats'
+ * @returns {string} CSV text
+ */
+const toCsv = (gradebook, sheet = 'gradebook') => {
+  const worksheet = sheet === 'stats'
+    ? xlsx.utils.json_to_sheet(toStatsRows(gradebook))
+    : gradebookSheet(gradebook);
+  return xlsx.utils.sheet_to_csv(worksheet);
+};
+
+// Letter-grade bands used when a course does not define its own (minimum percentage, highest first)
+const DEFAULT_GRADE_BANDS = [
+  { grade: 'A', min: 90 },
+  { grade: 'B', min: 80 },
+  { grade: 'C', min: 70 },
+  { grade: 'D', min: 60 },
+  { grade: 'E', min: 50 },
+  { grade: 'F', min: 0 }
+];
+
+/**
+ * Check a list of grade bands
+ * @param {Array} bands - [{ grade, min }]
+ * @returns {Array<string>} Problems found; empty when the bands are usable
+ */
+const validateGradeBands = (bands) => {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    return ['gradeBands must be a non-empty array of { grade, min }'];
+  }
+
+  const errors = [];
+  bands.forEach((band, index) => {
+    if (!band || typeof band.grade !== 'string' || !band.grade.trim()) {
+      errors.push(`Band ${index + 1}: grade is required`);
+    }
+    if (!band || typeof band.min !== 'number' || band.min < 0 || band.min > 100) {
+      errors.push(`Band ${index + 1}: min must be a number between 0 and 100`);
+    }
+  });
+
+  if (errors.length === 0 && new Set(bands.map(b => b.min)).size !== bands.length) {
+    errors.push('Each band must have a different min');
+  }
+  return errors;
+};
+
+const letterGrade = (percentage, bands) => {
+  const band = [...bands].sort((a, b) => b.min - a.min).find(b => percentage >= b.min);
+  return band ? band.grade : null;
+};
+
+/**
+ * Build a course gradebook: one row per roll number, one column per paper,
+ * with a weighted total and letter grade. A paper a student has no evaluated
+ * sheet for counts as 0 towards the weighted total.
+ * @param {number} courseId - Course ID
+ * @returns {Object|null} { course, papers, rows, unidentifiedSubmissions }
+ */
+const buildCourseGradebook = async (courseId) => {
+  const course = await prisma.course.findUnique({
+    where: { id: courseId },
+    include: {
+      papers: {
+        include: { paper: { select: { id: true, name: true } } },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  if (!course) {
+    return null;
+  }
+
+  const bands = course.gradeBands || DEFAULT_GRADE_BANDS;
+  const papers = course.papers.map(cp => ({
+    paperId: cp.paper.id,
+    name: cp.paper.name,
+    weight: Number(cp.weight)
+  }));
+  const totalWeight = papers.reduce((sum, p) => sum + p.weight, 0);
+
+  const submissions = await prisma.studentSubmission.findMany({
+    where: {
+      paperId: { in: papers.map(p => p.paperId) },
+      evaluationStatus: 'evaluated'
+    },
+    select: {
+      id: true,
+      paperId: true,
+      rollNo: true,
+      studentName: true,
+      percentage: true,
+      score: true,
+      student: { select: { name: true, rollNo: true } }
+    }
+  });
+
+  const students = new Map();
+  let unidentifiedSubmissions = 0;
+
+  for (const submission of submissions) {
+    const rollNo = submission.student ? submission.student.rollNo : submission.rollNo;
+    const key = normalizeRollNo(rollNo);
+    if (!key) {
+      unidentifiedSubmissions++;
+      continue;
+    }
+
+    if (!students.has(key)) {
+      students.set(key, { rollNo, name: null, results: {} });
+    }
+    const entry = students.get(key);
+
+    // Prefer the roster name, then any name a student typed in
+    if (submission.student) {
+      entry.name = submission.student.name;
+    } else if (!entry.name && submission.studentName && submission.studentName !== 'File Submission') {
+      entry.name = submission.studentName;
+    }
+
+    // Keep the best evaluated sheet per paper
+    const percentage = Number(submission.percentage);
+    const current = entry.results[submission.paperId];
+    if (!current || percentage > current.percentage) {
+      entry.results[submission.paperId] = {
+        submissionId: submission.id,
+        score: Number(submission.score),
+        percentage
+      };
+    }
+  }
+
+  const rows = [...students.values()]
+    .map(entry => {
+      const weighted = totalWeight > 0
+        ? papers.reduce((sum, p) => sum + p.weight * (entry.results[p.paperId]?.percentage || 0), 0) / totalWeight
+        : 0;
+      const weightedTotal = round2(weighted);
+
+      return {
+        rollNo: entry.rollNo,
+        name: entry.name,
+        papers: entry.results,
+        papersTaken: Object.keys(entry.results).length,
+        weightedTotal,
+        grade: letterGrade(weightedTotal, bands)
+      };
+    })
+    .sort((a, b) => String(a.rollNo).localeCompare(String(b.rollNo), undefined, { numeric: true }));
+
+  return {
+    course: { id: course.id, name: course.name, term: course.term, gradeBands: bands },
+    papers,
+    rows,
+    unidentifiedSubmissions
+  };
+};
+
+/**
+ * Render a course gradebook as an XLSX workbook (Gradebook + Grade Bands sheets)
+ * @param {Object} gradebook - Result of buildCourseGradebook
+ * @returns {Buffer} XLSX file contents
+ */
+const toCourseXlsx = (gradebook) => {
+  const paperColumn = (paper) => `${paper.name} (x${paper.weight})`;
+
+  const sheetRows = gradebook.rows.map(row => {
+    const sheetRow = {
+      'Roll No': row.rollNo,
+      'Name': row.name || ''
+    };
+    for (const paper of gradebook.papers) {
+      const result = row.papers[paper.paperId];
+      sheetRow[paperColumn(paper)] = result ? round2(result.percentage) : '';
+    }
+    sheetRow['Weighted Total %'] = row.weightedTotal;
+    sheetRow['Grade'] = row.grade || '';
+    return sheetRow;
+  });
+
+  const header = ['Roll No', 'Name', ...gradebook.papers.map(paperColumn), 'Weighted Total %', 'Grade'];
+
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(sheetRows, { header }), 'Gradebook');
+  xlsx.utils.book_append_sheet(
+    workbook,
+    xlsx.utils.json_to_sheet(gradebook.course.gradeBands.map(b => ({ 'Grade': b.grade, 'Min %': b.min }))),
+    'Grade Bands'
+  );
+  return xlsx.write(workbook, { bookType: 'xlsx', type: 'buffer' });
+};
+
+module.exports = {
+  buildGradebook,
+  toXlsx,
+  toCsv,
+  DEFAULT_GRADE_BANDS,
+  validateGradeBands,
+  buildCourseGradebook,
+  toCourseXlsx
+};
@@ -0,0 +1,361 @@
+// Numeric answers: parsing, unit conversion and tolerance checks.
+// A numeric answer spec is stored as JSON on a question (questionFormat 'numeric') or on a
+// fill-blank position (matchType 'numeric'):
+//   value              expected value, in `unit`
+//   unit               unit of the value, e.g. "m/s" (omit for unitless answers)
+//   acceptedUnits      units an answer may use (default: every unit convertible to `unit`)
+//   requireUnit        answers without a unit earn unitCredit (default false: read as `unit`)
+//   unitCredit         share of the points for a right value with a missing unit (default 0)
+//   absoluteTolerance  accepted distance from the value, e.g. 0.01
+//   relativeTolerance  accepted distance as a fraction of the value, e.g. 0.02 for 2%
+//   sigFigs            { min, max } significant figures the answer must be written with
+//   sigFigsCredit      share of the points for a right value with the wrong sig figs (default 0)
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Factor (and offset, for temperatures) to the SI unit of each dimension
+const UNITS = {
+  length: { m: 1, km: 1e3, cm: 1e-2, mm: 1e-3, um: 1e-6, 'μm': 1e-6, nm: 1e-9, in: 0.0254, ft: 0.3048, mi: 1609.344 },
+  mass: { kg: 1, g: 1e-3, mg: 1e-6, t: 1e3, lb: 0.45359237 },
+  time: { s: 1, ms: 1e-3, min: 60, h: 3600 },
+  volume: { 'm^3': 1, m3: 1, L: 1e-3, l: 1e-3, mL: 1e-6, ml: 1e-6, 'cm^3': 1e-6, cm3: 1e-6 },
+  speed: { 'm/s': 1, 'km/h': 1 / 3.6 },
+  acceleration: { 'm/s^2': 1, 'm/s2': 1 },
+  force: { N: 1, kN: 1e3 },
+  energy: { J: 1, kJ: 1e3, cal: 4.184, kcal: 4184, eV: 1.602176634e-19 },
+  power: { W: 1, kW: 1e3 },
+  pressure: { Pa: 1, kPa: 1e3, bar: 1e5, atm: 101325 },
+  current: { A: 1, mA: 1e-3 },
+  voltage: { V: 1, mV: 1e-3, kV: 1e3 },
+  frequency: { Hz: 1, kHz: 1e3, MHz: 1e6 },
+  amount: { mol: 1, mmol: 1e-3 },
+  angle: { rad: 1, deg: Math.PI / 180, '°': Math.PI / 180 },
+  temperature: {
+    K: { factor: 1, offset: 0 },
+    C: { factor: 1, offset: 273.15 },
+    '°C': { factor: 1, offset: 273.15 },
+    F: { factor: 5 / 9, offset: 273.15 - 32 * 5 / 9 },
+    '°F': { factor: 5 / 9, offset: 273.15 - 32 * 5 / 9 }
+  }
+};
+
+const UNIT_INDEX = new Map();
+for (const [dimension, units] of Object.entries(UNITS)) {
+  for (const [unit, definition] of Object.entries(units)) {
+    const { factor, offset } = typeof definition === 'number' ? { factor: definition, offset: 0 } : definition;
+    UNIT_INDEX.set(unit, { unit, dimension, factor, offset });
+  }
+}
+
+// Case-insensitive lookups, only where the lower-case spelling is unambiguous (not mm / Mm)
+const LOWER_UNIT_INDEX = new Map();
+const lowerCollisions = new Set();
+for (const [unit, info] of UNIT_INDEX) {
+  const lower = unit.toLowerCase();
+  const existing = LOWER_UNIT_INDEX.get(lower);
+  if (existing && existing.factor !== info.factor) {
+    lowerCollisions.add(lower);
+  }
+  LOWER_UNIT_INDEX.set(lower, existing || info);
+}
+lowerCollisions.forEach(lower => LOWER_UNIT_INDEX.delete(lower));
+
+/**
+ * Look up a unit as written by a student or teacher
+ * @param {string} unit - Unit text, e.g. "km/h", "° C", "Km"
+ * @returns {Object|null} { unit, dimension, factor, offset }
+ */
+const findUnit = (unit) => {
+  if (!unit) {
+    return null;
+  }
+  const compact = String(unit).replace(/\s+/g, '').replace(/^degrees?/i, '°').replace(/\.$/, '');
+  return UNIT_INDEX.get(compact) || LOWER_UNIT_INDEX.get(compact.toLowerCase()) || null;
+};
+
+/**
+ * Convert a value between units of the same dimension
+ * @param {number} value - Value in `from`
+ * @param {string} from - Unit of the value
+ * @param {string} to - Target unit
+ * @returns {number|null} Converted value, or null when the units are unknown or incompatible
+ */
+const convertUnit = (value, from, to) => {
+  const source = findUnit(from);
+  const target = findUnit(to);
+  if (!source || !target || source.dimension !== target.dimension) {
+    return null;
+  }
+  const base = value * source.factor + source.offset;
+  return (base - target.offset) / target.factor;
+};
+
+const SUPERSCRIPTS = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-', '⁺': '+' };
+
+const FRACTION_PATTERN = /^([+-]?\d+)\s*\/\s*(\d+)(?![\d.])\s*(.*)$/;
+const NUMBER_PATTERN = /^([+-]?(?:\d+\.?\d*|\.\d+))(?:\s*(?:[eE]([+-]?\d+)|[x*·]\s*10\s*\^\s*\(?\s*([+-]?\d+)\s*\)?))?\s*(.*)$/;
+
+// Significant figures of a written mantissa. Trailing zeros count only after a decimal point.
+const countSigFigs = (mantissa) => {
+  const digits = mantissa.replace(/^[+-]/, '');
+  const hasPoint = digits.includes('.');
+  let significant = digits.replace('.', '').replace(/^0+/, '');
+  if (!hasPoint) {
+    significant = significant.replace(/0+$/, '');
+  }
+  return Math.max(1, significant.length);
+};
+
+// Read the text after a number as a unit; anything that is not a known unit ("or 4", "apples")
+// means the answer is not a plain number
+const readUnit = (rest) => {
+  const unit = rest.trim();
+  if (!unit) {
+    return { unit: null };
+  }
+  return findUnit(unit) ? { unit } : null;
+};
+
+/**
+ * Parse a written numeric answer: plain and scientific notation ("6.02e23",
+ * "6.02 × 10^23", "6.02x10²³"), fractions ("5/2"), thousands separators, decimal commas
+ * and a trailing unit. "3,142" could be either separator and is not parsed.
+ * @param {string} text - Answer text
+ * @returns {Object|null} { value, unit, sigFigs (null for fractions, which are exact) },
+ *   or null when the text is not a number
+ */
+const parseNumericAnswer = (text) => {
+  if (text === null || text === undefined) {
+    return null;
+  }
+
+  let normalized = String(text).trim()
+    .replace(/[−–]/g, '-')
+    .replace(/×/g, 'x')
+    .replace(/10([⁰¹²³⁴⁵⁶⁷⁸⁹⁻⁺]+)/g, (match, power) => `10^${[...power].map(c => SUPERSCRIPTS[c]).join('')}`);
+
+  const fraction = normalized.match(FRACTION_PATTERN);
+  if (fraction) {
+    const [, numerator, denominator, rest] = fraction;
+    const unit = readUnit(rest);
+    if (Number(denominator) === 0 || !unit) {
+      return null;
+    }
+    return { value: Number(numerator) / Number(denominator), unit: unit.unit, sigFigs: null };
+  }
+
+  // "1,234.5" uses thousands separators; a lone comma is a decimal comma ("3,14").
+  // A single group of three ("3,142") reads either way.
+  if (/^[+-]?[1-9]\d{0,2},\d{3}(?![\d.,])/.test(normalized)) {
+    return null;
+  }
+  if (/^[+-]?[1-9]\d{0,2}(,\d{3})+(\.\d+)?(\D|$)/.test(normalized)) {
+    normalized = normalized.replace(/,/g, '');
+  } else if (/^[+-]?\d+,\d+(\D|$)/.test(normalized)) {
+    normalized = normalized.replace(',', '.');
+  }
+
+  const match = normalized.match(NUMBER_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, mantissa, exponent, powerOfTen, rest] = match;
+  const value = Number(mantissa) * Math.pow(10, Number(exponent || powerOfTen || 0));
+  const unit = readUnit(rest);
+  if (!Number.isFinite(value) || !unit) {
+    return null;
+  }
+
+  return {
+    value,
+    unit: unit.unit,
+    sigFigs: countSigFigs(mantissa)
+  };
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isShare = (value) => isNumber(value) && value >= 0 && value <= 1;
+
+/**
+ * Validate a numeric answer spec
+ * @param {Object} spec - Numeric answer spec
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateNumericSpec = (spec) => {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return ['Numeric answer must be an object'];
+  }
+
+  const errors = [];
+  if (!isNumber(spec.value)) {
+    errors.push('value must be a number');
+  }
+
+  const unit = spec.unit ? findUnit(spec.unit) : null;
+  if (spec.unit && !unit) {
+    errors.push(`Unknown unit "${spec.unit}"`);
+  }
+  if (spec.acceptedUnits !== undefined) {
+    if (!spec.unit) {
+      errors.push('acceptedUnits needs a unit for the value');
+    } else if (!Array.isArray(spec.acceptedUnits)) {
+      errors.push('acceptedUnits must be an array');
+    } else if (unit) {
+      for (const accepted of spec.acceptedUnits) {
+        const info = findUnit(accepted);
+        if (!info || info.dimension !== unit.dimension) {
+          errors.push(`"${accepted}" cannot be converted to ${spec.unit}`);
+        }
+      }
+    }
+  }
+
+  for (const field of ['absoluteTolerance', 'relativeTolerance']) {
+    if (spec[field] !== undefined && (!isNumber(spec[field]) || spec[field] < 0)) {
+      errors.push(`${field} must be zero or a positive number`);
+    }
+  }
+  for (const field of ['unitCredit', 'sigFigsCredit']) {
+    if (spec[field] !== undefined && !isShare(spec[field])) {
+      errors.push(`${field} must be between 0 and 1`);
+    }
+  }
+  if (spec.requireUnit !== undefined && typeof spec.requireUnit !== 'boolean') {
+    errors.push('requireUnit must be true or false');
+  }
+
+  if (spec.sigFigs !== undefined) {
+    const { min, max } = spec.sigFigs || {};
+    const valid = (n) => n === undefined || (Number.isInteger(n) && n >= 1);
+    if (!spec.sigFigs || typeof spec.sigFigs !== 'object' || !valid(min) || !valid(max) || (min === undefined && max === undefined)) {
+      errors.push('sigFigs must be { min, max } with positive whole numbers');
+    } else if (min !== undefined && max !== undefined && min > max) {
+      errors.push('sigFigs.min cannot be greater than sigFigs.max');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate the numeric blanks (matchType 'numeric') of a fill-blank question
+ * @param {Array} blankPositions - [{ position, matchType, numeric, points }]
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateNumericBlanks = (blankPositions) => {
+  if (!Array.isArray(blankPositions)) {
+    return [];
+  }
+  return blankPositions
+    .filter(blank => blank && blank.matchType === 'numeric')
+    .flatMap(blank => validateNumericSpec(blank.numeric).map(error => `Blank ${blank.position}: ${error}`));
+};
+
+// Whether a value is close enough to the expected one. Without tolerances only
+// floating-point noise is allowed.
+const withinTolerance = (value, expected, spec) => {
+  const difference = Math.abs(value - expected);
+  const absolute = spec.absoluteTolerance ?? 0;
+  const relative = spec.relativeTolerance ?? 0;
+  if (absolute === 0 && relative === 0) {
+    return difference <= 1e-9 * Math.max(1, Math.abs(expected));
+  }
+  return difference <= absolute || difference <= relative * Math.abs(expected);
+};
+
+const describeTolerance = (spec) => {
+  const parts = [];
+  if (spec.absoluteTolerance) parts.push(`±${spec.absoluteTolerance}`);
+  if (spec.relativeTolerance) parts.push(`±${round2(spec.relativeTolerance * 100)}%`);
+  return parts.length > 0 ? parts.join(' or ') : 'exact';
+};
+
+/**
+ * Mark a written numeric answer against a spec
+ * @param {string} text - Student's answer
+ * @param {Object} spec - Numeric answer spec
+ * @param {number} points - Points for a fully correct answer
+ * @returns {Object} { isCorrect, score, details, value, unit }
+ */
+const evaluateNumericAnswer = (text, spec, points = 1) => {
+  const wrong = (details, parsed = null) => ({
+    isCorrect: false,
+    score: 0,
+    details,
+    value: parsed ? parsed.value : null,
+    unit: parsed ? parsed.unit : null
+  });
+
+  if (!text || !String(text).trim() || String(text).trim().toLowerCase() === 'illegible') {
+    return wrong('No answer');
+  }
+
+  const parsed = parseNumericAnswer(text);
+  if (!parsed) {
+    return wrong(`"${String(text).trim()}" is not a number`);
+  }
+
+  const expectedUnit = spec.unit || null;
+  let value = parsed.value;
+  let missingUnit = false;
+
+  if (expectedUnit && parsed.unit) {
+    const given = findUnit(parsed.unit);
+    const accepted = !spec.acceptedUnits || spec.acceptedUnits.some(unit => {
+      const info = findUnit(unit);
+      return info && given && info.dimension === given.dimension && info.factor === given.factor && info.offset === given.offset;
+    });
+    const converted = convertUnit(parsed.value, parsed.unit, expectedUnit);
+    if (!accepted || converted === null) {
+      return wrong(`Unit "${parsed.unit}" is not accepted for this answer`, parsed);
+    }
+    value = converted;
+  } else if (expectedUnit && !parsed.unit) {
+    missingUnit = spec.requireUnit === true;
+  }
+
+  const tolerance = describeTolerance(spec);
+  const shown = String(text).trim();
+  const expected = `${spec.value}${expectedUnit ? ` ${expectedUnit}` : ''}`;
+
+  if (!withinTolerance(value, spec.value, spec)) {
+    return wrong(`${shown} is outside ${tolerance} of ${expected}`, parsed);
+  }
+
+  let share = 1;
+  const notes = [];
+  if (missingUnit) {
+    share *= spec.unitCredit ?? 0;
+    notes.push(`unit missing (expected ${expectedUnit})`);
+  }
+  if (spec.sigFigs && parsed.sigFigs !== null) {
+    const { min = 1, max = Infinity } = spec.sigFigs;
+    if (parsed.sigFigs < min || parsed.sigFigs > max) {
+      share *= spec.sigFigsCredit ?? 0;
+      notes.push(`${parsed.sigFigs} significant figures (expected ${max === Infinity ? `at least ${min}` : min === max ? min : `${min}-${max}`})`);
+    }
+  }
+
+  const score = round2(points * share);
+
+  return {
+    isCorrect: share === 1,
+    score,
+    details: notes.length > 0
+      ? `${shown} matches ${expected} (${tolerance}) but ${notes.join(' and ')}`
+      : `${shown} matches ${expected} (${tolerance})`,
+    value: parsed.value,
+    unit: parsed.unit
+  };
+};
+
+module.exports = {
+  UNITS,
+  findUnit,
+  convertUnit,
+  parseNumericAnswer,
+  validateNumericSpec,
+  validateNumericBlanks,
+  evaluateNumericAnswer
+};
@@ -0,0 +1,175 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const prisma = require('../src/prisma');
+
+const SALT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES) || 15;
+const RESET_TOKEN_TTL_HOURS = parseInt(process.env.RESET_TOKEN_TTL_HOURS) || 24;
+
+const COMMON_PASSWORDS = ['password', 'password1', '12345678', '123456789', 'qwerty123', 'admin123', 'letmein1', 'welcome1'];
+
+/**
+ * Check a password against the strength rules
+ * @param {string} password - Candidate password
+ * @param {string} username - Account username (must not appear in the password)
+ * @returns {Array<string>} Problems found; empty when the password is acceptable
+ */
+const validatePasswordStrength = (password, username = '') => {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    return errors;
+  }
+  if (!/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (!/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (!/[0-9]/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    errors.push('Password must not contain the username');
+  }
+  if (COMMON_PASSWORDS.includes(password.toLowerCase())) {
+    errors.push('Password is too common');
+  }
+
+  return errors;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isLocked = (admin) => !!admin.lockedUntil && admin.lockedUntil > new Date();
+
+/**
+ * Count a failed login and lock the account once the limit is reached.
+ * The counter is incremented in the database so concurrent attempts are all counted.
+ * @param {Object} admin - Account
+ * @returns {Date|null} Lock expiry if this attempt locked the account
+ */
+const recordFailedLogin = async (admin) => {
+  const { failedLogins } = await prisma.admin.update({
+    where: { id: admin.id },
+    data: { failedLogins: { increment: 1 } },
+    select: { failedLogins: true }
+  });
+
+  if (failedLogins < MAX_FAILED_LOGINS) {
+    return null;
+  }
+
+  // The counter restarts once a lock is applied; only one concurrent attempt applies it
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+  const { count } = await prisma.admin.updateMany({
+    where: { id: admin.id, failedLogins: { gte: MAX_FAILED_LOGINS } },
+    data: { failedLogins: 0, lockedUntil }
+  });
+  if (count === 0) {
+    return null;
+  }
+
+  console.warn(`🔒 Account ${admin.username} locked until ${lockedUntil.toISOString()} after ${failedLogins} failed logins`);
+
+  return lockedUntil;
+};
+
+const recordSuccessfulLogin = async (admin) => {
+  if (admin.failedLogins > 0 || admin.lockedUntil) {
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: { failedLogins: 0, lockedUntil: null }
+    });
+  }
+};
+
+/**
+ * Write a login audit record. Never throws - auditing must not block login.
+ * @param {Object} entry - { adminId, username, success, reason, ipAddress, userAgent }
+ */
+const auditLogin = async (entry) => {
+  try {
+    await prisma.loginAudit.create({
+      data: {
+        adminId: entry.adminId || null,
+        username: (entry.username || '').substring(0, 50),
+        success: !!entry.success,
+        reason: entry.reason,
+        ipAddress: entry.ipAddress || null,
+        userAgent: entry.userAgent ? entry.userAgent.substring(0, 255) : null
+      }
+    });
+  } catch (error) {
+    console.error('⚠️ Failed to write login audit:', error.message);
+  }
+};
+
+/**
+ * Set a new password and clear any lock or pending reset
+ * @param {number} adminId - Account ID
+ * @param {string} password - New plain-text password (already validated)
+ */
+const setPassword = async (adminId, password) => {
+  const passwordHash = await hashPassword(password);
+
+  await prisma.admin.update({
+    where: { id: adminId },
+    data: {
+      passwordHash,
+      passwordChangedAt: new Date(),
+      failedLogins: 0,
+      lockedUntil: null,
+      resetTokenHash: null,
+      resetExpiresAt: null
+    }
+  });
+};
+
+/**
+ * Issue a one-time password reset token for an account
+ * @param {number} adminId - Account ID
+ * @returns {Object} { resetToken, resetExpiresAt }
+ */
+const createResetToken = async (adminId) => {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const resetExpiresAt = new Date(Date.now() + RESET_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+
+  await prisma.admin.update({
+    where: { id: adminId },
+    data: {
+      resetTokenHash: hashToken(resetToken),
+      resetExpiresAt
+    }
+  });
+
+  return { resetToken, resetExpiresAt };
+};
+
+const findByResetToken = async (resetToken) => {
+  const admin = await prisma.admin.findFirst({
+    where: { resetTokenHash: hashToken(resetToken) }
+  });
+
+  if (!admin || !admin.resetExpiresAt || admin.resetExpiresAt < new Date()) {
+    return null;
+  }
+  return admin;
+};
+
+module.exports = {
+  validatePasswordStrength,
+  hashPassword,
+  isLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  auditLogin,
+  setPassword,
+  createResetToken,
+  findByResetToken
+};
@@ -3,7 +3,7 @@ const sharp = require('sharp');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getVisionProvider } = require('./visionProvider');
 require('dotenv').config();
 
 // pdf-parse is optional - we primarily use Gemini Vision for PDF analysis
@@ -14,11 +14,27 @@ try {
   console.warn('⚠️ pdf-parse not available, using Gemini Vision for PDF analysis');
 }
 
+// PDF date string, e.g. "D:20251104093000+05'30'", as a Date (null when missing or malformed)
+const parsePdfDate = (value) => {
+  const match = typeof value === 'string' &&
+    value.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+  const offset = !zone || zone === 'Z' ? 'Z' : `${zone.slice(0, 3)}:${zone.replace(/'/g, '').slice(3, 5) || '00'}`;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
 class PDFService {
-  constructor() {
+  /**
+   * @param {VisionProvider} provider - Vision provider (defaults to the one selected by VISION_PROVIDER)
+   */
+  constructor(provider = getVisionProvider()) {
     this.tempDir = path.join(os.tmpdir(), 'pdf-processing');
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    this.model = this.genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+    this.provider = provider;
     this.ensureTempDir();
   }
 
@@ -54,7 +70,9 @@ class PDFService {
             pages: result.numpages || 1,
             fileSize: pdfBuffer.length,
             wordCount: result.text ? result.text.split(' ').length : 0,
-            text: result.text || ''
+            text: result.text || '',
+            // When the sheet was scanned, as recorded by the scanner
+            creationDate: parsePdfDate(result.info && result.info.CreationDate)
           };
         } catch (parseError) {
           console.warn('⚠️ pdf-parse failed, using fallback:', parseError.message);
@@ -68,7 +86,8 @@ class PDFService {
         pages: 1, // Default to 1 page
         fileSize: pdfBuffer.length,
         wordCount: 0,
-        text: ''
+        text: '',
+        creationDate: null
       };
     } catch (error) {
       console.error('❌ PDF parsing failed:', error.message);
@@ -250,118 +269,33 @@ class PDFService {
   }
 
   /**
-   * Extract content from PDF using Gemini Vision API
+   * Extract content from PDF using the configured vision provider
    * @param {Buffer} pdfBuffer - PDF file buffer
    * @returns {Promise<Object>} Extracted content, roll number and answers
    */
   async extractContentWithGemini(pdfBuffer) {
     try {
-      console.log('🤖 Using Gemini Vision to analyze PDF content...');
+      console.log(`🤖 Using ${this.provider.name} vision provider to analyze PDF content...`);
       
-      // Convert PDF to base64 for Gemini
-      const pdfBase64 = pdfBuffer.toString('base64');
+      const parsedData = await this.provider.extractPdfContent(pdfBuffer);
+      console.log(`✅ Extracted: Roll: ${parsedData.rollNumber}, Answers: ${parsedData.answers ? parsedData.answers.length : 0}`);
       
-      const prompt = `
-        Analyze this student answer sheet PDF and extract the roll number and marked answers.
-
-        ROLL NUMBER EXTRACTION (HIGHEST PRIORITY):
-        The roll number is typically found at the top of the first page in boxes or fields labeled "Roll No", "Roll Number", "Student ID", or similar.
-        It may be written in separate boxes (one digit per box) or in a single field.
-
-        Look for:
-        1. Boxes at the top of the page with digits
-        2. Fields labeled "Roll No", "Roll Number", "Student ID"
-        3. Student information section at the top
-        4. Any numeric identifier that appears to be a roll number
-        
-        ANSWER DETECTION:
-        - Scan ALL pages to find question numbers and their marked options
-        - Look for checkmarks (✓, ✔, √), circles, filled bubbles, crosses, or any markings
-        - Questions may be numbered 1-10, 1-20, Q1-Q10, etc.
-        - Options are typically (a), (b), (c), (d) or A, B, C, D
-
-        Return ONLY a JSON object with this exact format:
-        {
-          "rollNumber": "XX",
-          "extractedContent": "Description of what was found",
-          "answers": [
-            {
-              "question": 1,
-              "selectedOption": "a",
-              "selectedOptions": ["a"],
-              "confidence": "high",
-              "markType": "checkmark",
-              "pageNumber": 1
-            }
-          ],
-          "totalPages": 2,
-          "questionCount": 20,
-          "extractionMethod": "gemini_vision_pdf",
-          "confidence": "high",
-          "rollNumberLocation": "description of where roll number was found"
-        }
-
-        If no roll number is found, use "unknown" for rollNumber.
-        Extract only the actual digits/numbers for roll number, without any labels.
-      `;
-      
-      const imagePart = {
-        inlineData: {
-          data: pdfBase64,
-          mimeType: 'application/pdf'
-        }
-      };
-      
-      console.log('📤 Sending PDF to Gemini for analysis...');
-      
-      // Add retry logic for rate limiting
-      let attempts = 0;
-      const maxAttempts = 3;
-      
-      while (attempts < maxAttempts) {
-        try {
-          const result = await this.model.generateContent([prompt, imagePart]);
-          const response = await result.response;
-          let text = response.text();
-          
-          // Clean up the response to extract JSON
-          text = text.replace(/```json/g, '').replace(/```/g, '').trim();
-          
-          try {
-            const parsedData = JSON.parse(text);
-            console.log(`✅ Gemini extracted: Roll: ${parsedData.rollNumber}, Answers: ${parsedData.answers ? parsedData.answers.length : 0}`);
-            
-            return parsedData;
-          } catch (parseError) {
-            console.error('❌ Failed to parse Gemini response:', parseError);
-            console.log('Raw Gemini response:', text);
-            
-            // Return a fallback structure with the raw text
-            return {
-              rollNumber: "unknown",
-              extractedContent: text || "Failed to extract content",
-              answers: [],
-              questionCount: 0,
-              extractionMethod: "gemini_vision_fallback",
-              confidence: "low",
-              rawResponse: text
-            };
-          }
-          
-        } catch (apiError) {
-          attempts++;
-          
-          if (apiError.status === 429 && attempts < maxAttempts) {
-            console.log(`⏳ Rate limit hit, waiting 30 seconds... (attempt ${attempts}/${maxAttempts})`);
-            await new Promise(resolve => setTimeout(resolve, 30000));
-            continue;
-          }
-          
-          throw apiError;
-        }
-      }
+      return parsedData;
       
     } catch (error) {
+      if (error.code === 'INVALID_JSON') {
+        // Return a fallback structure with the raw text
+        return {
+          rollNumber: "unknown",
+          extractedContent: error.rawResponse || "Failed to extract content",
+          answers: [],
+          questionCount: 0,
+          extractionMethod: "gemini_vision_fallback",
+          confidence: "low",
+          rawResponse: error.rawResponse
+        };
+      }
+
       console.error('❌ Gemini content extraction failed:', error);
       
       // If it's a quota/rate limit error, provide helpful guidance
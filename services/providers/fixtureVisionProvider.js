@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const VisionProvider = require('./visionProvider');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'vision');
+
+/**
+ * Deterministic provider that answers every task from JSON fixtures on disk.
+ *
+ * Fixtures live in <fixturesDir>/<task>/. A file named after the SHA-256 of
+ * the uploaded buffer (e.g. omr-marks/3f2a...json) wins; otherwise
+ * <task>/default.json is used. Select it with VISION_PROVIDER=fixture.
+ */
+class FixtureVisionProvider extends VisionProvider {
+    constructor(options = {}) {
+        super('fixture');
+        this.fixturesDir = options.fixturesDir || process.env.VISION_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    }
+
+    /**
+     * Load the fixture for a task, preferring one keyed by the buffer hash
+     * @param {string} task - Fixture folder name
+     * @param {Buffer} buffer - Uploaded image or PDF
+     * @returns {Object} Parsed fixture
+     */
+    loadFixture(task, buffer) {
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+        const candidates = [
+            path.join(this.fixturesDir, task, `${hash}.json`),
+            path.join(this.fixturesDir, task, 'default.json')
+        ];
+
+        const fixturePath = candidates.find(candidate => fs.existsSync(candidate));
+        if (!fixturePath) {
+            throw new Error(`No "${task}" fixture found for buffer ${hash} in ${this.fixturesDir}`);
+        }
+
+        console.log(`🧪 Using ${task} fixture: ${path.relative(this.fixturesDir, fixturePath)}`);
+        return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    }
+
+    async extractQuestionPaper(imageBuffer) {
+        return this.loadFixture('question-paper', imageBuffer);
+    }
+
+    async extractStudentAnswers(imageBuffer) {
+        return this.loadFixture('student-answers', imageBuffer);
+    }
+
+    async detectOMRMarks(imageBuffer, questions) {
+        const fixture = this.loadFixture('omr-marks', imageBuffer);
+        const expected = new Set(questions.map(q => q.question_number ?? q.questionNumber));
+
+        // Only report marks for questions on this page, like the real detector
+        return {
+            ...fixture,
+            detected_answers: (fixture.detected_answers || []).filter(answer => expected.has(answer.question))
+        };
+    }
+
+    async extractRollNumber(imageBuffer) {
+        return this.loadFixture('roll-number', imageBuffer);
+    }
+
+    async extractSetCode(imageBuffer) {
+        return this.loadFixture('set-code', imageBuffer);
+    }
+
+    async detectOMRStyle(imageBuffer) {
+        return this.loadFixture('omr-style', imageBuffer);
+    }
+
+    async detectFillBlanksStyle(imageBuffer) {
+        return this.loadFixture('fill-blanks-style', imageBuffer);
+    }
+
+    async extractFillBlanks(imageBuffer) {
+        return this.loadFixture('fill-blanks-questions', imageBuffer);
+    }
+
+    async extractStudentFillBlanks(imageBuffer) {
+        return this.loadFixture('fill-blanks-answers', imageBuffer);
+    }
+
+    async transcribeAnswer(imageBuffer, question) {
+        const fixture = this.loadFixture('answer-transcription', imageBuffer);
+
+        // One fixture holds the answers to every question on the page
+        const answer = (fixture.answers || []).find(a => a.question === question.number);
+        return answer || { question: question.number, text: '', confidence: 'high' };
+    }
+
+    async gradeWithRubric(question, rubric, answerText) {
+        // Keyed by the hash of the transcribed text, since there is no image to hash
+        return this.loadFixture('rubric-grading', Buffer.from(answerText));
+    }
+
+    async extractPdfContent(pdfBuffer) {
+        return this.loadFixture('pdf-content', pdfBuffer);
+    }
+}
+
+module.exports = FixtureVisionProvider;
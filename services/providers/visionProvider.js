@@ -0,0 +1,135 @@
+/**
+ * Base class for vision providers.
+ *
+ * A provider turns an image (or PDF) buffer into structured JSON for one
+ * extraction task. Services such as GeminiService, OMRService,
+ * FillBlanksService and PDFService own the logging and response shaping;
+ * providers only return the parsed data or throw.
+ */
+class VisionProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Extract questions, options and marked correct answers from a question paper
+     * @param {Buffer} imageBuffer - Question paper image
+     * @param {string} mimeType - Image mime type
+     * @returns {Promise<Object>} { questions: [{ number, text, options, correctAnswer, correctAnswers }] }
+     */
+    async extractQuestionPaper(imageBuffer, mimeType) {
+        throw new Error(`${this.name} provider does not implement extractQuestionPaper`);
+    }
+
+    /**
+     * Extract the options a student marked on an answer sheet
+     * @param {Buffer} imageBuffer - Answer sheet image
+     * @param {string} mimeType - Image mime type
+     * @returns {Promise<Object>} { answers: [{ question, selectedOption, selectedOptions, confidence, markType }] }
+     */
+    async extractStudentAnswers(imageBuffer, mimeType) {
+        throw new Error(`${this.name} provider does not implement extractStudentAnswers`);
+    }
+
+    /**
+     * Detect filled bubbles / marks on an OMR sheet
+     * @param {Buffer} imageBuffer - OMR sheet image
+     * @param {Array} questions - Questions expected on the sheet
+     * @returns {Promise<Object>} { detected_answers: [{ question, selected_options, confidence, marking_type }] }
+     */
+    async detectOMRMarks(imageBuffer, questions) {
+        throw new Error(`${this.name} provider does not implement detectOMRMarks`);
+    }
+
+    /**
+     * Extract the student's roll number from the first page of a sheet
+     * @param {Buffer} imageBuffer - Answer sheet image
+     * @returns {Promise<Object>} { rollNumber, confidence, location }
+     */
+    async extractRollNumber(imageBuffer) {
+        throw new Error(`${this.name} provider does not implement extractRollNumber`);
+    }
+
+    /**
+     * Read the set code (A, B, C, ...) printed or marked on the first page of a sheet
+     * @param {Buffer} imageBuffer - Answer sheet page (image or PDF)
+     * @param {string} mimeType - Mime type of the buffer
+     * @returns {Promise<Object>} { setCode, confidence }
+     */
+    async extractSetCode(imageBuffer, mimeType) {
+        throw new Error(`${this.name} provider does not implement extractSetCode`);
+    }
+
+    /**
+     * Classify whether a page is an OMR-style sheet
+     * @param {Buffer} imageBuffer - Page image
+     * @returns {Promise<Object>} { is_omr_style, confidence, question_type, ... }
+     */
+    async detectOMRStyle(imageBuffer) {
+        throw new Error(`${this.name} provider does not implement detectOMRStyle`);
+    }
+
+    /**
+     * Classify whether a page contains fill-in-the-blank questions
+     * @param {Buffer} imageBuffer - Page image
+     * @param {string} mimeType - Image mime type
+     * @returns {Promise<Object>} { hasFillBlanks, confidence, questionFormat, estimatedBlanks }
+     */
+    async detectFillBlanksStyle(imageBuffer, mimeType) {
+        throw new Error(`${this.name} provider does not implement detectFillBlanksStyle`);
+    }
+
+    /**
+     * Extract fill-in-the-blank questions and their expected answers
+     * @param {Buffer} imageBuffer - Question paper image
+     * @param {string} mimeType - Image mime type
+     * @returns {Promise<Object>} { questions: [{ number, text, blankPositions, totalPoints }] }
+     */
+    async extractFillBlanks(imageBuffer, mimeType) {
+        throw new Error(`${this.name} provider does not implement extractFillBlanks`);
+    }
+
+    /**
+     * Extract the text a student wrote into each blank
+     * @param {Buffer} imageBuffer - Answer sheet image
+     * @param {Array} questions - Question context ({ number, text, blanks })
+     * @param {string} mimeType - Image mime type
+     * @returns {Promise<Object>} { answers: [{ question, blankAnswers: [{ position, answer, confidence }] }] }
+     */
+    async extractStudentFillBlanks(imageBuffer, questions, mimeType) {
+        throw new Error(`${this.name} provider does not implement extractStudentFillBlanks`);
+    }
+
+    /**
+     * Transcribe the handwritten answer to one descriptive question
+     * @param {Buffer} imageBuffer - Answer sheet page (image or PDF)
+     * @param {Object} question - { number, text }
+     * @param {string} mimeType - Mime type of the buffer
+     * @returns {Promise<Object>} { question, text, confidence }
+     */
+    async transcribeAnswer(imageBuffer, question, mimeType) {
+        throw new Error(`${this.name} provider does not implement transcribeAnswer`);
+    }
+
+    /**
+     * Score a transcribed answer against a rubric, criterion by criterion
+     * @param {Object} question - { number, text }
+     * @param {Object} rubric - { modelAnswer, criteria: [{ id, description, points, keywords }] }
+     * @param {string} answerText - Transcribed student answer
+     * @returns {Promise<Object>} { criteria: [{ id, points, justification }] }
+     */
+    async gradeWithRubric(question, rubric, answerText) {
+        throw new Error(`${this.name} provider does not implement gradeWithRubric`);
+    }
+
+    /**
+     * Extract roll number and marked answers from a whole answer sheet PDF
+     * @param {Buffer} pdfBuffer - PDF buffer
+     * @returns {Promise<Object>} { rollNumber, answers, extractionMethod, confidence, ... }
+     */
+    async extractPdfContent(pdfBuffer) {
+        throw new Error(`${this.name} provider does not implement extractPdfContent`);
+    }
+}
+
+module.exports = VisionProvider;
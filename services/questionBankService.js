@@ -0,0 +1,339 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../src/prisma');
+const { validateNumericSpec, validateNumericBlanks } = require('./numericAnswer');
+const { validateRubric, normalizeCriteria } = require('./rubricService');
+const { scoreAnswers } = require('./scoringEngine');
+
+// Question bank: reusable questions tagged by topic, difficulty and free-form tags.
+// Papers never point at a bank item directly for grading; assembling a paper copies
+// the items into ordinary questions and remembers where each came from.
+
+const QUESTION_FORMATS = ['multiple_choice', 'fill_blanks', 'text', 'numeric'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_TAGS = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Bank items an account can see: its own, or every item for owners
+const bankWhere = (admin) => (admin.role === 'owner' ? {} : { adminId: admin.id });
+
+const normalizeTags = (tags) => [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(tag => tag))];
+
+/**
+ * Validate a bank question from a request body
+ * @param {Object} body - Bank question fields
+ * @param {boolean} partial - Only check the fields present (updates)
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateBankQuestion = (body, partial = false) => {
+  const errors = [];
+  const has = (field) => body[field] !== undefined;
+  const format = body.questionFormat || 'multiple_choice';
+
+  if (!partial || has('questionText')) {
+    if (!body.questionText || !String(body.questionText).trim()) {
+      errors.push('questionText is required');
+    }
+  }
+  if (has('questionFormat') && !QUESTION_FORMATS.includes(body.questionFormat)) {
+    errors.push(`questionFormat must be one of: ${QUESTION_FORMATS.join(', ')}`);
+  }
+  if (has('options') && body.options !== null && (typeof body.options !== 'object' || Array.isArray(body.options))) {
+    errors.push('options must be an object of label to text');
+  }
+  if (has('correctOptions') && !Array.isArray(body.correctOptions)) {
+    errors.push('correctOptions must be an array');
+  } else if (!partial && format === 'multiple_choice' && (!body.correctOptions || body.correctOptions.length === 0)) {
+    errors.push('correctOptions must be a non-empty array for multiple choice questions');
+  }
+  if (has('weightages') && body.weightages !== null && (typeof body.weightages !== 'object' || Array.isArray(body.weightages))) {
+    errors.push('weightages must be an object of option to weight');
+  }
+  if (has('pointsPerBlank') && (!Number.isInteger(body.pointsPerBlank) || body.pointsPerBlank < 0)) {
+    errors.push('pointsPerBlank must be a non-negative integer');
+  }
+  if (has('difficulty') && body.difficulty !== null && !DIFFICULTIES.includes(body.difficulty)) {
+    errors.push(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+  if (has('topic') && body.topic !== null && typeof body.topic !== 'string') {
+    errors.push('topic must be a string');
+  }
+  if (has('tags')) {
+    if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+      errors.push('tags must be an array of strings');
+    } else if (body.tags.length > MAX_TAGS) {
+      errors.push(`A question can have at most ${MAX_TAGS} tags`);
+    }
+  }
+  if (format === 'numeric' && (!partial || has('numericAnswer'))) {
+    errors.push(...validateNumericSpec(body.numericAnswer));
+  }
+  if (has('blankPositions')) {
+    errors.push(...validateNumericBlanks(body.blankPositions));
+  }
+  if (has('rubric') && body.rubric !== null) {
+    if (format !== 'text') {
+      errors.push('rubric can only be set on text questions');
+    } else if (typeof body.rubric !== 'object' || Array.isArray(body.rubric)) {
+      errors.push('rubric must be an object with modelAnswer and criteria');
+    } else {
+      errors.push(...validateRubric(body.rubric).map(error => `rubric: ${error}`));
+    }
+  }
+
+  return errors;
+};
+
+// Rubric as kept on a bank item, in the shape of a QuestionRubric
+const toBankRubric = ({ modelAnswer, criteria }) => ({
+  modelAnswer: modelAnswer ? modelAnswer.trim() : null,
+  criteria: normalizeCriteria(criteria)
+});
+
+// Prisma data for the fields present in a request body
+const toBankData = (body) => {
+  const json = (value) => (value === null ? Prisma.JsonNull : value);
+  const data = {};
+
+  if (body.questionText !== undefined) data.questionText = String(body.questionText).trim();
+  if (body.questionFormat !== undefined) data.questionFormat = body.questionFormat;
+  if (body.options !== undefined) data.options = json(body.options);
+  if (body.correctOptions !== undefined) data.correctOptions = body.correctOptions.map(String);
+  if (body.weightages !== undefined) data.weightages = json(body.weightages);
+  if (body.pointsPerBlank !== undefined) data.pointsPerBlank = body.pointsPerBlank;
+  if (body.blankPositions !== undefined) data.blankPositions = json(body.blankPositions);
+  if (body.numericAnswer !== undefined) data.numericAnswer = json(body.numericAnswer);
+  if (body.rubric !== undefined) data.rubric = json(body.rubric && toBankRubric(body.rubric));
+  if (body.topic !== undefined) data.topic = body.topic ? body.topic.trim().substring(0, 100) : null;
+  if (body.difficulty !== undefined) data.difficulty = body.difficulty;
+  if (body.tags !== undefined) data.tags = normalizeTags(body.tags);
+
+  // Numeric questions keep their expected value as the key, as on papers
+  if (data.questionFormat === 'numeric' && data.correctOptions === undefined && body.numericAnswer) {
+    data.correctOptions = [String(body.numericAnswer.value)];
+  }
+
+  return data;
+};
+
+/**
+ * Search the bank
+ * @param {Object} admin - Current account
+ * @param {Object} query - { q, topic, difficulty, format, tags (comma separated, all must match), page, limit }
+ * @returns {Object} { total, page, limit, questions }
+ */
+const searchBank = async (admin, query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(parseInt(query.limit) || 20, MAX_PAGE_SIZE);
+  const tags = query.tags ? normalizeTags(String(query.tags).split(',')) : [];
+
+  const where = {
+    ...bankWhere(admin),
+    ...(query.q && { questionText: { contains: String(query.q), mode: 'insensitive' } }),
+    ...(query.topic && { topic: { equals: String(query.topic), mode: 'insensitive' } }),
+    ...(query.difficulty && { difficulty: String(query.difficulty) }),
+    ...(query.format && { questionFormat: String(query.format) }),
+    ...(tags.length > 0 && { tags: { array_contains: tags } })
+  };
+
+  const [total, questions] = await Promise.all([
+    prisma.bankQuestion.count({ where }),
+    prisma.bankQuestion.findMany({
+      where,
+      include: { _count: { select: { questions: true } } },
+      orderBy: { updatedAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    })
+  ]);
+
+  return {
+    total,
+    page,
+    limit,
+    questions: questions.map(({ _count, ...question }) => ({ ...question, usageCount: _count.questions }))
+  };
+};
+
+/**
+ * Topics and tags in use, with counts, to fill search filters
+ * @param {Object} admin - Current account
+ * @returns {Object} { topics: [{ topic, count }], tags: [{ tag, count }] }
+ */
+const listFacets = async (admin) => {
+  const questions = await prisma.bankQuestion.findMany({
+    where: bankWhere(admin),
+    select: { topic: true, tags: true }
+  });
+
+  const count = (values) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  };
+
+  return {
+    topics: count(questions.filter(q => q.topic).map(q => q.topic)).map(([topic, n]) => ({ topic, count: n })),
+    tags: count(questions.flatMap(q => (Array.isArray(q.tags) ? q.tags : []))).map(([tag, n]) => ({ tag, count: n }))
+  };
+};
+
+/**
+ * Copy questions of a paper into the bank. Questions already saved from this paper are skipped.
+ * @param {Object} admin - Current account, owner of the new bank items
+ * @param {number} paperId - Paper ID
+ * @param {Object} body - { questionNumbers (default all), topic, difficulty, tags }
+ * @returns {Object} { saved, skipped, questions } on success, { error, status } otherwise
+ */
+const saveFromPaper = async (admin, paperId, { questionNumbers, topic, difficulty, tags } = {}) => {
+  if (questionNumbers !== undefined && (!Array.isArray(questionNumbers) || questionNumbers.some(n => !Number.isInteger(n)))) {
+    return { error: 'questionNumbers must be an array of integers', status: 400 };
+  }
+
+  const errors = validateBankQuestion({ topic, difficulty, tags }, true);
+  if (errors.length > 0) {
+    return { error: errors.join('; '), status: 400 };
+  }
+
+  const questions = await prisma.question.findMany({
+    where: {
+      paperId,
+      ...(questionNumbers && { questionNumber: { in: questionNumbers } })
+    },
+    include: { rubric: true },
+    orderBy: { questionNumber: 'asc' }
+  });
+
+  if (questions.length === 0) {
+    return { error: 'No matching questions on this paper', status: 404 };
+  }
+
+  const labels = toBankData({ topic, difficulty, tags });
+  const toSave = questions.filter(q => !q.bankQuestionId);
+
+  const saved = await prisma.$transaction(async (tx) => {
+    const created = [];
+    for (const question of toSave) {
+      const bankQuestion = await tx.bankQuestion.create({
+        data: {
+          adminId: admin.id,
+          questionText: question.questionText,
+          questionFormat: question.questionFormat,
+          options: question.options ?? Prisma.JsonNull,
+          correctOptions: question.correctOptions,
+          weightages: question.weightages ?? Prisma.JsonNull,
+          pointsPerBlank: question.pointsPerBlank,
+          blankPositions: question.questionFormat === 'fill_blanks' ? question.blankPositions ?? Prisma.JsonNull : Prisma.JsonNull,
+          numericAnswer: question.numericAnswer ?? Prisma.JsonNull,
+          rubric: question.rubric
+            ? { modelAnswer: question.rubric.modelAnswer, criteria: question.rubric.criteria }
+            : Prisma.JsonNull,
+          ...labels
+        }
+      });
+
+      // The paper question now counts as a use of the bank item
+      await tx.question.update({
+        where: { id: question.id },
+        data: { bankQuestionId: bankQuestion.id }
+      });
+      created.push(bankQuestion);
+    }
+    return created;
+  });
+
+  console.log(`🏦 Saved ${saved.length} questions from paper ${paperId} to the bank (${questions.length - toSave.length} already there)`);
+
+  return {
+    saved: saved.length,
+    skipped: questions.length - toSave.length,
+    questions: saved
+  };
+};
+
+/**
+ * Create a paper from bank items, numbered in the order given
+ * @param {Object} admin - Current account, owner of the new paper
+ * @param {Object} body - { name, bankQuestionIds }
+ * @returns {Object} { paper, questionCount } on success, { error, status } otherwise
+ */
+const assemblePaper = async (admin, { name, bankQuestionIds }) => {
+  if (!name || !String(name).trim()) {
+    return { error: 'Paper name is required', status: 400 };
+  }
+  if (!Array.isArray(bankQuestionIds) || bankQuestionIds.length === 0 || bankQuestionIds.some(id => !Number.isInteger(id))) {
+    return { error: 'bankQuestionIds must be a non-empty array of IDs', status: 400 };
+  }
+  if (new Set(bankQuestionIds).size !== bankQuestionIds.length) {
+    return { error: 'bankQuestionIds contains duplicates', status: 400 };
+  }
+
+  const items = await prisma.bankQuestion.findMany({
+    where: { ...bankWhere(admin), id: { in: bankQuestionIds } }
+  });
+  const byId = new Map(items.map(item => [item.id, item]));
+  const missing = bankQuestionIds.filter(id => !byId.has(id));
+  if (missing.length > 0) {
+    return { error: `Bank questions not found: ${missing.join(', ')}`, status: 404 };
+  }
+
+  const ordered = bankQuestionIds.map(id => byId.get(id));
+  const questions = ordered.map((item, index) => ({
+    questionNumber: index + 1,
+    questionText: item.questionText,
+    questionFormat: item.questionFormat,
+    options: item.options,
+    correctOptions: item.correctOptions,
+    weightages: item.weightages,
+    pointsPerBlank: item.pointsPerBlank,
+    blankPositions: item.blankPositions ?? {},
+    numericAnswer: item.numericAnswer,
+    bankQuestionId: item.id,
+    rubric: item.questionFormat === 'text' ? item.rubric : null
+  }));
+
+  // Marks available as grading counts them, so blanks, numeric and rubric questions add up correctly
+  const totalMarks = scoreAnswers(questions, []).maxPossibleScore;
+
+  const paper = await prisma.$transaction(async (tx) => {
+    const created = await tx.paper.create({
+      data: {
+        name: String(name).trim().substring(0, 100),
+        adminId: admin.id,
+        totalMarks,
+        totalPages: 1,
+        questionType: 'traditional'
+      }
+    });
+
+    for (const { rubric, ...question } of questions) {
+      await tx.question.create({
+        data: {
+          paperId: created.id,
+          ...question,
+          options: question.options ?? Prisma.JsonNull,
+          weightages: question.weightages ?? Prisma.JsonNull,
+          numericAnswer: question.numericAnswer ?? Prisma.JsonNull,
+          ...(rubric && { rubric: { create: { modelAnswer: rubric.modelAnswer ?? null, criteria: rubric.criteria } } })
+        }
+      });
+    }
+
+    return created;
+  });
+
+  console.log(`🏦 Assembled paper ${paper.id} "${paper.name}" from ${ordered.length} bank questions`);
+
+  return { paper, questionCount: ordered.length };
+};
+
+module.exports = {
+  QUESTION_FORMATS,
+  DIFFICULTIES,
+  bankWhere,
+  validateBankQuestion,
+  toBankData,
+  searchBank,
+  listFacets,
+  saveFromPaper,
+  assemblePaper
+};
@@ -0,0 +1,253 @@
+const prisma = require('../src/prisma');
+const { normalizeRollNo } = require('./rosterService');
+const { resultsVisible, hashAccessCode } = require('./studentResultsService');
+const {
+  answerScoringContext,
+  buildOverrideData,
+  applyOverride,
+  recomputeSubmissionScore
+} = require('./submissionService');
+
+const REQUEST_STATUSES = ['open', 'approved', 'rejected'];
+const MAX_COMMENT_LENGTH = 2000;
+
+// Whether a student's details identify a submission: its roll number and the access code issued for it
+const ownsSubmission = (submission, rollNo, accessCode) => (
+  !!submission && !!normalizeRollNo(rollNo) && normalizeRollNo(submission.rollNo) === normalizeRollNo(rollNo) &&
+  !!submission.accessCodeHash && submission.accessCodeHash === hashAccessCode(accessCode)
+);
+
+/**
+ * File a re-evaluation request on behalf of a student. The roll number and access code
+ * must match the submission, so only the student who sat the paper can dispute it.
+ * @param {Object} params - { submissionId, rollNo, accessCode, questionNumbers, comment }
+ * @returns {Object} { request } on success, { error, status } otherwise
+ */
+const fileRequest = async ({ submissionId, rollNo, accessCode, questionNumbers, comment }) => {
+  if (!submissionId || !rollNo || !accessCode) {
+    return { error: 'Submission ID, roll number and access code are required', status: 400 };
+  }
+  if (!comment || !String(comment).trim()) {
+    return { error: 'Please describe why the result should be re-evaluated', status: 400 };
+  }
+  if (!Array.isArray(questionNumbers) || questionNumbers.length === 0) {
+    return { error: 'questionNumbers must be a non-empty array', status: 400 };
+  }
+
+  const submission = await prisma.studentSubmission.findUnique({
+    where: { id: submissionId },
+    include: {
+      answers: { select: { questionNumber: true } },
+      paper: { select: { resultsPublished: true, resultsPublishAt: true } }
+    }
+  });
+
+  // Same message for a wrong id, roll number or access code so ids cannot be probed
+  if (!ownsSubmission(submission, rollNo, accessCode)) {
+    return { error: 'No submission found for these details', status: 404 };
+  }
+
+  if (submission.evaluationStatus !== 'evaluated') {
+    return { error: 'Only evaluated submissions can be re-evaluated', status: 409 };
+  }
+
+  if (!resultsVisible(submission.paper)) {
+    return { error: 'Results for this paper have not been published yet', status: 409 };
+  }
+
+  const numbers = [...new Set(questionNumbers.map(n => parseInt(n)))];
+  const answered = new Set(submission.answers.map(a => a.questionNumber));
+  const unknown = numbers.filter(n => !answered.has(n));
+  if (unknown.length > 0) {
+    return { error: `Unknown question number(s): ${unknown.join(', ')}`, status: 400 };
+  }
+
+  const open = await prisma.reevaluationRequest.findFirst({
+    where: { submissionId, status: 'open' },
+    select: { id: true }
+  });
+  if (open) {
+    return { error: 'A re-evaluation request for this submission is already open', status: 409 };
+  }
+
+  const request = await prisma.reevaluationRequest.create({
+    data: {
+      submissionId,
+      questionNumbers: numbers.sort((a, b) => a - b),
+      comment: String(comment).trim().substring(0, MAX_COMMENT_LENGTH)
+    }
+  });
+
+  console.log(`📨 Re-evaluation request ${request.id} filed for submission ${submissionId} (Q${request.questionNumbers.join(', Q')})`);
+
+  return { request };
+};
+
+/**
+ * A student's view of their re-evaluation request, once the paper's results are published
+ * @param {Object} params - { requestId, rollNo, accessCode }
+ * @returns {Object} { request } on success, { error, status } otherwise
+ */
+const getRequestStatus = async ({ requestId, rollNo, accessCode }) => {
+  if (!requestId || !rollNo || !accessCode) {
+    return { error: 'Request ID, roll number and access code are required', status: 400 };
+  }
+
+  const request = await prisma.reevaluationRequest.findUnique({
+    where: { id: requestId },
+    include: {
+      submission: {
+        select: {
+          rollNo: true,
+          accessCodeHash: true,
+          score: true,
+          percentage: true,
+          paper: { select: { resultsPublished: true, resultsPublishAt: true } }
+        }
+      }
+    }
+  });
+
+  if (!request || !ownsSubmission(request.submission, rollNo, accessCode)) {
+    return { error: 'Re-evaluation request not found', status: 404 };
+  }
+
+  if (!resultsVisible(request.submission.paper)) {
+    return { error: 'Results for this paper have not been published yet', status: 409 };
+  }
+
+  return {
+    request: {
+      id: request.id,
+      submissionId: request.submissionId,
+      questionNumbers: request.questionNumbers,
+      status: request.status,
+      response: request.response,
+      resolvedAt: request.resolvedAt,
+      createdAt: request.createdAt,
+      score: request.submission.score,
+      percentage: request.submission.percentage
+    }
+  };
+};
+
+/**
+ * Approve a request, optionally changing answers. Changes go through the audited
+ * override path and the submission score is recomputed in the same transaction.
+ * @param {number} requestId - Request ID
+ * @param {Object} params - { response, changes: [{ questionNumber, selectedOptions, isCorrect, partialScore }], adminId }
+ * @returns {Object} { request, submission, overrides } on success, { error, status } otherwise
+ */
+const approveRequest = async (requestId, { response, changes = [], adminId }) => {
+  const request = await prisma.reevaluationRequest.findUnique({
+    where: { id: requestId }
+  });
+  if (!request) {
+    return { error: 'Re-evaluation request not found', status: 404 };
+  }
+  if (request.status !== 'open') {
+    return { error: `Request is already ${request.status}`, status: 409 };
+  }
+  if (!Array.isArray(changes)) {
+    return { error: 'changes must be an array', status: 400 };
+  }
+
+  const answers = await prisma.studentAnswer.findMany({
+    where: { submissionId: request.submissionId }
+  });
+
+  // Validate every change before writing any of them
+  const overrides = [];
+  for (const change of changes) {
+    const questionNumber = parseInt(change.questionNumber);
+    if (!request.questionNumbers.includes(questionNumber)) {
+      return { error: `Q${change.questionNumber} is not part of this request`, status: 400 };
+    }
+
+    const answer = answers.find(a => a.questionNumber === questionNumber);
+    if (!answer) {
+      return { error: `No answer stored for Q${questionNumber}`, status: 400 };
+    }
+
+    const context = await answerScoringContext(request.submissionId, questionNumber);
+    const override = buildOverrideData(answer, change, context);
+    if (override.error) {
+      return { error: `Q${questionNumber}: ${override.error}`, status: override.status };
+    }
+    overrides.push({ answer, data: override.data });
+  }
+
+  const reason = `Re-evaluation request #${request.id}${response ? `: ${String(response).trim()}` : ''}`;
+
+  return prisma.$transaction(async (tx) => {
+    // Claim the request first so a concurrent approval cannot apply the overrides twice
+    const claimed = await tx.reevaluationRequest.updateMany({
+      where: { id: request.id, status: 'open' },
+      data: {
+        status: 'approved',
+        response: response ? String(response).trim() : null,
+        resolvedById: adminId,
+        resolvedAt: new Date()
+      }
+    });
+    if (claimed.count === 0) {
+      return { error: 'Request is no longer open', status: 409 };
+    }
+
+    const applied = [];
+    for (const { answer, data } of overrides) {
+      applied.push(await applyOverride(tx, answer, data, { reason, adminId }));
+    }
+
+    const submission = applied.length > 0
+      ? await recomputeSubmissionScore(tx, request.submissionId)
+      : await tx.studentSubmission.findUnique({ where: { id: request.submissionId } });
+
+    const updated = await tx.reevaluationRequest.findUnique({ where: { id: request.id } });
+
+    return {
+      request: updated,
+      submission,
+      overrides: applied.map(a => a.answer)
+    };
+  });
+};
+
+/**
+ * Reject a request with a response for the student
+ * @param {number} requestId - Request ID
+ * @param {Object} params - { response, adminId }
+ * @returns {Object} { request } on success, { error, status } otherwise
+ */
+const rejectRequest = async (requestId, { response, adminId }) => {
+  if (!response || !String(response).trim()) {
+    return { error: 'A response is required when rejecting a request', status: 400 };
+  }
+
+  const result = await prisma.reevaluationRequest.updateMany({
+    where: { id: requestId, status: 'open' },
+    data: {
+      status: 'rejected',
+      response: String(response).trim(),
+      resolvedById: adminId,
+      resolvedAt: new Date()
+    }
+  });
+
+  if (result.count === 0) {
+    const request = await prisma.reevaluationRequest.findUnique({ where: { id: requestId } });
+    return request
+      ? { error: `Request is already ${request.status}`, status: 409 }
+      : { error: 'Re-evaluation request not found', status: 404 };
+  }
+
+  return { request: await prisma.reevaluationRequest.findUnique({ where: { id: requestId } }) };
+};
+
+module.exports = {
+  REQUEST_STATUSES,
+  fileRequest,
+  getRequestStatus,
+  approveRequest,
+  rejectRequest
+};
@@ -0,0 +1,197 @@
+const prisma = require('../src/prisma');
+const { prepareOverride, applyOverride, recomputeSubmissionScore } = require('./submissionService');
+
+// Detections a person should confirm before a score is final
+const REVIEW_CONFIDENCE = ['low', 'none'];
+const REVIEW_MARK_TYPES = ['scribble', 'other'];
+
+// Statuses of submissions whose answers have been scored (reviewed or not)
+const SCORED_STATUSES = ['evaluated', 'needs_review'];
+
+const needsReview = (detection) => (
+  !!detection && (
+    REVIEW_CONFIDENCE.includes(detection.confidence) ||
+    REVIEW_MARK_TYPES.includes(detection.markType)
+  )
+);
+
+/**
+ * Index extracted answers by question number, keeping only the detection metadata.
+ * Accepts every answer shape the extractors produce (question / question_number,
+ * markType / marking_type).
+ * @param {Array} studentAnswers - Extracted answers
+ * @returns {Map<number, Object>} questionNumber -> { confidence, markType }
+ */
+const indexDetections = (studentAnswers) => {
+  const detections = new Map();
+
+  for (const answer of studentAnswers || []) {
+    const questionNumber = parseInt(answer.question_number ?? answer.questionNumber ?? answer.question);
+    if (!questionNumber) {
+      continue;
+    }
+
+    const detection = {
+      confidence: typeof answer.confidence === 'string' ? answer.confidence.toLowerCase() : null,
+      markType: answer.markType || answer.marking_type || answer.mark_type || null
+    };
+
+    // A question detected on several pages is only as certain as its weakest detection
+    const existing = detections.get(questionNumber);
+    if (!existing || needsReview(detection)) {
+      detections.set(questionNumber, detection);
+    }
+  }
+
+  return detections;
+};
+
+/**
+ * Detection fields to store on a StudentAnswer row
+ * @param {Map} detections - Result of indexDetections
+ * @param {number} questionNumber - Question number of the row
+ * @returns {Object} { confidence, markType, needsReview }
+ */
+const detectionFields = (detections, questionNumber) => {
+  const detection = detections.get(questionNumber);
+  return {
+    confidence: detection && detection.confidence ? detection.confidence.substring(0, 10) : null,
+    markType: detection && detection.markType ? String(detection.markType).substring(0, 30) : null,
+    needsReview: needsReview(detection)
+  };
+};
+
+// Evaluation status for a freshly scored submission, given the answer rows about to be stored
+const scoredStatus = (answerRows) => (
+  answerRows.some(row => row.needsReview) ? 'needs_review' : 'evaluated'
+);
+
+// Mark a submission evaluated once none of its answers are still waiting for review.
+// Returns the flags left and the submission's status as stored.
+const finalizeIfReviewed = async (tx, submissionId) => {
+  const remaining = await tx.studentAnswer.count({
+    where: { submissionId, needsReview: true }
+  });
+
+  if (remaining === 0) {
+    await tx.studentSubmission.updateMany({
+      where: { id: submissionId, evaluationStatus: 'needs_review' },
+      data: { evaluationStatus: 'evaluated' }
+    });
+  }
+
+  const { evaluationStatus } = await tx.studentSubmission.findUnique({
+    where: { id: submissionId },
+    select: { evaluationStatus: true }
+  });
+
+  return { remaining, evaluationStatus };
+};
+
+/**
+ * Submissions of a paper waiting for review, with their flagged answers
+ * @param {number} paperId - Paper ID
+ * @returns {Array} Submissions with a `flaggedAnswers` list
+ */
+const listReviewQueue = async (paperId) => {
+  const submissions = await prisma.studentSubmission.findMany({
+    where: { paperId, evaluationStatus: 'needs_review' },
+    select: {
+      id: true,
+      rollNo: true,
+      studentName: true,
+      imageUrl: true,
+      score: true,
+      percentage: true,
+      submittedAt: true,
+      answers: {
+        where: { needsReview: true },
+        orderBy: { questionNumber: 'asc' }
+      }
+    },
+    orderBy: { submittedAt: 'asc' }
+  });
+
+  return submissions.map(({ answers, ...submission }) => ({
+    ...submission,
+    flaggedAnswers: answers
+  }));
+};
+
+/**
+ * Accept the detected value of a flagged answer as-is
+ * @param {number} submissionId - Submission ID
+ * @param {number} answerId - Answer ID
+ * @returns {Object} { remaining, evaluationStatus } on success, { error, status } otherwise
+ */
+const acceptAnswer = async (submissionId, answerId) => {
+  const answer = await prisma.studentAnswer.findFirst({
+    where: { id: answerId, submissionId }
+  });
+  if (!answer) {
+    return { error: 'Answer not found', status: 404 };
+  }
+  if (!answer.needsReview) {
+    return { error: 'This answer is not waiting for review', status: 409 };
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.studentAnswer.update({
+      where: { id: answerId },
+      data: { needsReview: false }
+    });
+    return finalizeIfReviewed(tx, submissionId);
+  });
+};
+
+/**
+ * Accept every flagged answer of a submission
+ * @param {number} submissionId - Submission ID
+ * @returns {Object} { accepted, evaluationStatus }
+ */
+const acceptAll = async (submissionId) => prisma.$transaction(async (tx) => {
+  const result = await tx.studentAnswer.updateMany({
+    where: { submissionId, needsReview: true },
+    data: { needsReview: false }
+  });
+  const { evaluationStatus } = await finalizeIfReviewed(tx, submissionId);
+  return { accepted: result.count, evaluationStatus };
+});
+
+/**
+ * Correct a flagged answer. Goes through the audited override path and clears the
+ * review flag in the same transaction.
+ * @param {Object} params - Same as submissionService.overrideAnswer
+ * @returns {Object} Override result plus { remaining, evaluationStatus }, or { error, status }
+ */
+const correctAnswer = async (params) => {
+  const prepared = await prepareOverride(params);
+  if (prepared.error) {
+    return prepared;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const result = await applyOverride(tx, prepared.answer, { ...prepared.data, needsReview: false }, params);
+    const submission = await recomputeSubmissionScore(tx, params.submissionId);
+    const { remaining, evaluationStatus } = await finalizeIfReviewed(tx, params.submissionId);
+
+    return {
+      ...result,
+      submission: { ...submission, evaluationStatus },
+      remaining,
+      evaluationStatus
+    };
+  });
+};
+
+module.exports = {
+  SCORED_STATUSES,
+  needsReview,
+  indexDetections,
+  detectionFields,
+  scoredStatus,
+  listReviewQueue,
+  acceptAnswer,
+  acceptAll,
+  correctAnswer
+};
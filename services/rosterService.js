@@ -0,0 +1,315 @@
+const xlsx = require('xlsx');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../src/prisma');
+const fillBlanksService = require('./fillBlanksService');
+
+const MAX_SUGGESTIONS = 3;
+const MAX_SUGGESTION_DISTANCE = parseInt(process.env.ROLL_NO_MAX_SUGGESTION_DISTANCE) || 2;
+
+// Header names accepted for each roster column (compared lowercase, without spaces or punctuation)
+const ROSTER_COLUMNS = {
+  rollNo: ['rollno', 'rollnumber', 'roll', 'registerno', 'registernumber', 'regno', 'studentid', 'id'],
+  name: ['name', 'studentname', 'fullname', 'student'],
+  email: ['email', 'emailaddress', 'mail']
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Normalize a roll number for comparison (case, whitespace and separators are ignored)
+ * @param {string} rollNo - Roll number as extracted or typed
+ * @returns {string} Normalized roll number, or '' when missing/unknown
+ */
+const normalizeRollNo = (rollNo) => {
+  if (rollNo === null || rollNo === undefined) {
+    return '';
+  }
+  const normalized = String(rollNo).toUpperCase().replace(/[\s\-_./]/g, '');
+  return normalized === 'UNKNOWN' ? '' : normalized;
+};
+
+/**
+ * Parse a CSV or XLSX roster. The first sheet is read and columns are matched by header name.
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Object} { students: [{ rollNo, name, email }], errors: [string] }
+ */
+const parseRosterFile = (buffer) => {
+  const workbook = xlsx.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    return { students: [], errors: ['Roster file has no sheets'] };
+  }
+
+  const rows = xlsx.utils.sheet_to_json(sheet, { defval: '', raw: false });
+  if (rows.length === 0) {
+    return { students: [], errors: ['Roster file has no rows'] };
+  }
+
+  // Map our fields onto the file's headers
+  const columns = {};
+  for (const header of Object.keys(rows[0])) {
+    const key = normalizeHeader(header);
+    for (const [field, aliases] of Object.entries(ROSTER_COLUMNS)) {
+      if (!columns[field] && aliases.includes(key)) {
+        columns[field] = header;
+      }
+    }
+  }
+
+  if (!columns.rollNo || !columns.name) {
+    return { students: [], errors: ['Roster must have a roll number column and a name column'] };
+  }
+
+  const students = [];
+  const errors = [];
+  const seen = new Set();
+
+  rows.forEach((row, index) => {
+    const line = index + 2; // header is row 1
+    const rollNo = String(row[columns.rollNo]).trim();
+    const name = String(row[columns.name]).trim();
+    const email = columns.email ? String(row[columns.email]).trim() : '';
+
+    if (!rollNo && !name) {
+      return;
+    }
+    if (!rollNo || !name) {
+      errors.push(`Row ${line}: roll number and name are required`);
+      return;
+    }
+    if (rollNo.length > 20) {
+      errors.push(`Row ${line}: roll number '${rollNo}' is longer than 20 characters`);
+      return;
+    }
+
+    const key = normalizeRollNo(rollNo);
+    if (seen.has(key)) {
+      errors.push(`Row ${line}: duplicate roll number '${rollNo}'`);
+      return;
+    }
+    seen.add(key);
+
+    students.push({
+      rollNo,
+      name: name.substring(0, 100),
+      email: email || null
+    });
+  });
+
+  return { students, errors };
+};
+
+/**
+ * All students on the rosters of the classes a paper is assigned to
+ * @param {number} paperId - Paper ID
+ * @returns {Array} Students with their classroom
+ */
+const getPaperRoster = async (paperId) => prisma.student.findMany({
+  where: { classroom: { papers: { some: { paperId } } } },
+  include: { classroom: { select: { id: true, name: true, section: true } } },
+  orderBy: { rollNo: 'asc' }
+});
+
+/**
+ * Validate a roll number against the roster of a paper
+ * @param {number} paperId - Paper ID
+ * @param {string} rollNo - Roll number on the submission
+ * @param {number} submissionId - Submission being validated (ignored in duplicate checks)
+ * @returns {Object} { status, studentId, suggestions }
+ */
+const validateRollNo = async (paperId, rollNo, submissionId = null) => {
+  const roster = await getPaperRoster(paperId);
+
+  // Papers without an assigned class have nothing to validate against
+  if (roster.length === 0) {
+    return { status: 'unverified', studentId: null, suggestions: null };
+  }
+
+  const target = normalizeRollNo(rollNo);
+  const student = target ? roster.find(s => normalizeRollNo(s.rollNo) === target) : null;
+
+  if (student) {
+    const duplicate = await prisma.studentSubmission.findFirst({
+      where: {
+        paperId,
+        studentId: student.id,
+        ...(submissionId && { id: { not: submissionId } })
+      },
+      select: { id: true }
+    });
+
+    return {
+      status: duplicate ? 'duplicate' : 'matched',
+      studentId: student.id,
+      suggestions: duplicate ? [{ studentId: student.id, rollNo: student.rollNo, name: student.name, duplicateOf: duplicate.id }] : null
+    };
+  }
+
+  if (!target) {
+    return { status: 'unknown', studentId: null, suggestions: null };
+  }
+
+  const suggestions = roster
+    .map(s => ({
+      studentId: s.id,
+      rollNo: s.rollNo,
+      name: s.name,
+      distance: fillBlanksService.levenshteinDistance(target, normalizeRollNo(s.rollNo))
+    }))
+    .filter(s => s.distance <= MAX_SUGGESTION_DISTANCE)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_SUGGESTIONS);
+
+  return {
+    status: suggestions.length > 0 ? 'suggested' : 'unknown',
+    studentId: null,
+    suggestions: suggestions.length > 0 ? suggestions : null
+  };
+};
+
+/**
+ * Validate a stored submission's roll number and save the result on it.
+ * Never throws - roster validation must not fail an evaluation.
+ * @param {number} submissionId - Submission ID
+ * @returns {Object|null} Validation result, or null if it could not run
+ */
+const applyRollNoValidation = async (submissionId) => {
+  try {
+    const submission = await prisma.studentSubmission.findUnique({
+      where: { id: submissionId },
+      select: { id: true, paperId: true, rollNo: true }
+    });
+    if (!submission) {
+      return null;
+    }
+
+    const result = await validateRollNo(submission.paperId, submission.rollNo, submission.id);
+
+    await prisma.studentSubmission.update({
+      where: { id: submission.id },
+      data: {
+        studentId: result.studentId,
+        rollNoStatus: result.status,
+        rollNoSuggestions: result.suggestions || Prisma.JsonNull
+      }
+    });
+
+    if (result.status !== 'matched' && result.status !== 'unverified') {
+      console.log(`🧾 Submission ${submission.id} roll number '${submission.rollNo}' flagged as ${result.status}`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error(`⚠️ Roll number validation failed for submission ${submissionId}:`, error.message);
+    return null;
+  }
+};
+
+// Order used to pick the submission that represents a student when they have several
+const SUBMISSION_PRIORITY = ['evaluated', 'pending'];
+
+const reportStatus = (submission) => {
+  if (!submission) {
+    return 'missing';
+  }
+  return SUBMISSION_PRIORITY.includes(submission.evaluationStatus) ? submission.evaluationStatus : 'submitted';
+};
+
+const submissionRank = (submission) => {
+  const index = SUBMISSION_PRIORITY.indexOf(submission.evaluationStatus);
+  return index === -1 ? SUBMISSION_PRIORITY.length : index;
+};
+
+/**
+ * Reconcile a paper's submissions against the roster of its assigned classes.
+ * Submissions are matched by linked student first, then by roll number.
+ * @param {number} paperId - Paper ID
+ * @returns {Object} { rosterSize, counts, students, unmatchedSubmissions }
+ */
+const buildRosterReport = async (paperId) => {
+  const [roster, submissions] = await Promise.all([
+    getPaperRoster(paperId),
+    prisma.studentSubmission.findMany({
+      where: { paperId },
+      select: {
+        id: true,
+        studentId: true,
+        studentName: true,
+        rollNo: true,
+        rollNoStatus: true,
+        score: true,
+        totalQuestions: true,
+        percentage: true,
+        evaluationStatus: true,
+        submittedAt: true,
+        isLate: true
+      },
+      orderBy: { submittedAt: 'desc' }
+    })
+  ]);
+
+  const byStudent = new Map();
+  const claimed = new Set();
+
+  for (const student of roster) {
+    const key = normalizeRollNo(student.rollNo);
+    const candidates = submissions.filter(s =>
+      s.studentId === student.id || (s.studentId === null && key && normalizeRollNo(s.rollNo) === key)
+    );
+    candidates.forEach(s => claimed.add(s.id));
+
+    // Prefer an evaluated sheet, then the most recent one
+    const best = candidates.sort((a, b) => submissionRank(a) - submissionRank(b))[0] || null;
+    byStudent.set(student.id, { best, count: candidates.length });
+  }
+
+  const counts = { evaluated: 0, pending: 0, submitted: 0, missing: 0 };
+
+  const students = roster.map(student => {
+    const { best, count } = byStudent.get(student.id);
+    const status = reportStatus(best);
+    counts[status]++;
+
+    return {
+      studentId: student.id,
+      rollNo: student.rollNo,
+      name: student.name,
+      classroom: student.classroom,
+      status,
+      submissionCount: count,
+      submissionId: best ? best.id : null,
+      submittedAt: best ? best.submittedAt : null,
+      isLate: best ? best.isLate : false,
+      score: best && status === 'evaluated' ? best.score : null,
+      percentage: best && status === 'evaluated' ? best.percentage : null
+    };
+  });
+
+  const unmatchedSubmissions = submissions
+    .filter(s => !claimed.has(s.id))
+    .map(s => ({
+      submissionId: s.id,
+      rollNo: s.rollNo,
+      studentName: s.studentName,
+      rollNoStatus: s.rollNoStatus,
+      evaluationStatus: s.evaluationStatus,
+      submittedAt: s.submittedAt,
+      isLate: s.isLate
+    }));
+
+  return {
+    rosterSize: roster.length,
+    counts,
+    students,
+    unmatchedSubmissions
+  };
+};
+
+module.exports = {
+  normalizeRollNo,
+  parseRosterFile,
+  getPaperRoster,
+  validateRollNo,
+  applyRollNoValidation,
+  buildRosterReport
+};
@@ -0,0 +1,284 @@
+const prisma = require('../src/prisma');
+const MinIOService = require('./minioService');
+const { getVisionProvider } = require('./visionProvider');
+const { recomputeSubmissionScore } = require('./submissionService');
+const { SCORED_STATUSES } = require('./reviewService');
+
+// Descriptive (text) questions are graded against a rubric: the answer is transcribed
+// from the sheet, the vision provider scores each criterion with a justification, and
+// the answer is held in the review queue until a teacher accepts or corrects it.
+
+const minioService = new MinIOService();
+
+const MAX_CRITERIA = 20;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate a rubric from a request body
+ * @param {Object} rubric - { modelAnswer, criteria: [{ id, description, points, keywords }] }
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateRubric = ({ modelAnswer, criteria }) => {
+  const errors = [];
+
+  if (modelAnswer !== undefined && modelAnswer !== null && typeof modelAnswer !== 'string') {
+    errors.push('modelAnswer must be a string');
+  }
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return [...errors, 'criteria must be a non-empty array'];
+  }
+  if (criteria.length > MAX_CRITERIA) {
+    errors.push(`A rubric can have at most ${MAX_CRITERIA} criteria`);
+  }
+
+  const ids = new Set();
+  criteria.forEach((criterion, index) => {
+    const label = `criteria[${index}]`;
+    if (!criterion || typeof criterion !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!criterion.description || !String(criterion.description).trim()) {
+      errors.push(`${label}.description is required`);
+    }
+    if (typeof criterion.points !== 'number' || !Number.isFinite(criterion.points) || criterion.points <= 0) {
+      errors.push(`${label}.points must be a positive number`);
+    }
+    if (criterion.keywords !== undefined && (!Array.isArray(criterion.keywords) || criterion.keywords.some(k => typeof k !== 'string'))) {
+      errors.push(`${label}.keywords must be an array of strings`);
+    }
+
+    const id = String(criterion.id ?? `c${index + 1}`);
+    if (ids.has(id)) {
+      errors.push(`${label}.id "${id}" is used more than once`);
+    }
+    ids.add(id);
+  });
+
+  return errors;
+};
+
+// Criteria as stored: every criterion gets an id so grading results can refer to it
+const normalizeCriteria = (criteria) => criteria.map((criterion, index) => ({
+  id: String(criterion.id ?? `c${index + 1}`),
+  description: String(criterion.description).trim(),
+  points: criterion.points,
+  keywords: (criterion.keywords || []).map(k => k.trim()).filter(k => k)
+}));
+
+// Marks available under a rubric
+const rubricMaxPoints = (rubric) => round2(
+  (rubric.criteria || []).reduce((sum, criterion) => sum + Number(criterion.points || 0), 0)
+);
+
+/**
+ * Create or replace the rubric of a text question
+ * @param {Object} question - Question record
+ * @param {Object} body - { modelAnswer, criteria }
+ * @returns {Object} { rubric } on success, { error, status } otherwise
+ */
+const saveRubric = async (question, { modelAnswer, criteria }) => {
+  if (question.questionFormat !== 'text') {
+    return { error: 'Rubrics can only be set on text questions', status: 400 };
+  }
+
+  const errors = validateRubric({ modelAnswer, criteria });
+  if (errors.length > 0) {
+    return { error: errors.join('; '), status: 400 };
+  }
+
+  const data = {
+    modelAnswer: modelAnswer ? modelAnswer.trim() : null,
+    criteria: normalizeCriteria(criteria)
+  };
+
+  const rubric = await prisma.questionRubric.upsert({
+    where: { questionId: question.id },
+    create: { questionId: question.id, ...data },
+    update: data
+  });
+
+  return { rubric: { ...rubric, maxPoints: rubricMaxPoints(rubric) } };
+};
+
+/**
+ * Combine the provider's per-criterion marks with the rubric. Marks are clamped to each
+ * criterion's points and criteria the provider skipped score zero.
+ * @param {Array} criteria - Rubric criteria
+ * @param {Array} awarded - Provider result [{ id, points, justification }]
+ * @returns {Array} [{ id, description, points, maxPoints, justification }]
+ */
+const scoreCriteria = (criteria, awarded) => {
+  const byId = new Map((Array.isArray(awarded) ? awarded : []).map(a => [String(a.id), a]));
+
+  return criteria.map(criterion => {
+    const mark = byId.get(criterion.id);
+    const points = mark ? Math.min(criterion.points, Math.max(0, Number(mark.points) || 0)) : 0;
+    return {
+      id: criterion.id,
+      description: criterion.description,
+      points: round2(points),
+      maxPoints: criterion.points,
+      justification: mark && mark.justification ? String(mark.justification).trim() : 'Not assessed'
+    };
+  });
+};
+
+// Readable justification stored on StudentAnswer.details, one line per criterion
+const formatJustification = (scores) => scores
+  .map(s => `${s.description} (${s.points}/${s.maxPoints}): ${s.justification}`)
+  .join('\n');
+
+/**
+ * Transcribe and grade one question's answer
+ * @param {Object} question - Question with rubric
+ * @param {Function} loadPage - Page number -> { buffer, mimeType }
+ * @returns {Object} StudentAnswer update data
+ */
+const gradeAnswer = async (question, loadPage) => {
+  const provider = getVisionProvider();
+  const { rubric } = question;
+  const maxPoints = rubricMaxPoints(rubric);
+  const context = { number: question.questionNumber, text: question.questionText };
+
+  const base = {
+    answerType: 'text',
+    maxPoints,
+    markType: 'rubric',
+    // AI-graded text answers always wait for a teacher to confirm them
+    needsReview: true
+  };
+
+  try {
+    const page = await loadPage(question.pageNumber);
+    const transcription = await provider.transcribeAnswer(page.buffer, context, page.mimeType);
+    const text = String(transcription.text || '').trim();
+    const confidence = typeof transcription.confidence === 'string' ? transcription.confidence.toLowerCase().substring(0, 10) : null;
+
+    if (!text) {
+      return {
+        ...base,
+        textAnswer: null,
+        partialScore: 0,
+        isCorrect: false,
+        confidence,
+        details: 'No answer written',
+        rubricScores: scoreCriteria(rubric.criteria, [])
+      };
+    }
+
+    const grading = await provider.gradeWithRubric(context, rubric, text);
+    const scores = scoreCriteria(rubric.criteria, grading.criteria);
+    const partialScore = round2(scores.reduce((sum, s) => sum + s.points, 0));
+
+    console.log(`📝 Q${question.questionNumber} graded against rubric: ${partialScore}/${maxPoints}`);
+
+    return {
+      ...base,
+      textAnswer: text,
+      partialScore,
+      isCorrect: partialScore >= maxPoints,
+      confidence,
+      details: formatJustification(scores),
+      rubricScores: scores
+    };
+  } catch (error) {
+    console.error(`❌ Rubric grading failed for Q${question.questionNumber}:`, error.message);
+    return {
+      ...base,
+      partialScore: 0,
+      isCorrect: false,
+      confidence: null,
+      details: `Rubric grading failed: ${error.message}`,
+      rubricScores: []
+    };
+  }
+};
+
+/**
+ * Grade the rubric questions of a scored submission from its stored pages, then
+ * recompute the score. The submission is held for review until a teacher confirms
+ * the graded answers through the review queue.
+ * @param {number} submissionId - Submission ID
+ * @returns {Object|null} { graded, score, percentage, evaluationStatus }, or null when the paper has no rubric questions
+ */
+const gradeSubmission = async (submissionId) => {
+  const submission = await prisma.studentSubmission.findUnique({
+    where: { id: submissionId },
+    select: {
+      imageUrl: true,
+      paper: {
+        select: {
+          questions: {
+            where: { questionFormat: 'text', rubric: { isNot: null } },
+            include: { rubric: true },
+            orderBy: { questionNumber: 'asc' }
+          }
+        }
+      }
+    }
+  });
+
+  if (!submission || submission.paper.questions.length === 0) {
+    return null;
+  }
+
+  const objectNames = (submission.imageUrl || '').split(',').map(url => url.trim()).filter(url => url);
+  const pages = new Map();
+
+  const loadPage = async (pageNumber) => {
+    // A single upload (usually a PDF) holds every page; otherwise there is one image per page
+    const objectName = objectNames.length === 1 ? objectNames[0] : objectNames[pageNumber - 1];
+    if (!objectName) {
+      throw new Error(`No page ${pageNumber} stored for this submission`);
+    }
+    if (!pages.has(objectName)) {
+      const buffer = await minioService.downloadImage(objectName);
+      const isPdf = objectName.endsWith('.pdf') || buffer.slice(0, 4).toString() === '%PDF';
+      pages.set(objectName, { buffer, mimeType: isPdf ? 'application/pdf' : 'image/jpeg' });
+    }
+    return pages.get(objectName);
+  };
+
+  const graded = [];
+  for (const question of submission.paper.questions) {
+    graded.push({ questionNumber: question.questionNumber, data: await gradeAnswer(question, loadPage) });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    for (const { questionNumber, data } of graded) {
+      const result = await tx.studentAnswer.updateMany({
+        where: { submissionId, questionNumber },
+        data
+      });
+      if (result.count === 0) {
+        await tx.studentAnswer.create({
+          data: { submissionId, questionNumber, ...data }
+        });
+      }
+    }
+
+    await tx.studentSubmission.updateMany({
+      where: { id: submissionId, evaluationStatus: { in: SCORED_STATUSES } },
+      data: { evaluationStatus: 'needs_review' }
+    });
+
+    const updated = await recomputeSubmissionScore(tx, submissionId);
+
+    return {
+      graded: graded.length,
+      score: Number(updated.score),
+      percentage: Number(updated.percentage),
+      evaluationStatus: updated.evaluationStatus
+    };
+  });
+};
+
+module.exports = {
+  validateRubric,
+  normalizeCriteria,
+  rubricMaxPoints,
+  saveRubric,
+  gradeSubmission
+};
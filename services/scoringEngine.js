@@ -0,0 +1,363 @@
+const fillBlanksService = require('./fillBlanksService');
+const { evaluateNumericAnswer } = require('./numericAnswer');
+const { resolvePolicy, scoreWithPolicy, applyPaperFloor } = require('./scoringPolicy');
+
+// The one place answers are scored. Every evaluation path (evaluate, evaluate-pending and
+// the job queue behind batch-evaluate) goes through scoreAnswers, so a sheet gets the same
+// score whichever endpoint graded it.
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normalizeOption = (value) => String(value).trim().toLowerCase();
+
+// Option key (A, B, ...) matching a value case-insensitively, if the value is a label
+const optionLabel = (value, options) => {
+  if (!options || typeof options !== 'object') {
+    return null;
+  }
+  const wanted = normalizeOption(value);
+  return Object.keys(options).find(key => normalizeOption(key) === wanted) || null;
+};
+
+// Comparable form of an option. Labels resolve to their text, so "A" and the text of
+// option A match whichever form the key and the answer sheet use.
+const optionKey = (value, options) => {
+  const label = optionLabel(value, options);
+  return normalizeOption(label && options[label] ? options[label] : value);
+};
+
+/**
+ * Read a question in any of the field namings used across the codebase
+ * (Prisma rows, API payloads, OMR question lists)
+ * @param {Object} question - Question
+ * @returns {Object} Normalised question
+ */
+const readQuestion = (question) => {
+  const correctOptions = question.correctOptions || question.correct_options ||
+    (question.correct_option ? [question.correct_option] : []);
+  const blankPositions = question.blankPositions || question.blank_positions;
+
+  return {
+    questionNumber: parseInt(question.questionNumber ?? question.question_number),
+    format: question.questionFormat || question.question_format || 'multiple_choice',
+    correctOptions: Array.isArray(correctOptions) ? correctOptions.map(String) : [],
+    options: question.options || {},
+    weightages: question.weightages || {},
+    maxPoints: Number(question.pointsPerBlank || question.points_per_blank || question.max_points) || 1,
+    blankPositions: Array.isArray(blankPositions) ? blankPositions : [],
+    scoringPolicy: question.scoringPolicy ?? question.scoring_policy ?? null,
+    numericAnswer: question.numericAnswer ?? question.numeric_answer ?? null,
+    rubric: question.rubric || null
+  };
+};
+
+const answerQuestionNumber = (answer) => parseInt(answer.question_number ?? answer.questionNumber ?? answer.question);
+
+// Selected options of an extracted answer, whichever extractor produced it
+const readSelections = (answer) => {
+  let selections = answer.selected_options || answer.selectedOptions;
+  if (!Array.isArray(selections)) {
+    const single = answer.selected_option || answer.selectedOption;
+    selections = single ? [single] : [];
+  }
+  return selections
+    .filter(option => option !== null && option !== undefined && String(option).trim())
+    .map(option => String(option).trim());
+};
+
+// Written answer of an extracted answer; extractors that only report marks give it as the selected option
+const readAnswerText = (answer) => {
+  const text = answer.textAnswer ?? answer.text_answer ?? answer.answer ?? answer.text;
+  return text !== null && text !== undefined ? String(text).trim() : (readSelections(answer)[0] || '');
+};
+
+/**
+ * Score a multiple-choice question. Any wrong option scores zero; otherwise weighted
+ * questions earn the weights of the options chosen and unweighted ones a share of
+ * the points for each correct option chosen.
+ * @param {Object} question - Result of readQuestion
+ * @param {Object|undefined} answer - Extracted answer for the question
+ * @returns {Object} Question result
+ */
+const scoreChoiceQuestion = (question, answer) => {
+  const { options, maxPoints } = question;
+  const correct = new Set(question.correctOptions.map(o => optionKey(o, options)));
+
+  // Record the marks as the sheet shows them (labels upper-cased), once each
+  const chosen = new Map();
+  for (const selection of answer ? readSelections(answer) : []) {
+    const key = optionKey(selection, options);
+    if (!chosen.has(key)) {
+      const label = optionLabel(selection, options);
+      chosen.set(key, label || selection);
+    }
+  }
+
+  const selectedOptions = [...chosen.values()];
+  const right = [...chosen.entries()].filter(([key]) => correct.has(key));
+  const wrong = [...chosen.entries()].filter(([key]) => !correct.has(key));
+  const weights = new Map(Object.entries(question.weightages).map(([option, weight]) => [optionKey(option, options), Number(weight) || 0]));
+
+  // Without a key nothing can be marked right or wrong: the marks are kept, the question
+  // scores nothing and is left out of the paper's maximum
+  if (correct.size === 0) {
+    return {
+      questionNumber: question.questionNumber,
+      answerType: 'mcq',
+      selectedOptions,
+      selectedOption: selectedOptions[0] || null,
+      studentOption: selectedOptions.join(','),
+      correctOptions: [],
+      correctOption: '',
+      isCorrect: false,
+      partialScore: 0,
+      maxPoints: 0,
+      wrongOptionCount: 0,
+      weightageBreakdown: [],
+      blankAnswers: null,
+      textAnswer: null,
+      details: 'No correct answer defined; not scored'
+    };
+  }
+
+  let partialScore = 0;
+  let isCorrect = false;
+  let weightageBreakdown = [];
+  let details;
+
+  if (selectedOptions.length === 0) {
+    details = 'No options selected';
+  } else if (wrong.length > 0) {
+    details = `Wrong option(s) selected: ${wrong.map(([, shown]) => shown).join(', ')}. No partial marking.`;
+  } else {
+    if (weights.size > 0) {
+      weightageBreakdown = right.map(([key, shown]) => ({ option: shown, weight: weights.get(key) || 0 }));
+      partialScore = round2(weightageBreakdown.reduce((sum, b) => sum + b.weight, 0));
+    } else {
+      partialScore = round2((right.length / correct.size) * maxPoints);
+    }
+    isCorrect = right.length === correct.size && partialScore >= maxPoints;
+    details = right.length === correct.size
+      ? `All correct options selected. Score: ${partialScore}/${maxPoints}`
+      : `Partial correct options: ${right.map(([, shown]) => shown).join(', ')}. Score: ${partialScore}/${maxPoints}`;
+  }
+
+  return {
+    questionNumber: question.questionNumber,
+    answerType: 'mcq',
+    selectedOptions,
+    selectedOption: selectedOptions[0] || null,
+    studentOption: selectedOptions.join(','),
+    correctOptions: question.correctOptions,
+    correctOption: question.correctOptions.join(','),
+    isCorrect,
+    partialScore,
+    maxPoints,
+    wrongOptionCount: wrong.length,
+    weightageBreakdown,
+    blankAnswers: null,
+    textAnswer: null,
+    details
+  };
+};
+
+/**
+ * Score a fill-in-the-blanks question blank by blank
+ * @param {Object} question - Result of readQuestion
+ * @param {Object|undefined} answer - Extracted answer ({ blankAnswers: [{ position, answer }] })
+ * @returns {Object} Question result
+ */
+const scoreBlanksQuestion = (question, answer) => {
+  const studentBlanks = (answer && Array.isArray(answer.blankAnswers)) ? answer.blankAnswers : [];
+
+  const blankAnswers = question.blankPositions.map(blank => {
+    const studentBlank = studentBlanks.find(b => b.position === blank.position);
+    const studentAnswer = studentBlank && studentBlank.answer ? String(studentBlank.answer).trim() : '';
+    const points = blank.points || 1;
+    const match = blank.matchType === 'numeric'
+      ? evaluateNumericAnswer(studentAnswer, blank.numeric || {}, points)
+      : fillBlanksService.evaluateBlankAnswer(studentAnswer, blank.expectedAnswers || [], blank.matchType || 'fuzzy', points);
+
+    return {
+      position: blank.position,
+      studentAnswer,
+      isCorrect: match.isCorrect,
+      score: match.score,
+      maxPoints: points
+    };
+  });
+
+  const partialScore = round2(blankAnswers.reduce((sum, b) => sum + b.score, 0));
+  const maxPoints = blankAnswers.reduce((sum, b) => sum + b.maxPoints, 0) || question.maxPoints;
+  const filled = blankAnswers.filter(b => b.studentAnswer);
+
+  return {
+    questionNumber: question.questionNumber,
+    answerType: 'fill_blanks',
+    selectedOptions: [],
+    selectedOption: null,
+    studentOption: '',
+    correctOptions: [],
+    correctOption: '',
+    isCorrect: blankAnswers.length > 0 && blankAnswers.every(b => b.isCorrect),
+    partialScore,
+    maxPoints,
+    wrongOptionCount: 0,
+    weightageBreakdown: [],
+    blankAnswers,
+    textAnswer: filled.length > 0 ? filled.map(b => b.studentAnswer).join(' | ') : null,
+    details: `${blankAnswers.filter(b => b.isCorrect).length}/${blankAnswers.length} blanks correct. Score: ${partialScore}/${maxPoints}`
+  };
+};
+
+/**
+ * Score a numeric question: the written value is parsed, converted to the expected
+ * unit and compared within the question's tolerance
+ * @param {Object} question - Result of readQuestion
+ * @param {Object|undefined} answer - Extracted answer for the question
+ * @returns {Object} Question result
+ */
+const scoreNumericQuestion = (question, answer) => {
+  const text = answer ? readAnswerText(answer) : '';
+  const match = evaluateNumericAnswer(text, question.numericAnswer, question.maxPoints);
+
+  return {
+    questionNumber: question.questionNumber,
+    answerType: 'numeric',
+    selectedOptions: [],
+    selectedOption: null,
+    studentOption: text,
+    correctOptions: question.correctOptions,
+    correctOption: question.correctOptions.join(','),
+    isCorrect: match.isCorrect,
+    partialScore: match.score,
+    maxPoints: question.maxPoints,
+    wrongOptionCount: 0,
+    weightageBreakdown: [],
+    blankAnswers: null,
+    textAnswer: text || null,
+    details: match.details
+  };
+};
+
+/**
+ * Placeholder for a text question graded against a rubric. The answer is transcribed and
+ * graded after the sheet is stored (see rubricService.gradeSubmission), so it starts at zero.
+ * @param {Object} question - Result of readQuestion
+ * @returns {Object} Question result
+ */
+const pendingRubricResult = (question) => {
+  const maxPoints = round2(question.rubric.criteria.reduce((sum, c) => sum + Number(c.points || 0), 0));
+
+  return {
+    questionNumber: question.questionNumber,
+    answerType: 'text',
+    selectedOptions: [],
+    selectedOption: null,
+    studentOption: '',
+    correctOptions: [],
+    correctOption: '',
+    isCorrect: false,
+    partialScore: 0,
+    maxPoints,
+    wrongOptionCount: 0,
+    weightageBreakdown: [],
+    blankAnswers: null,
+    textAnswer: null,
+    details: 'Waiting for rubric grading'
+  };
+};
+
+/**
+ * Score a sheet's extracted answers against a paper's questions
+ * @param {Array} questions - Questions of the paper (with their rubric, if any)
+ * @param {Array} studentAnswers - Extracted answers from any extractor
+ * @param {Object} options - { scoringPolicy } the paper's scoring policy, if any
+ * @returns {Object} { score, maxPossibleScore, totalQuestions, percentage, evaluationMethod, answerTypes, results, answerResults }
+ */
+const scoreAnswers = (questions, studentAnswers, { scoringPolicy = null } = {}) => {
+  // A question answered on more than one page keeps its last reading
+  const answersByQuestion = new Map();
+  for (const answer of studentAnswers || []) {
+    answersByQuestion.set(answerQuestionNumber(answer), answer);
+  }
+
+  const normalized = questions.map(readQuestion);
+
+  const results = normalized.map(question => {
+    const answer = answersByQuestion.get(question.questionNumber);
+    if (question.format === 'fill_blanks' && question.blankPositions.length > 0) {
+      return scoreBlanksQuestion(question, answer);
+    }
+    if (question.format === 'numeric' && question.numericAnswer) {
+      return scoreNumericQuestion(question, answer);
+    }
+    if (question.format === 'text' && question.rubric) {
+      return pendingRubricResult(question);
+    }
+
+    const result = scoreChoiceQuestion(question, answer);
+    const policy = resolvePolicy(scoringPolicy, question.scoringPolicy);
+    if (!policy || result.correctOptions.length === 0) {
+      return result;
+    }
+
+    const scored = scoreWithPolicy(result, policy);
+    return {
+      ...result,
+      ...scored,
+      details: `${result.details} Policy score: ${scored.partialScore}/${scored.maxPoints}`
+    };
+  });
+
+  const answerTypes = {};
+  for (const result of results) {
+    answerTypes[result.answerType] = (answerTypes[result.answerType] || 0) + 1;
+  }
+
+  const total = results.reduce((sum, r) => sum + r.partialScore, 0);
+  const score = round2(applyPaperFloor(total, scoringPolicy));
+  const maxPossibleScore = round2(results.reduce((sum, r) => sum + r.maxPoints, 0));
+
+  return {
+    score,
+    maxPossibleScore,
+    totalQuestions: questions.length,
+    percentage: maxPossibleScore > 0 ? round2((score / maxPossibleScore) * 100) : 0,
+    evaluationMethod: normalized.some(q => Object.keys(q.weightages).length > 0) ? 'weightage_based' : 'traditional',
+    answerTypes,
+    results,
+    answerResults: results
+  };
+};
+
+/**
+ * StudentAnswer fields for a question result, so every path stores answers the same way
+ * @param {Object} result - Question result from scoreAnswers
+ * @returns {Object} StudentAnswer data without submissionId or detection fields
+ */
+const answerRecord = (result) => ({
+  questionNumber: result.questionNumber,
+  // The column holds a label; answers given as option text keep their first characters
+  selectedOption: result.selectedOption ? result.selectedOption.substring(0, 10) : null,
+  selectedOptions: result.selectedOptions,
+  isCorrect: result.isCorrect,
+  textAnswer: result.textAnswer,
+  blankAnswers: result.blankAnswers || {},
+  answerType: result.answerType,
+  partialScore: result.partialScore,
+  maxPoints: result.maxPoints,
+  details: result.details,
+  weightageBreakdown: result.weightageBreakdown
+});
+
+module.exports = {
+  optionKey,
+  readQuestion,
+  readSelections,
+  scoreChoiceQuestion,
+  scoreBlanksQuestion,
+  scoreNumericQuestion,
+  scoreAnswers,
+  answerRecord
+};
@@ -0,0 +1,124 @@
+// Configurable marking schemes for multiple-choice questions, e.g. +4/-1.
+// A policy is stored as JSON on the paper and may be overridden field by field on a question:
+//   correct        marks for a fully correct answer (default: the question's points)
+//   wrong          marks when any wrong option is selected, e.g. -1 (default 0)
+//   perWrongOption extra marks per wrong option selected, e.g. -0.5 (default 0)
+//   unattempted    marks for a question left blank (default 0)
+//   partialCredit  scale marks for some-but-not-all correct options (default true)
+//   floor          none | question (no question below 0) | paper (total not below 0)
+
+const FLOOR_MODES = ['none', 'question', 'paper'];
+const POLICY_FIELDS = ['correct', 'wrong', 'perWrongOption', 'unattempted', 'partialCredit', 'floor'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const isEmptyPolicy = (policy) => !policy || typeof policy !== 'object' || Object.keys(policy).length === 0;
+
+/**
+ * Validate a scoring policy
+ * @param {Object} policy - Policy JSON
+ * @param {string} level - 'paper' or 'question' (a paper-wide floor cannot be set per question)
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateScoringPolicy = (policy, level = 'paper') => {
+  if (policy === null || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['Scoring policy must be an object'];
+  }
+
+  const errors = [];
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+  for (const key of Object.keys(policy)) {
+    if (!POLICY_FIELDS.includes(key)) {
+      errors.push(`Unknown field "${key}". Allowed: ${POLICY_FIELDS.join(', ')}`);
+    }
+  }
+
+  if (policy.correct !== undefined && policy.correct !== null && (!isNumber(policy.correct) || policy.correct <= 0)) {
+    errors.push('correct must be a positive number');
+  }
+  for (const field of ['wrong', 'perWrongOption']) {
+    if (policy[field] !== undefined && (!isNumber(policy[field]) || policy[field] > 0)) {
+      errors.push(`${field} must be zero or a negative number`);
+    }
+  }
+  if (policy.unattempted !== undefined && !isNumber(policy.unattempted)) {
+    errors.push('unattempted must be a number');
+  }
+  if (policy.partialCredit !== undefined && typeof policy.partialCredit !== 'boolean') {
+    errors.push('partialCredit must be true or false');
+  }
+  if (policy.floor !== undefined) {
+    const allowed = level === 'question' ? ['none', 'question'] : FLOOR_MODES;
+    if (!allowed.includes(policy.floor)) {
+      errors.push(`floor must be one of: ${allowed.join(', ')}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Effective policy for a question: question fields override the paper's
+ * @param {Object|null} paperPolicy - Paper scoring policy
+ * @param {Object|null} questionPolicy - Question scoring policy
+ * @returns {Object|null} Merged policy, or null when neither sets one
+ */
+const resolvePolicy = (paperPolicy, questionPolicy) => {
+  if (isEmptyPolicy(paperPolicy) && isEmptyPolicy(questionPolicy)) {
+    return null;
+  }
+  return { ...(isEmptyPolicy(paperPolicy) ? {} : paperPolicy), ...(isEmptyPolicy(questionPolicy) ? {} : questionPolicy) };
+};
+
+/**
+ * Score one evaluated answer under a policy
+ * @param {Object} result - Evaluator result ({ partialScore, maxPoints, selectedOptions, wrongOptionCount })
+ * @param {Object} policy - Effective policy
+ * @returns {Object} { partialScore, maxPoints, isCorrect }
+ */
+const scoreWithPolicy = (result, policy) => {
+  const baseMax = Number(result.maxPoints ?? 1) || 1;
+  const baseScore = Number(result.partialScore || 0);
+  const maxPoints = policy.correct ?? baseMax;
+  const selected = (result.selectedOptions || []).filter(o => o !== null && o !== undefined && String(o).trim());
+  const wrongCount = result.wrongOptionCount || 0;
+
+  let score;
+  let isCorrect = false;
+
+  if (selected.length === 0) {
+    score = policy.unattempted ?? 0;
+  } else if (wrongCount > 0) {
+    score = (policy.wrong ?? 0) + (policy.perWrongOption ?? 0) * wrongCount;
+  } else if (baseScore >= baseMax) {
+    score = maxPoints;
+    isCorrect = true;
+  } else {
+    score = policy.partialCredit === false ? 0 : (baseScore / baseMax) * maxPoints;
+  }
+
+  if (policy.floor === 'question') {
+    score = Math.max(0, score);
+  }
+
+  return { partialScore: round2(score), maxPoints, isCorrect };
+};
+
+/**
+ * Total for a paper after the paper-wide floor, if any
+ * @param {number} score - Sum of question scores
+ * @param {Object|null} paperPolicy - Paper scoring policy
+ * @returns {number}
+ */
+const applyPaperFloor = (score, paperPolicy) => (
+  paperPolicy && paperPolicy.floor === 'paper' ? Math.max(0, score) : score
+);
+
+module.exports = {
+  FLOOR_MODES,
+  validateScoringPolicy,
+  resolvePolicy,
+  scoreWithPolicy,
+  applyPaperFloor
+};
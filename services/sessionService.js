@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../src/prisma');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} admin - Account ({ id, username, role })
+ * @param {Object} session - Session record
+ * @returns {string} JWT
+ */
+const signAccessToken = (admin, session) => jwt.sign(
+  { id: admin.id, username: admin.username, role: admin.role, sid: session.id },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const tokenResponse = (admin, session, refreshToken) => ({
+  token: signAccessToken(admin, session),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+  refreshExpiresAt: session.expiresAt
+});
+
+/**
+ * Start a new session after a successful login
+ * @param {Object} admin - Account
+ * @param {Object} meta - { userAgent, ipAddress }
+ * @returns {Object} Access token, refresh token and expiry info
+ */
+const createSession = async (admin, meta = {}) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await prisma.authSession.create({
+    data: {
+      adminId: admin.id,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: meta.userAgent ? meta.userAgent.substring(0, 255) : null,
+      ipAddress: meta.ipAddress || null,
+      expiresAt: refreshExpiry()
+    }
+  });
+
+  return tokenResponse(admin, session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The refresh token is rotated;
+ * presenting an already-rotated token revokes the whole session.
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Object} { tokens } on success, { error } otherwise
+ */
+const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await prisma.authSession.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: { admin: true }
+  });
+
+  if (!session) {
+    const reused = await prisma.authSession.findUnique({
+      where: { previousTokenHash: tokenHash }
+    });
+
+    if (reused && !reused.revokedAt) {
+      console.warn(`⚠️ Refresh token reuse detected for session ${reused.id}, revoking it`);
+      await revokeSession(reused.id);
+    }
+
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    return { error: 'Session has expired or was revoked' };
+  }
+
+  if (!session.admin.isActive) {
+    await revokeSession(session.id);
+    return { error: 'Account is disabled' };
+  }
+
+  // Rotate only if the presented token is still current, so two concurrent
+  // refreshes with the same token cannot both get a new pair
+  const nextRefreshToken = newRefreshToken();
+  const expiresAt = refreshExpiry();
+  const rotated = await prisma.authSession.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      previousTokenHash: tokenHash,
+      lastUsedAt: new Date(),
+      expiresAt
+    }
+  });
+
+  if (rotated.count === 0) {
+    console.warn(`⚠️ Refresh token reuse detected for session ${session.id}, revoking it`);
+    await revokeSession(session.id);
+    return { error: 'Invalid refresh token' };
+  }
+
+  return {
+    tokens: tokenResponse(session.admin, { ...session, expiresAt }, nextRefreshToken),
+    admin: session.admin
+  };
+};
+
+/**
+ * Check that the session behind an access token is still live
+ * @param {number} sessionId - Session ID from the token's sid claim
+ * @param {number} adminId - Account the token was issued to
+ * @returns {boolean} Whether the session is active
+ */
+const isSessionActive = async (sessionId, adminId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const session = await prisma.authSession.findUnique({
+    where: { id: sessionId },
+    select: { adminId: true, revokedAt: true, expiresAt: true }
+  });
+
+  return !!session && session.adminId === adminId && !session.revokedAt && session.expiresAt > new Date();
+};
+
+const revokeSession = async (sessionId) => {
+  const result = await prisma.authSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return result.count;
+};
+
+/**
+ * Revoke every active session of an account
+ * @param {number} adminId - Account ID
+ * @param {number} exceptSessionId - Optional session to keep
+ * @returns {number} Number of revoked sessions
+ */
+const revokeAllSessions = async (adminId, exceptSessionId = null) => {
+  const result = await prisma.authSession.updateMany({
+    where: {
+      adminId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } })
+    },
+    data: { revokedAt: new Date() }
+  });
+  return result.count;
+};
+
+const listSessions = async (adminId) => prisma.authSession.findMany({
+  where: {
+    adminId,
+    revokedAt: null,
+    expiresAt: { gt: new Date() }
+  },
+  select: {
+    id: true,
+    userAgent: true,
+    ipAddress: true,
+    createdAt: true,
+    lastUsedAt: true,
+    expiresAt: true
+  },
+  orderBy: { lastUsedAt: 'desc' }
+});
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const prisma = require('../src/prisma');
+const { normalizeRollNo } = require('./rosterService');
+
+// No 0/O or 1/I so codes survive being read aloud or copied by hand
+const ACCESS_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ACCESS_CODE_LENGTH = 8;
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Codes are matched case-insensitively and ignore spaces and dashes
+const hashAccessCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toUpperCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+/**
+ * Whether students may see scores for a paper: results must be published and,
+ * when a publish time is set, that time must have passed.
+ * @param {Object} paper - Paper with resultsPublished and resultsPublishAt
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const resultsVisible = (paper, now = new Date()) => (
+  !!paper && paper.resultsPublished &&
+  (!paper.resultsPublishAt || new Date(paper.resultsPublishAt) <= now)
+);
+
+/**
+ * Generate a new access code. Only the hash is stored; the code is shown to the student once.
+ * @returns {Object} { code, hash }
+ */
+const newAccessCode = () => {
+  const bytes = crypto.randomBytes(ACCESS_CODE_LENGTH);
+  const code = Array.from(bytes, b => ACCESS_CODE_ALPHABET[b % ACCESS_CODE_ALPHABET.length]).join('');
+  return { code, hash: hashAccessCode(code) };
+};
+
+/**
+ * Look up a student's result by paper, roll number and access code.
+ * Pending submissions only report their status; scores are returned once the
+ * submission is evaluated and the paper's results are published.
+ * @param {Object} params - { paperId, rollNo, accessCode }
+ * @returns {Object} { result } on success, { error, status } otherwise
+ */
+const getStudentResult = async ({ paperId, rollNo, accessCode }) => {
+  if (!paperId || !rollNo || !accessCode) {
+    return { error: 'Paper ID, roll number and access code are required', status: 400 };
+  }
+
+  const submission = await prisma.studentSubmission.findFirst({
+    where: { paperId, accessCodeHash: hashAccessCode(accessCode) },
+    include: {
+      paper: {
+        select: {
+          id: true,
+          name: true,
+          totalMarks: true,
+          resultsPublished: true,
+          resultsPublishAt: true,
+          showAnswerKey: true,
+          showPerQuestion: true
+        }
+      },
+      answers: { orderBy: { questionNumber: 'asc' } }
+    },
+    orderBy: { submittedAt: 'desc' }
+  });
+
+  const notFound = { error: 'No result found for these details', status: 404 };
+  if (!submission) {
+    return notFound;
+  }
+
+  const base = {
+    submissionId: submission.id,
+    paper: { id: submission.paper.id, name: submission.paper.name },
+    submittedAt: submission.submittedAt
+  };
+
+  // The roll number is only known once the sheet has been read
+  if (submission.evaluationStatus !== 'evaluated') {
+    return { result: { ...base, status: 'pending' } };
+  }
+
+  if (normalizeRollNo(submission.rollNo) !== normalizeRollNo(rollNo)) {
+    return notFound;
+  }
+
+  const { paper } = submission;
+  if (!resultsVisible(paper)) {
+    return {
+      result: {
+        ...base,
+        rollNo: submission.rollNo,
+        status: 'unpublished',
+        // Only tell students when results are due once they have actually been published
+        ...(paper.resultsPublished && paper.resultsPublishAt && { publishAt: paper.resultsPublishAt })
+      }
+    };
+  }
+
+  const questions = paper.showPerQuestion && paper.showAnswerKey
+    ? await prisma.question.findMany({
+      where: { paperId },
+      select: { questionNumber: true, correctOptions: true, expectedAnswers: true }
+    })
+    : [];
+  const keyByQuestion = new Map(questions.map(q => [q.questionNumber, q]));
+
+  const answers = submission.answers.map(answer => {
+    const key = keyByQuestion.get(answer.questionNumber);
+    return {
+      questionNumber: answer.questionNumber,
+      selectedOptions: answer.selectedOptions || (answer.selectedOption ? [answer.selectedOption] : []),
+      textAnswer: answer.textAnswer,
+      isCorrect: answer.isCorrect,
+      score: toNumber(answer.partialScore),
+      maxPoints: toNumber(answer.maxPoints),
+      ...(key && {
+        correctOptions: key.correctOptions,
+        ...(key.expectedAnswers && Object.keys(key.expectedAnswers).length > 0 && { expectedAnswers: key.expectedAnswers })
+      })
+    };
+  });
+
+  return {
+    result: {
+      ...base,
+      rollNo: submission.rollNo,
+      studentName: submission.studentName,
+      status: 'published',
+      score: toNumber(submission.score),
+      maxScore: toNumber(paper.totalMarks) ||
+        answers.reduce((sum, a) => sum + (a.maxPoints || 0), 0) ||
+        submission.totalQuestions,
+      percentage: toNumber(submission.percentage),
+      totalQuestions: submission.totalQuestions,
+      ...(paper.showPerQuestion && { answers })
+    }
+  };
+};
+
+module.exports = {
+  resultsVisible,
+  hashAccessCode,
+  newAccessCode,
+  getStudentResult
+};
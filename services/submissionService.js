@@ -0,0 +1,324 @@
+const prisma = require('../src/prisma');
+const { applyLatePenalty } = require('./examWindowService');
+const { resolvePolicy, scoreWithPolicy, applyPaperFloor } = require('./scoringPolicy');
+const { readQuestion, scoreChoiceQuestion } = require('./scoringEngine');
+
+// Helper function to cleanup duplicate submissions automatically
+const cleanupDuplicateSubmissions = async (paperId) => {
+  try {
+    console.log(`🧹 Checking for duplicate submissions in paper ${paperId}...`);
+    
+    // Find all submissions for this paper
+    const submissions = await prisma.studentSubmission.findMany({
+      where: { paperId: parseInt(paperId) },
+      orderBy: [{ evaluationStatus: 'desc' }, { submittedAt: 'desc' }] // Evaluated first, then by newest
+    });
+    
+    if (submissions.length <= 1) {
+      return; // No duplicates possible
+    }
+    
+    // Group by similar characteristics to identify duplicates
+    const groups = new Map();
+    
+    submissions.forEach(submission => {
+      // Create a key based on paper and file similarity
+      let groupKey;
+      if (submission.imageUrl) {
+        // Extract base filename without timestamps for grouping
+        const baseName = submission.imageUrl
+          .split('/')
+          .pop()
+          .replace(/\d{10,}/g, 'TIMESTAMP') // Replace long numbers with placeholder
+          .replace(/pending_|evaluated_/g, ''); // Remove status prefixes
+        groupKey = `${paperId}_${baseName}_${submission.studentName}`;
+      } else {
+        groupKey = `${paperId}_${submission.studentName}_${submission.rollNo}`;
+      }
+      
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, []);
+      }
+      groups.get(groupKey).push(submission);
+    });
+    
+    // Process each group to remove duplicates
+    for (const [key, groupSubmissions] of groups) {
+      if (groupSubmissions.length > 1) {
+        console.log(`🔍 Found ${groupSubmissions.length} potential duplicates in group: ${key}`);
+        
+        // Sort: evaluated submissions first, then by score desc, then by newest
+        groupSubmissions.sort((a, b) => {
+          if (a.evaluationStatus !== b.evaluationStatus) {
+            return a.evaluationStatus === 'evaluated' ? -1 : 1;
+          }
+          if (a.evaluationStatus === 'evaluated') {
+            return parseFloat(b.score) - parseFloat(a.score); // Higher score first
+          }
+          return new Date(b.submittedAt) - new Date(a.submittedAt); // Newer first
+        });
+        
+        // Keep the first one (best), remove others
+        const keepSubmission = groupSubmissions[0];
+        const removeSubmissions = groupSubmissions.slice(1);
+        
+        console.log(`✅ Keeping submission ID ${keepSubmission.id} (${keepSubmission.evaluationStatus}, score: ${keepSubmission.score})`);
+        
+        for (const removeSubmission of removeSubmissions) {
+          console.log(`🗑️ Removing duplicate submission ID ${removeSubmission.id} (${removeSubmission.evaluationStatus}, score: ${removeSubmission.score})`);
+          
+          try {
+            // Delete answers first
+            await prisma.studentAnswer.deleteMany({
+              where: { submissionId: removeSubmission.id }
+            });
+            
+            // Delete submission
+            await prisma.studentSubmission.delete({
+              where: { id: removeSubmission.id }
+            });
+            
+            console.log(`✅ Successfully removed duplicate submission ID ${removeSubmission.id}`);
+          } catch (deleteError) {
+            console.error(`❌ Failed to remove submission ${removeSubmission.id}:`, deleteError.message);
+          }
+        }
+      }
+    }
+    
+    console.log(`✅ Cleanup completed for paper ${paperId}`);
+    
+  } catch (error) {
+    console.error(`❌ Cleanup failed for paper ${paperId}:`, error.message);
+  }
+};
+
+// Grading fields of an answer as recorded in override history
+const answerSnapshot = (answer) => ({
+  selectedOption: answer.selectedOption,
+  selectedOptions: answer.selectedOptions,
+  isCorrect: answer.isCorrect,
+  partialScore: answer.partialScore === null ? null : Number(answer.partialScore),
+  maxPoints: answer.maxPoints === null ? null : Number(answer.maxPoints)
+});
+
+/**
+ * Recompute a submission's score and percentage from its stored answers,
+ * after the paper's score floor and less any late penalty
+ * @param {Object} tx - Prisma client or transaction
+ * @param {number} submissionId - Submission ID
+ * @returns {Object} Updated submission
+ */
+const recomputeSubmissionScore = async (tx, submissionId) => {
+  const submission = await tx.studentSubmission.findUnique({
+    where: { id: submissionId },
+    include: {
+      answers: true,
+      paper: { select: { scoringPolicy: true } }
+    }
+  });
+
+  const score = applyPaperFloor(
+    submission.answers.reduce((sum, a) => sum + Number(a.partialScore || 0), 0),
+    submission.paper.scoringPolicy
+  );
+  const maxScore = submission.answers.reduce((sum, a) => sum + Number(a.maxPoints ?? 1), 0) ||
+    submission.totalQuestions;
+  const percentage = maxScore > 0 ? (score / maxScore) * 100 : 0;
+  const penalized = applyLatePenalty(score, percentage, submission.latePenaltyPercent);
+
+  return tx.studentSubmission.update({
+    where: { id: submissionId },
+    data: {
+      score: Math.round(penalized.score * 100) / 100,
+      percentage: Math.round(penalized.percentage * 100) / 100
+    }
+  });
+};
+
+/**
+ * The question an answer belongs to and its effective scoring policy (question fields over the paper's)
+ * @param {number} submissionId - Submission ID
+ * @param {number} questionNumber - Question number
+ * @returns {Object} { question, policy } (question null when the paper no longer has it)
+ */
+const answerScoringContext = async (submissionId, questionNumber) => {
+  const submission = await prisma.studentSubmission.findUnique({
+    where: { id: submissionId },
+    select: {
+      paper: {
+        select: {
+          scoringPolicy: true,
+          questions: { where: { questionNumber } }
+        }
+      }
+    }
+  });
+  if (!submission) {
+    return { question: null, policy: null };
+  }
+
+  const { paper } = submission;
+  const question = paper.questions[0] || null;
+  return { question, policy: resolvePolicy(paper.scoringPolicy, question ? question.scoringPolicy : null) };
+};
+
+/**
+ * Validate requested changes to an answer and turn them into update data.
+ * New selections on a choice question without an explicit verdict are scored again.
+ * @param {Object} answer - StudentAnswer record
+ * @param {Object} changes - { selectedOptions, isCorrect, partialScore }
+ * @param {Object} context - Result of answerScoringContext. The policy allows negative scores
+ *   and sets the marks for a wrong answer; the question is used to score new selections.
+ * @returns {Object} { data } on success, { error, status } otherwise
+ */
+const buildOverrideData = (answer, changes, { question = null, policy = null } = {}) => {
+  const { selectedOptions, isCorrect, partialScore } = changes;
+  const maxPoints = Number(answer.maxPoints ?? 1);
+  const minPoints = policy && policy.floor !== 'question' ? -maxPoints : 0;
+  const data = {};
+
+  if (selectedOptions !== undefined) {
+    if (!Array.isArray(selectedOptions) || selectedOptions.some(o => typeof o !== 'string')) {
+      return { error: 'selectedOptions must be an array of strings', status: 400 };
+    }
+    data.selectedOptions = selectedOptions;
+    data.selectedOption = selectedOptions.length > 0 ? selectedOptions[0].substring(0, 10) : null;
+
+    if (isCorrect === undefined && partialScore === undefined && question && answer.answerType === 'mcq') {
+      const rescored = scoreChoiceQuestion(readQuestion(question), { selected_options: selectedOptions });
+      const scored = policy && rescored.correctOptions.length > 0 ? scoreWithPolicy(rescored, policy) : rescored;
+      Object.assign(data, {
+        selectedOptions: rescored.selectedOptions,
+        selectedOption: rescored.selectedOption ? rescored.selectedOption.substring(0, 10) : null,
+        isCorrect: scored.isCorrect,
+        partialScore: scored.partialScore
+      });
+    }
+  }
+
+  if (isCorrect !== undefined) {
+    data.isCorrect = !!isCorrect;
+  }
+
+  if (partialScore !== undefined) {
+    const value = Number(partialScore);
+    if (!Number.isFinite(value) || value < minPoints || value > maxPoints) {
+      return { error: `partialScore must be between ${minPoints} and ${maxPoints}`, status: 400 };
+    }
+    data.partialScore = value;
+  } else if (isCorrect !== undefined) {
+    // Marking right or wrong without a score awards full credit, or the policy's marks for a wrong answer
+    const wrongMarks = policy ? Math.max(minPoints, policy.wrong ?? 0) : 0;
+    data.partialScore = data.isCorrect ? maxPoints : wrongMarks;
+  }
+
+  if (Object.keys(data).length === 0) {
+    return { error: 'Nothing to change. Provide selectedOptions, isCorrect or partialScore', status: 400 };
+  }
+
+  return { data };
+};
+
+/**
+ * Write a validated override and its history row. Does not recompute the score.
+ * @param {Object} tx - Prisma transaction
+ * @param {Object} answer - StudentAnswer record before the change
+ * @param {Object} data - Result of buildOverrideData
+ * @param {Object} meta - { reason, adminId }
+ * @returns {Object} { answer, history }
+ */
+const applyOverride = async (tx, answer, data, { reason, adminId }) => {
+  const previousValue = answerSnapshot(answer);
+
+  // The original value is what the AI detected, i.e. the state before the first override
+  const firstOverride = await tx.studentAnswerHistory.findFirst({
+    where: { answerId: answer.id },
+    orderBy: { createdAt: 'asc' }
+  });
+  const originalValue = firstOverride ? firstOverride.originalValue : previousValue;
+
+  const updated = await tx.studentAnswer.update({
+    where: { id: answer.id },
+    data: { ...data, isOverridden: true }
+  });
+
+  const history = await tx.studentAnswerHistory.create({
+    data: {
+      answerId: answer.id,
+      submissionId: answer.submissionId,
+      questionNumber: answer.questionNumber,
+      adminId,
+      reason: String(reason).trim(),
+      previousValue,
+      newValue: answerSnapshot(updated),
+      originalValue
+    }
+  });
+
+  console.log(`✏️ Answer Q${answer.questionNumber} of submission ${answer.submissionId} overridden: ${previousValue.partialScore} → ${Number(updated.partialScore)}`);
+
+  return { answer: updated, history };
+};
+
+/**
+ * Validate a manual override of one answer without writing anything
+ * @param {Object} params - { submissionId, answerId, changes: { selectedOptions, isCorrect, partialScore }, reason }
+ * @returns {Object} { answer, data } on success, { error, status } otherwise
+ */
+const prepareOverride = async ({ submissionId, answerId, changes, reason }) => {
+  if (!reason || !String(reason).trim()) {
+    return { error: 'A reason is required for a grade override', status: 400 };
+  }
+
+  const answer = await prisma.studentAnswer.findFirst({
+    where: { id: answerId, submissionId }
+  });
+  if (!answer) {
+    return { error: 'Answer not found', status: 404 };
+  }
+
+  const submission = await prisma.studentSubmission.findUnique({
+    where: { id: submissionId },
+    select: { evaluationStatus: true }
+  });
+  if (!['evaluated', 'needs_review'].includes(submission.evaluationStatus)) {
+    return { error: 'Only evaluated submissions can be overridden', status: 409 };
+  }
+
+  const override = buildOverrideData(answer, changes, await answerScoringContext(submissionId, answer.questionNumber));
+  if (override.error) {
+    return override;
+  }
+
+  return { answer, data: override.data };
+};
+
+/**
+ * Manually override the grading of one answer and recompute the submission score.
+ * Every override is appended to student_answer_history with the original AI-detected value.
+ * @param {Object} params - { submissionId, answerId, changes: { selectedOptions, isCorrect, partialScore }, reason, adminId }
+ * @returns {Object} { answer, submission, history } on success, { error, status } otherwise
+ */
+const overrideAnswer = async (params) => {
+  const prepared = await prepareOverride(params);
+  if (prepared.error) {
+    return prepared;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const result = await applyOverride(tx, prepared.answer, prepared.data, params);
+    const updatedSubmission = await recomputeSubmissionScore(tx, params.submissionId);
+    return { ...result, submission: updatedSubmission };
+  });
+};
+
+module.exports = {
+  cleanupDuplicateSubmissions,
+  recomputeSubmissionScore,
+  answerScoringContext,
+  buildOverrideData,
+  prepareOverride,
+  applyOverride,
+  overrideAnswer
+};
@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const prisma = require('../src/prisma');
+const MinIOService = require('./minioService');
+const { GeminiService } = require('./geminiService');
+const { optionKey } = require('./scoringEngine');
+
+// Paper sets (A/B/C/D): printed versions of a master paper with shuffled question
+// and/or option order. Answers are always stored against the master paper, so a
+// set's responses are mapped back before scoring and every report stays unified.
+//
+// Questions only move within their page. Extraction works page by page against the
+// master's page layout, so a set must keep the same questions on each page. Only
+// multiple-choice questions move: written answers (text, numeric, blanks) are transcribed
+// and graded by their master number, so they keep it on every set.
+
+const minioService = new MinIOService();
+const geminiService = new GeminiService();
+
+const DEFAULT_SET_CODES = ['A', 'B', 'C', 'D'];
+const MAX_SETS = 26;
+const SET_CODE_PATTERN = /^[A-Z0-9]{1,10}$/;
+
+const normalizeSetCode = (setCode) => String(setCode).trim().toUpperCase();
+
+// Fisher-Yates shuffle with a cryptographic source, so sets are not predictable
+const shuffle = (values) => {
+  const shuffled = [...values];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Validate set generation options from a request body
+ * @param {Object} body - { setCodes, shuffleQuestions, shuffleOptions }
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+const validateVariantOptions = ({ setCodes, shuffleQuestions, shuffleOptions }) => {
+  const errors = [];
+
+  if (setCodes !== undefined) {
+    if (!Array.isArray(setCodes) || setCodes.length === 0 || setCodes.length > MAX_SETS) {
+      errors.push(`setCodes must be an array of 1 to ${MAX_SETS} codes`);
+    } else {
+      const codes = setCodes.map(normalizeSetCode);
+      if (codes.some(code => !SET_CODE_PATTERN.test(code))) {
+        errors.push('Set codes must be 1 to 10 letters or digits');
+      }
+      if (new Set(codes).size !== codes.length) {
+        errors.push('Set codes must be unique');
+      }
+    }
+  }
+  if (shuffleQuestions !== undefined && typeof shuffleQuestions !== 'boolean') {
+    errors.push('shuffleQuestions must be a boolean');
+  }
+  if (shuffleOptions !== undefined && typeof shuffleOptions !== 'boolean') {
+    errors.push('shuffleOptions must be a boolean');
+  }
+  if (shuffleQuestions === false && shuffleOptions === false) {
+    errors.push('At least one of shuffleQuestions and shuffleOptions must be enabled');
+  }
+
+  return errors;
+};
+
+const isChoiceQuestion = (question) => (question.questionFormat || 'multiple_choice') === 'multiple_choice';
+
+/**
+ * Build the mappings of one set
+ * @param {Array} questions - Master questions
+ * @param {Object} options - { shuffleQuestions, shuffleOptions }
+ * @returns {Object} { questionMap: { setNumber: masterNumber }, optionMap: { masterNumber: { setLabel: masterLabel } } }
+ */
+const buildVariantMaps = (questions, { shuffleQuestions, shuffleOptions }) => {
+  const questionMap = {};
+  const choicesByPage = new Map();
+  for (const question of questions) {
+    if (!isChoiceQuestion(question)) {
+      questionMap[question.questionNumber] = question.questionNumber;
+      continue;
+    }
+    if (!choicesByPage.has(question.pageNumber)) choicesByPage.set(question.pageNumber, []);
+    choicesByPage.get(question.pageNumber).push(question.questionNumber);
+  }
+
+  for (const numbers of choicesByPage.values()) {
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const order = shuffleQuestions ? shuffle(sorted) : sorted;
+    sorted.forEach((setNumber, index) => {
+      questionMap[setNumber] = order[index];
+    });
+  }
+
+  const optionMap = {};
+  if (shuffleOptions) {
+    for (const question of questions) {
+      const labels = Object.keys(question.options || {}).sort();
+      if (!isChoiceQuestion(question) || labels.length < 2) continue;
+
+      const order = shuffle(labels);
+      optionMap[question.questionNumber] = Object.fromEntries(labels.map((label, index) => [label, order[index]]));
+    }
+  }
+
+  return { questionMap, optionMap };
+};
+
+/**
+ * Generate sets for a paper, replacing any sets no submission uses yet
+ * @param {number} paperId - Master paper ID
+ * @param {Object} body - { setCodes, shuffleQuestions (default true), shuffleOptions (default true) }
+ * @returns {Object} { variants } on success, { error, status } otherwise
+ */
+const generateVariants = async (paperId, { setCodes = DEFAULT_SET_CODES, shuffleQuestions = true, shuffleOptions = true } = {}) => {
+  const [questions, used] = await Promise.all([
+    prisma.question.findMany({
+      where: { paperId },
+      orderBy: { questionNumber: 'asc' }
+    }),
+    prisma.studentSubmission.count({
+      where: { paperId, variantId: { not: null } }
+    })
+  ]);
+
+  if (questions.length === 0) {
+    return { error: 'Paper has no questions', status: 400 };
+  }
+  if (used > 0) {
+    return { error: 'Sets are already assigned to submissions and cannot be regenerated', status: 409 };
+  }
+
+  const variants = await prisma.$transaction(async (tx) => {
+    await tx.paperVariant.deleteMany({ where: { paperId } });
+
+    const created = [];
+    for (const setCode of setCodes.map(normalizeSetCode)) {
+      const maps = buildVariantMaps(questions, { shuffleQuestions, shuffleOptions });
+      created.push(await tx.paperVariant.create({
+        data: { paperId, setCode, ...maps }
+      }));
+    }
+    return created;
+  });
+
+  console.log(`🔀 Generated ${variants.length} sets for paper ${paperId}: ${variants.map(v => v.setCode).join(', ')}`);
+
+  return { variants };
+};
+
+/**
+ * Sets map the question numbers, pages and option labels the paper had when they were
+ * generated. Changes to that layout are refused while the paper has sets.
+ * @param {number} paperId - Paper ID
+ * @returns {Object|null} { error, status } when the paper has sets, null otherwise
+ */
+const checkQuestionLayoutChange = async (paperId) => {
+  const sets = await prisma.paperVariant.count({ where: { paperId } });
+  if (sets === 0) {
+    return null;
+  }
+  return {
+    error: 'This paper has printed sets. Remove them before adding, removing or renumbering questions or changing their options, then generate them again',
+    status: 409
+  };
+};
+
+/**
+ * The paper as printed for one set: questions in set order with set option labels,
+ * and the set's answer key
+ * @param {Object} variant - PaperVariant
+ * @param {Array} questions - Master questions
+ * @returns {Object} { setCode, questions: [{ questionNumber, masterQuestionNumber, questionText, options, correctOptions }] }
+ */
+const variantView = (variant, questions) => {
+  const byNumber = new Map(questions.map(q => [q.questionNumber, q]));
+
+  const setQuestions = Object.entries(variant.questionMap)
+    .map(([setNumber, masterNumber]) => ({ setNumber: parseInt(setNumber), master: byNumber.get(masterNumber) }))
+    .filter(entry => entry.master)
+    .sort((a, b) => a.setNumber - b.setNumber)
+    .map(({ setNumber, master }) => {
+      const labelMap = (variant.optionMap || {})[master.questionNumber];
+      const masterOptions = master.options || {};
+      const correctOptions = Array.isArray(master.correctOptions) ? master.correctOptions.map(String) : [];
+
+      if (!labelMap) {
+        return {
+          questionNumber: setNumber,
+          masterQuestionNumber: master.questionNumber,
+          pageNumber: master.pageNumber,
+          questionText: master.questionText,
+          options: master.options,
+          correctOptions
+        };
+      }
+
+      // Keys may be stored as labels or as option text; both resolve through optionKey
+      const correctKeys = new Set(correctOptions.map(option => optionKey(option, masterOptions)));
+      const options = {};
+      const setCorrect = [];
+      for (const [setLabel, masterLabel] of Object.entries(labelMap)) {
+        options[setLabel] = masterOptions[masterLabel];
+        if (correctKeys.has(optionKey(masterLabel, masterOptions))) setCorrect.push(setLabel);
+      }
+
+      return {
+        questionNumber: setNumber,
+        masterQuestionNumber: master.questionNumber,
+        pageNumber: master.pageNumber,
+        questionText: master.questionText,
+        options,
+        correctOptions: setCorrect.sort()
+      };
+    });
+
+  return { setCode: variant.setCode, questions: setQuestions };
+};
+
+/**
+ * Find a paper's set by code
+ * @param {number} paperId - Paper ID
+ * @param {string} setCode - Set code, any case
+ * @returns {Object|null} PaperVariant
+ */
+const findVariant = (paperId, setCode) => prisma.paperVariant.findUnique({
+  where: { paperId_setCode: { paperId, setCode: normalizeSetCode(setCode) } }
+});
+
+/**
+ * Resolve a set code supplied with a submission
+ * @param {number} paperId - Paper ID
+ * @param {string|undefined} setCode - Supplied set code
+ * @returns {Object} { variantId } (null when none was supplied), or { error, status }
+ */
+const resolveSuppliedSetCode = async (paperId, setCode) => {
+  if (setCode === undefined || setCode === null || String(setCode).trim() === '') {
+    return { variantId: null };
+  }
+
+  const variant = await findVariant(paperId, setCode);
+  if (!variant) {
+    return { error: `Unknown set code "${setCode}" for this paper`, status: 400 };
+  }
+  return { variantId: variant.id };
+};
+
+// Read the set code printed on the first page of a stored submission
+const detectSetCode = async (submission) => {
+  const objectName = (submission.imageUrl || '').split(',').map(url => url.trim()).find(url => url);
+  if (!objectName) {
+    return null;
+  }
+
+  const buffer = await minioService.downloadImage(objectName);
+  const isPdf = objectName.endsWith('.pdf') || buffer.slice(0, 4).toString() === '%PDF';
+  const result = await geminiService.extractSetCodeFromImage(buffer, isPdf ? 'application/pdf' : 'image/jpeg');
+
+  return result.success && result.setCode ? normalizeSetCode(result.setCode) : null;
+};
+
+// Map one selection from a set label to the master label
+const mapSelection = (selection, labelMap) => {
+  if (!labelMap || selection === null || selection === undefined) return selection;
+  const label = String(selection).trim().toUpperCase();
+  return labelMap[label] || selection;
+};
+
+/**
+ * Map a submission's extracted answers from its set back to the master paper. The set
+ * is the one stored on the submission, or else read from the sheet and stored.
+ * Papers without sets return the answers unchanged.
+ * @param {Object} submission - Submission with id, paperId, variantId and imageUrl
+ * @param {Array} answers - Extracted answers, numbered and labelled as printed on the set
+ * @returns {Array} Answers in master numbering and labels
+ * @throws When the paper has sets and the submission's set cannot be determined
+ */
+const mapAnswersToMaster = async (submission, answers) => {
+  let variant = submission.variantId
+    ? await prisma.paperVariant.findUnique({ where: { id: submission.variantId } })
+    : null;
+
+  if (!variant) {
+    const setCount = await prisma.paperVariant.count({ where: { paperId: submission.paperId } });
+    if (setCount === 0) {
+      return answers;
+    }
+
+    const setCode = await detectSetCode(submission);
+    variant = setCode ? await findVariant(submission.paperId, setCode) : null;
+    if (!variant) {
+      throw new Error(`Set code ${setCode ? `"${setCode}" is not a set of this paper` : 'could not be read from the sheet'}; set it on submission ${submission.id} and evaluate again`);
+    }
+
+    await prisma.studentSubmission.update({
+      where: { id: submission.id },
+      data: { variantId: variant.id }
+    });
+    console.log(`🔀 Submission ${submission.id} detected as set ${variant.setCode}`);
+  }
+
+  const questionMap = variant.questionMap || {};
+  const optionMap = variant.optionMap || {};
+
+  return answers.map(answer => {
+    const setNumber = parseInt(answer.question_number ?? answer.questionNumber ?? answer.question);
+    const masterNumber = questionMap[setNumber];
+    if (masterNumber === undefined) {
+      return answer;
+    }
+
+    const labelMap = optionMap[masterNumber];
+    const mapped = { ...answer };
+    for (const field of ['question_number', 'questionNumber', 'question']) {
+      if (mapped[field] !== undefined) mapped[field] = masterNumber;
+    }
+    for (const field of ['selected_option', 'selectedOption']) {
+      if (mapped[field]) mapped[field] = mapSelection(mapped[field], labelMap);
+    }
+    for (const field of ['selected_options', 'selectedOptions']) {
+      if (Array.isArray(mapped[field])) mapped[field] = mapped[field].map(option => mapSelection(option, labelMap));
+    }
+    return mapped;
+  });
+};
+
+module.exports = {
+  normalizeSetCode,
+  validateVariantOptions,
+  buildVariantMaps,
+  generateVariants,
+  checkQuestionLayoutChange,
+  variantView,
+  findVariant,
+  resolveSuppliedSetCode,
+  mapAnswersToMaster
+};
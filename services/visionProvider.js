@@ -0,0 +1,37 @@
+const GeminiVisionProvider = require('./providers/geminiVisionProvider');
+const FixtureVisionProvider = require('./providers/fixtureVisionProvider');
+
+const PROVIDERS = {
+  gemini: GeminiVisionProvider,
+  fixture: FixtureVisionProvider
+};
+
+let sharedProvider = null;
+
+/**
+ * Create a vision provider by name
+ * @param {string} name - 'gemini' (default) or 'fixture'
+ * @param {Object} options - Provider specific options
+ * @returns {VisionProvider} Provider instance
+ */
+function createVisionProvider(name = process.env.VISION_PROVIDER || 'gemini', options = {}) {
+  const Provider = PROVIDERS[name.toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown VISION_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+/**
+ * Get the provider selected by VISION_PROVIDER, shared by all services
+ * @returns {VisionProvider} Provider instance
+ */
+function getVisionProvider() {
+  if (!sharedProvider) {
+    sharedProvider = createVisionProvider();
+    console.log(`👁️ Vision provider: ${sharedProvider.name}`);
+  }
+  return sharedProvider;
+}
+
+module.exports = { createVisionProvider, getVisionProvider };
@@ -11,10 +11,19 @@ app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use("/api/auth", require("./routes/auth"));
+app.use("/api/users", require("./routes/users"));
 app.use("/api/papers", require("./routes/papers"));
+app.use("/api/submissions", require("./routes/student-submissions"));
 app.use("/api/submissions", require("./routes/submissions"));
 app.use("/api/questions", require("./routes/questions"));
 app.use("/api/manual-tests", require("./routes/manual-tests"));
+app.use("/api/jobs", require("./routes/jobs"));
+app.use("/api/classes", require("./routes/classes"));
+app.use("/api/courses", require("./routes/courses"));
+app.use("/api/reviews", require("./routes/reviews"));
+app.use("/api/reevaluations", require("./routes/reevaluations"));
+app.use("/api/analytics", require("./routes/analytics"));
+app.use("/api/question-bank", require("./routes/question-bank"));
 
 // Health check endpoint
 app.get("/health", async (req, res) => {
@@ -55,4 +64,9 @@ app.use("*", (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
+
+  // Background worker for queued evaluation jobs
+  if (process.env.EVALUATION_WORKER_ENABLED !== "false") {
+    require("../services/evaluationQueue").start();
+  }
 });
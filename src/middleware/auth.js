@@ -0,0 +1,231 @@
+const jwt = require('jsonwebtoken');
+const prisma = require('../prisma');
+const { isSessionActive } = require('../../services/sessionService');
+
+const ROLES = ['owner', 'teacher', 'grader', 'viewer'];
+
+// Per-paper access levels, weakest first
+const ACCESS_LEVELS = ['view', 'grade', 'edit', 'owner'];
+
+// Highest paper access each role can hold, whatever it has been granted
+const ROLE_MAX_ACCESS = {
+  owner: 'owner',
+  teacher: 'owner',
+  grader: 'grade',
+  viewer: 'view'
+};
+
+// Access a grant actually gives, capped by the account's role
+const capAccess = (role, access) => {
+  const maxAccess = ROLE_MAX_ACCESS[role];
+  if (!maxAccess) {
+    return null;
+  }
+  return ACCESS_LEVELS.indexOf(access) <= ACCESS_LEVELS.indexOf(maxAccess) ? access : maxAccess;
+};
+
+const hasAccess = (level, required) => (
+  !!level && ACCESS_LEVELS.indexOf(level) >= ACCESS_LEVELS.indexOf(required)
+);
+
+// Middleware to verify JWT token and load the current account
+const verifyToken = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access denied. No token provided.' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      // Clients should call /api/auth/refresh and retry
+      return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
+    }
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  try {
+    // Tokens are bound to a session so logout and revocation take effect immediately
+    if (!await isSessionActive(decoded.sid, decoded.id)) {
+      return res.status(401).json({ error: 'Session has been revoked. Please log in again.', code: 'SESSION_REVOKED' });
+    }
+
+    // Load the account on every request so role changes and deactivation apply immediately
+    const admin = await prisma.admin.findUnique({
+      where: { id: decoded.id },
+      select: { id: true, username: true, role: true, isActive: true }
+    });
+
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({ error: 'Account is disabled or no longer exists' });
+    }
+
+    req.admin = { id: admin.id, username: admin.username, role: admin.role, sessionId: decoded.sid };
+    next();
+  } catch (error) {
+    console.error('Auth lookup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Middleware to restrict a route to the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.admin || !roles.includes(req.admin.role)) {
+    return res.status(403).json({ error: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+/**
+ * Resolve the access level an account has on a paper
+ * @param {Object} admin - Authenticated account ({ id, role })
+ * @param {Object} paper - Paper record (needs id and adminId)
+ * @returns {string|null} One of ACCESS_LEVELS, or null when the paper is not visible
+ */
+const getPaperAccess = async (admin, paper) => {
+  const maxAccess = ROLE_MAX_ACCESS[admin.role];
+  if (!maxAccess) {
+    return null;
+  }
+
+  if (admin.role === 'owner' || paper.adminId === admin.id) {
+    return maxAccess;
+  }
+
+  const grant = await prisma.paperAccess.findUnique({
+    where: { paperId_adminId: { paperId: paper.id, adminId: admin.id } }
+  });
+
+  return grant ? capAccess(admin.role, grant.access) : null;
+};
+
+/**
+ * Prisma filter for the papers an account can see
+ * @param {Object} admin - Authenticated account ({ id, role })
+ * @returns {Object} Prisma where clause for Paper
+ */
+const accessiblePapersWhere = (admin) => {
+  if (admin.role === 'owner') {
+    return {};
+  }
+
+  return {
+    OR: [
+      { adminId: admin.id },
+      { access: { some: { adminId: admin.id } } }
+    ]
+  };
+};
+
+// Paper ID resolvers for requirePaperAccess
+
+const paperFromParam = (param = 'paperId') => ({
+  notFound: 'Paper not found',
+  resolve: async (req) => parseInt(req.params[param])
+});
+
+const paperFromBody = (field = 'paperId') => ({
+  notFound: 'Paper not found',
+  resolve: async (req) => parseInt(req.body[field])
+});
+
+const paperFromSubmission = (param = 'submissionId') => ({
+  notFound: 'Submission not found',
+  resolve: async (req) => {
+    const submission = await prisma.studentSubmission.findUnique({
+      where: { id: parseInt(req.params[param]) },
+      select: { paperId: true }
+    });
+    return submission ? submission.paperId : null;
+  }
+});
+
+const paperFromQuestion = (param = 'id') => ({
+  notFound: 'Question not found',
+  resolve: async (req) => {
+    const question = await prisma.question.findUnique({
+      where: { id: parseInt(req.params[param]) },
+      select: { paperId: true }
+    });
+    return question ? question.paperId : null;
+  }
+});
+
+const paperFromJob = (param = 'id') => ({
+  notFound: 'Job not found',
+  resolve: async (req) => {
+    const job = await prisma.evaluationJob.findUnique({
+      where: { id: parseInt(req.params[param]) },
+      select: { paperId: true }
+    });
+    return job ? job.paperId : null;
+  }
+});
+
+const paperFromReevaluation = (param = 'id') => ({
+  notFound: 'Re-evaluation request not found',
+  resolve: async (req) => {
+    const request = await prisma.reevaluationRequest.findUnique({
+      where: { id: parseInt(req.params[param]) },
+      select: { submission: { select: { paperId: true } } }
+    });
+    return request ? request.submission.paperId : null;
+  }
+});
+
+/**
+ * Middleware requiring at least `required` access on the paper a request targets.
+ * Papers the account cannot see at all are reported as not found.
+ * @param {string} required - Minimum access level (view, grade, edit, owner)
+ * @param {Object} source - Paper ID resolver (defaults to req.params.paperId)
+ */
+const requirePaperAccess = (required, source = paperFromParam()) => async (req, res, next) => {
+  try {
+    const paperId = await source.resolve(req);
+    if (!paperId) {
+      return res.status(404).json({ error: source.notFound });
+    }
+
+    const paper = await prisma.paper.findUnique({ where: { id: paperId } });
+    if (!paper) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+
+    const access = await getPaperAccess(req.admin, paper);
+    if (!access) {
+      return res.status(404).json({ error: source.notFound });
+    }
+
+    if (!hasAccess(access, required)) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action on this paper' });
+    }
+
+    req.paper = paper;
+    req.paperAccess = access;
+    next();
+  } catch (error) {
+    console.error('Paper access check error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  ROLES,
+  ACCESS_LEVELS,
+  verifyToken,
+  requireRole,
+  requirePaperAccess,
+  getPaperAccess,
+  capAccess,
+  hasAccess,
+  accessiblePapersWhere,
+  paperFromParam,
+  paperFromBody,
+  paperFromSubmission,
+  paperFromQuestion,
+  paperFromJob,
+  paperFromReevaluation
+};
@@ -0,0 +1,88 @@
+const multer = require('multer');
+
+// Configure multer for memory storage (student uploads - save to MinIO only)
+const storage = multer.memoryStorage();
+
+const upload = multer({ 
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPEG and PNG images are allowed'));
+    }
+  }
+});
+
+// Separate multer configuration for PDF files
+const uploadPDF = multer({ 
+  storage: storage,
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB limit for PDFs
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['application/pdf'];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF files are allowed'));
+    }
+  }
+});
+
+// Roster imports (CSV or Excel)
+const uploadRoster = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit for rosters
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'text/csv',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ];
+    if (allowedTypes.includes(file.mimetype) || /\.(csv|xlsx|xls)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and Excel files are allowed'));
+    }
+  }
+});
+
+// Configure upload middleware to support both single and multiple files
+const uploadAnswer = (req, res, next) => {
+  // Check if this is a multi-page submission
+  if (req.headers['content-type'] && req.headers['content-type'].includes('multipart/form-data')) {
+    // Use multer.any() to handle both single and multiple files dynamically
+    const dynamicUpload = multer({ 
+      storage: storage,
+      limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB limit per file
+      },
+      fileFilter: (req, file, cb) => {
+        const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png'];
+        if (allowedTypes.includes(file.mimetype)) {
+          cb(null, true);
+        } else {
+          cb(new Error('Only JPEG and PNG images are allowed'));
+        }
+      }
+    }).any();
+    
+    dynamicUpload(req, res, next);
+  } else {
+    next();
+  }
+};
+
+module.exports = {
+  upload,
+  uploadPDF,
+  uploadAnswer,
+  uploadRoster
+};
@@ -0,0 +1,89 @@
+const express = require('express');
+const analyticsService = require('../../services/analyticsService');
+const {
+  verifyToken,
+  requirePaperAccess
+} = require('../middleware/auth');
+
+// Post-grading analytics for teachers, computed over a paper's evaluated submissions
+const router = express.Router();
+router.use(verifyToken);
+
+// Item analysis: difficulty, discrimination, distractors and omissions per question, plus paper reliability
+router.get('/paper/:paperId/items', requirePaperAccess('view'), async (req, res) => {
+  try {
+    const analysis = await analyticsService.buildItemAnalysis(req.paper.id);
+    res.json(analysis);
+  } catch (error) {
+    console.error('❌ Item analysis error:', error);
+    res.status(500).json({ error: 'Failed to build item analysis' });
+  }
+});
+
+// Score distribution: summary statistics, histogram and pass rate.
+// ?bucketWidth and ?passMark are percentages (default 10 and 40); ?format=chart returns only the chart series.
+router.get('/paper/:paperId/distribution', requirePaperAccess('view'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'chart'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or chart' });
+    }
+
+    const options = {
+      bucketWidth: req.query.bucketWidth !== undefined ? parseFloat(req.query.bucketWidth) : undefined,
+      passMark: req.query.passMark !== undefined ? parseFloat(req.query.passMark) : undefined
+    };
+    const errors = analyticsService.validateDistributionOptions(options);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const distribution = await analyticsService.buildScoreDistribution(req.paper.id, options);
+    res.json(format === 'chart' ? distribution.chart : distribution);
+  } catch (error) {
+    console.error('❌ Score distribution error:', error);
+    res.status(500).json({ error: 'Failed to build score distribution' });
+  }
+});
+
+// Pairs of students sharing more identical wrong answers than chance explains, highest first.
+// ?minSharedWrong (default 3) and ?limit (default 50); ?format=xlsx or csv exports for the exam committee.
+router.get('/paper/:paperId/collusion', requirePaperAccess('view'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'xlsx', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json, xlsx or csv' });
+    }
+
+    const options = {
+      minSharedWrong: req.query.minSharedWrong !== undefined ? Number(req.query.minSharedWrong) : undefined,
+      limit: req.query.limit !== undefined ? Number(req.query.limit) : undefined
+    };
+    const errors = analyticsService.validateCollusionOptions(options);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const report = await analyticsService.buildCollusionReport(req.paper.id, options);
+
+    if (format === 'json') {
+      return res.json(report);
+    }
+
+    const fileName = `${report.paper.name.replace(/[^a-zA-Z0-9]/g, '_')}_collusion.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(analyticsService.collusionToCsv(report));
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(analyticsService.collusionToXlsx(report));
+  } catch (error) {
+    console.error('❌ Collusion report error:', error);
+    res.status(500).json({ error: 'Failed to build collusion report' });
+  }
+});
+
+module.exports = router;
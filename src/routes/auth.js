@@ -1,7 +1,10 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const prisma = require('../prisma');
+const { verifyToken } = require('../middleware/auth');
+const sessionService = require('../../services/sessionService');
+const passwordService = require('../../services/passwordService');
 
 const router = express.Router();
 
@@ -14,35 +17,69 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ error: 'Username and password are required' });
     }
 
+    const audit = {
+      username,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    };
+
     // Find admin by username
     const admin = await prisma.admin.findUnique({
       where: { username }
     });
     
     if (!admin) {
+      await passwordService.auditLogin({ ...audit, reason: 'unknown_user' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    audit.adminId = admin.id;
+
+    if (!admin.isActive) {
+      await passwordService.auditLogin({ ...audit, reason: 'disabled' });
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (passwordService.isLocked(admin)) {
+      await passwordService.auditLogin({ ...audit, reason: 'locked' });
+      return res.status(423).json({
+        error: 'Account is temporarily locked after too many failed logins',
+        lockedUntil: admin.lockedUntil
+      });
+    }
+
     // Check password
     const isValidPassword = await bcrypt.compare(password, admin.passwordHash);
     
     if (!isValidPassword) {
+      const lockedUntil = await passwordService.recordFailedLogin(admin);
+      await passwordService.auditLogin({ ...audit, reason: 'invalid_password' });
+
+      if (lockedUntil) {
+        return res.status(423).json({
+          error: 'Account is temporarily locked after too many failed logins',
+          lockedUntil
+        });
+      }
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: admin.id, username: admin.username },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    await passwordService.recordSuccessfulLogin(admin);
+    await passwordService.auditLogin({ ...audit, success: true, reason: 'success' });
+
+    // Start a session: short-lived access token plus a rotating refresh token
+    const tokens = await sessionService.createSession(admin, {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip
+    });
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       admin: {
         id: admin.id,
-        username: admin.username
+        username: admin.username,
+        role: admin.role
       }
     });
 
@@ -52,26 +89,209 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const result = await sessionService.rotateSession(refreshToken);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({
+      ...result.tokens,
+      admin: {
+        id: result.admin.id,
+        username: result.admin.username,
+        role: result.admin.role
+      }
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out the current session
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.admin.sessionId);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access denied. No token provided.' });
+// Log out every session of the current account, including this one
+router.post('/logout-all', verifyToken, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.admin.id);
+    res.json({ message: 'All sessions logged out', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List active sessions of the current account
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.admin.id);
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.id === req.admin.sessionId
+    })));
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
+// Revoke one session of the current account (e.g. a lost device)
+router.delete('/sessions/:id', verifyToken, async (req, res) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.admin = decoded;
-    next();
+    const sessionId = parseInt(req.params.id);
+    const session = await prisma.authSession.findUnique({ where: { id: sessionId } });
+
+    if (!session || session.adminId !== req.admin.id) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await sessionService.revokeSession(sessionId);
+    res.json({ message: 'Session revoked' });
   } catch (error) {
-    res.status(400).json({ error: 'Invalid token' });
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-};
+});
 
 // Verify token endpoint
 router.get('/verify', verifyToken, (req, res) => {
   res.json({ message: 'Token is valid', admin: req.admin });
 });
 
+// Accept an invitation and set the account password
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Invite token and password are required' });
+    }
+
+    const inviteTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    const admin = await prisma.admin.findFirst({
+      where: { inviteTokenHash }
+    });
+
+    if (!admin || !admin.inviteExpiresAt || admin.inviteExpiresAt < new Date()) {
+      return res.status(400).json({ error: 'Invite is invalid or has expired' });
+    }
+
+    const passwordErrors = passwordService.validatePasswordStrength(password, admin.username);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ error: 'Password does not meet requirements', details: passwordErrors });
+    }
+
+    await passwordService.setPassword(admin.id, password);
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: {
+        inviteTokenHash: null,
+        inviteExpiresAt: null
+      }
+    });
+
+    res.json({ message: 'Invite accepted. You can now log in.', username: admin.username });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change own password - other sessions are logged out
+router.post('/change-password', verifyToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+
+    const admin = await prisma.admin.findUnique({ where: { id: req.admin.id } });
+
+    const isValidPassword = await bcrypt.compare(currentPassword, admin.passwordHash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ error: 'New password must be different from the current password' });
+    }
+
+    const passwordErrors = passwordService.validatePasswordStrength(newPassword, admin.username);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ error: 'Password does not meet requirements', details: passwordErrors });
+    }
+
+    await passwordService.setPassword(admin.id, newPassword);
+    const revoked = await sessionService.revokeAllSessions(admin.id, req.admin.sessionId);
+
+    res.json({ message: 'Password changed', revokedSessions: revoked });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a new password with a reset token issued by an owner
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Reset token and password are required' });
+    }
+
+    const admin = await passwordService.findByResetToken(token);
+    if (!admin) {
+      return res.status(400).json({ error: 'Reset token is invalid or has expired' });
+    }
+
+    const passwordErrors = passwordService.validatePasswordStrength(password, admin.username);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ error: 'Password does not meet requirements', details: passwordErrors });
+    }
+
+    await passwordService.setPassword(admin.id, password);
+    await sessionService.revokeAllSessions(admin.id);
+
+    res.json({ message: 'Password has been reset. You can now log in.', username: admin.username });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Recent login attempts for the current account
+router.get('/login-history', verifyToken, async (req, res) => {
+  try {
+    const history = await prisma.loginAudit.findMany({
+      where: { adminId: req.admin.id },
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+    res.json(history);
+  } catch (error) {
+    console.error('Login history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
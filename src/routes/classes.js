@@ -0,0 +1,305 @@
+const express = require('express');
+const prisma = require('../prisma');
+const { verifyToken, requireRole, requirePaperAccess } = require('../middleware/auth');
+const { uploadRoster } = require('../middleware/uploads');
+const { parseRosterFile } = require('../../services/rosterService');
+
+const router = express.Router();
+
+router.use(verifyToken, requireRole('owner', 'teacher'));
+
+// Load a class the current account manages (owners manage every class)
+const loadClassroom = async (req, res, next) => {
+  try {
+    const classroom = await prisma.classroom.findUnique({
+      where: { id: parseInt(req.params.id) }
+    });
+
+    if (!classroom || (req.admin.role !== 'owner' && classroom.adminId !== req.admin.id)) {
+      return res.status(404).json({ error: 'Class not found' });
+    }
+
+    req.classroom = classroom;
+    next();
+  } catch (error) {
+    console.error('Class lookup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// List classes
+router.get('/', async (req, res) => {
+  try {
+    const classes = await prisma.classroom.findMany({
+      where: req.admin.role === 'owner' ? {} : { adminId: req.admin.id },
+      include: { _count: { select: { students: true, papers: true } } },
+      orderBy: [{ name: 'asc' }, { section: 'asc' }]
+    });
+    res.json(classes);
+  } catch (error) {
+    console.error('Error fetching classes:', error);
+    res.status(500).json({ error: 'Failed to fetch classes' });
+  }
+});
+
+// Create a class
+router.post('/', async (req, res) => {
+  try {
+    const { name, section } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Class name is required' });
+    }
+
+    const classroom = await prisma.classroom.create({
+      data: {
+        name: name.trim().substring(0, 100),
+        section: section ? section.trim().substring(0, 50) : null,
+        adminId: req.admin.id
+      }
+    });
+
+    res.status(201).json(classroom);
+  } catch (error) {
+    console.error('Error creating class:', error);
+    res.status(500).json({ error: 'Failed to create class' });
+  }
+});
+
+// Get a class with its roster and assigned papers
+router.get('/:id', loadClassroom, async (req, res) => {
+  try {
+    const classroom = await prisma.classroom.findUnique({
+      where: { id: req.classroom.id },
+      include: {
+        students: { orderBy: { rollNo: 'asc' } },
+        papers: {
+          include: { paper: { select: { id: true, name: true, uploadedAt: true } } }
+        }
+      }
+    });
+
+    res.json({
+      ...classroom,
+      papers: classroom.papers.map(pc => pc.paper)
+    });
+  } catch (error) {
+    console.error('Error fetching class:', error);
+    res.status(500).json({ error: 'Failed to fetch class' });
+  }
+});
+
+// Rename a class or change its section
+router.patch('/:id', loadClassroom, async (req, res) => {
+  try {
+    const { name, section } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Class name cannot be empty' });
+    }
+
+    const classroom = await prisma.classroom.update({
+      where: { id: req.classroom.id },
+      data: {
+        ...(name !== undefined && { name: String(name).trim().substring(0, 100) }),
+        ...(section !== undefined && { section: section ? String(section).trim().substring(0, 50) : null })
+      }
+    });
+
+    res.json(classroom);
+  } catch (error) {
+    console.error('Error updating class:', error);
+    res.status(500).json({ error: 'Failed to update class' });
+  }
+});
+
+// Delete a class and its roster. Submissions keep their roll numbers but lose the student link.
+router.delete('/:id', loadClassroom, async (req, res) => {
+  try {
+    await prisma.classroom.delete({ where: { id: req.classroom.id } });
+    res.json({ message: 'Class deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting class:', error);
+    res.status(500).json({ error: 'Failed to delete class' });
+  }
+});
+
+// Add a student to a class
+router.post('/:id/students', loadClassroom, async (req, res) => {
+  try {
+    const { rollNo, name, email } = req.body;
+
+    if (!rollNo || !name) {
+      return res.status(400).json({ error: 'Roll number and name are required' });
+    }
+
+    const student = await prisma.student.create({
+      data: {
+        classroomId: req.classroom.id,
+        rollNo: String(rollNo).trim().substring(0, 20),
+        name: String(name).trim().substring(0, 100),
+        email: email || null
+      }
+    });
+
+    res.status(201).json(student);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A student with this roll number is already in the class' });
+    }
+    console.error('Error adding student:', error);
+    res.status(500).json({ error: 'Failed to add student' });
+  }
+});
+
+// Update a student
+router.patch('/:id/students/:studentId', loadClassroom, async (req, res) => {
+  try {
+    const studentId = parseInt(req.params.studentId);
+    const { rollNo, name, email } = req.body;
+
+    const existing = await prisma.student.findFirst({
+      where: { id: studentId, classroomId: req.classroom.id }
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    const student = await prisma.student.update({
+      where: { id: studentId },
+      data: {
+        ...(rollNo !== undefined && { rollNo: String(rollNo).trim().substring(0, 20) }),
+        ...(name !== undefined && { name: String(name).trim().substring(0, 100) }),
+        ...(email !== undefined && { email: email || null })
+      }
+    });
+
+    res.json(student);
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A student with this roll number is already in the class' });
+    }
+    console.error('Error updating student:', error);
+    res.status(500).json({ error: 'Failed to update student' });
+  }
+});
+
+// Remove a student from a class
+router.delete('/:id/students/:studentId', loadClassroom, async (req, res) => {
+  try {
+    const result = await prisma.student.deleteMany({
+      where: { id: parseInt(req.params.studentId), classroomId: req.classroom.id }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+
+    res.json({ message: 'Student removed successfully' });
+  } catch (error) {
+    console.error('Error removing student:', error);
+    res.status(500).json({ error: 'Failed to remove student' });
+  }
+});
+
+// Import a roster from CSV or XLSX.
+// mode=merge (default) adds new students and updates names of existing roll numbers;
+// mode=replace also removes students missing from the file.
+router.post('/:id/roster/import', loadClassroom, uploadRoster.single('roster'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No roster file uploaded' });
+    }
+
+    const mode = req.body.mode || 'merge';
+    if (!['merge', 'replace'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be merge or replace' });
+    }
+
+    const { students, errors } = parseRosterFile(req.file.buffer);
+    if (students.length === 0) {
+      return res.status(400).json({ error: 'No students found in roster file', details: errors });
+    }
+
+    const classroomId = req.classroom.id;
+
+    const summary = await prisma.$transaction(async (tx) => {
+      let created = 0;
+      let updated = 0;
+      let removed = 0;
+
+      for (const student of students) {
+        const existing = await tx.student.findUnique({
+          where: { classroomId_rollNo: { classroomId, rollNo: student.rollNo } }
+        });
+
+        if (existing) {
+          await tx.student.update({
+            where: { id: existing.id },
+            data: { name: student.name, ...(student.email && { email: student.email }) }
+          });
+          updated++;
+        } else {
+          await tx.student.create({ data: { classroomId, ...student } });
+          created++;
+        }
+      }
+
+      if (mode === 'replace') {
+        const result = await tx.student.deleteMany({
+          where: {
+            classroomId,
+            rollNo: { notIn: students.map(s => s.rollNo) }
+          }
+        });
+        removed = result.count;
+      }
+
+      return { created, updated, removed };
+    });
+
+    console.log(`📋 Roster import for class ${classroomId}: ${summary.created} added, ${summary.updated} updated, ${summary.removed} removed`);
+
+    res.json({
+      success: true,
+      mode,
+      ...summary,
+      skipped: errors
+    });
+  } catch (error) {
+    console.error('Error importing roster:', error);
+    res.status(500).json({ error: 'Failed to import roster' });
+  }
+});
+
+// Assign a paper to a class
+router.post('/:id/papers/:paperId', loadClassroom, requirePaperAccess('edit'), async (req, res) => {
+  try {
+    const assignment = await prisma.paperClass.upsert({
+      where: { paperId_classroomId: { paperId: req.paper.id, classroomId: req.classroom.id } },
+      update: {},
+      create: { paperId: req.paper.id, classroomId: req.classroom.id }
+    });
+
+    res.status(201).json(assignment);
+  } catch (error) {
+    console.error('Error assigning paper to class:', error);
+    res.status(500).json({ error: 'Failed to assign paper' });
+  }
+});
+
+// Unassign a paper from a class
+router.delete('/:id/papers/:paperId', loadClassroom, requirePaperAccess('edit'), async (req, res) => {
+  try {
+    await prisma.paperClass.deleteMany({
+      where: { paperId: req.paper.id, classroomId: req.classroom.id }
+    });
+
+    res.json({ message: 'Paper unassigned from class' });
+  } catch (error) {
+    console.error('Error unassigning paper from class:', error);
+    res.status(500).json({ error: 'Failed to unassign paper' });
+  }
+});
+
+module.exports = router;
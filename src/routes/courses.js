@@ -0,0 +1,208 @@
+const express = require('express');
+const { Prisma } = require('@prisma/client');
+const prisma = require('../prisma');
+const { verifyToken, requireRole, requirePaperAccess } = require('../middleware/auth');
+const gradebookService = require('../../services/gradebookService');
+
+const router = express.Router();
+
+router.use(verifyToken, requireRole('owner', 'teacher'));
+
+// Load a course the current account manages (owners manage every course)
+const loadCourse = async (req, res, next) => {
+  try {
+    const course = await prisma.course.findUnique({
+      where: { id: parseInt(req.params.id) }
+    });
+
+    if (!course || (req.admin.role !== 'owner' && course.adminId !== req.admin.id)) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    req.course = course;
+    next();
+  } catch (error) {
+    console.error('Course lookup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const parseWeight = (weight) => {
+  const value = Number(weight);
+  return Number.isFinite(value) && value >= 0 && value <= 1000 ? value : null;
+};
+
+// List courses
+router.get('/', async (req, res) => {
+  try {
+    const courses = await prisma.course.findMany({
+      where: req.admin.role === 'owner' ? {} : { adminId: req.admin.id },
+      include: { _count: { select: { papers: true } } },
+      orderBy: { createdAt: 'desc' }
+    });
+    res.json(courses);
+  } catch (error) {
+    console.error('Error fetching courses:', error);
+    res.status(500).json({ error: 'Failed to fetch courses' });
+  }
+});
+
+// Create a course, optionally with custom grade bands
+router.post('/', async (req, res) => {
+  try {
+    const { name, term, gradeBands } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Course name is required' });
+    }
+
+    if (gradeBands !== undefined && gradeBands !== null) {
+      const errors = gradebookService.validateGradeBands(gradeBands);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid grade bands', details: errors });
+      }
+    }
+
+    const course = await prisma.course.create({
+      data: {
+        name: String(name).trim().substring(0, 100),
+        term: term ? String(term).trim().substring(0, 50) : null,
+        adminId: req.admin.id,
+        ...(gradeBands && { gradeBands })
+      }
+    });
+
+    res.status(201).json(course);
+  } catch (error) {
+    console.error('Error creating course:', error);
+    res.status(500).json({ error: 'Failed to create course' });
+  }
+});
+
+// Get a course with its papers and effective grade bands
+router.get('/:id', loadCourse, async (req, res) => {
+  try {
+    const course = await prisma.course.findUnique({
+      where: { id: req.course.id },
+      include: {
+        papers: {
+          include: { paper: { select: { id: true, name: true, uploadedAt: true } } },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    res.json({
+      ...course,
+      gradeBands: course.gradeBands || gradebookService.DEFAULT_GRADE_BANDS,
+      papers: course.papers.map(cp => ({ ...cp.paper, weight: cp.weight }))
+    });
+  } catch (error) {
+    console.error('Error fetching course:', error);
+    res.status(500).json({ error: 'Failed to fetch course' });
+  }
+});
+
+// Update a course's name, term or grade bands (send gradeBands: null to restore the defaults)
+router.patch('/:id', loadCourse, async (req, res) => {
+  try {
+    const { name, term, gradeBands } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Course name cannot be empty' });
+    }
+
+    if (gradeBands !== undefined && gradeBands !== null) {
+      const errors = gradebookService.validateGradeBands(gradeBands);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid grade bands', details: errors });
+      }
+    }
+
+    const course = await prisma.course.update({
+      where: { id: req.course.id },
+      data: {
+        ...(name !== undefined && { name: String(name).trim().substring(0, 100) }),
+        ...(term !== undefined && { term: term ? String(term).trim().substring(0, 50) : null }),
+        ...(gradeBands !== undefined && { gradeBands: gradeBands === null ? Prisma.JsonNull : gradeBands })
+      }
+    });
+
+    res.json(course);
+  } catch (error) {
+    console.error('Error updating course:', error);
+    res.status(500).json({ error: 'Failed to update course' });
+  }
+});
+
+// Delete a course (papers and submissions are untouched)
+router.delete('/:id', loadCourse, async (req, res) => {
+  try {
+    await prisma.course.delete({ where: { id: req.course.id } });
+    res.json({ message: 'Course deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting course:', error);
+    res.status(500).json({ error: 'Failed to delete course' });
+  }
+});
+
+// Add a paper to a course, or change its weight if it is already there
+router.put('/:id/papers/:paperId', loadCourse, requirePaperAccess('view'), async (req, res) => {
+  try {
+    const weight = req.body.weight === undefined ? 1 : parseWeight(req.body.weight);
+    if (weight === null) {
+      return res.status(400).json({ error: 'weight must be a number between 0 and 1000' });
+    }
+
+    const coursePaper = await prisma.coursePaper.upsert({
+      where: { courseId_paperId: { courseId: req.course.id, paperId: req.paper.id } },
+      update: { weight },
+      create: { courseId: req.course.id, paperId: req.paper.id, weight }
+    });
+
+    res.json(coursePaper);
+  } catch (error) {
+    console.error('Error adding paper to course:', error);
+    res.status(500).json({ error: 'Failed to add paper to course' });
+  }
+});
+
+// Remove a paper from a course
+router.delete('/:id/papers/:paperId', loadCourse, async (req, res) => {
+  try {
+    const result = await prisma.coursePaper.deleteMany({
+      where: { courseId: req.course.id, paperId: parseInt(req.params.paperId) }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Paper is not part of this course' });
+    }
+
+    res.json({ message: 'Paper removed from course' });
+  } catch (error) {
+    console.error('Error removing paper from course:', error);
+    res.status(500).json({ error: 'Failed to remove paper from course' });
+  }
+});
+
+// Course gradebook: one row per roll number, one column per paper, weighted total and grade.
+// Add ?format=xlsx to download it.
+router.get('/:id/gradebook', loadCourse, async (req, res) => {
+  try {
+    const gradebook = await gradebookService.buildCourseGradebook(req.course.id);
+
+    if (req.query.format !== 'xlsx') {
+      return res.json(gradebook);
+    }
+
+    const fileName = `${gradebook.course.name.replace(/[^a-zA-Z0-9]/g, '_')}_course_gradebook.xlsx`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(gradebookService.toCourseXlsx(gradebook));
+  } catch (error) {
+    console.error('Error building course gradebook:', error);
+    res.status(500).json({ error: 'Failed to build course gradebook' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const evaluationQueue = require('../../services/evaluationQueue');
+const {
+  verifyToken,
+  requirePaperAccess,
+  paperFromJob
+} = require('../middleware/auth');
+
+const router = express.Router();
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'dead', 'cancelled'];
+
+// Enqueue evaluation jobs for a paper (all pending submissions, or the given submissionIds)
+router.post('/paper/:paperId', verifyToken, requirePaperAccess('grade'), async (req, res) => {
+  try {
+    const paperId = req.paper.id;
+    const { submissionIds, maxAttempts } = req.body;
+
+    if (submissionIds !== undefined && !Array.isArray(submissionIds)) {
+      return res.status(400).json({ error: 'submissionIds must be an array' });
+    }
+
+    const result = await evaluationQueue.enqueue(paperId, submissionIds || null, { maxAttempts });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { jobs, skipped } = result;
+
+    res.status(202).json({
+      success: true,
+      message: `Queued ${jobs.length} evaluation job(s)`,
+      jobs,
+      skippedSubmissionIds: skipped
+    });
+  } catch (error) {
+    console.error('❌ Enqueue jobs error:', error);
+    res.status(500).json({ error: 'Failed to enqueue evaluation jobs' });
+  }
+});
+
+// List jobs for a paper, optionally filtered by status
+router.get('/paper/:paperId', verifyToken, requirePaperAccess('view'), async (req, res) => {
+  try {
+    const paperId = parseInt(req.params.paperId);
+    const { status } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Use one of: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    const { jobs, counts } = await evaluationQueue.listJobs(paperId, status);
+    res.json({ jobs, counts });
+  } catch (error) {
+    console.error('❌ List jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch evaluation jobs' });
+  }
+});
+
+// Cancel all queued or waiting jobs for a paper
+router.post('/paper/:paperId/cancel', verifyToken, requirePaperAccess('grade'), async (req, res) => {
+  try {
+    const cancelled = await evaluationQueue.cancel({ paperId: parseInt(req.params.paperId) });
+    res.json({ success: true, cancelled });
+  } catch (error) {
+    console.error('❌ Cancel jobs error:', error);
+    res.status(500).json({ error: 'Failed to cancel evaluation jobs' });
+  }
+});
+
+// Retry all failed, dead or cancelled jobs for a paper
+router.post('/paper/:paperId/retry', verifyToken, requirePaperAccess('grade'), async (req, res) => {
+  try {
+    const retried = await evaluationQueue.retry({ paperId: parseInt(req.params.paperId) });
+    res.json({ success: true, retried });
+  } catch (error) {
+    console.error('❌ Retry jobs error:', error);
+    res.status(500).json({ error: 'Failed to retry evaluation jobs' });
+  }
+});
+
+// Get a single job
+router.get('/:id', verifyToken, requirePaperAccess('view', paperFromJob('id')), async (req, res) => {
+  try {
+    const job = await evaluationQueue.getJob(parseInt(req.params.id));
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('❌ Get job error:', error);
+    res.status(500).json({ error: 'Failed to fetch evaluation job' });
+  }
+});
+
+// Cancel a single job
+router.post('/:id/cancel', verifyToken, requirePaperAccess('grade', paperFromJob('id')), async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    const job = await evaluationQueue.getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const cancelled = await evaluationQueue.cancel({ id: jobId });
+    if (!cancelled) {
+      return res.status(409).json({ error: `Cannot cancel a job that is ${job.status}` });
+    }
+
+    res.json({ success: true, job: await evaluationQueue.getJob(jobId) });
+  } catch (error) {
+    console.error('❌ Cancel job error:', error);
+    res.status(500).json({ error: 'Failed to cancel evaluation job' });
+  }
+});
+
+// Retry a single failed, dead or cancelled job
+router.post('/:id/retry', verifyToken, requirePaperAccess('grade', paperFromJob('id')), async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.id);
+    const job = await evaluationQueue.getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const retried = await evaluationQueue.retry({ id: jobId });
+    if (!retried) {
+      return res.status(409).json({ error: `Cannot retry a job that is ${job.status}` });
+    }
+
+    res.json({ success: true, job: await evaluationQueue.getJob(jobId) });
+  } catch (error) {
+    console.error('❌ Retry job error:', error);
+    res.status(500).json({ error: 'Failed to retry evaluation job' });
+  }
+});
+
+module.exports = router;
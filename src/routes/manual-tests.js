@@ -1,11 +1,25 @@
 const express = require('express');
 const multer = require('multer');
 const prisma = require('../prisma');
+const { validateNumericSpec } = require('../../services/numericAnswer');
+const { checkQuestionLayoutChange } = require('../../services/variantService');
+const {
+  verifyToken,
+  requireRole,
+  requirePaperAccess,
+  paperFromParam
+} = require('../middleware/auth');
 
 const router = express.Router();
 
+// Stored format of a manual question: numeric questions carry a numericAnswer spec
+const manualQuestionFormat = (question) => {
+  if (question.isMultipleChoice) return 'multiple_choice';
+  return question.numericAnswer ? 'numeric' : 'text';
+};
+
 // Create manual test
-router.post('/create-manual', async (req, res) => {
+router.post('/create-manual', verifyToken, requireRole('owner', 'teacher'), async (req, res) => {
   try {
     const { testName, totalMarks, questions } = req.body;
     
@@ -59,6 +73,12 @@ router.post('/create-manual', async (req, res) => {
             }
           });
         }
+      } else if (question.numericAnswer) {
+        const numericErrors = validateNumericSpec(question.numericAnswer);
+        if (numericErrors.length > 0) {
+          throw new Error(`Question ${question.questionNumber}: ${numericErrors.join('; ')}`);
+        }
+        correctOptions = [String(question.numericAnswer.value)];
       } else {
         // For non-multiple choice questions, use singleCorrectAnswer
         if (question.singleCorrectAnswer && question.singleCorrectAnswer.trim()) {
@@ -87,11 +107,12 @@ router.post('/create-manual', async (req, res) => {
       questionData.push({
         questionNumber: question.questionNumber,
         questionText: question.questionText || `Question ${question.questionNumber}`,
-        questionFormat: question.isMultipleChoice ? 'multiple_choice' : 'text',
+        questionFormat: manualQuestionFormat(question),
         options: options,
         correctOptions: correctOptions,
         pointsPerBlank: pointsPerBlank,
-        weightages: weightages
+        weightages: weightages,
+        numericAnswer: question.isMultipleChoice ? undefined : question.numericAnswer || undefined
       });
     }
     
@@ -116,7 +137,7 @@ router.post('/create-manual', async (req, res) => {
           uploadedAt: new Date(),
           totalPages: 1,
           questionType: 'traditional',
-          adminId: 1
+          adminId: req.admin.id
         }
       });
       
@@ -166,7 +187,7 @@ router.post('/create-manual', async (req, res) => {
 });
 
 // Get manual test details
-router.get('/manual/:id', async (req, res) => {
+router.get('/manual/:id', verifyToken, requirePaperAccess('view', paperFromParam('id')), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -192,7 +213,8 @@ router.get('/manual/:id', async (req, res) => {
       options: q.options || {},
       correctOptions: q.correctOptions || [],
       totalMarks: q.pointsPerBlank || 1,
-      weightages: q.weightages || {}
+      weightages: q.weightages || {},
+      numericAnswer: q.numericAnswer || null
     }));
 
     res.json({
@@ -210,7 +232,7 @@ router.get('/manual/:id', async (req, res) => {
 });
 
 // Update manual test
-router.put('/manual/:id', async (req, res) => {
+router.put('/manual/:id', verifyToken, requirePaperAccess('edit', paperFromParam('id')), async (req, res) => {
   try {
     const { id } = req.params;
     const { testName, questions } = req.body;
@@ -219,6 +241,12 @@ router.put('/manual/:id', async (req, res) => {
       return res.status(400).json({ error: 'Test name and questions are required' });
     }
 
+    // Questions are recreated, which printed sets cannot follow
+    const layoutError = await checkQuestionLayoutChange(parseInt(id));
+    if (layoutError) {
+      return res.status(layoutError.status).json({ error: layoutError.error });
+    }
+
     // Use Prisma transaction
     await prisma.$transaction(async (tx) => {
       // Update paper
@@ -257,6 +285,12 @@ router.put('/manual/:id', async (req, res) => {
               }
             }
           });
+        } else if (question.numericAnswer) {
+          const numericErrors = validateNumericSpec(question.numericAnswer);
+          if (numericErrors.length > 0) {
+            throw new Error(`Question ${question.questionNumber}: ${numericErrors.join('; ')}`);
+          }
+          correctOptions = [String(question.numericAnswer.value)];
         } else if (question.singleCorrectAnswer) {
           correctOptions = [question.singleCorrectAnswer];
         }
@@ -271,11 +305,12 @@ router.put('/manual/:id', async (req, res) => {
             paperId: parseInt(id),
             questionNumber: question.questionNumber,
             questionText: question.questionText,
-            questionFormat: question.isMultipleChoice ? 'multiple_choice' : 'text',
+            questionFormat: manualQuestionFormat(question),
             options: options,
             correctOptions: correctOptions,
             pointsPerBlank: question.totalMarks,
-            weightages: weightages
+            weightages: weightages,
+            numericAnswer: question.isMultipleChoice ? undefined : question.numericAnswer || undefined
           }
         });
       }
@@ -2,10 +2,24 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { Prisma } = require('@prisma/client');
 const prisma = require('../prisma');
+const {
+  verifyToken,
+  requireRole,
+  requirePaperAccess,
+  accessiblePapersWhere,
+  capAccess,
+  paperFromParam
+} = require('../middleware/auth');
 const { GeminiService } = require('../../services/geminiService');
 const OMRService = require('../../services/omrService');
 const { FillBlanksService } = require('../../services/fillBlanksService');
+const { resultsVisible } = require('../../services/studentResultsService');
+const { buildWindowSettings } = require('../../services/examWindowService');
+const { validateScoringPolicy } = require('../../services/scoringPolicy');
+const questionBankService = require('../../services/questionBankService');
+const variantService = require('../../services/variantService');
 
 const router = express.Router();
 
@@ -35,28 +49,11 @@ const upload = multer({
 // Support multiple files (up to 10 pages)
 const uploadMultiple = upload.array('papers', 10);
 
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.header('Authorization')?.replace('Bearer ', '');
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access denied. No token provided.' });
-  }
-
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.admin = decoded;
-    next();
-  } catch (error) {
-    res.status(400).json({ error: 'Invalid token' });
-  }
-};
-
-// Get all papers (admin only - requires authentication)
+// Get all papers visible to the current user
 router.get('/', verifyToken, async (req, res) => {
   try {
     const papers = await prisma.paper.findMany({
+      where: accessiblePapersWhere(req.admin),
       include: {
         questions: {
           select: {
@@ -102,6 +99,9 @@ router.get('/public', async (req, res) => {
         uploadedAt: true,
         totalPages: true,
         questionType: true,
+        opensAt: true,
+        closesAt: true,
+        latePolicy: true,
         _count: {
           select: { questions: true }
         },
@@ -128,7 +128,10 @@ router.get('/public', async (req, res) => {
         totalPages: actualPageCount, // Use calculated page count
         total_pages: actualPageCount, // Add snake_case version for frontend compatibility
         questionType: paper.questionType,
-        question_count: paper._count.questions
+        question_count: paper._count.questions,
+        opensAt: paper.opensAt,
+        closesAt: paper.closesAt,
+        acceptsLateSubmissions: paper.latePolicy !== 'reject'
       };
     });
     
@@ -140,7 +143,7 @@ router.get('/public', async (req, res) => {
 });
 
 // Upload new paper
-router.post('/upload', verifyToken, uploadMultiple, async (req, res) => {
+router.post('/upload', verifyToken, requireRole('owner', 'teacher'), uploadMultiple, async (req, res) => {
   try {
     const { name } = req.body;
     const files = req.files;
@@ -347,7 +350,7 @@ router.post('/upload', verifyToken, uploadMultiple, async (req, res) => {
 });
 
 // Get paper details with questions
-router.get('/:id', verifyToken, async (req, res) => {
+router.get('/:id', verifyToken, requirePaperAccess('view', paperFromParam('id')), async (req, res) => {
   try {
     const paperId = parseInt(req.params.id);
 
@@ -372,8 +375,8 @@ router.get('/:id', verifyToken, async (req, res) => {
   }
 });
 
-// Delete paper (admin only - requires authentication)
-router.delete('/:id', verifyToken, async (req, res) => {
+// Delete paper (paper owner only)
+router.delete('/:id', verifyToken, requirePaperAccess('owner', paperFromParam('id')), async (req, res) => {
   try {
     const paperId = parseInt(req.params.id);
 
@@ -399,4 +402,297 @@ router.delete('/:id', verifyToken, async (req, res) => {
   }
 });
 
+// Result publication settings. resultsPublished is the draft/published switch;
+// resultsPublishAt optionally holds published results back until a given time.
+router.patch('/:id/results-settings', verifyToken, requirePaperAccess('edit', paperFromParam('id')), async (req, res) => {
+  try {
+    const { resultsPublished, resultsPublishAt, showAnswerKey, showPerQuestion } = req.body;
+
+    for (const [field, value] of Object.entries({ resultsPublished, showAnswerKey, showPerQuestion })) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        return res.status(400).json({ error: `${field} must be true or false` });
+      }
+    }
+
+    if (resultsPublishAt && isNaN(new Date(resultsPublishAt).getTime())) {
+      return res.status(400).json({ error: 'resultsPublishAt must be a date, or null to publish immediately' });
+    }
+
+    const paper = await prisma.paper.update({
+      where: { id: req.paper.id },
+      data: {
+        ...(resultsPublished !== undefined && { resultsPublished }),
+        ...(resultsPublishAt !== undefined && { resultsPublishAt: resultsPublishAt ? new Date(resultsPublishAt) : null }),
+        ...(showAnswerKey !== undefined && { showAnswerKey }),
+        ...(showPerQuestion !== undefined && { showPerQuestion })
+      },
+      select: {
+        id: true,
+        name: true,
+        resultsPublished: true,
+        resultsPublishAt: true,
+        showAnswerKey: true,
+        showPerQuestion: true
+      }
+    });
+
+    // Submissions students would not see a score for yet, so teachers can spot an incomplete batch
+    const unfinished = await prisma.studentSubmission.groupBy({
+      by: ['evaluationStatus'],
+      where: { paperId: paper.id, evaluationStatus: { not: 'evaluated' } },
+      _count: { _all: true }
+    });
+
+    console.log(`📢 Paper ${paper.id} results ${paper.resultsPublished ? 'published' : 'set to draft'}${paper.resultsPublishAt ? ` (visible from ${paper.resultsPublishAt.toISOString()})` : ''}`);
+
+    res.json({
+      ...paper,
+      resultsVisible: resultsVisible(paper),
+      unfinishedSubmissions: Object.fromEntries(unfinished.map(u => [u.evaluationStatus, u._count._all]))
+    });
+  } catch (error) {
+    console.error('Error updating results settings:', error);
+    res.status(500).json({ error: 'Failed to update results settings' });
+  }
+});
+
+// Exam window and late policy. latePolicy is reject, flag (accept and mark late)
+// or penalty (accept, mark late and deduct latePenaltyPercent of the score at evaluation).
+router.patch('/:id/exam-window', verifyToken, requirePaperAccess('edit', paperFromParam('id')), async (req, res) => {
+  try {
+    const settings = buildWindowSettings(req.body, req.paper);
+    if (settings.error) {
+      return res.status(settings.status).json({ error: settings.error });
+    }
+
+    const paper = await prisma.paper.update({
+      where: { id: req.paper.id },
+      data: settings.data,
+      select: {
+        id: true,
+        name: true,
+        opensAt: true,
+        closesAt: true,
+        latePolicy: true,
+        latePenaltyPercent: true
+      }
+    });
+
+    console.log(`⏰ Paper ${paper.id} exam window updated (late policy: ${paper.latePolicy})`);
+
+    res.json(paper);
+  } catch (error) {
+    console.error('Error updating exam window:', error);
+    res.status(500).json({ error: 'Failed to update exam window' });
+  }
+});
+
+// Set the paper's scoring policy (e.g. { correct: 4, wrong: -1, floor: 'paper' }), or null to remove it.
+// Applies to submissions evaluated from now on; re-evaluate to re-score existing ones.
+router.put('/:id/scoring-policy', verifyToken, requirePaperAccess('edit', paperFromParam('id')), async (req, res) => {
+  try {
+    const { scoringPolicy } = req.body;
+
+    if (scoringPolicy === undefined) {
+      return res.status(400).json({ error: 'scoringPolicy is required (send null to remove it)' });
+    }
+
+    if (scoringPolicy !== null) {
+      const errors = validateScoringPolicy(scoringPolicy, 'paper');
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid scoring policy', details: errors });
+      }
+    }
+
+    const paper = await prisma.paper.update({
+      where: { id: req.paper.id },
+      data: { scoringPolicy: scoringPolicy === null ? Prisma.JsonNull : scoringPolicy },
+      select: { id: true, name: true, scoringPolicy: true }
+    });
+
+    res.json(paper);
+  } catch (error) {
+    console.error('Error updating scoring policy:', error);
+    res.status(500).json({ error: 'Failed to update scoring policy' });
+  }
+});
+
+// Save the paper's extracted questions to the question bank: all of them, or the questionNumbers in the body.
+// topic, difficulty and tags label every saved question; questions saved before are skipped.
+router.post('/:id/save-to-bank', verifyToken, requireRole('owner', 'teacher'), requirePaperAccess('view', paperFromParam('id')), async (req, res) => {
+  try {
+    const result = await questionBankService.saveFromPaper(req.admin, req.paper.id, req.body);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: `Saved ${result.saved} questions to the question bank`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error saving questions to bank:', error);
+    res.status(500).json({ error: 'Failed to save questions to bank' });
+  }
+});
+
+// Generate printed sets (default A-D) with shuffled question order (within each page) and/or option order.
+// Replaces the paper's sets unless submissions already use them.
+router.post('/:id/variants', verifyToken, requirePaperAccess('edit', paperFromParam('id')), async (req, res) => {
+  try {
+    const errors = variantService.validateVariantOptions(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid set options', details: errors });
+    }
+
+    const result = await variantService.generateVariants(req.paper.id, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: `Generated ${result.variants.length} sets`,
+      variants: result.variants
+    });
+  } catch (error) {
+    console.error('Error generating paper sets:', error);
+    res.status(500).json({ error: 'Failed to generate paper sets' });
+  }
+});
+
+// List a paper's sets with their mappings and how many submissions use each
+router.get('/:id/variants', verifyToken, requirePaperAccess('view', paperFromParam('id')), async (req, res) => {
+  try {
+    const variants = await prisma.paperVariant.findMany({
+      where: { paperId: req.paper.id },
+      include: { _count: { select: { submissions: true } } },
+      orderBy: { setCode: 'asc' }
+    });
+
+    res.json(variants.map(({ _count, ...variant }) => ({ ...variant, submissionCount: _count.submissions })));
+  } catch (error) {
+    console.error('Error fetching paper sets:', error);
+    res.status(500).json({ error: 'Failed to fetch paper sets' });
+  }
+});
+
+// One set as printed: questions in set order with set option labels, and the set's answer key
+router.get('/:id/variants/:setCode', verifyToken, requirePaperAccess('view', paperFromParam('id')), async (req, res) => {
+  try {
+    const variant = await variantService.findVariant(req.paper.id, req.params.setCode);
+    if (!variant) {
+      return res.status(404).json({ error: 'Set not found' });
+    }
+
+    const questions = await prisma.question.findMany({
+      where: { paperId: req.paper.id },
+      orderBy: { questionNumber: 'asc' }
+    });
+
+    res.json({
+      paper: { id: req.paper.id, name: req.paper.name },
+      ...variantService.variantView(variant, questions)
+    });
+  } catch (error) {
+    console.error('Error fetching paper set:', error);
+    res.status(500).json({ error: 'Failed to fetch paper set' });
+  }
+});
+
+// Remove a paper's sets, unless submissions already use them
+router.delete('/:id/variants', verifyToken, requirePaperAccess('edit', paperFromParam('id')), async (req, res) => {
+  try {
+    const used = await prisma.studentSubmission.count({
+      where: { paperId: req.paper.id, variantId: { not: null } }
+    });
+    if (used > 0) {
+      return res.status(409).json({ error: 'Sets are already assigned to submissions and cannot be removed' });
+    }
+
+    const result = await prisma.paperVariant.deleteMany({ where: { paperId: req.paper.id } });
+    res.json({ message: `Removed ${result.count} sets` });
+  } catch (error) {
+    console.error('Error removing paper sets:', error);
+    res.status(500).json({ error: 'Failed to remove paper sets' });
+  }
+});
+
+// List who a paper is shared with
+router.get('/:id/access', verifyToken, requirePaperAccess('owner', paperFromParam('id')), async (req, res) => {
+  try {
+    const grants = await prisma.paperAccess.findMany({
+      where: { paperId: req.paper.id },
+      include: {
+        admin: {
+          select: { id: true, username: true, email: true, role: true }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(grants);
+  } catch (error) {
+    console.error('Error fetching paper access:', error);
+    res.status(500).json({ error: 'Failed to fetch paper access' });
+  }
+});
+
+// Share a paper with another user, or change their access level
+router.put('/:id/access', verifyToken, requirePaperAccess('owner', paperFromParam('id')), async (req, res) => {
+  try {
+    const adminId = parseInt(req.body.adminId);
+    const { access = 'view' } = req.body;
+
+    if (!['view', 'grade', 'edit'].includes(access)) {
+      return res.status(400).json({ error: 'Access must be one of: view, grade, edit' });
+    }
+
+    const user = await prisma.admin.findUnique({ where: { id: adminId } });
+    if (!user || !user.isActive) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.id === req.paper.adminId) {
+      return res.status(400).json({ error: 'The paper owner already has full access' });
+    }
+
+    const grant = await prisma.paperAccess.upsert({
+      where: { paperId_adminId: { paperId: req.paper.id, adminId } },
+      update: { access },
+      create: { paperId: req.paper.id, adminId, access }
+    });
+
+    res.json({
+      ...grant,
+      // Roles cap what a grant can do, e.g. a viewer given 'edit' can still only view
+      effectiveAccess: capAccess(user.role, access)
+    });
+  } catch (error) {
+    console.error('Error sharing paper:', error);
+    res.status(500).json({ error: 'Failed to share paper' });
+  }
+});
+
+// Revoke a user's access to a paper
+router.delete('/:id/access/:adminId', verifyToken, requirePaperAccess('owner', paperFromParam('id')), async (req, res) => {
+  try {
+    const result = await prisma.paperAccess.deleteMany({
+      where: {
+        paperId: req.paper.id,
+        adminId: parseInt(req.params.adminId)
+      }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Access grant not found' });
+    }
+
+    res.json({ message: 'Access revoked' });
+  } catch (error) {
+    console.error('Error revoking paper access:', error);
+    res.status(500).json({ error: 'Failed to revoke paper access' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
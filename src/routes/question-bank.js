@@ -0,0 +1,154 @@
+const express = require('express');
+const prisma = require('../prisma');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const questionBankService = require('../../services/questionBankService');
+
+const router = express.Router();
+
+router.use(verifyToken, requireRole('owner', 'teacher'));
+
+// Load a bank question the current account manages (owners manage every item)
+const loadBankQuestion = async (req, res, next) => {
+  try {
+    const bankQuestion = await prisma.bankQuestion.findFirst({
+      where: { id: parseInt(req.params.id), ...questionBankService.bankWhere(req.admin) }
+    });
+
+    if (!bankQuestion) {
+      return res.status(404).json({ error: 'Bank question not found' });
+    }
+
+    req.bankQuestion = bankQuestion;
+    next();
+  } catch (error) {
+    console.error('Bank question lookup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Search the bank: ?q (question text), ?topic, ?difficulty, ?format, ?tags=a,b (all must match), ?page, ?limit
+router.get('/', async (req, res) => {
+  try {
+    const result = await questionBankService.searchBank(req.admin, req.query);
+    res.json(result);
+  } catch (error) {
+    console.error('Error searching question bank:', error);
+    res.status(500).json({ error: 'Failed to search question bank' });
+  }
+});
+
+// Topics and tags in use, with counts
+router.get('/facets', async (req, res) => {
+  try {
+    const facets = await questionBankService.listFacets(req.admin);
+    res.json(facets);
+  } catch (error) {
+    console.error('Error fetching question bank facets:', error);
+    res.status(500).json({ error: 'Failed to fetch question bank facets' });
+  }
+});
+
+// Add a question to the bank
+router.post('/', async (req, res) => {
+  try {
+    const errors = questionBankService.validateBankQuestion(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid bank question', details: errors });
+    }
+
+    const bankQuestion = await prisma.bankQuestion.create({
+      data: {
+        correctOptions: [],
+        ...questionBankService.toBankData(req.body),
+        adminId: req.admin.id
+      }
+    });
+
+    res.status(201).json(bankQuestion);
+  } catch (error) {
+    console.error('Error creating bank question:', error);
+    res.status(500).json({ error: 'Failed to create bank question' });
+  }
+});
+
+// Create a paper from bank questions, numbered in the order given
+router.post('/assemble', async (req, res) => {
+  try {
+    const result = await questionBankService.assemblePaper(req.admin, req.body);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Paper assembled from question bank',
+      paper: result.paper,
+      questionCount: result.questionCount
+    });
+  } catch (error) {
+    console.error('Error assembling paper from question bank:', error);
+    res.status(500).json({ error: 'Failed to assemble paper' });
+  }
+});
+
+// Get a bank question with the papers that use it
+router.get('/:id', loadBankQuestion, async (req, res) => {
+  try {
+    const uses = await prisma.question.findMany({
+      where: { bankQuestionId: req.bankQuestion.id },
+      select: { questionNumber: true, paper: { select: { id: true, name: true, uploadedAt: true } } },
+      orderBy: { paperId: 'asc' }
+    });
+
+    res.json({
+      ...req.bankQuestion,
+      papers: uses.map(use => ({ ...use.paper, questionNumber: use.questionNumber }))
+    });
+  } catch (error) {
+    console.error('Error fetching bank question:', error);
+    res.status(500).json({ error: 'Failed to fetch bank question' });
+  }
+});
+
+// Update a bank question (papers already built from it keep their own copy)
+router.patch('/:id', loadBankQuestion, async (req, res) => {
+  try {
+    const { questionFormat, numericAnswer } = req.bankQuestion;
+    const errors = questionBankService.validateBankQuestion({
+      ...req.body,
+      questionFormat: req.body.questionFormat ?? questionFormat,
+      numericAnswer: req.body.numericAnswer !== undefined ? req.body.numericAnswer : numericAnswer
+    }, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid bank question', details: errors });
+    }
+
+    const data = questionBankService.toBankData(req.body);
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const bankQuestion = await prisma.bankQuestion.update({
+      where: { id: req.bankQuestion.id },
+      data
+    });
+
+    res.json(bankQuestion);
+  } catch (error) {
+    console.error('Error updating bank question:', error);
+    res.status(500).json({ error: 'Failed to update bank question' });
+  }
+});
+
+// Delete a bank question (questions on papers are kept and lose the link)
+router.delete('/:id', loadBankQuestion, async (req, res) => {
+  try {
+    await prisma.bankQuestion.delete({ where: { id: req.bankQuestion.id } });
+    res.json({ message: 'Bank question deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting bank question:', error);
+    res.status(500).json({ error: 'Failed to delete bank question' });
+  }
+});
+
+module.exports = router;
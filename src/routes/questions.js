@@ -1,28 +1,29 @@
 const express = require("express");
+const { Prisma } = require("@prisma/client");
 const prisma = require("../prisma");
+const { validateScoringPolicy } = require("../../services/scoringPolicy");
+const rubricService = require("../../services/rubricService");
+const { validateNumericSpec, validateNumericBlanks } = require("../../services/numericAnswer");
+const { checkQuestionLayoutChange } = require("../../services/variantService");
+const {
+  verifyToken,
+  requirePaperAccess,
+  paperFromParam,
+  paperFromBody,
+  paperFromQuestion,
+} = require("../middleware/auth");
 
 const router = express.Router();
 
-// Middleware to verify JWT token
-const verifyToken = (req, res, next) => {
-  const token = req.header("Authorization")?.replace("Bearer ", "");
+const QUESTION_FORMATS = ["multiple_choice", "fill_blanks", "text", "numeric"];
 
-  if (!token) {
-    return res.status(401).json({ error: "Access denied. No token provided." });
-  }
-
-  try {
-    const jwt = require("jsonwebtoken");
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.admin = decoded;
-    next();
-  } catch (error) {
-    res.status(400).json({ error: "Invalid token" });
-  }
-};
+// Errors in the numeric answer of a numeric question, or in the numeric blanks of a fill-blank question
+const numericAnswerErrors = (questionFormat, numericAnswer, blankPositions) => (
+  questionFormat === "numeric" ? validateNumericSpec(numericAnswer) : validateNumericBlanks(blankPositions)
+);
 
 // Get all questions for a specific paper
-router.get("/paper/:paperId", verifyToken, async (req, res) => {
+router.get("/paper/:paperId", verifyToken, requirePaperAccess("view", paperFromParam("paperId")), async (req, res) => {
   try {
     const paperId = parseInt(req.params.paperId);
 
@@ -58,7 +59,8 @@ router.get("/paper/:paperId", verifyToken, async (req, res) => {
       question_format: q.questionFormat,
       points_per_blank: q.pointsPerBlank,
       blank_positions: q.blankPositions,
-      expected_answers: q.expectedAnswers
+      expected_answers: q.expectedAnswers,
+      numeric_answer: q.numericAnswer
     }));
 
     // Debug: log what we're returning
@@ -79,7 +81,7 @@ router.get("/paper/:paperId", verifyToken, async (req, res) => {
 });
 
 // Get a specific question by ID
-router.get("/:id", verifyToken, async (req, res) => {
+router.get("/:id", verifyToken, requirePaperAccess("view", paperFromQuestion("id")), async (req, res) => {
   try {
     const questionId = parseInt(req.params.id);
 
@@ -105,7 +107,8 @@ router.get("/:id", verifyToken, async (req, res) => {
       question_format: question.questionFormat,
       points_per_blank: question.pointsPerBlank,
       blank_positions: question.blankPositions,
-      expected_answers: question.expectedAnswers
+      expected_answers: question.expectedAnswers,
+      numeric_answer: question.numericAnswer
     };
 
     res.json(transformedQuestion);
@@ -116,7 +119,7 @@ router.get("/:id", verifyToken, async (req, res) => {
 });
 
 // Create a new question
-router.post("/", verifyToken, async (req, res) => {
+router.post("/", verifyToken, requirePaperAccess("edit", paperFromBody("paper_id")), async (req, res) => {
   try {
     const {
       paper_id,
@@ -129,6 +132,9 @@ router.post("/", verifyToken, async (req, res) => {
       options,
       weightages, // Add weightages support
       points_per_blank = 1, // Add points support
+      question_format = "multiple_choice",
+      numeric_answer, // Expected value, units and tolerance for numeric questions
+      blank_positions,
     } = req.body;
 
     // Validate required fields
@@ -138,8 +144,17 @@ router.post("/", verifyToken, async (req, res) => {
       });
     }
 
-    // Validate correct_options OR correct_option
-    if (!correct_options && !correct_option) {
+    if (!QUESTION_FORMATS.includes(question_format)) {
+      return res.status(400).json({ error: `question_format must be one of: ${QUESTION_FORMATS.join(", ")}` });
+    }
+
+    const numericErrors = numericAnswerErrors(question_format, numeric_answer, blank_positions);
+    if (numericErrors.length > 0) {
+      return res.status(400).json({ error: "Invalid numeric answer", details: numericErrors });
+    }
+
+    // Validate correct_options OR correct_option (numeric questions default to their value)
+    if (!correct_options && !correct_option && question_format !== "numeric") {
       return res.status(400).json({
         error: "Either correct_options (array) or correct_option (string) is required",
       });
@@ -154,6 +169,9 @@ router.post("/", verifyToken, async (req, res) => {
       }
     }
 
+    // Numeric questions without explicit options keep their expected value as the key
+    const defaultCorrectOptions = question_format === "numeric" ? [String(numeric_answer.value)] : [];
+
     // Verify paper exists
     const paper = await prisma.paper.findUnique({
       where: { id: parseInt(paper_id) }
@@ -163,6 +181,11 @@ router.post("/", verifyToken, async (req, res) => {
       return res.status(404).json({ error: "Paper not found" });
     }
 
+    const layoutError = await checkQuestionLayoutChange(paper.id);
+    if (layoutError) {
+      return res.status(layoutError.status).json({ error: layoutError.error });
+    }
+
     // Check if question number already exists for this paper
     const existingQuestion = await prisma.question.findFirst({
       where: {
@@ -183,12 +206,15 @@ router.post("/", verifyToken, async (req, res) => {
         paperId: parseInt(paper_id),
         questionNumber: question_number,
         questionText: question_text,
-        correctOptions: correct_options || (correct_option ? [correct_option] : []),
+        correctOptions: correct_options || (correct_option ? [correct_option] : defaultCorrectOptions),
         pageNumber: page_number,
         questionType: question_type,
+        questionFormat: question_format,
         options: options || undefined,
         weightages: weightages || undefined,
-        pointsPerBlank: points_per_blank
+        pointsPerBlank: points_per_blank,
+        numericAnswer: question_format === "numeric" ? numeric_answer : undefined,
+        blankPositions: blank_positions || undefined
       }
     });
 
@@ -204,7 +230,8 @@ router.post("/", verifyToken, async (req, res) => {
       page_number: question.pageNumber,
       question_type: question.questionType,
       question_format: question.questionFormat,
-      points_per_blank: question.pointsPerBlank
+      points_per_blank: question.pointsPerBlank,
+      numeric_answer: question.numericAnswer
     };
 
     res.status(201).json({
@@ -218,7 +245,7 @@ router.post("/", verifyToken, async (req, res) => {
 });
 
 // Update a question
-router.put("/:id", verifyToken, async (req, res) => {
+router.put("/:id", verifyToken, requirePaperAccess("edit", paperFromQuestion("id")), async (req, res) => {
   try {
     const questionId = parseInt(req.params.id);
     const {
@@ -231,6 +258,9 @@ router.put("/:id", verifyToken, async (req, res) => {
       options,
       weightages, // Add weightages support
       points_per_blank, // Add points support
+      question_format,
+      numeric_answer,
+      blank_positions,
     } = req.body;
 
     // Debug logging to see what data we're receiving
@@ -255,6 +285,19 @@ router.put("/:id", verifyToken, async (req, res) => {
       return res.status(404).json({ error: "Question not found" });
     }
 
+    // Printed sets map numbers, pages and option labels, so those cannot change under them
+    const optionLabels = (value) => JSON.stringify(Object.keys(value || {}).sort());
+    const changesLayout = (question_number !== undefined && question_number !== existingQuestion.questionNumber) ||
+      (page_number !== undefined && page_number !== existingQuestion.pageNumber) ||
+      (question_format !== undefined && question_format !== existingQuestion.questionFormat) ||
+      (options !== undefined && optionLabels(options) !== optionLabels(existingQuestion.options));
+    if (changesLayout) {
+      const layoutError = await checkQuestionLayoutChange(existingQuestion.paperId);
+      if (layoutError) {
+        return res.status(layoutError.status).json({ error: layoutError.error });
+      }
+    }
+
     // If question_number is being changed, check for duplicates
     if (question_number && question_number !== existingQuestion.questionNumber) {
       const duplicateCheck = await prisma.question.findFirst({
@@ -272,6 +315,23 @@ router.put("/:id", verifyToken, async (req, res) => {
       }
     }
 
+    if (question_format !== undefined && !QUESTION_FORMATS.includes(question_format)) {
+      return res.status(400).json({ error: `question_format must be one of: ${QUESTION_FORMATS.join(", ")}` });
+    }
+
+    // Check the numeric answer the question will have after the update
+    const effectiveFormat = question_format ?? existingQuestion.questionFormat;
+    if (question_format !== undefined || numeric_answer !== undefined || blank_positions !== undefined) {
+      const numericErrors = numericAnswerErrors(
+        effectiveFormat,
+        numeric_answer !== undefined ? numeric_answer : existingQuestion.numericAnswer,
+        blank_positions !== undefined ? blank_positions : existingQuestion.blankPositions
+      );
+      if (numericErrors.length > 0) {
+        return res.status(400).json({ error: "Invalid numeric answer", details: numericErrors });
+      }
+    }
+
     // Validate correct_options if provided
     if (correct_options !== undefined && correct_options !== null) {
       if (!Array.isArray(correct_options)) {
@@ -292,6 +352,9 @@ router.put("/:id", verifyToken, async (req, res) => {
     if (options !== undefined) updateData.options = options;
     if (weightages !== undefined) updateData.weightages = weightages;
     if (points_per_blank !== undefined) updateData.pointsPerBlank = points_per_blank;
+    if (question_format !== undefined) updateData.questionFormat = question_format;
+    if (numeric_answer !== undefined) updateData.numericAnswer = numeric_answer === null ? Prisma.JsonNull : numeric_answer;
+    if (blank_positions !== undefined) updateData.blankPositions = blank_positions;
 
     console.log(`📊 Final update data for question ${questionId}:`, updateData);
 
@@ -316,7 +379,8 @@ router.put("/:id", verifyToken, async (req, res) => {
       page_number: question.pageNumber,
       question_type: question.questionType,
       question_format: question.questionFormat,
-      points_per_blank: question.pointsPerBlank
+      points_per_blank: question.pointsPerBlank,
+      numeric_answer: question.numericAnswer
     };
 
     res.json({
@@ -329,8 +393,97 @@ router.put("/:id", verifyToken, async (req, res) => {
   }
 });
 
+// Set a question's scoring policy overrides (merged over the paper's policy), or null to remove them
+router.put("/:id/scoring-policy", verifyToken, requirePaperAccess("edit", paperFromQuestion("id")), async (req, res) => {
+  try {
+    const { scoringPolicy } = req.body;
+
+    if (scoringPolicy === undefined) {
+      return res.status(400).json({ error: "scoringPolicy is required (send null to remove it)" });
+    }
+
+    if (scoringPolicy !== null) {
+      const errors = validateScoringPolicy(scoringPolicy, "question");
+      if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid scoring policy", details: errors });
+      }
+    }
+
+    const question = await prisma.question.update({
+      where: { id: parseInt(req.params.id) },
+      data: { scoringPolicy: scoringPolicy === null ? Prisma.JsonNull : scoringPolicy },
+      select: { id: true, paperId: true, questionNumber: true, scoringPolicy: true },
+    });
+
+    res.json(question);
+  } catch (error) {
+    console.error("Error updating question scoring policy:", error);
+    res.status(500).json({ error: "Failed to update scoring policy" });
+  }
+});
+
+// Get a text question's marking rubric
+router.get("/:id/rubric", verifyToken, requirePaperAccess("view", paperFromQuestion("id")), async (req, res) => {
+  try {
+    const rubric = await prisma.questionRubric.findUnique({
+      where: { questionId: parseInt(req.params.id) },
+    });
+
+    if (!rubric) {
+      return res.status(404).json({ error: "This question has no rubric" });
+    }
+
+    res.json({ ...rubric, maxPoints: rubricService.rubricMaxPoints(rubric) });
+  } catch (error) {
+    console.error("Error fetching question rubric:", error);
+    res.status(500).json({ error: "Failed to fetch rubric" });
+  }
+});
+
+// Create or replace a text question's marking rubric: { modelAnswer, criteria: [{ id, description, points, keywords }] }.
+// Answers are graded against it at evaluation time and wait in the review queue for a teacher to confirm.
+router.put("/:id/rubric", verifyToken, requirePaperAccess("edit", paperFromQuestion("id")), async (req, res) => {
+  try {
+    const question = await prisma.question.findUnique({
+      where: { id: parseInt(req.params.id) },
+    });
+
+    if (!question) {
+      return res.status(404).json({ error: "Question not found" });
+    }
+
+    const result = await rubricService.saveRubric(question, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result.rubric);
+  } catch (error) {
+    console.error("Error saving question rubric:", error);
+    res.status(500).json({ error: "Failed to save rubric" });
+  }
+});
+
+// Remove a question's rubric; its answers are scored by the regular engine again
+router.delete("/:id/rubric", verifyToken, requirePaperAccess("edit", paperFromQuestion("id")), async (req, res) => {
+  try {
+    const result = await prisma.questionRubric.deleteMany({
+      where: { questionId: parseInt(req.params.id) },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: "This question has no rubric" });
+    }
+
+    res.json({ message: "Rubric removed" });
+  } catch (error) {
+    console.error("Error deleting question rubric:", error);
+    res.status(500).json({ error: "Failed to delete rubric" });
+  }
+});
+
 // Delete a question
-router.delete("/:id", verifyToken, async (req, res) => {
+router.delete("/:id", verifyToken, requirePaperAccess("edit", paperFromQuestion("id")), async (req, res) => {
   try {
     const questionId = parseInt(req.params.id);
 
@@ -343,6 +496,11 @@ router.delete("/:id", verifyToken, async (req, res) => {
       return res.status(404).json({ error: "Question not found" });
     }
 
+    const layoutError = await checkQuestionLayoutChange(question.paperId);
+    if (layoutError) {
+      return res.status(layoutError.status).json({ error: layoutError.error });
+    }
+
     // Delete the question
     await prisma.question.delete({
       where: { id: questionId }
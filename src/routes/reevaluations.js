@@ -0,0 +1,117 @@
+const express = require('express');
+const prisma = require('../prisma');
+const reevaluationService = require('../../services/reevaluationService');
+const {
+  verifyToken,
+  requirePaperAccess,
+  paperFromReevaluation
+} = require('../middleware/auth');
+
+// Admin handling of student re-evaluation requests.
+// Students file requests through the public /api/submissions/reevaluation-requests endpoint.
+const router = express.Router();
+router.use(verifyToken);
+
+const requestInclude = {
+  submission: {
+    select: { id: true, rollNo: true, studentName: true, score: true, percentage: true, paperId: true }
+  },
+  resolvedBy: { select: { id: true, username: true } }
+};
+
+// List requests for a paper, optionally filtered by status
+router.get('/paper/:paperId', requirePaperAccess('view'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !reevaluationService.REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Use one of: ${reevaluationService.REQUEST_STATUSES.join(', ')}` });
+    }
+
+    const requests = await prisma.reevaluationRequest.findMany({
+      where: {
+        submission: { paperId: req.paper.id },
+        ...(status && { status })
+      },
+      include: requestInclude,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(requests);
+  } catch (error) {
+    console.error('❌ List re-evaluation requests error:', error);
+    res.status(500).json({ error: 'Failed to fetch re-evaluation requests' });
+  }
+});
+
+// Get a request with the disputed answers
+router.get('/:id', requirePaperAccess('view', paperFromReevaluation('id')), async (req, res) => {
+  try {
+    const request = await prisma.reevaluationRequest.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: requestInclude
+    });
+
+    const answers = await prisma.studentAnswer.findMany({
+      where: {
+        submissionId: request.submissionId,
+        questionNumber: { in: request.questionNumbers }
+      },
+      orderBy: { questionNumber: 'asc' }
+    });
+
+    res.json({ ...request, answers });
+  } catch (error) {
+    console.error('❌ Get re-evaluation request error:', error);
+    res.status(500).json({ error: 'Failed to fetch re-evaluation request' });
+  }
+});
+
+// Approve a request. `changes` lists corrected answers by question number; the score is recalculated.
+router.post('/:id/approve', requirePaperAccess('grade', paperFromReevaluation('id')), async (req, res) => {
+  try {
+    const { response, changes } = req.body;
+
+    const result = await reevaluationService.approveRequest(parseInt(req.params.id), {
+      response,
+      changes: changes || [],
+      adminId: req.admin.id
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      request: result.request,
+      changedAnswers: result.overrides,
+      score: result.submission.score,
+      percentage: result.submission.percentage
+    });
+  } catch (error) {
+    console.error('❌ Approve re-evaluation error:', error);
+    res.status(500).json({ error: 'Failed to approve re-evaluation request' });
+  }
+});
+
+// Reject a request (a response explaining why is required)
+router.post('/:id/reject', requirePaperAccess('grade', paperFromReevaluation('id')), async (req, res) => {
+  try {
+    const result = await reevaluationService.rejectRequest(parseInt(req.params.id), {
+      response: req.body.response,
+      adminId: req.admin.id
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, request: result.request });
+  } catch (error) {
+    console.error('❌ Reject re-evaluation error:', error);
+    res.status(500).json({ error: 'Failed to reject re-evaluation request' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const reviewService = require('../../services/reviewService');
+const {
+  verifyToken,
+  requirePaperAccess,
+  paperFromSubmission
+} = require('../middleware/auth');
+
+// Review queue for submissions held back by low-confidence or ambiguous detections.
+// Scores of these submissions are final only once every flagged answer is accepted or corrected.
+const router = express.Router();
+router.use(verifyToken);
+
+// Submissions of a paper waiting for review, with their flagged answers
+router.get('/paper/:paperId', requirePaperAccess('view'), async (req, res) => {
+  try {
+    const submissions = await reviewService.listReviewQueue(req.paper.id);
+    res.json({
+      paperId: req.paper.id,
+      count: submissions.length,
+      submissions
+    });
+  } catch (error) {
+    console.error('❌ Review queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch review queue' });
+  }
+});
+
+// Accept a flagged answer as detected
+router.post('/:submissionId/answers/:answerId/accept', requirePaperAccess('grade', paperFromSubmission('submissionId')), async (req, res) => {
+  try {
+    const result = await reviewService.acceptAnswer(
+      parseInt(req.params.submissionId),
+      parseInt(req.params.answerId)
+    );
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Accept answer error:', error);
+    res.status(500).json({ error: 'Failed to accept answer' });
+  }
+});
+
+// Correct a flagged answer (recorded in the answer override history; reason required)
+router.post('/:submissionId/answers/:answerId/correct', requirePaperAccess('grade', paperFromSubmission('submissionId')), async (req, res) => {
+  try {
+    const { selectedOptions, isCorrect, partialScore, reason } = req.body;
+
+    const result = await reviewService.correctAnswer({
+      submissionId: parseInt(req.params.submissionId),
+      answerId: parseInt(req.params.answerId),
+      changes: { selectedOptions, isCorrect, partialScore },
+      reason,
+      adminId: req.admin.id
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      answer: result.answer,
+      score: result.submission.score,
+      percentage: result.submission.percentage,
+      remaining: result.remaining,
+      evaluationStatus: result.evaluationStatus
+    });
+  } catch (error) {
+    console.error('❌ Correct answer error:', error);
+    res.status(500).json({ error: 'Failed to correct answer' });
+  }
+});
+
+// Accept every remaining flagged answer of a submission and finalize it
+router.post('/:submissionId/accept-all', requirePaperAccess('grade', paperFromSubmission('submissionId')), async (req, res) => {
+  try {
+    const result = await reviewService.acceptAll(parseInt(req.params.submissionId));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Accept all error:', error);
+    res.status(500).json({ error: 'Failed to accept answers' });
+  }
+});
+
+module.exports = router;
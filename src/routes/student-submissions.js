@@ -0,0 +1,392 @@
+const express = require('express');
+const prisma = require('../prisma');
+const MinIOService = require('../../services/minioService');
+const pdfService = require('../../services/pdfService');
+const reevaluationService = require('../../services/reevaluationService');
+const studentResultsService = require('../../services/studentResultsService');
+const { checkSubmissionWindow } = require('../../services/examWindowService');
+const { resolveSuppliedSetCode } = require('../../services/variantService');
+const { uploadPDF, uploadAnswer } = require('../middleware/uploads');
+
+// Public student submission endpoints - no authentication required.
+// Everything else under /api/submissions lives in submissions.js and requires a token.
+const router = express.Router();
+const minioService = new MinIOService();
+
+// Submit student answer sheet
+router.post('/submit', uploadAnswer, async (req, res) => {
+  try {
+    const { paperId } = req.body;
+    const files = req.files || [];
+
+    if (!paperId) {
+      return res.status(400).json({ error: 'Paper ID is required' });
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'Answer sheet image(s) are required' });
+    }
+
+    console.log(`🎓 Student submission: File Upload - ${files.length} file(s)`);
+
+    // Check if paper exists and get its page count and question type
+    const paper = await prisma.paper.findUnique({
+      where: { id: parseInt(paperId) },
+      include: {
+        questions: {
+          select: { pageNumber: true }
+        }
+      }
+    });
+    
+    if (!paper) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+
+    const submissionWindow = checkSubmissionWindow(paper);
+    if (submissionWindow.error) {
+      return res.status(submissionWindow.status).json({ error: submissionWindow.error });
+    }
+
+    // Optional set code of a paper printed in sets; without one it is read from the sheet at evaluation
+    const paperSet = await resolveSuppliedSetCode(paper.id, req.body.setCode);
+    if (paperSet.error) {
+      return res.status(paperSet.status).json({ error: paperSet.error });
+    }
+    
+    // Calculate actual page count from questions
+    const pageNumbers = paper.questions.map(q => q.pageNumber).filter(Boolean);
+    const expectedPages = pageNumbers.length > 0 ? Math.max(...pageNumbers) : 1;
+    const questionType = paper.questionType || 'traditional';
+    
+    console.log(`📋 Paper info: ${paper.name} (${questionType} type, ${expectedPages} pages)`);
+    
+    // Validate page count
+    if (files.length !== expectedPages) {
+      return res.status(400).json({ 
+        error: `Page count mismatch: Expected ${expectedPages} page(s) but received ${files.length} file(s)` 
+      });
+    }
+
+    console.log(`✓ Page count validation passed: ${files.length}/${expectedPages} pages`);
+
+    // Step 1: Upload all answer sheets to MinIO with default naming
+    console.log('📤 Step 1: Uploading answer sheets to MinIO...');
+    const uploadedImages = [];
+    
+    try {
+      for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        const pageNumber = i + 1;
+        // Use default format: pending_file_submission_testname_pageno.png
+        const cleanTestName = paper.name.replace(/[^a-zA-Z0-9]/g, '_');
+        const fileName = `pending_file_submission_${cleanTestName}_${pageNumber}.png`;
+        
+        console.log(`📤 Uploading page ${pageNumber}: ${fileName}`);
+        
+        const uploadResult = await minioService.uploadTempAnswerSheet(
+          file.buffer,
+          fileName,
+          `File Submission`,
+          'unknown'
+        );
+        
+        console.log(`🔍 Upload result for page ${pageNumber}:`, JSON.stringify(uploadResult, null, 2));
+        
+        uploadedImages.push({
+          pageNumber: pageNumber,
+          fileName: fileName,
+          fileId: uploadResult.fileId,
+          webViewLink: uploadResult.webViewLink,
+          objectName: uploadResult.objectName  // Add this field for database storage
+        });
+        
+        console.log(`✓ Page ${pageNumber} uploaded with ID: ${uploadResult.fileId}`);
+      }
+      
+      console.log(`✓ All ${files.length} pages uploaded successfully`);
+      
+    } catch (minioError) {
+      console.error('❌ Failed to upload to MinIO:', minioError);
+      return res.status(500).json({ 
+        error: 'Failed to upload answer sheet to MinIO: ' + minioError.message 
+      });
+    }
+
+    // Step 2: Store submission in database WITHOUT evaluation (pending status)
+    console.log('� Step 2: Storing submission in database (pending evaluation)...');
+    
+    // Create image URLs string from uploaded images (store object names, not presigned URLs)
+    const imageUrls = uploadedImages.map(img => img.objectName).join(',');
+    
+    // Debug uploaded images and final URLs
+    console.log(`🔍 Upload summary: ${uploadedImages.length} images uploaded`);
+    uploadedImages.forEach((img, index) => {
+      console.log(`🔍 Image ${index + 1}: objectName="${img.objectName}", fileName="${img.fileName}"`);
+    });
+    console.log(`🔍 Final imageUrls for database: "${imageUrls}"`);
+    
+    if (!imageUrls || imageUrls.trim() === '') {
+      console.error('❌ No valid image URLs to store in database');
+      return res.status(500).json({ error: 'Failed to generate image URLs for database storage' });
+    }
+    
+    try {
+      const accessCode = studentResultsService.newAccessCode();
+      const submission = await prisma.studentSubmission.create({
+        data: {
+          paperId: parseInt(paperId),
+          studentName: "File Submission",
+          rollNo: "unknown",
+          imageUrl: imageUrls,
+          score: 0,
+          totalQuestions: 0,
+          percentage: 0,
+          submittedAt: new Date(),
+          answerTypes: {},
+          evaluationMethod: 'pending',
+          evaluationStatus: 'pending',
+          accessCodeHash: accessCode.hash,
+          variantId: paperSet.variantId,
+          ...submissionWindow
+        }
+      });
+
+      console.log(`✅ Submission stored successfully with ID: ${submission.id}`);
+      
+      // Return success response without evaluation results
+      res.json({
+        success: true,
+        message: 'Answer sheet submitted successfully and is pending evaluation',
+        submissionId: submission.id,
+        accessCode: accessCode.code,
+        studentName: "File Submission",
+        rollNo: "unknown",
+        submittedAt: submission.submittedAt,
+        status: 'pending',
+        isLate: submissionWindow.isLate,
+        uploadedPages: uploadedImages.length,
+        minioInfo: {
+          uploadedToMinIO: true,
+          processSteps: [
+            '✓ Uploaded to MinIO',
+            '✓ Stored in database with pending status',
+            '✓ Awaiting admin evaluation'
+          ]
+        },
+        note: 'Your submission will be evaluated by the admin. Keep your access code: you need it with your roll number to look up your results.'
+      });
+
+    } catch (dbError) {
+      console.error('❌ Database error:', dbError);
+      return res.status(500).json({ 
+        error: 'Failed to store submission in database: ' + dbError.message 
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Submission error:', error);
+    res.status(500).json({ 
+      error: 'Failed to process submission: ' + error.message 
+    });
+  }
+});
+
+// PDF Upload Routes
+
+// Single PDF upload route
+router.post('/submit-pdf', uploadPDF.single('answerSheet'), async (req, res) => {
+  try {
+    const { paperId } = req.body;
+    const file = req.file;
+
+    if (!paperId) {
+      return res.status(400).json({ error: 'Paper ID is required' });
+    }
+
+    if (!file) {
+      return res.status(400).json({ error: 'PDF file is required' });
+    }
+
+    // Validate file type
+    if (file.mimetype !== 'application/pdf') {
+      return res.status(400).json({ error: 'Only PDF files are allowed' });
+    }
+
+    console.log(`📄 PDF upload: ${file.originalname} (${(file.size / 1024 / 1024).toFixed(2)}MB)`);
+
+    // Get paper info
+    const paper = await prisma.paper.findUnique({
+      where: { id: parseInt(paperId) }
+    });
+
+    if (!paper) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+
+    const submissionWindow = checkSubmissionWindow(paper);
+    if (submissionWindow.error) {
+      return res.status(submissionWindow.status).json({ error: submissionWindow.error });
+    }
+
+    // Optional set code of a paper printed in sets; without one it is read from the sheet at evaluation
+    const paperSet = await resolveSuppliedSetCode(paper.id, req.body.setCode);
+    if (paperSet.error) {
+      return res.status(paperSet.status).json({ error: paperSet.error });
+    }
+
+    // Validate PDF
+    const pdfInfo = await pdfService.getPDFInfo(file.buffer);
+    if (!pdfInfo.isValid) {
+      return res.status(400).json({ error: 'Invalid PDF file: ' + pdfInfo.error });
+    }
+
+    console.log(`📊 PDF Info: ${pdfInfo.pages} pages, ${(pdfInfo.fileSize / 1024 / 1024).toFixed(2)}MB`);
+
+    // Upload PDF directly to MinIO without processing
+    const cleanTestName = paper.name.replace(/[^a-zA-Z0-9]/g, '_');
+    const timestamp = Date.now();
+    const fileName = `pending_pdf_${timestamp}_${cleanTestName}.pdf`;
+    
+    console.log(`📤 Uploading PDF: ${fileName}`);
+    
+    const uploadResult = await minioService.uploadTempAnswerSheet(
+      file.buffer,
+      fileName,
+      `PDF Submission - ${file.originalname}`,
+      'unknown'
+    );
+    
+    console.log(`✅ PDF uploaded successfully: ${uploadResult.objectName}`);
+
+    // Create submission record with PDF reference. Every upload is its own submission with
+    // its own access code: a recent upload may belong to another student, so none are merged.
+    const accessCode = studentResultsService.newAccessCode();
+    const submission = await prisma.studentSubmission.create({
+      data: {
+        paperId: parseInt(paperId),
+        studentName: "PDF Submission",
+        rollNo: "unknown",
+        imageUrl: uploadResult.objectName, // Store PDF object name
+        score: 0,
+        totalQuestions: 0,
+        percentage: 0,
+        submittedAt: new Date(),
+        answerTypes: {},
+        evaluationMethod: 'pdf_pending',
+        evaluationStatus: 'pending',
+        accessCodeHash: accessCode.hash,
+        variantId: paperSet.variantId,
+        ...submissionWindow
+      }
+    });
+
+
+    res.json({
+      success: true,
+      message: 'PDF submitted successfully and stored for evaluation',
+      submission: {
+        id: submission.id,
+        paperId: submission.paperId,
+        studentName: submission.studentName,
+        rollNo: submission.rollNo,
+        submittedAt: submission.submittedAt,
+        evaluationStatus: submission.evaluationStatus,
+        evaluationMethod: submission.evaluationMethod,
+        isLate: submission.isLate
+      },
+      accessCode: accessCode.code,
+      fileName: fileName,
+      fileSize: (file.size / 1024 / 1024).toFixed(2) + 'MB',
+      pdfInfo: {
+        pages: pdfInfo.pages,
+        isValid: pdfInfo.isValid,
+        originalFileName: file.originalname
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ PDF submission error:', error);
+    res.status(500).json({ 
+      error: 'Failed to process PDF submission: ' + error.message 
+    });
+  }
+});
+
+// Look up a result with the access code issued at submit time.
+// POST so the code stays out of URLs and access logs.
+router.post('/results', async (req, res) => {
+  try {
+    const { paperId, rollNo, accessCode } = req.body;
+
+    const outcome = await studentResultsService.getStudentResult({
+      paperId: parseInt(paperId),
+      rollNo,
+      accessCode
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json(outcome.result);
+  } catch (error) {
+    console.error('❌ Result lookup error:', error);
+    res.status(500).json({ error: 'Failed to fetch result' });
+  }
+});
+
+// File a re-evaluation request for an evaluated submission (student must give the roll number
+// and access code of the submission)
+router.post('/reevaluation-requests', async (req, res) => {
+  try {
+    const { submissionId, rollNo, accessCode, questionNumbers, comment } = req.body;
+
+    const result = await reevaluationService.fileRequest({
+      submissionId: parseInt(submissionId),
+      rollNo,
+      accessCode,
+      questionNumbers,
+      comment
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      requestId: result.request.id,
+      status: result.request.status,
+      questionNumbers: result.request.questionNumbers
+    });
+  } catch (error) {
+    console.error('❌ Re-evaluation request error:', error);
+    res.status(500).json({ error: 'Failed to file re-evaluation request' });
+  }
+});
+
+// Check the status of a re-evaluation request with the submission's roll number and access code.
+// POST so the code stays out of URLs and access logs.
+router.post('/reevaluation-requests/:id/status', async (req, res) => {
+  try {
+    const { rollNo, accessCode } = req.body;
+
+    const result = await reevaluationService.getRequestStatus({
+      requestId: parseInt(req.params.id),
+      rollNo,
+      accessCode
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result.request);
+  } catch (error) {
+    console.error('❌ Re-evaluation status error:', error);
+    res.status(500).json({ error: 'Failed to fetch re-evaluation request' });
+  }
+});
+
+module.exports = router;
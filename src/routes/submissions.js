@@ -1,865 +1,47 @@
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
-const jwt = require('jsonwebtoken');
 const xlsx = require('xlsx');
+const { Prisma } = require('@prisma/client');
 const prisma = require('../prisma');
 const { GeminiService } = require('../../services/geminiService');
 const MinIOService = require('../../services/minioService');
 const OMRService = require('../../services/omrService');
-const { FillBlanksService } = require('../../services/fillBlanksService');
 const pdfService = require('../../services/pdfService');
-
+const { scoreAnswers, answerRecord } = require('../../services/scoringEngine');
+const { mapAnswersToMaster, resolveSuppliedSetCode } = require('../../services/variantService');
+const rubricService = require('../../services/rubricService');
+const evaluationQueue = require('../../services/evaluationQueue');
+const { evaluateStoredSubmission } = require('../../services/evaluationService');
+const { cleanupDuplicateSubmissions, overrideAnswer } = require('../../services/submissionService');
+const {
+  SCORED_STATUSES,
+  indexDetections,
+  detectionFields,
+  scoredStatus
+} = require('../../services/reviewService');
+const gradebookService = require('../../services/gradebookService');
+const { newAccessCode } = require('../../services/studentResultsService');
+const { checkStaffUploadWindow, parseCapturedAt, applyLatePenalty } = require('../../services/examWindowService');
+const { applyRollNoValidation, getPaperRoster, buildRosterReport } = require('../../services/rosterService');
+const { upload, uploadPDF } = require('../middleware/uploads');
+const {
+  verifyToken,
+  requirePaperAccess,
+  paperFromBody,
+  paperFromSubmission
+} = require('../middleware/auth');
+
+// Admin submission endpoints - every route requires a token.
+// Public student uploads live in student-submissions.js.
 const router = express.Router();
+router.use(verifyToken);
+
 const geminiService = new GeminiService();
 const minioService = new MinIOService();
 const omrService = new OMRService();
-const fillBlanksService = require('../../services/fillBlanksService');
-
-// Configure multer for memory storage (student uploads - save to MinIO only)
-const storage = multer.memoryStorage();
-
-const upload = multer({ 
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only JPEG and PNG images are allowed'));
-    }
-  }
-});
-
-// Separate multer configuration for PDF files
-const uploadPDF = multer({ 
-  storage: storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024 // 50MB limit for PDFs
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only PDF files are allowed'));
-    }
-  }
-});
-
-// Function to evaluate student answers against correct answers (enhanced for multiple correct answers)
-const evaluateAnswers = (correctAnswers, studentAnswers, questionFormat = 'multiple_choice', evaluationMethod = 'traditional') => {
-  if (questionFormat === 'fill_blanks') {
-    // Use fill-blanks specific evaluation
-    return fillBlanksService.evaluateFillBlanks(correctAnswers, studentAnswers);
-  }
-
-  // For OMR detection, use the enhanced OMR evaluation
-  if (evaluationMethod === 'omr_detection') {
-    try {
-      // Prepare questions for OMR evaluation
-      const omrQuestions = correctAnswers.map(q => ({
-        question_number: q.question_number,
-        correct_options: q.correct_options || ["A"],
-        weightages: q.weightages || {},
-        points_per_blank: q.points_per_blank || 1,
-        options: q.options || {} // ✅ ADDED: Include options mapping for label-to-content conversion
-      }));
-
-      // Convert student answers to OMR format
-      const omrStudentAnswers = studentAnswers.map(a => ({
-        question: a.question,
-        selected_options: a.selectedOptions || (a.selectedOption ? [a.selectedOption] : []),
-        confidence: a.confidence || 'medium',
-        marking_type: a.marking_type || 'unknown'
-      }));
-
-      // Use OMR service evaluation
-      const omrEvaluation = omrService.evaluateOMRAnswers(omrStudentAnswers, omrQuestions);
-      
-      // Convert to expected format
-      return {
-        score: omrEvaluation.summary.total_score,
-        totalQuestions: omrEvaluation.summary.total_questions,
-        percentage: omrEvaluation.summary.percentage,
-        answerResults: omrEvaluation.results.map(result => ({
-          questionNumber: result.question_number,
-          correctOption: result.correct_answers.join(','),
-          studentOption: result.student_answers.join(','),
-          isCorrect: result.is_correct,
-          partialScore: result.partial_score,
-          maxPoints: result.max_points || 1,
-          details: result.evaluation_details
-        }))
-      };
-    } catch (omrError) {
-      console.error('❌ OMR evaluation failed, falling back to traditional:', omrError.message);
-      // Fall back to traditional evaluation
-    }
-  }
-
-  // Use weightage-based evaluation for manual tests, traditional for others
-  if (evaluationMethod === 'manual_test' || (correctAnswers.length > 0 && correctAnswers[0].weightages)) {
-    return evaluateAnswersWithWeightages(correctAnswers, studentAnswers);
-  }
-
-  // Traditional multiple choice evaluation (backward compatibility)
-  return evaluateAnswersTraditional(correctAnswers, studentAnswers);
-};
-
-// Helper function to convert option labels (A, B, C, D) to actual option text content
-function convertOptionLabelsToContent(studentOptionLabels, questionOptions) {
-  if (!questionOptions || typeof questionOptions !== 'object') {
-    return studentOptionLabels; // Return as-is if no options mapping available
-  }
-  
-  return studentOptionLabels.map(label => {
-    // First try exact match, then try case-insensitive match
-    let matchedKey = null;
-    
-    // Try exact match first
-    if (questionOptions[label]) {
-      matchedKey = label;
-    } else {
-      // Try case-insensitive match
-      matchedKey = Object.keys(questionOptions).find(key => 
-        key.toUpperCase() === label.toUpperCase()
-      );
-    }
-    
-    if (matchedKey && questionOptions[matchedKey]) {
-      return questionOptions[matchedKey].trim();
-    }
-    
-    // Otherwise, assume it's already the content (backward compatibility)
-    return label.trim();
-  });
-}
-
-// Helper function to detect if correctOptions contain option labels vs actual content  
-function isUsingOptionLabels(correctOptions, questionOptions) {
-  if (!correctOptions || !questionOptions || typeof questionOptions !== 'object') {
-    return false;
-  }
-  
-  // Check if any correct option matches an option key (A, B, C, D) - case insensitive
-  return correctOptions.some(option => {
-    return Object.keys(questionOptions).some(key => 
-      key.toUpperCase() === option.toUpperCase()
-    );
-  });
-}
-
-// Helper function to convert correct options from labels to content if needed
-function normalizeCorrectOptions(correctOptions, questionOptions) {
-  if (isUsingOptionLabels(correctOptions, questionOptions)) {
-    console.log(`🔄 Converting correct options from labels to content: [${correctOptions.join(',')}]`);
-    return convertOptionLabelsToContent(correctOptions, questionOptions);
-  }
-  return correctOptions; // Already using content format
-}
-
-// Helper function to normalize options for case-insensitive comparison
-function normalizeOptionsForComparison(options) {
-  return options.map(opt => opt.toString().trim().toLowerCase());
-}
-
-// New weightage-based evaluation function
-const evaluateAnswersWithWeightages = (correctAnswers, studentAnswers) => {
-  console.log('🎯 Using weightage-based evaluation');
-  
-  const totalQuestions = correctAnswers.length;
-  let totalScore = 0;
-  let maxPossibleScore = 0;
-  const answerResults = [];
-
-  console.log('🔍 Debug - Raw correctAnswers:', correctAnswers);
-  console.log('🔍 Debug - Raw studentAnswers:', studentAnswers);
-
-  // Create a map of correct answers for quick lookup
-  const correctAnswerMap = {};
-  correctAnswers.forEach(q => {
-    const questionNum = q.questionNumber || q.question_number;
-    const correctOptions = q.correctOptions || q.correct_options;
-    const weightages = q.weightages || {};
-    const maxPoints = q.pointsPerBlank || q.points_per_blank || 1;
-    const options = q.options || {}; // Include options mapping for conversion
-    
-    if (correctOptions && Array.isArray(correctOptions)) {
-      correctAnswerMap[questionNum] = {
-        correctOptions: correctOptions, // 🔄 REMOVED: Don't force uppercase - preserve actual content
-        weightages: weightages,
-        maxPoints: maxPoints,
-        options: options // ✅ ADDED: Include options mapping for label-to-content conversion
-      };
-    }
-    maxPossibleScore += maxPoints;
-  });
-
-  console.log('🔍 Debug - correctAnswerMap:', correctAnswerMap);
-
-  // Create a map of student answers for quick lookup
-  const studentAnswerMap = {};
-  console.log('🔍 Debug - Processing student answers for weightage mapping:', studentAnswers);
-  
-  studentAnswers.forEach(a => {
-    // Handle all possible field name formats
-    const questionNum = a.question_number || a.question || a.questionNumber;
-    console.log(`🔍 Mapping weightage answer for Q${questionNum}:`, a);
-    
-    if (a.selected_options && Array.isArray(a.selected_options)) {
-      studentAnswerMap[questionNum] = a.selected_options; // Preserve case for weightage conversion
-    } else if (a.selectedOptions && Array.isArray(a.selectedOptions)) {
-      studentAnswerMap[questionNum] = a.selectedOptions;
-    } else if (a.selected_option) {
-      studentAnswerMap[questionNum] = [a.selected_option];
-    } else if (a.selectedOption) {
-      studentAnswerMap[questionNum] = [a.selectedOption];
-    } else {
-      console.log(`⚠️ No valid answer found for Q${questionNum} in weightage evaluation`);
-      studentAnswerMap[questionNum] = [];
-    }
-  });
-
-  console.log('🔍 Debug - studentAnswerMap:', studentAnswerMap);
-
-  // Evaluate each question using the new weightage-based logic
-  for (const correctAnswer of correctAnswers) {
-    const questionNumber = correctAnswer.questionNumber || correctAnswer.question_number;
-    const questionData = correctAnswerMap[questionNumber];
-    let studentOptions = studentAnswerMap[questionNumber] || [];
-    
-    if (!questionData) {
-      console.warn(`⚠️ No question data found for question ${questionNumber}`);
-      continue;
-    }
-    
-    let { correctOptions, weightages, maxPoints, options } = questionData;
-    
-    console.log(`🔍 Debug - Q${questionNumber} [BEFORE]: Correct=[${correctOptions.join(',')}] Student=[${studentOptions.join(',')}]`);
-    
-    // 🔄 NORMALIZE OPTIONS: Convert both student answers and correct answers to same format
-    
-    // Step 1: Normalize correct options (convert labels to content if needed)
-    correctOptions = normalizeCorrectOptions(correctOptions, options);
-    
-    // Step 2: Convert student option labels to actual content
-    if (options && typeof options === 'object') {
-      studentOptions = convertOptionLabelsToContent(studentOptions, options);
-    }
-    
-    // Step 3: Normalize weightages to use content as keys (not labels)
-    let normalizedWeightages = {};
-    if (weightages && options) {
-      Object.keys(weightages).forEach(key => {
-        if (options[key]) {
-          // Convert label-based weightage to content-based
-          normalizedWeightages[options[key].trim()] = weightages[key];
-        } else {
-          // Already content-based or direct mapping
-          normalizedWeightages[key] = weightages[key];
-        }
-      });
-      weightages = normalizedWeightages;
-    }
-    
-    console.log(`🔍 Debug - Q${questionNumber} [AFTER]: Correct=[${correctOptions.join(',')}] Student=[${studentOptions.join(',')}] Weightages=${JSON.stringify(weightages)} MaxPoints=${maxPoints}`);
-    
-    // 🔄 CASE-INSENSITIVE COMPARISON: Normalize both sets for comparison
-    const normalizedCorrectOptions = normalizeOptionsForComparison(correctOptions);
-    const normalizedStudentOptions = normalizeOptionsForComparison(studentOptions);
-    
-    console.log(`🔍 Debug - Q${questionNumber} [NORMALIZED]: Correct=[${normalizedCorrectOptions.join(',')}] Student=[${normalizedStudentOptions.join(',')}]`);
-    
-    // NEW EVALUATION LOGIC: If any wrong option is selected, score is 0
-    const correctSet = new Set(normalizedCorrectOptions);
-    const studentSet = new Set(normalizedStudentOptions);
-    
-    // Check if any wrong option is selected
-    const wrongOptions = [...studentSet].filter(ans => !correctSet.has(ans));
-    let questionScore = 0;
-    let isCorrect = false;
-    let details = '';
-    
-    if (wrongOptions.length > 0) {
-      // Case 5: Any wrong option selected = 0 marks
-      questionScore = 0;
-      isCorrect = false;
-      details = `Wrong option(s) selected: ${wrongOptions.join(', ')}. No partial marking.`;
-      console.log(`🔍 Debug - Q${questionNumber}: Wrong options detected - score=0`);
-    } else if (studentOptions.length === 0) {
-      // No options selected
-      questionScore = 0;
-      isCorrect = false;
-      details = 'No options selected';
-      console.log(`🔍 Debug - Q${questionNumber}: No options selected - score=0`);
-    } else {
-      // Only correct options selected - calculate weightage sum
-      // Match original options with normalized ones for weightage calculation
-      const correctSelections = studentOptions.filter(studentOpt => {
-        const normalizedStudentOpt = studentOpt.toString().trim().toLowerCase();
-        return correctSet.has(normalizedStudentOpt);
-      });
-      
-      questionScore = correctSelections.reduce((sum, option) => {
-        // Try exact match first, then case-insensitive match for weightages
-        let weightageKey = option;
-        if (!weightages[option]) {
-          // Try to find case-insensitive match in weightages
-          const matchedKey = Object.keys(weightages).find(key => 
-            key.toLowerCase() === option.toLowerCase()
-          );
-          if (matchedKey) {
-            weightageKey = matchedKey;
-          }
-        }
-        return sum + (weightages[weightageKey] || 0);
-      }, 0);
-      
-      // Round to 2 decimal places
-      questionScore = Math.round(questionScore * 100) / 100;
-      
-      // Check if this is a perfect match
-      isCorrect = (correctSelections.length === correctOptions.length) && (questionScore === maxPoints);
-      
-      if (correctSelections.length === correctOptions.length) {
-        details = `All correct options selected. Score: ${questionScore}/${maxPoints}`;
-      } else {
-        details = `Partial correct options: ${correctSelections.join(', ')}. Score: ${questionScore}/${maxPoints}`;
-      }
-      
-      console.log(`🔍 Debug - Q${questionNumber}: Only correct options - score=${questionScore}/${maxPoints}`);
-    }
-    
-    totalScore += questionScore;
-
-    answerResults.push({
-      questionNumber,
-      correctOption: correctOptions.join(','),
-      studentOption: studentOptions.join(','),
-      selectedOptions: studentOptions, // Add the array for proper storage
-      isCorrect,
-      partialScore: questionScore,
-      maxPoints: maxPoints,
-      details: details,
-      weightageBreakdown: studentOptions.length > 0 && wrongOptions.length === 0 ? 
-        studentOptions.map(opt => ({ option: opt, weight: weightages[opt] || 0 })) : []
-    });
-  }
-
-  const percentage = maxPossibleScore > 0 ? (totalScore / maxPossibleScore) * 100 : 0;
-
-  console.log(`🔍 Debug - Final weightage evaluation: score=${totalScore}, maxPossible=${maxPossibleScore}, percentage=${percentage}`);
-
-  return {
-    score: totalScore,
-    totalQuestions,
-    maxPossibleScore,
-    percentage,
-    results: answerResults,
-    answerResults,
-    evaluationMethod: 'weightage_based'
-  };
-};
-
-// Traditional evaluation function (kept for backward compatibility)
-const evaluateAnswersTraditional = (correctAnswers, studentAnswers) => {
-  console.log('📚 Using traditional evaluation');
-  
-  const totalQuestions = correctAnswers.length;
-  let score = 0;
-  const answerResults = [];
-
-  console.log('🔍 Debug - Raw correctAnswers:', correctAnswers);
-  console.log('🔍 Debug - Raw studentAnswers:', studentAnswers);
-
-  // Create a map of correct answers for quick lookup
-  const correctAnswerMap = {};
-  correctAnswers.forEach(q => {
-    // Handle both database field names (questionNumber/correctOptions) and API field names (question_number/correct_options)
-    const questionNum = q.questionNumber || q.question_number;
-    const correctOptions = q.correctOptions || q.correct_options;
-    
-    if (correctOptions && Array.isArray(correctOptions)) {
-      correctAnswerMap[questionNum] = correctOptions.map(opt => opt.toUpperCase());
-    } else {
-      // Default fallback
-      correctAnswerMap[questionNum] = ["A"];
-    }
-  });
-
-  console.log('🔍 Debug - correctAnswerMap:', correctAnswerMap);
-
-  // Create a map of student answers for quick lookup
-  const studentAnswerMap = {};
-  console.log('🔍 Debug - Processing student answers for mapping:', studentAnswers);
-  
-  studentAnswers.forEach(a => {
-    // Handle all possible field name formats
-    const questionNum = a.question_number || a.question || a.questionNumber;
-    console.log(`🔍 Mapping answer for Q${questionNum}:`, a);
-    
-    if (a.selected_options && Array.isArray(a.selected_options)) {
-      studentAnswerMap[questionNum] = a.selected_options.map(opt => opt.toUpperCase());
-    } else if (a.selectedOptions && Array.isArray(a.selectedOptions)) {
-      studentAnswerMap[questionNum] = a.selectedOptions.map(opt => opt.toUpperCase());
-    } else if (a.selected_option) {
-      studentAnswerMap[questionNum] = [a.selected_option.toUpperCase()];
-    } else if (a.selectedOption) {
-      studentAnswerMap[questionNum] = [a.selectedOption.toUpperCase()];
-    } else {
-      console.log(`⚠️ No valid answer found for Q${questionNum}`);
-      studentAnswerMap[questionNum] = [];
-    }
-  });
-
-  console.log('🔍 Debug - studentAnswerMap:', studentAnswerMap);
-
-  // Evaluate each question
-  for (const correctAnswer of correctAnswers) {
-    const questionNumber = correctAnswer.questionNumber || correctAnswer.question_number;
-    const correctOptions = correctAnswerMap[questionNumber] || [];
-    const studentOptions = studentAnswerMap[questionNumber] || [];
-    
-    console.log(`🔍 Debug - Q${questionNumber}: Correct=[${correctOptions.join(',')}] Student=[${studentOptions.join(',')}]`);
-    
-    // Calculate if answer is correct based on array comparison
-    let isCorrect = false;
-    let partialScore = 0;
-
-    // NEW STRICT EVALUATION LOGIC: If any wrong option is selected, score is 0
-    const correctSet = new Set(correctOptions);
-    const studentSet = new Set(studentOptions);
-    
-    // Check if any wrong option is selected
-    const wrongOptions = [...studentSet].filter(ans => !correctSet.has(ans));
-    
-    if (wrongOptions.length > 0) {
-      // Case: Any wrong option selected = 0 marks (STRICT RULE)
-      isCorrect = false;
-      partialScore = 0;
-      console.log(`🔍 Debug - Q${questionNumber}: Wrong option(s) [${wrongOptions.join(',')}] selected - score=0`);
-    } else if (studentOptions.length === 0) {
-      // Case: No options selected
-      isCorrect = false;
-      partialScore = 0;
-      console.log(`🔍 Debug - Q${questionNumber}: No options selected - score=0`);
-    } else {
-      // Case: Only correct options selected - calculate score
-      if (correctOptions.length === 1) {
-        // Single correct answer - exact match required
-        isCorrect = studentOptions.length === 1 && studentOptions[0] === correctOptions[0];
-        partialScore = isCorrect ? 1 : (studentOptions.includes(correctOptions[0]) ? 1 : 0);
-      } else {
-        // Multiple correct answers - proportional scoring for correct selections only
-        const correctSelections = [...studentSet].filter(ans => correctSet.has(ans)).length;
-        
-        if (correctSelections === correctOptions.length) {
-          // All correct options selected
-          isCorrect = true;
-          partialScore = 1;
-        } else if (correctSelections > 0) {
-          // Partial correct options selected (but no wrong options)
-          partialScore = correctSelections / correctOptions.length;
-          partialScore = Math.round(partialScore * 100) / 100;
-          isCorrect = partialScore >= 0.8; // Consider 80%+ as correct
-        }
-      }
-      console.log(`🔍 Debug - Q${questionNumber}: Only correct options - score=${partialScore}`);
-    }
-
-    if (isCorrect || partialScore > 0) score += partialScore;
-
-    answerResults.push({
-      questionNumber,
-      correctOption: correctOptions.join(','),
-      studentOption: studentOptions.join(','),
-      selectedOptions: studentOptions, // Add the array for proper storage
-      isCorrect,
-      partialScore
-    });
-  }
-
-  // Calculate maximum possible score from questions
-  let maxPossibleScore = 0;
-  correctAnswers.forEach(q => {
-    const maxPoints = q.pointsPerBlank || q.points_per_blank || 1;
-    maxPossibleScore += maxPoints;
-  });
-
-  const percentage = maxPossibleScore > 0 ? (score / maxPossibleScore) * 100 : 0;
-
-  console.log(`🔍 Debug - Final evaluation: score=${score}, maxPossible=${maxPossibleScore}, percentage=${percentage}`);
-
-  return {
-    score,
-    totalQuestions,
-    maxPossibleScore,
-    percentage,
-    results: answerResults,
-    answerResults
-  };
-};
-
-// Configure upload middleware to support both single and multiple files
-const uploadAnswer = (req, res, next) => {
-  // Check if this is a multi-page submission
-  if (req.headers['content-type'] && req.headers['content-type'].includes('multipart/form-data')) {
-    // Use multer.any() to handle both single and multiple files dynamically
-    const dynamicUpload = multer({ 
-      storage: storage,
-      limits: {
-        fileSize: 10 * 1024 * 1024 // 10MB limit per file
-      },
-      fileFilter: (req, file, cb) => {
-        const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png'];
-        if (allowedTypes.includes(file.mimetype)) {
-          cb(null, true);
-        } else {
-          cb(new Error('Only JPEG and PNG images are allowed'));
-        }
-      }
-    }).any();
-    
-    dynamicUpload(req, res, next);
-  } else {
-    next();
-  }
-};
-
-// Submit student answer sheet
-router.post('/submit', uploadAnswer, async (req, res) => {
-  try {
-    const { paperId } = req.body;
-    const files = req.files || [];
-
-    if (!paperId) {
-      return res.status(400).json({ error: 'Paper ID is required' });
-    }
-
-    if (files.length === 0) {
-      return res.status(400).json({ error: 'Answer sheet image(s) are required' });
-    }
-
-    console.log(`🎓 Student submission: File Upload - ${files.length} file(s)`);
-
-    // Check if paper exists and get its page count and question type
-    const paper = await prisma.paper.findUnique({
-      where: { id: parseInt(paperId) },
-      include: {
-        questions: {
-          select: { pageNumber: true }
-        }
-      }
-    });
-    
-    if (!paper) {
-      return res.status(404).json({ error: 'Paper not found' });
-    }
-    
-    // Calculate actual page count from questions
-    const pageNumbers = paper.questions.map(q => q.pageNumber).filter(Boolean);
-    const expectedPages = pageNumbers.length > 0 ? Math.max(...pageNumbers) : 1;
-    const questionType = paper.questionType || 'traditional';
-    
-    console.log(`📋 Paper info: ${paper.name} (${questionType} type, ${expectedPages} pages)`);
-    
-    // Validate page count
-    if (files.length !== expectedPages) {
-      return res.status(400).json({ 
-        error: `Page count mismatch: Expected ${expectedPages} page(s) but received ${files.length} file(s)` 
-      });
-    }
-
-    console.log(`✓ Page count validation passed: ${files.length}/${expectedPages} pages`);
-
-    // Step 1: Upload all answer sheets to MinIO with default naming
-    console.log('📤 Step 1: Uploading answer sheets to MinIO...');
-    const uploadedImages = [];
-    
-    try {
-      for (let i = 0; i < files.length; i++) {
-        const file = files[i];
-        const pageNumber = i + 1;
-        // Use default format: pending_file_submission_testname_pageno.png
-        const cleanTestName = paper.name.replace(/[^a-zA-Z0-9]/g, '_');
-        const fileName = `pending_file_submission_${cleanTestName}_${pageNumber}.png`;
-        
-        console.log(`📤 Uploading page ${pageNumber}: ${fileName}`);
-        
-        const uploadResult = await minioService.uploadTempAnswerSheet(
-          file.buffer,
-          fileName,
-          `File Submission`,
-          'unknown'
-        );
-        
-        console.log(`🔍 Upload result for page ${pageNumber}:`, JSON.stringify(uploadResult, null, 2));
-        
-        uploadedImages.push({
-          pageNumber: pageNumber,
-          fileName: fileName,
-          fileId: uploadResult.fileId,
-          webViewLink: uploadResult.webViewLink,
-          objectName: uploadResult.objectName  // Add this field for database storage
-        });
-        
-        console.log(`✓ Page ${pageNumber} uploaded with ID: ${uploadResult.fileId}`);
-      }
-      
-      console.log(`✓ All ${files.length} pages uploaded successfully`);
-      
-    } catch (minioError) {
-      console.error('❌ Failed to upload to MinIO:', minioError);
-      return res.status(500).json({ 
-        error: 'Failed to upload answer sheet to MinIO: ' + minioError.message 
-      });
-    }
-
-    // Step 2: Store submission in database WITHOUT evaluation (pending status)
-    console.log('� Step 2: Storing submission in database (pending evaluation)...');
-    
-    // Create image URLs string from uploaded images (store object names, not presigned URLs)
-    const imageUrls = uploadedImages.map(img => img.objectName).join(',');
-    
-    // Debug uploaded images and final URLs
-    console.log(`🔍 Upload summary: ${uploadedImages.length} images uploaded`);
-    uploadedImages.forEach((img, index) => {
-      console.log(`🔍 Image ${index + 1}: objectName="${img.objectName}", fileName="${img.fileName}"`);
-    });
-    console.log(`🔍 Final imageUrls for database: "${imageUrls}"`);
-    
-    if (!imageUrls || imageUrls.trim() === '') {
-      console.error('❌ No valid image URLs to store in database');
-      return res.status(500).json({ error: 'Failed to generate image URLs for database storage' });
-    }
-    
-    try {
-      const submission = await prisma.studentSubmission.create({
-        data: {
-          paperId: parseInt(paperId),
-          studentName: "File Submission",
-          rollNo: "unknown",
-          imageUrl: imageUrls,
-          score: 0,
-          totalQuestions: 0,
-          percentage: 0,
-          submittedAt: new Date(),
-          answerTypes: {},
-          evaluationMethod: 'pending',
-          evaluationStatus: 'pending'
-        }
-      });
-
-      console.log(`✅ Submission stored successfully with ID: ${submission.id}`);
-      
-      // Return success response without evaluation results
-      res.json({
-        success: true,
-        message: 'Answer sheet submitted successfully and is pending evaluation',
-        submissionId: submission.id,
-        studentName: "File Submission",
-        rollNo: "unknown",
-        submittedAt: submission.submittedAt,
-        status: 'pending',
-        uploadedPages: uploadedImages.length,
-        minioInfo: {
-          uploadedToMinIO: true,
-          processSteps: [
-            '✓ Uploaded to MinIO',
-            '✓ Stored in database with pending status',
-            '✓ Awaiting admin evaluation'
-          ]
-        },
-        note: 'Your submission will be evaluated by the admin. Results will be available after evaluation.'
-      });
-
-    } catch (dbError) {
-      console.error('❌ Database error:', dbError);
-      return res.status(500).json({ 
-        error: 'Failed to store submission in database: ' + dbError.message 
-      });
-    }
-
-  } catch (error) {
-    console.error('❌ Submission error:', error);
-    res.status(500).json({ 
-      error: 'Failed to process submission: ' + error.message 
-    });
-  }
-});
-
-// PDF Upload Routes
-
-// Single PDF upload route
-router.post('/submit-pdf', uploadPDF.single('answerSheet'), async (req, res) => {
-  try {
-    const { paperId } = req.body;
-    const file = req.file;
-
-    if (!paperId) {
-      return res.status(400).json({ error: 'Paper ID is required' });
-    }
-
-    if (!file) {
-      return res.status(400).json({ error: 'PDF file is required' });
-    }
-
-    // Validate file type
-    if (file.mimetype !== 'application/pdf') {
-      return res.status(400).json({ error: 'Only PDF files are allowed' });
-    }
-
-    console.log(`📄 PDF upload: ${file.originalname} (${(file.size / 1024 / 1024).toFixed(2)}MB)`);
-
-    // Get paper info
-    const paper = await prisma.paper.findUnique({
-      where: { id: parseInt(paperId) }
-    });
-
-    if (!paper) {
-      return res.status(404).json({ error: 'Paper not found' });
-    }
-
-    // Validate PDF
-    const pdfInfo = await pdfService.getPDFInfo(file.buffer);
-    if (!pdfInfo.isValid) {
-      return res.status(400).json({ error: 'Invalid PDF file: ' + pdfInfo.error });
-    }
-
-    console.log(`📊 PDF Info: ${pdfInfo.pages} pages, ${(pdfInfo.fileSize / 1024 / 1024).toFixed(2)}MB`);
 
-    // Upload PDF directly to MinIO without processing
-    const cleanTestName = paper.name.replace(/[^a-zA-Z0-9]/g, '_');
-    const timestamp = Date.now();
-    const fileName = `pending_pdf_${timestamp}_${cleanTestName}.pdf`;
-    
-    console.log(`📤 Uploading PDF: ${fileName}`);
-    
-    const uploadResult = await minioService.uploadTempAnswerSheet(
-      file.buffer,
-      fileName,
-      `PDF Submission - ${file.originalname}`,
-      'unknown'
-    );
-    
-    console.log(`✅ PDF uploaded successfully: ${uploadResult.objectName}`);
-
-    // Check for existing submission with the same PDF to prevent duplicates
-    // Check by object name, file name, or recent timestamp
-    const existingSubmission = await prisma.studentSubmission.findFirst({
-      where: {
-        paperId: parseInt(paperId),
-        OR: [
-          { imageUrl: uploadResult.objectName },
-          { imageUrl: { contains: fileName } },
-          {
-            AND: [
-              { studentName: "PDF Submission" },
-              { submittedAt: { gte: new Date(Date.now() - 10 * 60 * 1000) } } // Last 10 minutes
-            ]
-          }
-        ]
-      },
-      orderBy: { submittedAt: 'desc' }
-    });
-    
-    if (existingSubmission) {
-      console.log(`⚠️ PDF already exists with submission ID: ${existingSubmission.id}`);
-      
-      // If it's already evaluated, return an error
-      if (existingSubmission.evaluationStatus === 'evaluated') {
-        return res.status(409).json({
-          success: false,
-          error: 'This PDF has already been uploaded and evaluated for this paper',
-          existingSubmissionId: existingSubmission.id,
-          status: existingSubmission.evaluationStatus,
-          score: existingSubmission.score.toString(),
-          rollNo: existingSubmission.rollNo
-        });
-      } else {
-        // If pending, update the imageUrl and return existing submission
-        const updated = await prisma.studentSubmission.update({
-          where: { id: existingSubmission.id },
-          data: {
-            imageUrl: uploadResult.objectName,
-            submittedAt: new Date() // Update timestamp
-          }
-        });
-        
-        return res.json({
-          success: true,
-          message: 'PDF re-uploaded successfully, updated existing submission',
-          submission: {
-            id: updated.id,
-            paperId: updated.paperId,
-            studentName: updated.studentName,
-            rollNo: updated.rollNo,
-            submittedAt: updated.submittedAt,
-            evaluationStatus: updated.evaluationStatus,
-            evaluationMethod: updated.evaluationMethod
-          },
-          fileName: fileName,
-          fileSize: (file.size / 1024 / 1024).toFixed(2) + 'MB',
-          note: 'Updated existing pending submission instead of creating duplicate'
-        });
-      }
-    }
-    
-    // Create submission record with PDF reference
-    const submission = await prisma.studentSubmission.create({
-      data: {
-        paperId: parseInt(paperId),
-        studentName: "PDF Submission",
-        rollNo: "unknown",
-        imageUrl: uploadResult.objectName, // Store PDF object name
-        score: 0,
-        totalQuestions: 0,
-        percentage: 0,
-        submittedAt: new Date(),
-        answerTypes: {},
-        evaluationMethod: 'pdf_pending',
-        evaluationStatus: 'pending'
-      }
-    });
-    
-    // Cleanup any potential duplicates after submission
-    setImmediate(() => cleanupDuplicateSubmissions(paperId));
-
-    res.json({
-      success: true,
-      message: 'PDF submitted successfully and stored for evaluation',
-      submission: {
-        id: submission.id,
-        paperId: submission.paperId,
-        studentName: submission.studentName,
-        rollNo: submission.rollNo,
-        submittedAt: submission.submittedAt,
-        evaluationStatus: submission.evaluationStatus,
-        evaluationMethod: submission.evaluationMethod
-      },
-      fileName: fileName,
-      fileSize: (file.size / 1024 / 1024).toFixed(2) + 'MB',
-      pdfInfo: {
-        pages: pdfInfo.pages,
-        isValid: pdfInfo.isValid,
-        originalFileName: file.originalname
-      }
-    });
-
-  } catch (error) {
-    console.error('❌ PDF submission error:', error);
-    res.status(500).json({ 
-      error: 'Failed to process PDF submission: ' + error.message 
-    });
-  }
-});
-
-// Bulk PDF upload route
-router.post('/submit-bulk-pdf', uploadPDF.array('pdfFiles'), async (req, res) => {
+// Bulk PDF upload route. The exam window is checked at the time each sheet was scanned
+// (from the PDF), or at capturedAt when staff give it for the whole batch.
+router.post('/submit-bulk-pdf', uploadPDF.array('pdfFiles'), requirePaperAccess('grade', paperFromBody('paperId')), async (req, res) => {
   try {
     const { paperId } = req.body;
     const files = req.files;
@@ -891,6 +73,11 @@ router.post('/submit-bulk-pdf', uploadPDF.array('pdfFiles'), async (req, res) =>
       return res.status(404).json({ error: 'Paper not found' });
     }
 
+    const capture = parseCapturedAt(req.body.capturedAt);
+    if (capture.error) {
+      return res.status(capture.status).json({ error: capture.error });
+    }
+
     const results = [];
     const cleanTestName = paper.name.replace(/[^a-zA-Z0-9]/g, '_');
 
@@ -911,6 +98,17 @@ router.post('/submit-bulk-pdf', uploadPDF.array('pdfFiles'), async (req, res) =>
           continue;
         }
 
+        const capturedAt = capture.capturedAt || pdfInfo.creationDate;
+        const submissionWindow = checkStaffUploadWindow(paper, capturedAt);
+        if (submissionWindow.error) {
+          results.push({
+            fileName: file.originalname,
+            success: false,
+            error: submissionWindow.error
+          });
+          continue;
+        }
+
         // Upload PDF directly to MinIO without processing
         const fileIdentifier = `bulk${fileIndex + 1}`;
         const timestamp = Date.now();
@@ -938,10 +136,11 @@ router.post('/submit-bulk-pdf', uploadPDF.array('pdfFiles'), async (req, res) =>
             score: 0,
             totalQuestions: 0,
             percentage: 0,
-            submittedAt: new Date(),
+            submittedAt: capturedAt || new Date(),
             answerTypes: {},
             evaluationMethod: 'pdf_pending',
-            evaluationStatus: 'pending'
+            evaluationStatus: 'pending',
+            ...submissionWindow
           }
         });
 
@@ -951,7 +150,9 @@ router.post('/submit-bulk-pdf', uploadPDF.array('pdfFiles'), async (req, res) =>
           submissionId: submission.id,
           pdfPages: pdfInfo.pages,
           fileSize: (file.size / 1024 / 1024).toFixed(2) + 'MB',
-          storedAs: fileName
+          storedAs: fileName,
+          capturedAt,
+          isLate: submissionWindow.isLate
         });
 
       } catch (fileError) {
@@ -975,6 +176,7 @@ router.post('/submit-bulk-pdf', uploadPDF.array('pdfFiles'), async (req, res) =>
       successful,
       failed,
       results,
+      isLate: results.some(r => r.isLate),
       evaluationMethod: 'bulk_pdf_extraction'
     });
 
@@ -986,8 +188,9 @@ router.post('/submit-bulk-pdf', uploadPDF.array('pdfFiles'), async (req, res) =>
   }
 });
 
-// Bulk Image upload route
-router.post('/submit-bulk-images', upload.array('imageFiles'), async (req, res) => {
+// Bulk Image upload route. The exam window is only checked when staff give the time the
+// sheets were captured (capturedAt); the upload time says nothing about when they were handed in.
+router.post('/submit-bulk-images', upload.array('imageFiles'), requirePaperAccess('grade', paperFromBody('paperId')), async (req, res) => {
   try {
     const { paperId } = req.body;
     const files = req.files;
@@ -1020,6 +223,16 @@ router.post('/submit-bulk-images', upload.array('imageFiles'), async (req, res)
       return res.status(404).json({ error: 'Paper not found' });
     }
 
+    const capture = parseCapturedAt(req.body.capturedAt);
+    if (capture.error) {
+      return res.status(capture.status).json({ error: capture.error });
+    }
+
+    const submissionWindow = checkStaffUploadWindow(paper, capture.capturedAt);
+    if (submissionWindow.error) {
+      return res.status(submissionWindow.status).json({ error: submissionWindow.error });
+    }
+
     const results = [];
     const cleanTestName = paper.name.replace(/[^a-zA-Z0-9]/g, '_');
 
@@ -1052,10 +265,11 @@ router.post('/submit-bulk-images', upload.array('imageFiles'), async (req, res)
             score: 0,
             totalQuestions: 0,
             percentage: 0,
-            submittedAt: new Date(),
+            submittedAt: capture.capturedAt || new Date(),
             answerTypes: {},
             evaluationMethod: 'pending',
-            evaluationStatus: 'pending'
+            evaluationStatus: 'pending',
+            ...submissionWindow
           }
         });
 
@@ -1087,6 +301,7 @@ router.post('/submit-bulk-images', upload.array('imageFiles'), async (req, res)
       successful,
       failed,
       results,
+      isLate: submissionWindow.isLate,
       evaluationMethod: 'bulk_image_upload'
     });
 
@@ -1099,7 +314,7 @@ router.post('/submit-bulk-images', upload.array('imageFiles'), async (req, res)
 });
 
 // Get all submissions for a paper
-router.get('/paper/:paperId', async (req, res) => {
+router.get('/paper/:paperId', requirePaperAccess('view'), async (req, res) => {
   try {
     const paperId = parseInt(req.params.paperId);
 
@@ -1120,8 +335,333 @@ router.get('/paper/:paperId', async (req, res) => {
   }
 });
 
+// Roll numbers needing review: unknown, duplicate or near-miss roll numbers,
+// plus roster students with no submission for this paper
+router.get('/paper/:paperId/roll-review', requirePaperAccess('view'), async (req, res) => {
+  try {
+    const paperId = req.paper.id;
+
+    const [flagged, roster, matched] = await Promise.all([
+      prisma.studentSubmission.findMany({
+        where: { paperId, rollNoStatus: { in: ['suggested', 'unknown', 'duplicate'] } },
+        select: {
+          id: true,
+          studentName: true,
+          rollNo: true,
+          rollNoStatus: true,
+          rollNoSuggestions: true,
+          evaluationStatus: true,
+          submittedAt: true
+        },
+        orderBy: { submittedAt: 'asc' }
+      }),
+      getPaperRoster(paperId),
+      prisma.studentSubmission.findMany({
+        where: { paperId, studentId: { not: null } },
+        select: { studentId: true }
+      })
+    ]);
+
+    const submittedIds = new Set(matched.map(s => s.studentId));
+    const missingStudents = roster
+      .filter(student => !submittedIds.has(student.id))
+      .map(student => ({
+        id: student.id,
+        rollNo: student.rollNo,
+        name: student.name,
+        classroom: student.classroom
+      }));
+
+    res.json({
+      paperId,
+      rosterSize: roster.length,
+      flagged,
+      missingStudents
+    });
+  } catch (error) {
+    console.error('Error fetching roll number review:', error);
+    res.status(500).json({ error: 'Failed to fetch roll number review' });
+  }
+});
+
+// Roster completion report: submitted/pending/evaluated/missing for every student
+// on the paper's assigned classes. Add ?format=xlsx to download it.
+router.get('/paper/:paperId/roster-report', requirePaperAccess('view'), async (req, res) => {
+  try {
+    const paper = req.paper;
+    const report = await buildRosterReport(paper.id);
+
+    if (req.query.format !== 'xlsx') {
+      return res.json({
+        paper: { id: paper.id, name: paper.name },
+        ...report
+      });
+    }
+
+    const classLabel = (classroom) => classroom.section ? `${classroom.name} - ${classroom.section}` : classroom.name;
+
+    const rosterRows = report.students.map(student => ({
+      'Roll No': student.rollNo,
+      'Name': student.name,
+      'Class': classLabel(student.classroom),
+      'Status': student.status,
+      'Submissions': student.submissionCount,
+      'Submitted At': student.submittedAt ? new Date(student.submittedAt).toLocaleString() : '',
+      'Late': student.isLate ? 'Yes' : '',
+      'Score': student.score !== null ? Number(student.score) : '',
+      'Percentage': student.percentage !== null ? Number(student.percentage) : ''
+    }));
+
+    const unmatchedRows = report.unmatchedSubmissions.map(submission => ({
+      'Submission ID': submission.submissionId,
+      'Roll No': submission.rollNo,
+      'Name': submission.studentName,
+      'Roll No Status': submission.rollNoStatus,
+      'Evaluation Status': submission.evaluationStatus,
+      'Submitted At': new Date(submission.submittedAt).toLocaleString(),
+      'Late': submission.isLate ? 'Yes' : ''
+    }));
+
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(rosterRows), 'Roster');
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(unmatchedRows), 'Unmatched Submissions');
+
+    const excelBuffer = xlsx.write(workbook, {
+      bookType: 'xlsx',
+      type: 'buffer'
+    });
+
+    const fileName = `${paper.name.replace(/[^a-zA-Z0-9]/g, '_')}_roster_report.xlsx`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(excelBuffer);
+  } catch (error) {
+    console.error('Error building roster report:', error);
+    res.status(500).json({ error: 'Failed to build roster report' });
+  }
+});
+
+// Re-check every submission of a paper against the roster (e.g. after a roster import)
+router.post('/paper/:paperId/validate-rollnos', requirePaperAccess('grade'), async (req, res) => {
+  try {
+    const submissions = await prisma.studentSubmission.findMany({
+      where: { paperId: req.paper.id },
+      select: { id: true },
+      orderBy: { submittedAt: 'asc' }
+    });
+
+    const counts = {};
+    for (const submission of submissions) {
+      const result = await applyRollNoValidation(submission.id);
+      const status = result ? result.status : 'failed';
+      counts[status] = (counts[status] || 0) + 1;
+    }
+
+    res.json({ success: true, checked: submissions.length, counts });
+  } catch (error) {
+    console.error('Error validating roll numbers:', error);
+    res.status(500).json({ error: 'Failed to validate roll numbers' });
+  }
+});
+
+// Resolve a flagged submission by linking it to a roster student
+router.post('/:submissionId/assign-student', requirePaperAccess('grade', paperFromSubmission('submissionId')), async (req, res) => {
+  try {
+    const submissionId = parseInt(req.params.submissionId);
+    const studentId = parseInt(req.body.studentId);
+
+    if (!studentId) {
+      return res.status(400).json({ error: 'studentId is required' });
+    }
+
+    const roster = await getPaperRoster(req.paper.id);
+    const student = roster.find(s => s.id === studentId);
+    if (!student) {
+      return res.status(400).json({ error: 'Student is not on the roster of a class assigned to this paper' });
+    }
+
+    const existing = await prisma.studentSubmission.findFirst({
+      where: { paperId: req.paper.id, studentId, id: { not: submissionId } },
+      select: { id: true }
+    });
+    if (existing) {
+      return res.status(409).json({
+        error: 'Another submission is already linked to this student',
+        submissionId: existing.id
+      });
+    }
+
+    const updated = await prisma.studentSubmission.update({
+      where: { id: submissionId },
+      data: {
+        studentId,
+        rollNo: student.rollNo,
+        rollNoStatus: 'matched',
+        rollNoSuggestions: Prisma.JsonNull
+      }
+    });
+
+    console.log(`🧾 ${req.admin.username} linked submission ${submissionId} to ${student.rollNo} (${student.name})`);
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error assigning student:', error);
+    res.status(500).json({ error: 'Failed to assign student' });
+  }
+});
+
+// Manually override one answer's grading. A reason is required; the submission
+// score is recomputed and the change is appended to the answer history.
+router.patch('/:submissionId/answers/:answerId', requirePaperAccess('grade', paperFromSubmission('submissionId')), async (req, res) => {
+  try {
+    const { selectedOptions, isCorrect, partialScore, reason } = req.body;
+
+    const result = await overrideAnswer({
+      submissionId: parseInt(req.params.submissionId),
+      answerId: parseInt(req.params.answerId),
+      changes: { selectedOptions, isCorrect, partialScore },
+      reason,
+      adminId: req.admin.id
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      answer: result.answer,
+      score: result.submission.score,
+      percentage: result.submission.percentage,
+      historyId: result.history.id
+    });
+  } catch (error) {
+    console.error('Error overriding answer:', error);
+    res.status(500).json({ error: 'Failed to override answer' });
+  }
+});
+
+// Override history for a submission, newest first
+router.get('/:submissionId/answer-history', requirePaperAccess('view', paperFromSubmission('submissionId')), async (req, res) => {
+  try {
+    const history = await prisma.studentAnswerHistory.findMany({
+      where: { submissionId: parseInt(req.params.submissionId) },
+      include: { admin: { select: { id: true, username: true } } },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(history);
+  } catch (error) {
+    console.error('Error fetching answer history:', error);
+    res.status(500).json({ error: 'Failed to fetch answer history' });
+  }
+});
+
+// Grade a scored submission's text answers against their rubrics again, e.g. after a rubric changed.
+// Confirmed answers go back to the review queue.
+router.post('/:submissionId/grade-rubrics', requirePaperAccess('grade', paperFromSubmission('submissionId')), async (req, res) => {
+  try {
+    const submission = await prisma.studentSubmission.findUnique({
+      where: { id: parseInt(req.params.submissionId) },
+      select: { id: true, evaluationStatus: true }
+    });
+
+    if (!SCORED_STATUSES.includes(submission.evaluationStatus)) {
+      return res.status(409).json({ error: 'Only scored submissions can be graded against rubrics' });
+    }
+
+    const result = await rubricService.gradeSubmission(submission.id);
+    if (!result) {
+      return res.status(400).json({ error: 'This paper has no text questions with a rubric' });
+    }
+
+    res.json({ success: true, submissionId: submission.id, ...result });
+  } catch (error) {
+    console.error('❌ Rubric grading error:', error);
+    res.status(500).json({ error: 'Failed to grade answers against rubrics' });
+  }
+});
+
+// Set or correct the paper set a sheet was printed from (setCode null clears it, so the
+// next evaluation reads it from the sheet). Scored submissions must be re-evaluated to apply it.
+router.put('/:submissionId/set-code', requirePaperAccess('grade', paperFromSubmission('submissionId')), async (req, res) => {
+  try {
+    const { setCode } = req.body;
+    if (setCode === undefined) {
+      return res.status(400).json({ error: 'setCode is required (send null to clear it)' });
+    }
+
+    const resolved = await resolveSuppliedSetCode(req.paper.id, setCode);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+
+    const submission = await prisma.studentSubmission.update({
+      where: { id: parseInt(req.params.submissionId) },
+      data: { variantId: resolved.variantId },
+      select: { id: true, evaluationStatus: true, variant: { select: { setCode: true } } }
+    });
+
+    res.json({
+      success: true,
+      submissionId: submission.id,
+      setCode: submission.variant ? submission.variant.setCode : null,
+      reevaluationNeeded: SCORED_STATUSES.includes(submission.evaluationStatus)
+    });
+  } catch (error) {
+    console.error('❌ Set code update error:', error);
+    res.status(500).json({ error: 'Failed to update set code' });
+  }
+});
+
+// Issue a new result access code for a submission, replacing any earlier one.
+// Used for sheets uploaded by staff, or when a student loses their code.
+router.post('/:submissionId/access-code', requirePaperAccess('grade', paperFromSubmission('submissionId')), async (req, res) => {
+  try {
+    const accessCode = newAccessCode();
+    const submission = await prisma.studentSubmission.update({
+      where: { id: parseInt(req.params.submissionId) },
+      data: { accessCodeHash: accessCode.hash },
+      select: { id: true, rollNo: true, studentName: true }
+    });
+
+    res.json({ ...submission, accessCode: accessCode.code });
+  } catch (error) {
+    console.error('Error issuing access code:', error);
+    res.status(500).json({ error: 'Failed to issue access code' });
+  }
+});
+
+// Issue access codes for every submission of a paper that does not have one yet
+router.post('/paper/:paperId/access-codes', requirePaperAccess('grade'), async (req, res) => {
+  try {
+    const submissions = await prisma.studentSubmission.findMany({
+      where: { paperId: req.paper.id, accessCodeHash: null },
+      select: { id: true, rollNo: true, studentName: true },
+      orderBy: { rollNo: 'asc' }
+    });
+
+    const issued = await prisma.$transaction(submissions.map(submission => {
+      const accessCode = newAccessCode();
+      submission.accessCode = accessCode.code;
+      return prisma.studentSubmission.update({
+        where: { id: submission.id },
+        data: { accessCodeHash: accessCode.hash },
+        select: { id: true }
+      });
+    }));
+
+    console.log(`🔑 Issued ${issued.length} access code(s) for paper ${req.paper.id}`);
+
+    res.json({ issued: submissions.length, submissions });
+  } catch (error) {
+    console.error('Error issuing access codes:', error);
+    res.status(500).json({ error: 'Failed to issue access codes' });
+  }
+});
+
 // Admin endpoint to evaluate a specific submission
-router.post('/evaluate/:submissionId', async (req, res) => {
+router.post('/evaluate/:submissionId', requirePaperAccess('grade', paperFromSubmission('submissionId')), async (req, res) => {
   try {
     const submissionId = parseInt(req.params.submissionId);
 
@@ -1137,234 +677,40 @@ router.post('/evaluate/:submissionId', async (req, res) => {
       return res.status(404).json({ error: 'Submission not found' });
     }
 
-    if (submission.evaluationStatus === 'evaluated') {
+    if (SCORED_STATUSES.includes(submission.evaluationStatus)) {
       return res.status(400).json({ error: 'Submission already evaluated' });
     }
 
     console.log(`🎓 Starting evaluation for ${submission.studentName} (Roll: ${submission.rollNo})`);
 
-    // Get questions for this paper
-    const questions = await prisma.question.findMany({
-      where: { paperId: submission.paperId },
-      orderBy: { questionNumber: 'asc' }
-    });
-
-    // Check if this is a PDF submission
-    const isPdfSubmission = submission.evaluationMethod === 'pdf_pending' || 
-                           submission.imageUrl.endsWith('.pdf');
-    
-    console.log(`📄 File type: ${isPdfSubmission ? 'PDF' : 'Image'}`);
-
-    let allStudentAnswers = [];
-    let rollNoFromPaper = null;
-
-    if (isPdfSubmission) {
-      // Handle PDF submission
-      console.log('📄 Processing PDF submission...');
-      
-      try {
-        // Download PDF from MinIO
-        const pdfBuffer = await minioService.downloadImage(submission.imageUrl);
-        
-        // Extract content using Gemini Vision with enhanced debugging
-        console.log(`🤖 Starting Gemini PDF analysis...`);
-        const pdfResult = await pdfService.extractContentWithGemini(pdfBuffer);
-        
-        console.log(`📋 PDF extraction result:`, {
-          rollNumber: pdfResult.rollNumber,
-          answersCount: pdfResult.answers?.length || 0,
-          extractionMethod: pdfResult.extractionMethod,
-          confidence: pdfResult.confidence
-        });
-        
-        if (pdfResult.rollNumber && pdfResult.rollNumber !== 'unknown' && pdfResult.rollNumber.trim() !== '') {
-          rollNoFromPaper = pdfResult.rollNumber.trim();
-          console.log(`✅ Successfully extracted roll number from PDF: '${rollNoFromPaper}'`);
-          
-          // CRITICAL: Immediately update submission with extracted roll number during evaluation
-          try {
-            await prisma.studentSubmission.update({
-              where: { id: submissionId },
-              data: { rollNo: rollNoFromPaper }
-            });
-            console.log(`✅ Updated submission ${submissionId} roll number: '${rollNoFromPaper}'`);
-          } catch (updateError) {
-            console.warn('⚠️ Failed to update roll number during evaluation:', updateError.message);
-          }
-        } else {
-          console.log(`⚠️ Roll number extraction failed or returned unknown:`, pdfResult.rollNumber);
-          // Try alternative extraction methods if available
-          rollNoFromPaper = 'unknown';
-        }
-        
-        if (pdfResult.answers && Array.isArray(pdfResult.answers)) {
-          allStudentAnswers = pdfResult.answers;
-          console.log(`📝 Extracted ${allStudentAnswers.length} answers from PDF`);
-        } else {
-          console.log('⚠️ No answers extracted from PDF');
-        }
-        
-      } catch (pdfError) {
-        console.error('❌ Failed to process PDF:', pdfError);
-        return res.status(500).json({ 
-          error: 'Failed to process PDF: ' + pdfError.message 
-        });
-      }
-      
-    } else {
-      // Handle image submission (existing logic)
-      // Get image URLs from submission
-      const imageUrls = submission.imageUrl.split(',');
-    
-      for (let i = 0; i < imageUrls.length; i++) {
-      const imageUrl = imageUrls[i];
-      const pageNumber = i + 1;
-      
-      console.log(`📄 Processing page ${pageNumber}...`);
-      
-      try {
-        // Download image from MinIO
-        const imageBuffer = await minioService.downloadImage(imageUrl);
-        
-        // Extract roll number from first page if not already extracted
-        if (pageNumber === 1) {
-          console.log('🔍 Extracting roll number from question paper...');
-          const rollNoResult = await geminiService.extractRollNumberFromImage(imageBuffer);
-          if (rollNoResult.success) {
-            rollNoFromPaper = rollNoResult.rollNumber;
-            console.log(`📋 Roll number from paper: ${rollNoFromPaper}`);
-          }
-        }
-        
-        // Process answers based on question type
-        const questionType = submission.paper.questionType || 'traditional';
-        let pageAnswers = [];
-        
-        if (questionType === 'omr' || questionType === 'mixed') {
-          // Use OMR detection
-          const omrResult = await omrService.detectOMRAnswers(imageBuffer, questions);
-          if (omrResult && omrResult.detected_answers) {
-            pageAnswers = omrResult.detected_answers;
-          }
-        }
-        
-        if (pageAnswers.length === 0) {
-          // Fall back to traditional Gemini extraction
-          const geminiResult = await geminiService.extractStudentAnswersFromBuffer(imageBuffer);
-          if (geminiResult.success) {
-            pageAnswers = geminiResult.answers;
-          }
-        }
-        
-        allStudentAnswers = allStudentAnswers.concat(pageAnswers);
-        
-      } catch (imageError) {
-        console.error(`❌ Failed to process page ${pageNumber}:`, imageError);
-      }
-    }
-    } // End of image processing
+    // Same extraction and scoring as the queue: page by page against each page's questions
+    const result = await evaluateStoredSubmission(submissionId, { method: 'admin_triggered', checkRollNo: true });
 
-    // Step 2: Validate roll number
-    if (rollNoFromPaper && rollNoFromPaper !== submission.rollNo) {
-      console.log(`❌ Roll number mismatch: Paper shows ${rollNoFromPaper}, but student entered ${submission.rollNo}`);
-      
-      await prisma.studentSubmission.update({
-        where: { id: submissionId },
-        data: {
-          evaluationStatus: 'error',
-          evaluationMethod: 'roll_number_mismatch'
-        }
-      });
-      
-      return res.status(400).json({ 
+    if (result.rollNoMismatch) {
+      const { paperRollNo, enteredRollNo } = result.rollNoMismatch;
+      return res.status(400).json({
         error: 'Roll number mismatch',
-        message: `The roll number in the question paper (${rollNoFromPaper}) does not match the roll number you entered (${submission.rollNo})`,
-        paperRollNo: rollNoFromPaper,
-        enteredRollNo: submission.rollNo
+        message: `The roll number in the question paper (${paperRollNo}) does not match the roll number you entered (${enteredRollNo})`,
+        paperRollNo,
+        enteredRollNo
       });
     }
 
-    // Step 3: Evaluate answers
-    console.log('📊 Evaluating answers...');
-    
-    // Detect if this is a manual test with weightages
-    const hasWeightages = questions.some(q => q.weightages && Object.keys(q.weightages).length > 0);
-    const evaluationMethod = hasWeightages ? 'manual_test' : 'gemini_vision';
-    
-    console.log(`🎯 Using evaluation method: ${evaluationMethod}${hasWeightages ? ' (weightage-based)' : ' (traditional)'}`);
-    
-    const evaluationResult = evaluateAnswers(questions, allStudentAnswers, 'multiple_choice', evaluationMethod);
-    
-    // Step 4: Store results in database
-    await prisma.$transaction(async (tx) => {
-      // Update submission with appropriate max score and roll number if extracted
-      const maxScore = evaluationResult.maxPossibleScore || evaluationResult.totalQuestions;
-      
-      // Prepare update data
-      const updateData = {
-        score: evaluationResult.score,
-        totalQuestions: evaluationResult.totalQuestions,
-        percentage: evaluationResult.percentage,
-        evaluationStatus: 'evaluated',
-        evaluationMethod: `admin_triggered_${evaluationResult.evaluationMethod || 'traditional'}`,
-        answerTypes: evaluationResult.answerTypes || {}
-      };
-      
-      // Update roll number if extracted from PDF and different from submission
-      if (rollNoFromPaper && rollNoFromPaper !== 'unknown' && rollNoFromPaper !== submission.rollNo) {
-        console.log(`📋 Updating roll number: ${submission.rollNo} → ${rollNoFromPaper}`);
-        updateData.rollNo = rollNoFromPaper;
-      } else if (rollNoFromPaper && rollNoFromPaper === 'unknown' && submission.rollNo === 'unknown') {
-        // If both are unknown, try to extract from filename or set a default
-        console.log(`⚠️ Roll number still unknown, attempting fallback extraction...`);
-        // You could add additional extraction logic here if needed
-      }
-      
-      await tx.studentSubmission.update({
-        where: { id: submissionId },
-        data: updateData
-      });
-
-      // Store individual answers
-      for (const result of evaluationResult.results) {
-        const answerData = {
-          submissionId: submissionId,
-          questionNumber: result.questionNumber,
-          selectedOption: result.selectedOption || (result.studentOption ? result.studentOption.split(',')[0] : null),
-          selectedOptions: result.selectedOptions || (result.studentOption ? result.studentOption.split(',') : []),
-          isCorrect: result.isCorrect,
-          textAnswer: result.textAnswer,
-          answerType: result.answerType || 'mcq',
-          // NEW: Store weightage-based scoring details
-          partialScore: result.partialScore || (result.isCorrect ? 1 : 0),
-          maxPoints: result.maxPoints || 1,
-          details: result.details,
-          weightageBreakdown: result.weightageBreakdown || []
-        };
-        
-        console.log(`💾 Storing answer for Q${result.questionNumber}: score=${answerData.partialScore}/${answerData.maxPoints}`);
-        
-        await tx.studentAnswer.create({
-          data: answerData
-        });
-      }
-    });
-
-    const finalRollNo = rollNoFromPaper && rollNoFromPaper !== 'unknown' ? rollNoFromPaper : submission.rollNo;
-    
-    console.log(`✅ Evaluation completed for ${submission.studentName} (Roll: ${finalRollNo})`);
-    console.log(`📊 Score: ${evaluationResult.score}/${evaluationResult.maxPossibleScore || evaluationResult.totalQuestions} (${evaluationResult.percentage}%)`);
+    console.log(`✅ Evaluation completed for ${submission.studentName} (Roll: ${result.rollNo})`);
+    console.log(`📊 Score: ${result.score}/${result.maxPossibleScore} (${result.percentage}%)`);
 
     res.json({
       success: true,
       message: 'Evaluation completed successfully',
       studentName: submission.studentName,
-      rollNo: finalRollNo,
-      score: evaluationResult.score,
-      totalQuestions: evaluationResult.totalQuestions,
-      maxPossibleScore: evaluationResult.maxPossibleScore || evaluationResult.totalQuestions,
-      percentage: evaluationResult.percentage,
-      evaluationStatus: 'evaluated'
+      rollNo: result.rollNo,
+      score: result.score,
+      totalQuestions: result.totalQuestions,
+      maxPossibleScore: result.maxPossibleScore || result.totalQuestions,
+      percentage: result.percentage,
+      evaluationStatus: result.evaluationStatus,
+      rollNoStatus: result.rollNoStatus,
+      rollNoSuggestions: result.rollNoSuggestions
     });
 
   } catch (error) {
@@ -1390,10 +736,10 @@ router.post('/evaluate/:submissionId', async (req, res) => {
 });
 
 // Get submissions by evaluation status
-router.get('/paper/:paperId/status/:status', async (req, res) => {
+router.get('/paper/:paperId/status/:status', requirePaperAccess('view'), async (req, res) => {
   try {
     const paperId = parseInt(req.params.paperId);
-    const status = req.params.status; // 'pending' or 'evaluated'
+    const status = req.params.status; // 'pending', 'evaluated' or 'needs_review'
     const { search } = req.query; // Optional roll number search
 
     let whereClause = { 
@@ -1433,6 +779,8 @@ router.get('/paper/:paperId/status/:status', async (req, res) => {
       submittedAt: submission.submittedAt,
       evaluationStatus: submission.evaluationStatus,
       evaluationMethod: submission.evaluationMethod,
+      isLate: submission.isLate,
+      latePenaltyPercent: submission.latePenaltyPercent === null ? null : Number(submission.latePenaltyPercent),
       paperName: submission.paper.name
     }));
 
@@ -1459,7 +807,7 @@ router.get('/paper/:paperId/status/:status', async (req, res) => {
 });
 
 // Get submission details
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePaperAccess('view', paperFromSubmission('id')), async (req, res) => {
   try {
     const submissionId = parseInt(req.params.id);
 
@@ -1529,7 +877,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Get pending files from MinIO (for new PENDING_ workflow)
-router.get('/pending-files/:paperId', async (req, res) => {
+router.get('/pending-files/:paperId', requirePaperAccess('view'), async (req, res) => {
   try {
     const paperId = parseInt(req.params.paperId);
     
@@ -1597,7 +945,7 @@ router.get('/pending-files/:paperId', async (req, res) => {
       const evaluatedSubmissions = await prisma.studentSubmission.findMany({
         where: {
           paperId: paperId,
-          evaluationStatus: 'evaluated'
+          evaluationStatus: { in: SCORED_STATUSES }
         },
         select: {
           studentName: true,
@@ -1790,96 +1138,6 @@ router.get('/pending-files/:paperId', async (req, res) => {
   }
 });
 
-// Helper function to cleanup duplicate submissions automatically
-const cleanupDuplicateSubmissions = async (paperId) => {
-  try {
-    console.log(`🧹 Checking for duplicate submissions in paper ${paperId}...`);
-    
-    // Find all submissions for this paper
-    const submissions = await prisma.studentSubmission.findMany({
-      where: { paperId: parseInt(paperId) },
-      orderBy: [{ evaluationStatus: 'desc' }, { submittedAt: 'desc' }] // Evaluated first, then by newest
-    });
-    
-    if (submissions.length <= 1) {
-      return; // No duplicates possible
-    }
-    
-    // Group by similar characteristics to identify duplicates
-    const groups = new Map();
-    
-    submissions.forEach(submission => {
-      // Create a key based on paper and file similarity
-      let groupKey;
-      if (submission.imageUrl) {
-        // Extract base filename without timestamps for grouping
-        const baseName = submission.imageUrl
-          .split('/')
-          .pop()
-          .replace(/\d{10,}/g, 'TIMESTAMP') // Replace long numbers with placeholder
-          .replace(/pending_|evaluated_/g, ''); // Remove status prefixes
-        groupKey = `${paperId}_${baseName}_${submission.studentName}`;
-      } else {
-        groupKey = `${paperId}_${submission.studentName}_${submission.rollNo}`;
-      }
-      
-      if (!groups.has(groupKey)) {
-        groups.set(groupKey, []);
-      }
-      groups.get(groupKey).push(submission);
-    });
-    
-    // Process each group to remove duplicates
-    for (const [key, groupSubmissions] of groups) {
-      if (groupSubmissions.length > 1) {
-        console.log(`🔍 Found ${groupSubmissions.length} potential duplicates in group: ${key}`);
-        
-        // Sort: evaluated submissions first, then by score desc, then by newest
-        groupSubmissions.sort((a, b) => {
-          if (a.evaluationStatus !== b.evaluationStatus) {
-            return a.evaluationStatus === 'evaluated' ? -1 : 1;
-          }
-          if (a.evaluationStatus === 'evaluated') {
-            return parseFloat(b.score) - parseFloat(a.score); // Higher score first
-          }
-          return new Date(b.submittedAt) - new Date(a.submittedAt); // Newer first
-        });
-        
-        // Keep the first one (best), remove others
-        const keepSubmission = groupSubmissions[0];
-        const removeSubmissions = groupSubmissions.slice(1);
-        
-        console.log(`✅ Keeping submission ID ${keepSubmission.id} (${keepSubmission.evaluationStatus}, score: ${keepSubmission.score})`);
-        
-        for (const removeSubmission of removeSubmissions) {
-          console.log(`🗑️ Removing duplicate submission ID ${removeSubmission.id} (${removeSubmission.evaluationStatus}, score: ${removeSubmission.score})`);
-          
-          try {
-            // Delete answers first
-            await prisma.studentAnswer.deleteMany({
-              where: { submissionId: removeSubmission.id }
-            });
-            
-            // Delete submission
-            await prisma.studentSubmission.delete({
-              where: { id: removeSubmission.id }
-            });
-            
-            console.log(`✅ Successfully removed duplicate submission ID ${removeSubmission.id}`);
-          } catch (deleteError) {
-            console.error(`❌ Failed to remove submission ${removeSubmission.id}:`, deleteError.message);
-          }
-        }
-      }
-    }
-    
-    console.log(`✅ Cleanup completed for paper ${paperId}`);
-    
-  } catch (error) {
-    console.error(`❌ Cleanup failed for paper ${paperId}:`, error.message);
-  }
-};
-
 // Helper function to retry database operations
 const retryDatabaseOperation = async (operation, maxRetries = 3, delay = 1000) => {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -1899,7 +1157,7 @@ const retryDatabaseOperation = async (operation, maxRetries = 3, delay = 1000) =
 };
 
 // Evaluate a PENDING_ file (new workflow) - now supports multi-page submissions
-router.post('/evaluate-pending', async (req, res) => {
+router.post('/evaluate-pending', requirePaperAccess('grade', paperFromBody('paperId')), async (req, res) => {
   try {
     const { fileId, fileName, paperId, submissionId, source, pages } = req.body;
     
@@ -1931,6 +1189,7 @@ router.post('/evaluate-pending', async (req, res) => {
     
     const questions = await prisma.question.findMany({
       where: { paperId: parseInt(paperId) },
+      include: { rubric: true },
       orderBy: { questionNumber: 'asc' }
     });
     
@@ -1947,7 +1206,7 @@ router.post('/evaluate-pending', async (req, res) => {
         }
       });
       
-      if (existingSubmission && existingSubmission.evaluationStatus === 'evaluated') {
+      if (existingSubmission && SCORED_STATUSES.includes(existingSubmission.evaluationStatus)) {
         return res.status(400).json({ error: 'This submission has already been evaluated' });
       }
       
@@ -2359,7 +1618,8 @@ router.post('/evaluate-pending', async (req, res) => {
             selected_option: answer.selected_options && answer.selected_options.length > 0 
               ? answer.selected_options[0].toUpperCase() : '',
             selected_options: answer.selected_options ? answer.selected_options.map(opt => opt.toUpperCase()) : [],
-            confidence: answer.confidence || 'medium'
+            confidence: answer.confidence || 'medium',
+            markType: answer.marking_type
           }));
           console.log(`🔍 Converted OMR answers:`, pageAnswers);
         } else {
@@ -2382,7 +1642,8 @@ router.post('/evaluate-pending', async (req, res) => {
               question_number: answer.question,
               selected_option: answer.selectedOption ? answer.selectedOption.toUpperCase() : '',
               selected_options: answer.selectedOptions ? answer.selectedOptions.map(opt => opt.toUpperCase()) : [],
-              confidence: answer.confidence || 'medium'
+              confidence: answer.confidence || 'medium',
+              markType: answer.markType
             }));
           
           console.log(`✅ Filtered and converted ${pageAnswers.length} answers for page ${page.pageNumber}`);
@@ -2408,31 +1669,29 @@ router.post('/evaluate-pending', async (req, res) => {
     // Evaluate answers
     console.log('📊 Evaluating answers...');
     
-    // Detect if this is a manual test with weightages
-    const hasWeightages = questions.some(q => q.weightages && Object.keys(q.weightages).length > 0);
-    const evaluationMethod = hasWeightages ? 'manual_test' : 'gemini_vision';
-    
-    console.log(`🎯 Using evaluation method: ${evaluationMethod}${hasWeightages ? ' (weightage-based)' : ' (traditional)'}`);
-    console.log('🔍 Debug - Questions structure:', questions.map(q => ({ 
-      question_number: q.questionNumber, 
-      correct_options: q.correctOptions,
-      weightages: q.weightages || {}
-    })));
     console.log('🔍 Debug - Student answers:', allStudentAnswers);
     
-    const evaluationResult = evaluateAnswers(questions, allStudentAnswers, 'multiple_choice', evaluationMethod);
+    // Sheets printed from a paper set are numbered and labelled as that set
+    const masterAnswers = await mapAnswersToMaster(existingSubmission, allStudentAnswers);
+
+    const evaluationResult = scoreAnswers(questions, masterAnswers, { scoringPolicy: paper.scoringPolicy });
+
+    // Late submissions under a penalty policy lose a share of their score
+    if (existingSubmission) {
+      Object.assign(evaluationResult, applyLatePenalty(evaluationResult.score, evaluationResult.percentage, existingSubmission.latePenaltyPercent));
+    }
     console.log('🔍 Debug - Evaluation result:', evaluationResult);
     console.log('📊 Score breakdown:', {
-      totalScore: evaluationResult.score || evaluationResult.totalScore,
-      maxScore: evaluationResult.maxPossibleScore || evaluationResult.totalQuestions,
-      resultsCount: evaluationResult.results?.length || 0
+      totalScore: evaluationResult.score,
+      maxScore: evaluationResult.maxPossibleScore,
+      resultsCount: evaluationResult.results.length
     });
     
     // Debug: Log first few results to understand scoring structure
-    if (evaluationResult.results && evaluationResult.results.length > 0) {
+    if (evaluationResult.results.length > 0) {
       console.log('🔍 Sample question results:');
       evaluationResult.results.slice(0, 3).forEach((result, i) => {
-        console.log(`  Q${result.questionNumber}: score=${result.partialScore || (result.isCorrect ? 1 : 0)}, max=${result.maxPoints || 1}, correct=${result.isCorrect}`);
+        console.log(`  Q${result.questionNumber}: score=${result.partialScore}, max=${result.maxPoints}, correct=${result.isCorrect}`);
       });
     }
     
@@ -2452,6 +1711,10 @@ router.post('/evaluate-pending', async (req, res) => {
       finalValue: finalRollNo
     });
 
+    // Low-confidence or ambiguous detections hold the submission for review
+    const detections = indexDetections(masterAnswers);
+    let evaluationStatus = scoredStatus((evaluationResult.results || []).map(r => detectionFields(detections, r.questionNumber)));
+
     const submissionData = {
       paperId: parseInt(paperId),
       studentName: "File Submission",
@@ -2459,10 +1722,10 @@ router.post('/evaluate-pending', async (req, res) => {
       score: evaluationResult.score,
       totalQuestions: evaluationResult.totalQuestions,
       percentage: evaluationResult.percentage,
-      evaluationStatus: 'evaluated',
-      evaluationMethod: `pending_file_${evaluationResult.evaluationMethod || 'traditional'}`,
+      evaluationStatus,
+      evaluationMethod: `pending_file_${evaluationResult.evaluationMethod}`,
       imageUrl: source === 'database' ? existingSubmission.imageUrl : pagesToProcess.map(p => p.fileId || p.fileName).join(','),
-      answerTypes: evaluationResult.answerTypes || {},
+      answerTypes: evaluationResult.answerTypes,
       submittedAt: existingSubmission ? existingSubmission.submittedAt : new Date()
     };
     
@@ -2492,20 +1755,8 @@ router.post('/evaluate-pending', async (req, res) => {
           if (evaluationResult.results && evaluationResult.results.length > 0) {
             const answerData = evaluationResult.results.map(result => ({
               submissionId: txSubmission.id,
-              questionNumber: result.questionNumber || 0,
-              selectedOption: result.selectedOption || (result.studentOption ? result.studentOption.split(',')[0] : ''),
-              selectedOptions: result.selectedOptions && result.selectedOptions.length > 0 
-                ? result.selectedOptions 
-                : (result.studentOption ? result.studentOption.split(',') : [result.selectedOption || '']),
-              isCorrect: result.isCorrect || false,
-              textAnswer: result.details || result.textAnswer || null,
-              blankAnswers: result.blankAnswers || {},
-              answerType: result.answerType || 'multiple_choice',
-              // NEW: Store detailed scoring information
-              partialScore: result.partialScore ?? (result.isCorrect ? 1 : 0),
-              maxPoints: result.maxPoints ?? 1,
-              details: result.details || null,
-              weightageBreakdown: result.weightageBreakdown || []
+              ...answerRecord(result),
+              ...detectionFields(detections, result.questionNumber)
             }));
             
             console.log(`📊 Storing ${answerData.length} answers with scoring details`);
@@ -2529,6 +1780,13 @@ router.post('/evaluate-pending', async (req, res) => {
       console.error('❌ PENDING file evaluation transaction error:', transactionError);
       throw new Error(`Database transaction failed: ${transactionError.message}`);
     }
+
+    // Text answers with a rubric are graded from the stored pages (before they are renamed below)
+    const rubricGrading = await rubricService.gradeSubmission(submission.id);
+    if (rubricGrading) {
+      Object.assign(evaluationResult, { score: rubricGrading.score, percentage: rubricGrading.percentage });
+      evaluationStatus = rubricGrading.evaluationStatus;
+    }
     
     // Rename file from PENDING_ to final format (only for Google Drive files)
     console.log(`🔍 Rename check - Source: ${source}, FileId: ${fileId}, Source check: ${source !== 'database'}, FileId check: ${!!fileId}`);
@@ -2586,7 +1844,7 @@ router.post('/evaluate-pending', async (req, res) => {
     }
     
     console.log(`✅ Evaluation completed for File Submission (Roll: ${pagesToProcess.find(p => p.extractedRollNo)?.extractedRollNo || 'unknown'})`);
-    console.log(`📊 Score: ${evaluationResult.score}/${evaluationResult.maxPossibleScore || evaluationResult.totalQuestions} (${evaluationResult.percentage}%)`);
+    console.log(`📊 Score: ${evaluationResult.score}/${evaluationResult.maxPossibleScore} (${evaluationResult.percentage}%)`);
     
     // Clean up PENDING_ files by renaming them to EVALUATED_
     if (pagesToProcess.some(page => page.fileId)) {
@@ -2616,6 +1874,8 @@ router.post('/evaluate-pending', async (req, res) => {
       }
     }
     
+    const rollNoCheck = await applyRollNoValidation(submission.id);
+    
     res.json({
       success: true,
       message: 'Evaluation completed successfully',
@@ -2626,7 +1886,9 @@ router.post('/evaluate-pending', async (req, res) => {
       totalQuestions: evaluationResult.totalQuestions,
       maxPossibleScore: evaluationResult.maxPossibleScore,
       percentage: evaluationResult.percentage,
-      evaluationStatus: 'evaluated',
+      evaluationStatus,
+      rollNoStatus: rollNoCheck ? rollNoCheck.status : 'unverified',
+      rollNoSuggestions: rollNoCheck ? rollNoCheck.suggestions : null,
       fileName: pagesToProcess.length > 1 
         ? `file_submission_${pagesToProcess.length}_pages_evaluated` 
         : (fileName || `DB_Submission_${submissionId}`)
@@ -2664,7 +1926,7 @@ router.post('/evaluate-pending', async (req, res) => {
 });
 
 // Debug endpoint: Reset submission to pending status for testing
-router.post('/reset-to-pending/:submissionId', async (req, res) => {
+router.post('/reset-to-pending/:submissionId', requirePaperAccess('grade', paperFromSubmission('submissionId')), async (req, res) => {
   try {
     const submissionId = parseInt(req.params.submissionId);
     
@@ -2691,7 +1953,7 @@ router.post('/reset-to-pending/:submissionId', async (req, res) => {
 });
 
 // Debug endpoint: Fix roll number for existing submission
-router.post('/fix-rollno/:submissionId', async (req, res) => {
+router.post('/fix-rollno/:submissionId', requirePaperAccess('grade', paperFromSubmission('submissionId')), async (req, res) => {
   try {
     const submissionId = parseInt(req.params.submissionId);
     
@@ -2722,11 +1984,15 @@ router.post('/fix-rollno/:submissionId', async (req, res) => {
             }
           });
           
+          const rollNoCheck = await applyRollNoValidation(submissionId);
+          
           res.json({ 
             success: true, 
             message: 'Roll number extracted and updated',
             oldRollNo: submission.rollNo,
-            newRollNo: updated.rollNo
+            newRollNo: updated.rollNo,
+            rollNoStatus: rollNoCheck ? rollNoCheck.status : 'unverified',
+            rollNoSuggestions: rollNoCheck ? rollNoCheck.suggestions : null
           });
         } else {
           res.json({ 
@@ -2748,98 +2014,50 @@ router.post('/fix-rollno/:submissionId', async (req, res) => {
   }
 });
 
-// Export submissions to Excel
-router.get('/export-excel/:paperId', async (req, res) => {
+// Export the gradebook for a paper: one column per question, partial-credit breakdown,
+// rank and a question statistics sheet. ?format=xlsx (default), csv or json;
+// for csv, ?sheet=stats returns the statistics instead of the gradebook.
+router.get('/export-excel/:paperId', requirePaperAccess('view'), async (req, res) => {
   try {
-    const paperId = parseInt(req.params.paperId);
-    
-    // Get paper details
-    const paper = await prisma.paper.findUnique({
-      where: { id: paperId },
-      select: { name: true }
-    });
-    
-    if (!paper) {
+    const format = req.query.format || 'xlsx';
+    if (!['xlsx', 'csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be xlsx, csv or json' });
+    }
+
+    const gradebook = await gradebookService.buildGradebook(req.paper.id);
+    if (!gradebook) {
       return res.status(404).json({ error: 'Paper not found' });
     }
-    
-    // Get all submissions for this paper
-    const submissions = await prisma.studentSubmission.findMany({
-      where: { paperId: paperId },
-      select: {
-        rollNo: true,
-        studentName: true,
-        score: true,
-        totalQuestions: true,
-        evaluationStatus: true,
-        submittedAt: true
-      },
-      orderBy: { rollNo: 'asc' }
-    });
 
-    // Get paper details for total marks
-    const paperDetails = await prisma.paper.findUnique({
-      where: { id: paperId },
-      select: { totalMarks: true }
-    });
+    if (format === 'json') {
+      return res.json(gradebook);
+    }
 
-    const totalMarks = paperDetails?.totalMarks || null;
-    
-    // Prepare Excel data
-    const excelData = submissions.map(submission => {
-      let scoreStatus;
-      
-      if (submission.evaluationStatus === 'evaluated') {
-        // Use totalMarks from paper if available, otherwise fall back to totalQuestions
-        const maxScore = totalMarks || submission.totalQuestions;
-        scoreStatus = `${submission.score}/${maxScore}`;
-      } else {
-        scoreStatus = 'not evaluated';
-      }
-      
-      return {
-        'Roll No': submission.rollNo,
-        'Name': submission.studentName,
-        [paper.name]: scoreStatus
-      };
-    });
-    
-    // Create workbook and worksheet
-    const workbook = xlsx.utils.book_new();
-    const worksheet = xlsx.utils.json_to_sheet(excelData);
-    
-    // Add worksheet to workbook
-    xlsx.utils.book_append_sheet(workbook, worksheet, 'Submissions');
-    
-    // Generate Excel buffer
-    const excelBuffer = xlsx.write(workbook, { 
-      bookType: 'xlsx', 
-      type: 'buffer' 
-    });
-    
-    // Set headers for file download
-    const fileName = `${paper.name.replace(/[^a-zA-Z0-9]/g, '_')}_submissions.xlsx`;
-    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    const baseName = `${gradebook.paper.name.replace(/[^a-zA-Z0-9]/g, '_')}_gradebook`;
+
+    if (format === 'csv') {
+      const sheet = req.query.sheet === 'stats' ? 'stats' : 'gradebook';
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}${sheet === 'stats' ? '_stats' : ''}.csv"`);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(gradebookService.toCsv(gradebook, sheet));
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.xlsx"`);
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    
-    // Send the Excel file
-    res.send(excelBuffer);
+    res.send(gradebookService.toXlsx(gradebook));
     
   } catch (error) {
-    console.error('Error exporting submissions to Excel:', error);
-    res.status(500).json({ error: 'Failed to export submissions to Excel' });
+    console.error('Error exporting gradebook:', error);
+    res.status(500).json({ error: 'Failed to export submissions' });
   }
 });
 
-// Batch evaluate all pending submissions for a paper
-router.post('/batch-evaluate/:paperId', async (req, res) => {
+// Batch evaluate all pending submissions for a paper - queues one evaluation job per submission
+router.post('/batch-evaluate/:paperId', requirePaperAccess('grade'), async (req, res) => {
   try {
     const paperId = parseInt(req.params.paperId);
-    const { delayBetweenEvaluations = 5000, maxRetries = 3 } = req.body;
-
-    console.log(`🚀 Starting batch evaluation for paper ${paperId} with ${delayBetweenEvaluations}ms delay between evaluations`);
+    const { maxRetries = 3 } = req.body;
 
-    // Get paper details
     const paper = await prisma.paper.findUnique({
       where: { id: paperId }
     });
@@ -2848,79 +2066,19 @@ router.post('/batch-evaluate/:paperId', async (req, res) => {
       return res.status(404).json({ error: 'Paper not found' });
     }
 
-    // Get all pending submissions for this paper
-    const pendingResponse = await fetch(`${process.env.API_BASE_URL || 'http://localhost:3000'}/api/submissions/pending-files/${paperId}`);
-    if (!pendingResponse.ok) {
-      throw new Error('Failed to fetch pending submissions');
-    }
-
-    const pendingData = await pendingResponse.json();
-    const pendingSubmissions = pendingData.pendingSubmissions || [];
-
-    if (pendingSubmissions.length === 0) {
-      return res.json({
-        success: true,
-        message: 'No pending submissions found',
-        results: { success: 0, failed: 0, errors: [] }
-      });
-    }
-
-    console.log(`📋 Found ${pendingSubmissions.length} pending submissions to evaluate`);
-
-    const results = {
-      success: 0,
-      failed: 0,
-      errors: [],
-      evaluationDetails: []
-    };
-
-    // Process each submission with delay and retry logic
-    for (let i = 0; i < pendingSubmissions.length; i++) {
-      const submission = pendingSubmissions[i];
-      console.log(`🔄 Processing ${i + 1}/${pendingSubmissions.length}: ${submission.studentName}`);
-
-      try {
-        const evaluationResult = await evaluateSubmissionWithRetry(submission, paperId, maxRetries);
-        
-        results.success++;
-        results.evaluationDetails.push({
-          studentName: submission.studentName,
-          rollNo: submission.rollNo,
-          status: 'success',
-          score: evaluationResult.score,
-          maxScore: evaluationResult.maxPossibleScore || evaluationResult.totalQuestions,
-          percentage: evaluationResult.percentage
-        });
-
-        console.log(`✅ Successfully evaluated ${submission.studentName}: ${evaluationResult.score}/${evaluationResult.maxPossibleScore || evaluationResult.totalQuestions} (${evaluationResult.percentage.toFixed(1)}%)`);
-
-      } catch (error) {
-        results.failed++;
-        const errorMessage = `${submission.studentName} (${submission.rollNo}): ${error.message}`;
-        results.errors.push(errorMessage);
-        results.evaluationDetails.push({
-          studentName: submission.studentName,
-          rollNo: submission.rollNo,
-          status: 'failed',
-          error: error.message
-        });
-
-        console.error(`❌ Failed to evaluate ${submission.studentName}:`, error.message);
-      }
-
-      // Add delay between evaluations (except for the last one)
-      if (i < pendingSubmissions.length - 1) {
-        console.log(`⏳ Waiting ${delayBetweenEvaluations}ms before next evaluation...`);
-        await new Promise(resolve => setTimeout(resolve, delayBetweenEvaluations));
-      }
+    const result = await evaluationQueue.enqueue(paperId, null, { maxAttempts: maxRetries });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
+    const { jobs, skipped } = result;
 
-    console.log(`🎉 Batch evaluation completed. Success: ${results.success}, Failed: ${results.failed}`);
-
-    res.json({
+    res.status(202).json({
       success: true,
-      message: `Batch evaluation completed. Successfully evaluated ${results.success}/${pendingSubmissions.length} submissions.`,
-      results: results
+      message: jobs.length > 0
+        ? `Queued ${jobs.length} submission(s) for evaluation. Track progress at /api/jobs/paper/${paperId}.`
+        : 'No pending submissions found',
+      jobs,
+      skippedSubmissionIds: skipped
     });
 
   } catch (error) {
@@ -2931,69 +2089,8 @@ router.post('/batch-evaluate/:paperId', async (req, res) => {
   }
 });
 
-// Helper function for batch evaluation with retry logic
-async function evaluateSubmissionWithRetry(submission, paperId, maxRetries = 3) {
-  let lastError = null;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`🔄 Attempt ${attempt}/${maxRetries} for ${submission.studentName}`);
-
-      // Prepare request body similar to frontend
-      const requestBody = {
-        paperId: paperId,
-        studentName: submission.studentName,
-        rollNo: submission.rollNo,
-        source: submission.source,
-        ...(submission.totalPages && submission.totalPages > 1 
-          ? { 
-              pages: submission.pages,
-              fileName: `${submission.studentName}_${submission.totalPages}_pages`
-            }
-          : (submission.source === 'drive' || submission.source === 'minio')
-            ? { fileId: submission.fileId, fileName: submission.fileName }
-            : { submissionId: submission.submissionId, imageUrl: submission.imageUrl }
-        )
-      };
-
-      // Call the existing evaluate-pending endpoint internally
-      const response = await fetch(`${process.env.API_BASE_URL || 'http://localhost:3000'}/api/submissions/evaluate-pending`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-      });
-
-      if (response.ok) {
-        const result = await response.json();
-        return result; // Success
-      } else {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP ${response.status}`);
-      }
-
-    } catch (error) {
-      console.error(`❌ Attempt ${attempt} failed for ${submission.studentName}:`, error.message);
-      lastError = error;
-
-      if (attempt < maxRetries) {
-        // Exponential backoff with jitter
-        const baseDelay = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s
-        const jitter = Math.random() * 1000; // Add up to 1s random delay
-        const delay = baseDelay + jitter;
-        
-        console.log(`⏳ Retrying in ${Math.round(delay)}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-  }
-
-  throw lastError || new Error(`Failed after ${maxRetries} attempts`);
-}
-
 // Fix roll number for existing submission by re-extracting from PDF
-router.post('/fix-rollno-extraction/:submissionId', async (req, res) => {
+router.post('/fix-rollno-extraction/:submissionId', requirePaperAccess('grade', paperFromSubmission('submissionId')), async (req, res) => {
   try {
     const submissionId = parseInt(req.params.submissionId);
     
@@ -3068,11 +2165,15 @@ router.post('/fix-rollno-extraction/:submissionId', async (req, res) => {
           }
         });
         
+        const rollNoCheck = await applyRollNoValidation(submissionId);
+        
         res.json({
           success: true,
           message: 'Roll number extracted and updated successfully',
           oldRollNo: submission.rollNo,
           newRollNo: updated.rollNo,
+          rollNoStatus: rollNoCheck ? rollNoCheck.status : 'unverified',
+          rollNoSuggestions: rollNoCheck ? rollNoCheck.suggestions : null,
           extractionMethod: isPdfFile ? 'pdf_gemini_vision' : 'image_gemini_vision',
           submissionId: submissionId
         });
@@ -3101,41 +2202,7 @@ router.post('/fix-rollno-extraction/:submissionId', async (req, res) => {
 });
 
 // Debug endpoint: Manual cleanup duplicates for a paper
-router.post('/cleanup-duplicates/:paperId', async (req, res) => {
-  try {
-    const paperId = parseInt(req.params.paperId);
-    
-    console.log(`\ud83e\uddf9 Manual cleanup triggered for paper ${paperId}`);
-    await cleanupDuplicateSubmissions(paperId);
-    
-    // Return current state
-    const remainingSubmissions = await prisma.studentSubmission.findMany({
-      where: { paperId: paperId },
-      select: {
-        id: true,
-        studentName: true,
-        rollNo: true,
-        evaluationStatus: true,
-        score: true,
-        submittedAt: true
-      },
-      orderBy: { submittedAt: 'desc' }
-    });
-    
-    res.json({
-      success: true,
-      message: `Cleanup completed for paper ${paperId}`,
-      remainingSubmissions: remainingSubmissions,
-      count: remainingSubmissions.length
-    });
-  } catch (error) {
-    console.error('\u274c Manual cleanup error:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Debug endpoint: Manual cleanup duplicates for a paper
-router.post('/cleanup-duplicates/:paperId', async (req, res) => {
+router.post('/cleanup-duplicates/:paperId', requirePaperAccess('edit'), async (req, res) => {
   try {
     const paperId = parseInt(req.params.paperId);
     
@@ -0,0 +1,290 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const prisma = require('../prisma');
+const { ROLES, verifyToken, requireRole } = require('../middleware/auth');
+const { revokeAllSessions } = require('../../services/sessionService');
+const passwordService = require('../../services/passwordService');
+
+const router = express.Router();
+
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS) || 72;
+
+// Roles each role may invite
+const INVITABLE_ROLES = {
+  owner: ROLES,
+  teacher: ['grader', 'viewer']
+};
+
+const userSelect = {
+  id: true,
+  username: true,
+  email: true,
+  role: true,
+  isActive: true,
+  invitedById: true,
+  inviteExpiresAt: true,
+  failedLogins: true,
+  lockedUntil: true,
+  passwordChangedAt: true,
+  createdAt: true
+};
+
+// Refuse changes that would leave the deployment without an active owner
+const isLastActiveOwner = async (adminId) => {
+  const owners = await prisma.admin.findMany({
+    where: { role: 'owner', isActive: true },
+    select: { id: true }
+  });
+  return owners.length === 1 && owners[0].id === adminId;
+};
+
+// Current account
+router.get('/me', verifyToken, async (req, res) => {
+  try {
+    const admin = await prisma.admin.findUnique({
+      where: { id: req.admin.id },
+      select: userSelect
+    });
+    res.json(admin);
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// List users (owners see everyone, teachers see the accounts they invited)
+router.get('/', verifyToken, requireRole('owner', 'teacher'), async (req, res) => {
+  try {
+    const users = await prisma.admin.findMany({
+      where: req.admin.role === 'owner' ? {} : { invitedById: req.admin.id },
+      select: userSelect,
+      orderBy: { createdAt: 'asc' }
+    });
+    res.json(users);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Invite a new user - returns a one-time invite token to share with them
+router.post('/invite', verifyToken, requireRole('owner', 'teacher'), async (req, res) => {
+  try {
+    const { username, email, role = 'viewer' } = req.body;
+
+    if (!username) {
+      return res.status(400).json({ error: 'Username is required' });
+    }
+
+    if (!INVITABLE_ROLES[req.admin.role].includes(role)) {
+      return res.status(403).json({ error: `You cannot invite users with role '${role}'` });
+    }
+
+    const existing = await prisma.admin.findFirst({
+      where: {
+        OR: [
+          { username },
+          ...(email ? [{ email }] : [])
+        ]
+      }
+    });
+
+    if (existing) {
+      return res.status(409).json({ error: 'A user with this username or email already exists' });
+    }
+
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+    const inviteExpiresAt = new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000);
+
+    // The account cannot log in until the invite is accepted and a password is set
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    const user = await prisma.admin.create({
+      data: {
+        username,
+        email: email || null,
+        role,
+        passwordHash: unusablePassword,
+        invitedById: req.admin.id,
+        inviteTokenHash: crypto.createHash('sha256').update(inviteToken).digest('hex'),
+        inviteExpiresAt
+      },
+      select: userSelect
+    });
+
+    console.log(`✉️ ${req.admin.username} invited ${username} as ${role}`);
+
+    res.status(201).json({
+      user,
+      inviteToken,
+      inviteExpiresAt
+    });
+  } catch (error) {
+    console.error('Error inviting user:', error);
+    res.status(500).json({ error: 'Failed to invite user' });
+  }
+});
+
+// Update a user's role, email or active flag (owner only)
+router.patch('/:id', verifyToken, requireRole('owner'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role, email, isActive } = req.body;
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Use one of: ${ROLES.join(', ')}` });
+    }
+    if (email !== undefined && email !== null && typeof email !== 'string') {
+      return res.status(400).json({ error: 'email must be a string or null' });
+    }
+    // A string such as "false" must not switch an account back on
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be true or false' });
+    }
+
+    const user = await prisma.admin.findUnique({ where: { id: userId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const demotingOwner = user.role === 'owner' && ((role && role !== 'owner') || isActive === false);
+    if (demotingOwner && await isLastActiveOwner(userId)) {
+      return res.status(400).json({ error: 'Cannot demote or deactivate the last active owner' });
+    }
+
+    const updated = await prisma.admin.update({
+      where: { id: userId },
+      data: {
+        ...(role !== undefined && { role }),
+        ...(email !== undefined && { email: email || null }),
+        ...(isActive !== undefined && { isActive })
+      },
+      select: userSelect
+    });
+
+    if (isActive === false) {
+      await revokeAllSessions(userId);
+    }
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Log a user out of every device (owner only)
+router.post('/:id/revoke-sessions', verifyToken, requireRole('owner'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const user = await prisma.admin.findUnique({ where: { id: userId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const revoked = await revokeAllSessions(userId);
+    res.json({ message: `Revoked ${revoked} session(s)`, revoked });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Start an admin-initiated password reset (owner only).
+// Returns a one-time token the user redeems at /api/auth/reset-password; existing sessions are revoked.
+router.post('/:id/reset-password', verifyToken, requireRole('owner'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const user = await prisma.admin.findUnique({ where: { id: userId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { resetToken, resetExpiresAt } = await passwordService.createResetToken(userId);
+    await revokeAllSessions(userId);
+
+    console.log(`🔑 ${req.admin.username} started a password reset for ${user.username}`);
+
+    res.json({ resetToken, resetExpiresAt });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Clear a login lockout (owner only)
+router.post('/:id/unlock', verifyToken, requireRole('owner'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const user = await prisma.admin.findUnique({ where: { id: userId } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const updated = await prisma.admin.update({
+      where: { id: userId },
+      data: { failedLogins: 0, lockedUntil: null },
+      select: userSelect
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+});
+
+// Login audit trail (owner only), optionally for one user
+router.get('/login-audit', verifyToken, requireRole('owner'), async (req, res) => {
+  try {
+    const { adminId, success } = req.query;
+
+    const audits = await prisma.loginAudit.findMany({
+      where: {
+        ...(adminId && { adminId: parseInt(adminId) }),
+        ...(success !== undefined && { success: success === 'true' })
+      },
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(parseInt(req.query.limit) || 100, 500)
+    });
+
+    res.json(audits);
+  } catch (error) {
+    console.error('Error fetching login audit:', error);
+    res.status(500).json({ error: 'Failed to fetch login audit' });
+  }
+});
+
+// Issue a fresh invite token for a user who has not accepted yet (owner only)
+router.post('/:id/reinvite', verifyToken, requireRole('owner'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const user = await prisma.admin.findUnique({ where: { id: userId } });
+    if (!user || !user.inviteTokenHash) {
+      return res.status(404).json({ error: 'No pending invite for this user' });
+    }
+
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+    const inviteExpiresAt = new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000);
+
+    await prisma.admin.update({
+      where: { id: userId },
+      data: {
+        inviteTokenHash: crypto.createHash('sha256').update(inviteToken).digest('hex'),
+        inviteExpiresAt
+      }
+    });
+
+    res.json({ inviteToken, inviteExpiresAt });
+  } catch (error) {
+    console.error('Error re-inviting user:', error);
+    res.status(500).json({ error: 'Failed to re-invite user' });
+  }
+});
+
+module.exports = router;
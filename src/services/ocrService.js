@@ -154,46 +154,8 @@ const processAnswerSheet = (extractedText) => {
   return answers;
 };
 
-const evaluateAnswers = (correctAnswers, studentAnswers) => {
-  console.log('Evaluating answers...');
-  
-  let score = 0;
-  const totalQuestions = correctAnswers.length;
-  const answerResults = [];
-
-  for (const correct of correctAnswers) {
-    const studentAnswer = studentAnswers.find(
-      ans => ans.questionNumber === correct.questionNumber
-    );
-    
-    const isCorrect = studentAnswer && 
-      studentAnswer.selectedOption === correct.correctOption;
-    
-    if (isCorrect) score++;
-    
-    answerResults.push({
-      questionNumber: correct.questionNumber,
-      correctOption: correct.correctOption,
-      studentOption: studentAnswer ? studentAnswer.selectedOption : 'Not answered',
-      isCorrect
-    });
-  }
-
-  const percentage = totalQuestions > 0 ? (score / totalQuestions) * 100 : 0;
-  
-  console.log(`Evaluation complete: ${score}/${totalQuestions} (${percentage.toFixed(2)}%)`);
-  
-  return {
-    score,
-    totalQuestions,
-    percentage,
-    answerResults
-  };
-};
-
 module.exports = {
   extractTextFromImage,
   processQuestionPaper,
-  processAnswerSheet,
-  evaluateAnswers
+  processAnswerSheet
 };
@@ -9,10 +9,11 @@ async function createOrUpdateAdmin() {
     // Upsert ensures admin is created if not found, or updated if it exists
     const admin = await prisma.admin.upsert({
       where: { username: 'admin' },
-      update: { passwordHash: hashedPassword },
+      update: { passwordHash: hashedPassword, role: 'owner', isActive: true },
       create: {
         username: 'admin',
-        passwordHash: hashedPassword
+        passwordHash: hashedPassword,
+        role: 'owner'
       }
     });
 
@@ -21,7 +21,8 @@ async function setupDatabase() {
       await prisma.admin.create({
         data: {
           username: 'admin',
-          passwordHash: hashedPassword
+          passwordHash: hashedPassword,
+          role: 'owner'
         }
       });
       
@@ -16,7 +16,8 @@ async function updateAdminPassword() {
       update: { passwordHash: hashedPassword },
       create: {
         username: 'admin',
-        passwordHash: hashedPassword
+        passwordHash: hashedPassword,
+        role: 'owner'
       }
     });
     
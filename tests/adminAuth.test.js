@@ -0,0 +1,91 @@
+require('./helpers/fakePrisma');
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+
+// Mounted as in src/app.js. Public student endpoints (student-submissions.js) share
+// /api/submissions, so they are mounted too and must not shadow an admin route.
+const ROUTERS = [
+  ['/api/auth', '../src/routes/auth'],
+  ['/api/users', '../src/routes/users'],
+  ['/api/papers', '../src/routes/papers'],
+  ['/api/submissions', '../src/routes/student-submissions'],
+  ['/api/submissions', '../src/routes/submissions'],
+  ['/api/questions', '../src/routes/questions'],
+  ['/api/manual-tests', '../src/routes/manual-tests'],
+  ['/api/jobs', '../src/routes/jobs'],
+  ['/api/classes', '../src/routes/classes'],
+  ['/api/courses', '../src/routes/courses'],
+  ['/api/reviews', '../src/routes/reviews'],
+  ['/api/reevaluations', '../src/routes/reevaluations'],
+  ['/api/analytics', '../src/routes/analytics'],
+  ['/api/question-bank', '../src/routes/question-bank']
+];
+
+// Endpoints that are meant to work without a token
+const PUBLIC_ROUTES = new Set([
+  'POST /api/auth/login',
+  'POST /api/auth/refresh',
+  'POST /api/auth/accept-invite',
+  'POST /api/auth/reset-password',
+  'GET /api/papers/public',
+  'POST /api/submissions/submit',
+  'POST /api/submissions/submit-pdf',
+  'POST /api/submissions/results',
+  'POST /api/submissions/reevaluation-requests',
+  'POST /api/submissions/reevaluation-requests/:id/status'
+]);
+
+const app = express();
+app.use(express.json());
+const routes = [];
+for (const [mountPath, modulePath] of ROUTERS) {
+  const router = require(modulePath);
+  app.use(mountPath, router);
+
+  for (const layer of router.stack.filter(l => l.route)) {
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push({ method: method.toUpperCase(), path: `${mountPath}${layer.route.path}` });
+    }
+  }
+}
+
+const adminRoutes = routes.filter(route => !PUBLIC_ROUTES.has(`${route.method} ${route.path}`));
+
+let server;
+before(() => new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); }));
+after(() => new Promise(resolve => server.close(resolve)));
+
+const request = (method, path) => new Promise((resolve, reject) => {
+  const req = http.request({
+    host: '127.0.0.1',
+    port: server.address().port,
+    method,
+    path,
+    agent: false,
+    headers: { 'Content-Type': 'application/json', 'Content-Length': 2 }
+  }, (res) => {
+    res.resume();
+    res.on('end', () => resolve(res.statusCode));
+  });
+  req.on('error', reject);
+  req.end('{}');
+});
+
+test('every public route is still mounted', () => {
+  const mounted = new Set(routes.map(route => `${route.method} ${route.path}`));
+  assert.deepStrictEqual([...PUBLIC_ROUTES].filter(route => !mounted.has(route)), []);
+});
+
+test('admin routes reject requests without a token', async (t) => {
+  assert.ok(adminRoutes.length > 100, `found only ${adminRoutes.length} admin routes`);
+
+  for (const { method, path } of adminRoutes) {
+    await t.test(`${method} ${path}`, async () => {
+      const status = await request(method, path.replace(/:\w+/g, '1'));
+      assert.strictEqual(status, 401);
+    });
+  }
+});
@@ -0,0 +1,33 @@
+const path = require('path');
+const Module = require('module');
+
+// Load routers without a database: src/prisma.js and @prisma/client are replaced in the
+// require cache before anything requires them. Every query rejects, so a test fails
+// loudly if a request reaches the database when it should not.
+
+const unexpectedQuery = (name) => new Proxy(() => {}, {
+  get: (target, key) => (key === 'then' ? undefined : unexpectedQuery(`${name}.${String(key)}`)),
+  apply: () => Promise.reject(new Error(`Unexpected database query: prisma.${name}`))
+});
+
+const prisma = new Proxy({}, {
+  get: (target, key) => (key === 'then' ? undefined : unexpectedQuery(String(key)))
+});
+
+const plant = (file, exports) => {
+  const module = new Module(file);
+  module.filename = file;
+  module.loaded = true;
+  module.exports = exports;
+  require.cache[file] = module;
+};
+
+const root = path.resolve(__dirname, '../..');
+
+plant(path.join(root, 'src/prisma.js'), prisma);
+plant(require.resolve('@prisma/client', { paths: [root] }), {
+  PrismaClient: function PrismaClient() { return prisma; },
+  Prisma: { JsonNull: 'JsonNull', DbNull: 'DbNull' }
+});
+
+module.exports = prisma;
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseNumericAnswer, evaluateNumericAnswer } = require('../services/numericAnswer');
+
+test('parseNumericAnswer', async (t) => {
+  const cases = [
+    { text: '42', expected: { value: 42, unit: null, sigFigs: 2 } },
+    { text: '12.50', expected: { value: 12.5, unit: null, sigFigs: 4 } },
+    { text: '9.8 m/s^2', expected: { value: 9.8, unit: 'm/s^2', sigFigs: 2 } },
+    { text: '25 °C', expected: { value: 25, unit: '°C', sigFigs: 2 } },
+    { text: '1.5e3', expected: { value: 1500, unit: null, sigFigs: 2 } },
+    { text: '3,14', expected: { value: 3.14, unit: null, sigFigs: 3 } },
+    { text: '0,125', expected: { value: 0.125, unit: null, sigFigs: 3 } },
+    { text: '1,234.5', expected: { value: 1234.5, unit: null, sigFigs: 5 } },
+    { text: '1,234,567', expected: { value: 1234567, unit: null, sigFigs: 7 } },
+    { text: '5/2', expected: { value: 2.5, unit: null, sigFigs: null } },
+    { text: '-1/4 m', expected: { value: -0.25, unit: 'm', sigFigs: null } },
+    { text: '3,142', expected: null },
+    { text: '5/0', expected: null },
+    { text: '3 or 4', expected: null },
+    { text: '2.5 apples', expected: null },
+    { text: 'about 3', expected: null }
+  ];
+
+  for (const { text, expected } of cases) {
+    await t.test(text, () => {
+      assert.deepStrictEqual(parseNumericAnswer(text), expected);
+    });
+  }
+});
+
+test('evaluateNumericAnswer', async (t) => {
+  const spec = { value: 2.5, unit: 'm', relativeTolerance: 0.01, sigFigs: { min: 2 } };
+
+  const cases = [
+    { text: '2.50 m', isCorrect: true, score: 2 },
+    { text: '250 cm', isCorrect: true, score: 2 },
+    { text: '5/2 m', isCorrect: true, score: 2 },
+    { text: '3 m', isCorrect: false, score: 0 },
+    { text: '2.5 or 3 m', isCorrect: false, score: 0 },
+    { text: '2.5 s', isCorrect: false, score: 0 }
+  ];
+
+  for (const { text, isCorrect, score } of cases) {
+    await t.test(text, () => {
+      const result = evaluateNumericAnswer(text, spec, 2);
+      assert.strictEqual(result.isCorrect, isCorrect, result.details);
+      assert.strictEqual(result.score, score);
+    });
+  }
+});
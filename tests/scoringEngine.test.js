@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { readQuestion, scoreChoiceQuestion, scoreAnswers } = require('../services/scoringEngine');
+
+const OPTIONS = { A: 'Paris', B: 'London', C: 'Berlin', D: 'Madrid' };
+
+const question = (fields) => readQuestion({ questionNumber: 1, options: OPTIONS, pointsPerBlank: 2, ...fields });
+
+test('scoreChoiceQuestion', async (t) => {
+  const cases = [
+    {
+      name: 'single answer, correct label',
+      question: { correctOptions: ['A'] },
+      answer: { question_number: 1, selected_option: 'A' },
+      expected: { partialScore: 2, maxPoints: 2, isCorrect: true, wrongOptionCount: 0 }
+    },
+    {
+      name: 'single answer, lower-case label',
+      question: { correctOptions: ['A'] },
+      answer: { question_number: 1, selected_option: 'a' },
+      expected: { partialScore: 2, isCorrect: true, selectedOptions: ['A'] }
+    },
+    {
+      name: 'single answer, wrong label',
+      question: { correctOptions: ['A'] },
+      answer: { question_number: 1, selected_option: 'B' },
+      expected: { partialScore: 0, isCorrect: false, wrongOptionCount: 1 }
+    },
+    {
+      name: 'key as option text, answer as label',
+      question: { correctOptions: ['Paris'] },
+      answer: { question_number: 1, selected_option: 'A' },
+      expected: { partialScore: 2, isCorrect: true }
+    },
+    {
+      name: 'key as label, answer as option text',
+      question: { correctOptions: ['A'] },
+      answer: { question_number: 1, selected_option: 'paris' },
+      expected: { partialScore: 2, isCorrect: true }
+    },
+    {
+      name: 'multi answer, all correct',
+      question: { correctOptions: ['A', 'C'] },
+      answer: { question_number: 1, selected_options: ['C', 'A'] },
+      expected: { partialScore: 2, isCorrect: true }
+    },
+    {
+      name: 'multi answer, some correct',
+      question: { correctOptions: ['A', 'C'] },
+      answer: { question_number: 1, selected_options: ['A'] },
+      expected: { partialScore: 1, isCorrect: false }
+    },
+    {
+      name: 'multi answer, a wrong option voids the question',
+      question: { correctOptions: ['A', 'C'] },
+      answer: { question_number: 1, selected_options: ['A', 'C', 'D'] },
+      expected: { partialScore: 0, isCorrect: false, wrongOptionCount: 1 }
+    },
+    {
+      name: 'same option marked twice counts once',
+      question: { correctOptions: ['A', 'C'] },
+      answer: { question_number: 1, selected_options: ['A', 'Paris'] },
+      expected: { partialScore: 1, selectedOptions: ['A'] }
+    },
+    {
+      name: 'weighted options',
+      question: { correctOptions: ['A', 'C'], weightages: { A: 1.5, C: 0.5 } },
+      answer: { question_number: 1, selected_options: ['A'] },
+      expected: { partialScore: 1.5, isCorrect: false }
+    },
+    {
+      name: 'unattempted',
+      question: { correctOptions: ['A'] },
+      answer: undefined,
+      expected: { partialScore: 0, maxPoints: 2, isCorrect: false, selectedOptions: [] }
+    },
+    {
+      name: 'unkeyed question scores nothing and has no maximum',
+      question: { correctOptions: [] },
+      answer: { question_number: 1, selected_options: ['A', 'B'] },
+      expected: { partialScore: 0, maxPoints: 0, isCorrect: false, wrongOptionCount: 0, selectedOptions: ['A', 'B'] }
+    }
+  ];
+
+  for (const { name, question: fields, answer, expected } of cases) {
+    await t.test(name, () => {
+      const result = scoreChoiceQuestion(question(fields), answer);
+      for (const [field, value] of Object.entries(expected)) {
+        assert.deepStrictEqual(result[field], value, `${field} of "${name}"`);
+      }
+    });
+  }
+});
+
+test('scoreAnswers', async (t) => {
+  const questions = [
+    { questionNumber: 1, options: OPTIONS, correctOptions: ['A'], pointsPerBlank: 1 },
+    { questionNumber: 2, options: OPTIONS, correctOptions: ['B'], pointsPerBlank: 1 },
+    { questionNumber: 3, options: OPTIONS, correctOptions: [], pointsPerBlank: 1 }
+  ];
+
+  const cases = [
+    {
+      name: 'no policy',
+      policy: null,
+      answers: [{ question_number: 1, selected_option: 'A' }, { question_number: 2, selected_option: 'C' }],
+      expected: { score: 1, maxPossibleScore: 2 }
+    },
+    {
+      name: 'negative marking',
+      policy: { correct: 4, wrong: -1 },
+      answers: [{ question_number: 1, selected_option: 'A' }, { question_number: 2, selected_option: 'C' }],
+      expected: { score: 3, maxPossibleScore: 8 }
+    },
+    {
+      name: 'unkeyed question is not penalised under negative marking',
+      policy: { correct: 4, wrong: -1 },
+      answers: [{ question_number: 3, selected_options: ['A', 'B', 'C', 'D'] }],
+      expected: { score: 0, maxPossibleScore: 8 }
+    },
+    {
+      name: 'paper floor',
+      policy: { correct: 4, wrong: -1, floor: 'paper' },
+      answers: [{ question_number: 1, selected_option: 'B' }, { question_number: 2, selected_option: 'C' }],
+      expected: { score: 0, maxPossibleScore: 8 }
+    },
+    {
+      name: 'no paper floor',
+      policy: { correct: 4, wrong: -1 },
+      answers: [{ question_number: 1, selected_option: 'B' }, { question_number: 2, selected_option: 'C' }],
+      expected: { score: -2, maxPossibleScore: 8 }
+    }
+  ];
+
+  for (const { name, policy, answers, expected } of cases) {
+    await t.test(name, () => {
+      const result = scoreAnswers(questions, answers, { scoringPolicy: policy });
+      assert.strictEqual(result.score, expected.score);
+      assert.strictEqual(result.maxPossibleScore, expected.maxPossibleScore);
+    });
+  }
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateScoringPolicy, resolvePolicy, scoreWithPolicy, applyPaperFloor } = require('../services/scoringPolicy');
+
+// Evaluator result of a question worth 2 points
+const result = (partialScore, selectedOptions, wrongOptionCount = 0) => ({ partialScore, maxPoints: 2, selectedOptions, wrongOptionCount });
+
+test('scoreWithPolicy', async (t) => {
+  const cases = [
+    { name: 'correct, default marks', result: result(2, ['A']), policy: {}, expected: { partialScore: 2, maxPoints: 2, isCorrect: true } },
+    { name: 'correct, policy marks', result: result(2, ['A']), policy: { correct: 4 }, expected: { partialScore: 4, maxPoints: 4, isCorrect: true } },
+    { name: 'wrong, negative marking', result: result(0, ['B'], 1), policy: { correct: 4, wrong: -1 }, expected: { partialScore: -1, maxPoints: 4, isCorrect: false } },
+    { name: 'wrong, per wrong option', result: result(0, ['B', 'C'], 2), policy: { correct: 4, wrong: -1, perWrongOption: -0.5 }, expected: { partialScore: -2, maxPoints: 4, isCorrect: false } },
+    { name: 'wrong, question floor', result: result(0, ['B'], 1), policy: { correct: 4, wrong: -1, floor: 'question' }, expected: { partialScore: 0, maxPoints: 4, isCorrect: false } },
+    { name: 'unattempted, default', result: result(0, []), policy: { correct: 4, wrong: -1 }, expected: { partialScore: 0, maxPoints: 4, isCorrect: false } },
+    { name: 'unattempted, policy marks', result: result(0, ['  ']), policy: { correct: 4, unattempted: -0.25 }, expected: { partialScore: -0.25, maxPoints: 4, isCorrect: false } },
+    { name: 'partial credit scaled', result: result(1, ['A']), policy: { correct: 4 }, expected: { partialScore: 2, maxPoints: 4, isCorrect: false } },
+    { name: 'partial credit disabled', result: result(1, ['A']), policy: { correct: 4, partialCredit: false }, expected: { partialScore: 0, maxPoints: 4, isCorrect: false } }
+  ];
+
+  for (const { name, result: input, policy, expected } of cases) {
+    await t.test(name, () => {
+      assert.deepStrictEqual(scoreWithPolicy(input, policy), expected);
+    });
+  }
+});
+
+test('resolvePolicy lets question fields override the paper', () => {
+  assert.strictEqual(resolvePolicy(null, {}), null);
+  assert.deepStrictEqual(resolvePolicy({ correct: 4, wrong: -1 }, { wrong: 0 }), { correct: 4, wrong: 0 });
+  assert.deepStrictEqual(resolvePolicy(null, { correct: 2 }), { correct: 2 });
+});
+
+test('applyPaperFloor only floors paper totals under a paper floor', () => {
+  assert.strictEqual(applyPaperFloor(-3, { floor: 'paper' }), 0);
+  assert.strictEqual(applyPaperFloor(-3, { floor: 'question' }), -3);
+  assert.strictEqual(applyPaperFloor(-3, null), -3);
+});
+
+test('validateScoringPolicy', async (t) => {
+  const cases = [
+    { name: 'valid policy', policy: { correct: 4, wrong: -1, floor: 'paper' }, level: 'paper', errors: 0 },
+    { name: 'not an object', policy: [], level: 'paper', errors: 1 },
+    { name: 'unknown field', policy: { bonus: 1 }, level: 'paper', errors: 1 },
+    { name: 'positive wrong marks', policy: { wrong: 1 }, level: 'paper', errors: 1 },
+    { name: 'paper floor on a question', policy: { floor: 'paper' }, level: 'question', errors: 1 }
+  ];
+
+  for (const { name, policy, level, errors } of cases) {
+    await t.test(name, () => {
+      assert.strictEqual(validateScoringPolicy(policy, level).length, errors);
+    });
+  }
+});